@@ -0,0 +1,105 @@
+<?php
+
+namespace App\Http\Controllers\Admin;
+
+use App\Http\Controllers\Controller;
+use App\Models\User;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * USER MANAGEMENT CONTROLLER - THE ADMIN'S "USERS" PAGE
+ * =====================================================
+ *
+ * Lists every account and lets an admin change its role (see `User::ROLES`).
+ * The routes themselves are guarded by `UserPolicy` (`->can(...)` in
+ * `routes/web.php`), so these methods never run for anyone else.
+ *
+ * 🎓 LEARN: `role` is not in `User::$fillable`, so it is set explicitly here
+ * (`$user->role = ...`). A registration or profile form that sneaks in a
+ * `role` field is simply ignored by mass assignment.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `GET /admin/users` (`index` method)
+ * - `PATCH /admin/users/{user}/role` (`updateRole` method)
+ */
+class UserManagementController extends Controller
+{
+    /**
+     * LIST THE USERS
+     * ==============
+     *
+     * Searchable by name or email and filterable by role; both stay in the
+     * query string so the list can be bookmarked and paged through.
+     *
+     * ROUTE: `GET /admin/users`
+     */
+    public function index(Request $request): Response
+    {
+        $validated = $request->validate([
+            'search' => ['nullable', 'string', 'max:100'],
+            'role' => ['nullable', Rule::in(User::ROLES)],
+        ]);
+
+        $search = trim($validated['search'] ?? '');
+        $role = $validated['role'] ?? null;
+
+        $users = User::query()
+            ->when($search !== '', fn ($query) => $query->where(fn ($query) => $query
+                ->where('name', 'like', "%{$search}%")
+                ->orWhere('email', 'like', "%{$search}%")))
+            ->when($role, fn ($query) => $query->where('role', $role))
+            ->withCount('blogPosts')
+            ->orderBy('name')
+            ->paginate(20)
+            ->withQueryString()
+            ->through(fn (User $user) => [
+                'id' => $user->id,
+                'name' => $user->name,
+                'email' => $user->email,
+                'role' => $user->role,
+                'posts_count' => $user->blog_posts_count,
+                'created_at' => $user->created_at,
+            ]);
+
+        return Inertia::render('Admin/Users', [
+            'users' => $users,
+            'filters' => ['search' => $search, 'role' => $role],
+            'roles' => User::ROLES,
+            // How many of each, for the filter tabs
+            'roleCounts' => User::query()->selectRaw('role, count(*) as total')->groupBy('role')->pluck('total', 'role'),
+        ]);
+    }
+
+    /**
+     * CHANGE A USER'S ROLE
+     * ====================
+     *
+     * Admins cannot change their own role (`UserPolicy::updateRole()`), so
+     * there is always at least the admin who is doing this.
+     *
+     * ROUTE: `PATCH /admin/users/{user}/role`
+     */
+    public function updateRole(Request $request, User $user): RedirectResponse
+    {
+        $validated = $request->validate([
+            'role' => ['required', Rule::in(User::ROLES)],
+        ]);
+
+        $user->role = $validated['role'];
+        $user->save();
+
+        return back()->with('success', "**{$user->name}** is now {$this->withArticle($user->role)}.");
+    }
+
+    /**
+     * "an admin", "an editor", "an author", "a reader"
+     */
+    private function withArticle(string $role): string
+    {
+        return (in_array($role[0], ['a', 'e', 'i', 'o', 'u'], true) ? 'an ' : 'a ') . $role;
+    }
+}
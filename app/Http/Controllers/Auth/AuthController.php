@@ -413,7 +413,7 @@ public function dashboard(): Response
                 'totalPosts' => $user->blogPosts()->count(),
                 'publishedPosts' => $user->publishedPosts()->count(),
                 'draftPosts' => $user->draftPosts()->count(),
-                'totalViews' => 0, // TODO: Implement view tracking
+                'totalViews' => $user->postViews()->count(), // Counted by `ViewTracker` (see `PostView`)
             ],
             'recentPosts' => $user->blogPosts,
         ]);
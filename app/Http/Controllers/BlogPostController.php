@@ -3,7 +3,16 @@
 namespace App\Http\Controllers;
 
 use App\Models\BlogPost;
+use App\Models\Category;
+use App\Models\Comment;
+use App\Models\Tag;
+use App\Services\HtmlSanitizer;
+use App\Services\ImageProcessor;
+use App\Services\PostSearch;
+use App\Services\ViewTracker;
 use Illuminate\Http\Request;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Carbon;
 use Illuminate\Support\Facades\Auth;
 use Illuminate\Support\Facades\Gate;
 use Inertia\Inertia;
@@ -40,12 +49,15 @@
  * 
  * ROUTES MANAGED BY THIS CONTROLLER:
  * - `GET /posts`: List all blog posts (`index` method)
+ * - `GET /tags/{slug}`, `GET /categories/{slug}`: The same list, filtered (`index` method)
  * - `GET /posts/create`: Show form to create new post (`create` method)
  * - `POST /posts`: Save a new post (`store` method)
  * - `GET /posts/{slug}`: Show a single post (`show` method)
  * - `GET /posts/{post}/edit`: Show form to edit existing post (`edit` method)
  * - `PUT /posts/{post}`: Update an existing post (`update` method)
  * - `DELETE /posts/{post}`: Delete a post (`destroy` method)
+ * - (Autosaved drafts for the edit form live in `PostDraftController`,
+ *   restoring old revisions in `PostRevisionController`.)
  * - `GET /manage-posts`: Show author's post management dashboard (`manage` method)
  *
  * AUTHORIZATION STRATEGY (WHO CAN DO WHAT):
@@ -58,6 +70,35 @@
  */
 class BlogPostController extends Controller
 {
+    /**
+     * "MY POSTS" FILTERS AND SORTING
+     * ==============================
+     * 
+     * The status tabs and sortable columns of `manage()`. Anything else in the
+     * query string is ignored.
+     */
+    public const MANAGE_STATUSES = ['all', 'published', 'scheduled', 'in_review', 'draft', 'archived'];
+    public const MANAGE_SORTS = ['created_at', 'updated_at', 'published_at', 'title', 'views_count'];
+
+    /**
+     * STATUS LABELS
+     * =============
+     * 
+     * Shown in the editor's status `<select>`, which only lists the ones the
+     * user may choose (see `statusOptions()`).
+     */
+    private const STATUS_LABELS = [
+        BlogPost::STATUS_DRAFT => 'Draft (Private)',
+        BlogPost::STATUS_IN_REVIEW => 'In Review (Waiting for an editor)',
+        BlogPost::STATUS_PUBLISHED => 'Published (Public)',
+        BlogPost::STATUS_ARCHIVED => 'Archived (Hidden)',
+    ];
+
+    // Said instead of "The selected status is invalid." when an author tries to publish
+    private const STATUS_MESSAGES = [
+        'status.in' => 'You cannot move this post to that status. Submit it for review and an editor will publish it.',
+    ];
+
     /**
      * DISPLAY LISTING OF BLOG POSTS (PUBLIC VIEW)
      * ==========================================
@@ -70,14 +111,20 @@ class BlogPostController extends Controller
      * - **Querying Data**: Fetching data from the database using Eloquent.
      * - **Eager Loading**: Loading related data (`user` for author info) to prevent N+1 issues.
      * - **Pagination**: Efficiently displaying large numbers of posts without loading all at once.
-     * - **Search & Filtering**: Allowing users to find specific content.
+     * - **Search & Filtering**: Allowing users to find specific content (full-text, ranked).
      * - **Inertia.js Rendering**: Sending data to a Svelte component for display.
      * - **SEO**: Setting up meta tags for search engine optimization.
      * 
+     * ARCHIVE PAGES:
+     * The tag and category archives are the same listing with one extra filter,
+     * so their routes point here too. Route model binding fills in `$tag` (for
+     * `/tags/{tag:slug}`) or `$category` (for `/categories/{category:slug}`);
+     * on `/posts` both stay `null`.
+     * 
      * ACCESSIBILITY: Publicly accessible (no authentication required).
-     * ROUTE: `GET /posts`
+     * ROUTES: `GET /posts`, `GET /tags/{slug}`, `GET /categories/{slug}`
      */
-    public function index(Request $request): Response
+    public function index(Request $request, PostSearch $postSearch, ?Tag $tag = null, ?Category $category = null): Response
     {
         /**
          * 🔎 SEARCH AND FILTERING LOGIC
@@ -93,28 +140,38 @@ public function index(Request $request): Response
          *   It automatically adds a `WHERE status = 'published'` clause to the query,
          *   ensuring only public posts are shown.
          */
-        $query = BlogPost::with('user') // Always load the author
+        $query = BlogPost::with(['user', 'featuredMedia', 'category', 'tags']) // Always load the author (and image variants for `srcset`)
                          ->published();  // Only show posts with 'published' status
 
+        /*
+         * 🏷️ ARCHIVE FILTERS
+         * ==================
+         * 
+         * `whereHas('tags', ...)`: Only posts with at least one matching row in the
+         *   `blog_post_tag` pivot table.
+         * `whereBelongsTo($category)`: Shorthand for `where('category_id', $category->id)`.
+         */
+        if ($tag) {
+            $query->whereHas('tags', fn ($q) => $q->whereKey($tag->id));
+        }
+
+        if ($category) {
+            $query->whereBelongsTo($category);
+        }
+
         // Check if a search term is provided in the request (e.g., /posts?search=keyword)
         if ($search = $request->get('search')) {
             /*
-             * SEARCH IMPLEMENTATION
-             * ====================
-             * 
-             * We use `where(function ($q) { ... })` to group our `OR` conditions.
-             * This ensures the search applies to multiple fields (`title`, `content`, `excerpt`)
-             * without breaking other parts of the query.
+             * SEARCH IMPLEMENTATION (FULL-TEXT)
+             * =================================
              * 
-             * `like '%{$search}%'`: This is a SQL LIKE operator. The `%` acts as a wildcard,
-             *   matching any sequence of zero or more characters. So, `%keyword%` means
-             *   "contains keyword".
+             * `PostSearch` queries the SQLite FTS5 index instead of `LIKE '%term%'`:
+             * - Word stems match ("rune" finds "runes"), and accents are ignored.
+             * - `"quoted phrases"` must appear exactly, `-word` excludes posts.
+             * - Results are ordered by relevance (BM25) before the date ordering below.
+             * - Each result gets `search_title` and `search_snippet` with the matches marked.
              */
-            $query->where(function ($q) use ($search) {
-                $q->where('title', 'like', "%{$search}%")
-                  ->orWhere('content', 'like', "%{$search}%")
-                  ->orWhere('excerpt', 'like', "%{$search}%");
-            });
+            $postSearch->apply($query, (string) $search);
         }
 
         /**
@@ -126,7 +183,7 @@ public function index(Request $request): Response
          * we load them in smaller chunks (pages).
          * 
          * `->latest('published_at')`: Orders the posts by their `published_at` date in descending order.
-         *   This shows the newest posts first.
+         *   This shows the newest posts first (when searching, only among equally relevant posts).
          * `->paginate(10)`: Tells Laravel to retrieve 10 posts per page.
          * `->withQueryString()`: Ensures any existing query parameters (like `?search=xyz` or `?page=2`)
          *   are preserved when navigating between pagination links.
@@ -144,13 +201,38 @@ public function index(Request $request): Response
          * `resources/js/Pages/BlogPosts/Index.svelte` component.
          * The Svelte component will receive this data as `$props`.
          */
+        // Which archive is shown (if any): the page uses it for its heading and links
+        $archive = match (true) {
+            $tag !== null => [
+                'type' => 'tag',
+                'name' => $tag->name,
+                'description' => null,
+                'path' => route('tags.show', $tag, false),
+            ],
+            $category !== null => [
+                'type' => 'category',
+                'name' => $category->name,
+                'description' => $category->description,
+                'path' => route('categories.show', $category, false),
+            ],
+            default => null,
+        };
+
         return Inertia::render('BlogPosts/Index', [
             'posts' => $posts, // Paginated posts data
             'search' => $request->get('search', ''), // Current search term
+            'archive' => $archive, // Current tag/category archive, or null on `/posts`
             'meta' => [
-                'title' => 'Educational Blog - Learn Modern Web Development',
-                'description' => 'Discover hands-on tutorials and insights about modern web development with Laravel, Svelte 5, and Inertia.js.',
+                'title' => match ($archive['type'] ?? null) {
+                    'tag' => "Posts tagged \"{$archive['name']}\" - Educational Blog",
+                    'category' => "{$archive['name']} - Educational Blog",
+                    default => 'Educational Blog - Learn Modern Web Development',
+                },
+                'description' => $archive
+                    ? ($archive['description'] ?: "Tutorials and articles about {$archive['name']} on the Educational Blog.")
+                    : 'Discover hands-on tutorials and insights about modern web development with Laravel, Svelte 5, and Inertia.js.',
                 'total_posts' => $posts->total(), // Total number of posts (for display)
+                'url' => url($archive['path'] ?? '/posts'), // Canonical address of the listing (for JSON-LD)
             ],
         ]);
     }
@@ -193,16 +275,15 @@ public function create(): Response
          * We render the `BlogPosts/Create.svelte` component.
          * We pass some initial data and configuration that the form needs.
          * 
-         * `statuses`: Defines the available publishing options (draft, published).
+         * `statuses`: The publishing options this user has: authors save drafts or
+         *   submit for review, editors and admins may also publish.
          * `maxTitleLength`, `maxExcerptLength`: Provide frontend hints for input limits.
          */
         return Inertia::render('BlogPosts/Create', [
-            'statuses' => [
-                'draft' => 'Draft (Private)',
-                'published' => 'Published (Public)',
-            ],
+            'statuses' => $this->statusOptions(new BlogPost()),
             'maxTitleLength' => 255,
             'maxExcerptLength' => 500,
+            ...$this->taxonomyOptions(), // Existing categories and popular tags
         ]);
     }
 
@@ -224,7 +305,7 @@ public function create(): Response
      * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
      * ROUTE: `POST /posts`
      */
-    public function store(Request $request): RedirectResponse
+    public function store(Request $request, HtmlSanitizer $sanitizer, ImageProcessor $images): RedirectResponse
     {
         /**
          * ✅ COMPREHENSIVE FORM VALIDATION
@@ -242,7 +323,8 @@ public function store(Request $request): RedirectResponse
          * - `string`: Input must be a string.
          * - `max:255`: Maximum allowed characters.
          * - `nullable`: Field can be empty or null.
-         * - `in:draft,published`: Value must be one of the specified options (for `status`).
+         * - `Rule::in(...)`: Value must be one of the given options (for `status`: the
+         *   ones this user may choose, see `BlogPost::allowedStatusesFor()`).
          * - `sometimes`: Only validate if the field is present in the request.
          * - `regex`: Ensures the slug is URL-friendly.
          * - `Rule::unique`: Ensures the slug is unique in the `blog_posts` table.
@@ -251,10 +333,15 @@ public function store(Request $request): RedirectResponse
             'title' => ['required', 'string', 'max:255'],
             'content' => ['required', 'string'],
             'excerpt' => ['nullable', 'string', 'max:500'],
-            'status' => ['required', 'string', 'in:draft,published'],
+            'status' => ['required', 'string', Rule::in((new BlogPost())->allowedStatusesFor(Auth::user()))],
+            'published_at' => ['nullable', 'date'], // Future date = scheduled publishing
             'featured_image' => ['nullable', 'string', 'max:255'],
+            'featured_image_upload' => ['nullable', ...ImageProcessor::RULES], // Replaces `featured_image` when present
             'meta_title' => ['nullable', 'string', 'max:255'],
             'meta_description' => ['nullable', 'string', 'max:500'],
+            'category' => ['nullable', 'string', 'max:'.Category::MAX_LENGTH], // Name; created if new
+            'tags' => ['nullable', 'array', 'max:'.Tag::MAX_PER_POST],
+            'tags.*' => ['string', 'max:'.Tag::MAX_LENGTH],
             
             'slug' => [
                 'sometimes', // Only validate if slug is provided in the request
@@ -264,7 +351,26 @@ public function store(Request $request): RedirectResponse
                 'regex:/^[a-z0-9]+(?:-[a-z0-9]+)*$/', // Ensures it's URL-friendly (kebab-case)
                 Rule::unique('blog_posts', 'slug'),   // Must be unique in the blog_posts table
             ],
-        ]);
+        ], self::STATUS_MESSAGES);
+
+        /**
+         * 🧼 SANITIZE CONTENT (STORED XSS PROTECTION)
+         * ==========================================
+         * 
+         * Validation checks the *shape* of the input, not whether it is safe to render.
+         * Post content is displayed as HTML, so we strip every tag, attribute and URL
+         * scheme that is not on the `HtmlSanitizer` allow-list before it reaches the database.
+         * 
+         * `HtmlSanitizer $sanitizer`: Laravel's service container injects this for us
+         *   (method injection) because it is type-hinted in the method signature.
+         */
+        $validated['content'] = $sanitizer->clean($validated['content']);
+
+        // Publish now, or schedule for the chosen date (see `resolvePublishedAt()` below)
+        $validated = $this->resolvePublishedAt($validated);
+
+        // Store an uploaded featured image and its responsive variants (see `storeFeaturedImage()` below)
+        $validated = $this->storeFeaturedImage($request, $validated, $images);
 
         /**
          * 💾 CREATE BLOG POST WITH PROPER AUTHORSHIP
@@ -286,6 +392,7 @@ public function store(Request $request): RedirectResponse
          */
         $post = new BlogPost($validated);
         $post->user_id = Auth::id(); // Assign the current user as the author
+        $post->category()->associate(Category::findOrCreateByName($validated['category'] ?? null));
         
         // If slug was not provided by the user, generate it from the title
         if (empty($validated['slug'])) {
@@ -293,6 +400,9 @@ public function store(Request $request): RedirectResponse
         }
         
         $post->save(); // Save the new blog post to the database
+        $post->syncTagNames($validated['tags'] ?? []); // Pivot rows need the post's id, so this comes after save()
+        $post->recordRevision(Auth::user()); // First entry in the post's revision history
+        $post->recordStatusChange(Auth::user()); // ...and in its status history
 
         /**
          * 🎉 SUCCESS RESPONSE & USER FEEDBACK
@@ -307,9 +417,13 @@ public function store(Request $request): RedirectResponse
          * `->with('success', $message)`: Stores a one-time success message in the session.
          *   This message will be available in the Svelte component (via `$page.props.flash.success`).
          */
-        $message = $post->status === 'published' 
-                    ? "Post '{$post->title}' has been **published** successfully!"
-                    : "Post '{$post->title}' has been saved as a **draft**.";
+        $message = match (true) {
+            $post->status === 'published' && $post->published_at->isFuture()
+                => "Post '{$post->title}' has been **scheduled** for {$post->published_at->format('F j, Y g:i A T')}.",
+            $post->status === 'published' => "Post '{$post->title}' has been **published** successfully!",
+            $post->status === 'in_review' => "Post '{$post->title}' has been **submitted for review**. An editor will publish it or send it back with notes.",
+            default => "Post '{$post->title}' has been saved as a **draft**.",
+        };
 
         return redirect()
             ->route('posts.show', $post->slug)
@@ -334,23 +448,22 @@ public function store(Request $request): RedirectResponse
      * ROUTE: `GET /posts/{post:slug}`
      * EXAMPLE URL: `/posts/my-amazing-blog-post` (uses the post's unique slug)
      */
-    public function show(BlogPost $post): Response
+    public function show(Request $request, BlogPost $post, ViewTracker $viewTracker): Response
     {
         /**
          * 🔒 AUTHORIZATION FOR DRAFT/UNPUBLISHED POSTS
          * ===========================================
          * 
          * By default, only published posts are publicly viewable. 
-         * However, the original author should be able to preview their drafts.
+         * However, whoever may edit a draft (its author, editors, admins) can preview it.
          * 
-         * `!$post->is_published`: Check if the post is NOT published.
-         * `!Auth::check()`: Check if no user is logged in.
-         * `!$post->canEdit(Auth::user())`: Check if the logged-in user is NOT the author.
+         * `Gate::denies('view', $post)`: Asks `BlogPostPolicy::view()`, which also
+         * answers for guests (its `?User` parameter).
          * 
-         * If the post is not published AND the user is not logged in OR is not the author,
-         * then we abort with a 404 error (hiding the existence of the draft).
+         * If the reader may not see the post, we abort with a 404 error
+         * (hiding the existence of the draft).
          */
-        if (!$post->is_published && (!Auth::check() || !$post->canEdit(Auth::user()))) {
+        if (Gate::denies('view', $post)) {
             abort(404, 'Post not found or unauthorized to view.');
         }
 
@@ -361,7 +474,7 @@ public function show(BlogPost $post): Response
          * `->load('user')`: Fetches the associated `User` model (author) for the post.
          * This is more efficient than fetching it separately later (prevents N+1 queries).
          */
-        $post->load('user'); // Load the author information
+        $post->load(['user', 'featuredMedia', 'category', 'tags']); // Load the author, the image variants and the taxonomy
 
         /**
          * 💡 SUGGESTED RELATED POSTS
@@ -375,7 +488,8 @@ public function show(BlogPost $post): Response
          * `->where('id', '!=', $post->id)`: Exclude the current post itself.
          * `->take(3)`: Limit to 3 suggestions.
          */
-        $relatedPosts = BlogPost::published()
+        $relatedPosts = BlogPost::with('featuredMedia')
+                               ->published()
                                ->where('user_id', $post->user_id)
                                ->where('id', '!=', $post->id)
                                ->take(3)
@@ -392,13 +506,42 @@ public function show(BlogPost $post): Response
         return Inertia::render('BlogPosts/Show', [
             'post' => $post, // The main blog post object
             'relatedPosts' => $relatedPosts, // List of related posts
-            'canEdit' => Auth::check() && $post->canEdit(Auth::user()), // Check if current user can edit this post
+            // What the current user may do with this post (`BlogPostPolicy`), for the page's buttons
+            'can' => [
+                'update' => Gate::allows('update', $post),
+                'delete' => Gate::allows('delete', $post),
+                'viewAnalytics' => Gate::allows('viewAnalytics', $post),
+                'review' => Gate::allows('review', $post),
+            ],
+            // The editorial audit trail (submitted, approved, changes requested...), for those who may edit
+            'statusHistory' => fn () => Gate::allows('update', $post)
+                ? $post->statusChanges()->with('user:id,name')->get()
+                : [],
+            // Closures are only evaluated when needed, so a partial reload after posting a
+            // comment (`only: ['comments']`) skips everything else on this page
+            'comments' => fn () => $post->commentsFor(Auth::user()),
+            'canComment' => $post->is_published, // Drafts cannot be discussed yet
+            'commentLimits' => ['maxLength' => Comment::MAX_LENGTH, 'maxDepth' => Comment::MAX_DEPTH],
+            // Counts the visit (once per session, no bots, no personal data); the page's
+            // scroll beacon reports the read depth with this token. A closure, so the
+            // comments' partial reloads are never counted as visits.
+            'viewToken' => fn () => $viewTracker->record($request, $post),
+            // SEO data: the page turns it into meta tags and schema.org JSON-LD (`Utils/structuredData.js`)
             'meta' => [
                 'title' => $post->meta_title ?: $post->title,
                 'description' => $post->meta_description ?: $post->excerpt,
                 'author' => $post->user->name,
                 'published_date' => $post->published_date,
                 'reading_time' => $post->reading_time,
+                // The same estimate as an ISO 8601 duration ("PT5M") for schema.org's `timeRequired`
+                'time_required' => 'PT'.$post->reading_minutes.'M',
+                'url' => $post->url,
+                'image' => $post->featured_image_url,
+                'published_at' => $post->published_at?->toIso8601String(),
+                'modified_at' => $post->updated_at->toIso8601String(),
+                'section' => $post->category?->name,
+                'keywords' => $post->tags->pluck('name')->all(),
+                'word_count' => str_word_count(strip_tags($post->content)),
             ],
         ]);
     }
@@ -424,15 +567,37 @@ public function edit(BlogPost $post): Response
          * 🔒 AUTHORIZATION CHECK
          * ====================
          * 
-         * Before showing the edit form, we must verify that:
-         * 1. A user is logged in (`Auth::check()`).
-         * 2. The logged-in user is the actual author of the post (`$post->canEdit(Auth::user())`).
-         * If either condition fails, a 403 Forbidden error is returned.
+         * Before showing the edit form, we must verify that the logged-in user may
+         * edit this post: its author, or an editor or admin (`BlogPostPolicy::update()`).
+         * If not, a 403 Forbidden error is returned.
          */
-        if (!Auth::check() || !$post->canEdit(Auth::user())) {
+        if (Gate::denies('update', $post)) {
             abort(403, 'You are not authorized to edit this post.');
         }
 
+        /**
+         * 📝 AUTOSAVED DRAFT (IF ANY)
+         * ==========================
+         * 
+         * If the author left this page with unsaved changes, the editor autosaved them
+         * as a `PostDraft`. We send it along so the page can offer to restore it.
+         */
+        $draft = $post->drafts()->where('user_id', Auth::id())->first();
+
+        $post->load(['category', 'tags']); // Pre-fill the category and tag inputs
+
+        /**
+         * 📋 THE REVIEWER'S NOTES
+         * ======================
+         * 
+         * If an editor sent this post back, their note is shown above the form
+         * until the post is submitted again.
+         */
+        $latestChange = $post->statusChanges()->reorder()->latest('id')->with('user:id,name')->first();
+        $changesRequested = $latestChange?->event === 'changes_requested' && $post->status === BlogPost::STATUS_DRAFT
+            ? $latestChange
+            : null;
+
         /*
          * 🚀 RENDERING SVELTE EDIT FORM COMPONENT
          * =======================================
@@ -443,13 +608,25 @@ public function edit(BlogPost $post): Response
          */
         return Inertia::render('BlogPosts/Edit', [
             'post' => $post, // The blog post to be edited
-            'statuses' => [
-                'draft' => 'Draft (Private)',
-                'published' => 'Published (Public)',
-                'archived' => 'Archived (Hidden)', // New status for organization
-            ],
+            'draft' => $draft ? [
+                'payload' => $draft->payload,
+                'saved_at' => $draft->updated_at,
+                'base_updated_at' => $draft->base_updated_at,
+            ] : null,
+            // Only loaded when the history panel asks for it: router.reload({ only: ['revisions'] })
+            'revisions' => Inertia::optional(fn () => $post->revisions()->with('user:id,name')->get()),
+            // Only the statuses this user may move the post to (authors cannot publish)
+            'statuses' => $this->statusOptions($post),
+            'changesRequested' => $changesRequested,
             'maxTitleLength' => 255,
             'maxExcerptLength' => 500,
+            // Editors and admins also edit other people's posts: the page says whose it is
+            'author' => $post->user_id === Auth::id() ? null : $post->user()->value('name'),
+            'can' => [
+                'delete' => Gate::allows('delete', $post),
+                'viewAnalytics' => Gate::allows('viewAnalytics', $post),
+            ],
+            ...$this->taxonomyOptions(),
         ]);
     }
 
@@ -470,7 +647,7 @@ public function edit(BlogPost $post): Response
      * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
      * ROUTE: `PUT /posts/{post}`
      */
-    public function update(Request $request, BlogPost $post): RedirectResponse
+    public function update(Request $request, BlogPost $post, HtmlSanitizer $sanitizer, ImageProcessor $images): RedirectResponse
     {
         /**
          * 🔒 AUTHORIZATION CHECK (Redundant Security)
@@ -479,7 +656,7 @@ public function update(Request $request, BlogPost $post): RedirectResponse
          * It's crucial to re-check authorization here, even if the `edit` method
          * already performed a check. This prevents direct API calls by unauthorized users.
          */
-        if (!Auth::check() || !$post->canEdit(Auth::user())) {
+        if (Gate::denies('update', $post)) {
             abort(403, 'You are not authorized to edit this post.');
         }
 
@@ -496,10 +673,15 @@ public function update(Request $request, BlogPost $post): RedirectResponse
             'title' => ['required', 'string', 'max:255'],
             'content' => ['required', 'string'],
             'excerpt' => ['nullable', 'string', 'max:500'],
-            'status' => ['required', 'string', 'in:draft,published,archived'], // Added 'archived'
+            'status' => ['required', 'string', Rule::in($post->allowedStatusesFor(Auth::user()))],
+            'published_at' => ['nullable', 'date'],
             'featured_image' => ['nullable', 'string', 'max:255'],
+            'featured_image_upload' => ['nullable', ...ImageProcessor::RULES], // Replaces `featured_image` when present
             'meta_title' => ['nullable', 'string', 'max:255'],
             'meta_description' => ['nullable', 'string', 'max:500'],
+            'category' => ['nullable', 'string', 'max:'.Category::MAX_LENGTH],
+            'tags' => ['nullable', 'array', 'max:'.Tag::MAX_PER_POST],
+            'tags.*' => ['string', 'max:'.Tag::MAX_LENGTH],
             
             'slug' => [
                 'sometimes',
@@ -509,7 +691,32 @@ public function update(Request $request, BlogPost $post): RedirectResponse
                 'regex:/^[a-z0-9]+(?:-[a-z0-9]+)*$/',
                 Rule::unique('blog_posts', 'slug')->ignore($post->id), // Ignore current post's ID
             ],
-        ]);
+        ], self::STATUS_MESSAGES);
+
+        /**
+         * ⚔️ CONFLICT DETECTION (OPTIMISTIC CONCURRENCY)
+         * =============================================
+         * 
+         * The edit form sends back the `updated_at` it was loaded with. If the post
+         * has been saved since (in another tab, on another device), saving now would
+         * silently throw those changes away. Instead we send the author back with a
+         * `conflict` error; they can reload the latest version or overwrite it on purpose.
+         */
+        $expectedUpdatedAt = $request->date('expected_updated_at');
+
+        if (!$request->boolean('overwrite') && $post->isNewerThan($expectedUpdatedAt)) {
+            return back()->withErrors([
+                'conflict' => 'This post was changed somewhere else after you started editing. Reload it to see the latest version, or overwrite it with your changes.',
+            ]);
+        }
+
+        // Sanitize content exactly like `store()` does (see HtmlSanitizer for the allow-list)
+        $validated['content'] = $sanitizer->clean($validated['content']);
+
+        $validated = $this->resolvePublishedAt($validated, $post);
+
+        // Only stored after the conflict check, so a rejected save leaves no orphaned files
+        $validated = $this->storeFeaturedImage($request, $validated, $images);
 
         /**
          * 🔄 UPDATE THE BLOG POST RECORD
@@ -521,7 +728,27 @@ public function update(Request $request, BlogPost $post): RedirectResponse
          * - Setting the `updated_at` timestamp.
          * - Preventing mass assignment of non-fillable attributes.
          */
+        /**
+         * 🕰️ REVISION HISTORY
+         * ===================
+         * 
+         * Every update is stored as a revision so changes can be compared and undone.
+         * Posts written before revision history existed have no revisions yet, so we
+         * save their current version first - otherwise it could never be restored.
+         */
+        if (!$post->revisions()->exists()) {
+            $post->recordRevision($post->user);
+        }
+
+        // The form always sends the full taxonomy: no tags means "remove all tags"
+        $post->category()->associate(Category::findOrCreateByName($validated['category'] ?? null));
         $post->update($validated);
+        $post->syncTagNames($validated['tags'] ?? []);
+        $post->recordRevision(Auth::user());
+        $post->recordStatusChange(Auth::user()); // Submitted, approved, unpublished... (if the status changed)
+
+        // The autosaved draft is now part of the post, so it is no longer needed
+        $post->drafts()->where('user_id', Auth::id())->delete();
 
         /**
          * 🎉 USER FEEDBACK & REDIRECT
@@ -533,8 +760,10 @@ public function update(Request $request, BlogPost $post): RedirectResponse
          * `match($post->status)`: A concise way to handle multiple conditional messages.
          * `redirect()->route('posts.show', $post->slug)`: Redirects to the updated post's page.
          */
-        $message = match($post->status) {
+        $message = match($post->is_scheduled ? 'scheduled' : $post->status) {
+            'scheduled' => "Post '{$post->title}' has been **updated and scheduled** for {$post->published_at->format('F j, Y g:i A T')}.",
             'published' => "Post '{$post->title}' has been **updated and published**!",
+            'in_review' => "Post '{$post->title}' has been **updated** and is waiting for review.",
             'draft' => "Post '{$post->title}' has been **updated and saved as draft**.",
             'archived' => "Post '{$post->title}' has been **updated and archived**.",
             default => "Post '{$post->title}' has been **updated** successfully!"
@@ -546,24 +775,22 @@ public function update(Request $request, BlogPost $post): RedirectResponse
     }
 
     /**
-     * DELETE BLOG POST
-     * ===============
+     * DELETE BLOG POST (MOVE IT TO THE TRASH)
+     * ======================================
      * 
-     * This method permanently deletes a blog post from the database.
-     * **This is an irreversible and destructive operation.**
+     * This method moves a blog post to the trash. `BlogPost` uses **soft deletes**,
+     * so `delete()` only sets `deleted_at`: the post disappears everywhere, but can
+     * be restored from `/manage-posts/trash` until it is purged after
+     * `config('blog.trash_days')` days (see `PostTrashController`).
      * 
      * 🎓 LEARNING OBJECTIVES:
      * =====================
      * - **Authorization for Deletion**: Strict checks for destructive actions.
-     * - **Eloquent Deletion**: Removing records from the database.
-     * - **Redirects**: Guiding the user after deletion.
+     * - **Soft Deletion**: "Deleting" without losing data.
+     * - **Redirects**: Guiding the user after deletion, with an "Undo" button.
      * 
      * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
      * ROUTE: `DELETE /posts/{post}`
-     * 
-     * IMPORTANT PRODUCTION NOTE:
-     * In real-world applications, consider implementing "soft deletes" (`deleted_at` timestamp)
-     * instead of permanent deletion. This allows for data recovery and audit trails.
      */
     public function destroy(BlogPost $post): RedirectResponse
     {
@@ -572,10 +799,11 @@ public function destroy(BlogPost $post): RedirectResponse
          * ===================================
          * 
          * This is the final and most critical authorization check for deletion.
-         * Only the post's author should be able to delete their own posts.
+         * Authors delete their own posts; admins anyone's (`BlogPostPolicy::delete()`).
+         * Editors may fix other people's posts, but not delete them.
          * If unauthorized, a 403 Forbidden error is returned.
          */
-        if (!Auth::check() || !$post->canEdit(Auth::user())) {
+        if (Gate::denies('delete', $post)) {
             abort(403, 'You are not authorized to delete this post.');
         }
 
@@ -593,22 +821,111 @@ public function destroy(BlogPost $post): RedirectResponse
          * 🗑️ PERFORM THE DELETION
          * ======================
          * 
-         * `post->delete()`: Eloquent method to remove the record from the `blog_posts` table.
-         * If you have `onDelete('cascade')` set up in your migrations,
-         * any related records (e.g., comments) might also be deleted automatically.
+         * `post->delete()`: With `SoftDeletes`, this sets `deleted_at` instead of removing the row.
+         * Comments, views and revisions stay as they are, so a restore brings everything back.
+         * (`forceDelete()` removes the row, and the `cascadeOnDelete()` foreign keys remove the rest.)
          */
         $post->delete();
 
         /**
-         * ✅ REDIRECT WITH SUCCESS MESSAGE
-         * ===============================
+         * ✅ REDIRECT WITH SUCCESS MESSAGE AND "UNDO"
+         * ==========================================
          * 
-         * After successful deletion, redirect the user to a relevant page (e.g., their dashboard)
-         * and display a confirmation message using a flash session variable.
+         * After deletion, redirect the user to their posts list and display a confirmation
+         * message using a flash session variable. The `action` flash adds an "Undo" button
+         * that restores the post straight away.
          */
         return redirect()
-            ->route('dashboard') // Redirect to the user's dashboard or posts list
-            ->with('success', "Post '{$postTitle}' has been **deleted** successfully.");
+            ->route('posts.manage') // The post list, with the trash one click away
+            ->with('success', "Post '{$postTitle}' has been **moved to the trash**.")
+            ->with('action', PostTrashController::undoAction([$post->id]));
+    }
+
+    /**
+     * STATUS OPTIONS FOR THE EDITOR
+     * =============================
+     * 
+     * `{ value: label }` for the statuses the current user may pick for this
+     * post (`BlogPost::allowedStatusesFor()`), in workflow order.
+     */
+    private function statusOptions(BlogPost $post): array
+    {
+        return Arr::only(self::STATUS_LABELS, $post->allowedStatusesFor(Auth::user()));
+    }
+
+    /**
+     * CATEGORY AND TAG OPTIONS FOR THE EDITOR
+     * =======================================
+     * 
+     * The category field suggests every existing category; the tag input suggests
+     * the most used tags, so authors reuse "laravel" instead of inventing "Laravel 12".
+     */
+    private function taxonomyOptions(): array
+    {
+        return [
+            'categories' => Category::orderBy('name')->pluck('name'),
+            'tagSuggestions' => Tag::withCount('posts')
+                ->orderByDesc('posts_count')
+                ->orderBy('name')
+                ->limit(100)
+                ->pluck('name'),
+            'maxTags' => Tag::MAX_PER_POST,
+        ];
+    }
+
+    /**
+     * STORE AN UPLOADED FEATURED IMAGE
+     * ================================
+     * 
+     * The editor sends the image file as `featured_image_upload` (a multipart request).
+     * `ImageProcessor` saves it on the `public` disk together with smaller variants for
+     * `srcset`, and the post points at it through `featured_image` (the stored path).
+     * 
+     * Without a new file, the submitted `featured_image` is kept as it is: the current
+     * image, or empty when the author removed it.
+     */
+    private function storeFeaturedImage(Request $request, array $validated, ImageProcessor $images): array
+    {
+        unset($validated['featured_image_upload']); // Not a column
+
+        if ($request->hasFile('featured_image_upload')) {
+            $validated['featured_image'] = $images
+                ->store($request->file('featured_image_upload'), $request->user())
+                ->path;
+        }
+
+        return $validated;
+    }
+
+    /**
+     * RESOLVE THE PUBLISH DATE (SCHEDULED PUBLISHING)
+     * ===============================================
+     * 
+     * Decides the `published_at` value to save, based on the submitted status and date:
+     * 
+     * - **Not published** (draft, in review, archived): leave `published_at` untouched.
+     * - **Published with a date**: use it. A future date *schedules* the post -
+     *   `scopePublished()` keeps it off `/posts` until that moment arrives.
+     * - **Published without a date** ("publish immediately"): now, unless the post is
+     *   already live, in which case it keeps its original publish date.
+     * 
+     * The editor sends dates in UTC; we convert them to the app time zone because
+     * Eloquent stores the wall-clock time of whatever time zone a date is in.
+     */
+    private function resolvePublishedAt(array $validated, ?BlogPost $post = null): array
+    {
+        if ($validated['status'] !== 'published') {
+            unset($validated['published_at']);
+        } elseif (!empty($validated['published_at'])) {
+            $validated['published_at'] = Carbon::parse($validated['published_at'])
+                ->setTimezone(config('app.timezone'));
+        } elseif ($post?->is_published) {
+            unset($validated['published_at']);
+        } else {
+            $validated['published_at'] = now();
+        }
+
+        return $validated;
     }
 
     /**
@@ -623,11 +940,19 @@ public function destroy(BlogPost $post): RedirectResponse
      * - **User-Specific Data**: Fetching data related to the logged-in user.
      * - **Dashboard Logic**: Aggregating statistics and providing quick actions.
      * - **Inertia.js Rendering**: Sending structured data to a Svelte component for a dashboard UI.
+     * - **Filtering & Sorting from the Query String**: Whitelisted values, so the URL
+     *   can be bookmarked but never injects a column name into SQL.
+     * 
+     * QUERY STRING (all optional):
+     * - `status`: `all` (default), `published`, `scheduled`, `draft` or `archived`
+     * - `sort`: one of `MANAGE_SORTS` (default `created_at`), `direction`: `asc` or `desc`
+     * - `view`: `cards` (default) or `table`; only used by the page, but kept in the URL
      * 
      * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
      * ROUTE: `GET /manage-posts` (custom route for user's blog management)
+     * EXAMPLE URL: `/manage-posts?status=draft&sort=title&direction=asc&view=table`
      */
-    public function manage(): Response
+    public function manage(Request $request): Response
     {
         /**
          * 🔒 REQUIRE AUTHENTICATION
@@ -654,18 +979,57 @@ public function manage(): Response
          *   (total, published, drafts) for display on the dashboard.
          */
         $user = Auth::user();
-        
+
+        $filters = [
+            'status' => in_array($request->query('status'), self::MANAGE_STATUSES, true) ? $request->query('status') : 'all',
+            'sort' => in_array($request->query('sort'), self::MANAGE_SORTS, true) ? $request->query('sort') : 'created_at',
+            'direction' => $request->query('direction') === 'asc' ? 'asc' : 'desc',
+            'view' => $request->query('view') === 'table' ? 'table' : 'cards',
+        ];
+
         $posts = $user->blogPosts()
-                     ->latest()
-                     ->paginate(15); // Paginate user's posts
+                     ->withoutGlobalScope('ordered') // The chosen sort must come first, not "newest"
+                     ->withCount('views') // `views_count` for each post (see `ViewTracker`)
+                     ->when($filters['status'] !== 'all', fn ($query) => $this->whereManageStatus($query, $filters['status']))
+                     ->orderBy($filters['sort'], $filters['direction'])
+                     ->orderBy('id', $filters['direction']) // Stable order for equal values (e.g. two drafts without a publish date)
+                     ->paginate(15) // Paginate user's posts
+                     ->withQueryString(); // Keep status, sort and view on the page links
+
+        // Number of posts behind each status tab
+        $statusCounts = collect(self::MANAGE_STATUSES)
+            ->mapWithKeys(fn (string $status) => [
+                $status => $status === 'all'
+                    ? $user->blogPosts()->count()
+                    : $this->whereManageStatus($user->blogPosts(), $status)->count(),
+            ]);
 
         $stats = [
             'totalPosts' => $user->blogPosts()->count(),
             'publishedPosts' => $user->publishedPosts()->count(),
             'draftPosts' => $user->draftPosts()->count(),
-            'totalViews' => 0, // TODO: Future enhancement: Implement view tracking for posts
+            'totalViews' => $user->postViews()->count(), // Counted by `ViewTracker` (see `PostView`)
+            'trashedPosts' => $user->blogPosts()->onlyTrashed()->count(), // Shown on the "Trash" link
         ];
 
+        /**
+         * 💬 COMMENT MODERATION QUEUE
+         * ==========================
+         * 
+         * Comments on this author's posts that are not public: held by the spam
+         * filter (`pending`) or hidden by the author. Newest first, with the reasons
+         * the spam filter gave, so the author can decide quickly. A closure, so the
+         * queue's partial reloads (`only: ['commentQueue']`) skip the rest.
+         */
+        $commentQueue = fn () => Comment::query()
+            ->whereIn('status', [Comment::STATUS_PENDING, Comment::STATUS_HIDDEN])
+            ->whereHas('post', fn ($q) => $q->where('user_id', $user->id))
+            ->with(['user:id,name', 'post:id,title,slug'])
+            ->latest()
+            ->limit(50)
+            ->get()
+            ->makeVisible('spam_reasons');
+
         /*
          * 🚀 RENDERING SVELTE MANAGEMENT DASHBOARD COMPONENT
          * ================================================
@@ -676,7 +1040,92 @@ public function manage(): Response
         return Inertia::render('BlogPosts/Manage', [
             'posts' => $posts, // Paginated list of user's posts
             'stats' => $stats, // User-specific post statistics
+            'commentQueue' => $commentQueue, // Held and hidden comments on the user's posts
+            'filters' => $filters, // Current status tab, sort and view mode (from the query string)
+            'statusCounts' => $statusCounts, // Posts per status tab
             'user' => $user,   // Current authenticated user object
         ]);
     }
+
+    /**
+     * BULK ACTIONS ON SEVERAL POSTS
+     * =============================
+     * 
+     * Publish, submit for review, unpublish (back to draft), archive or delete
+     * the posts selected on "My Posts". Each post is saved or deleted one by one,
+     * so model events (like keeping the search index up to date) run exactly as
+     * for a single post, and each status change is logged.
+     * 
+     * 🔒 Only the user's own posts are affected: ids of other people's posts
+     * are simply not found by `$user->blogPosts()`. A status the user may not
+     * choose for a post (an author publishing) skips that post.
+     * 
+     * ROUTE: `POST /manage-posts/bulk`
+     */
+    public function bulk(Request $request): RedirectResponse
+    {
+        $validated = $request->validate([
+            'action' => ['required', Rule::in(['publish', 'submit', 'unpublish', 'archive', 'delete'])],
+            'ids' => ['required', 'array', 'max:100'],
+            'ids.*' => ['integer'],
+        ]);
+
+        $user = Auth::user();
+        $status = [
+            'publish' => BlogPost::STATUS_PUBLISHED,
+            'submit' => BlogPost::STATUS_IN_REVIEW,
+            'unpublish' => BlogPost::STATUS_DRAFT,
+            'archive' => BlogPost::STATUS_ARCHIVED,
+        ][$validated['action']] ?? null;
+
+        $posts = $user->blogPosts()
+            ->whereIn('id', $validated['ids'])
+            ->get()
+            ->filter(fn (BlogPost $post) => $status === null || in_array($status, $post->allowedStatusesFor($user), true));
+
+        foreach ($posts as $post) {
+            match ($validated['action']) {
+                'publish' => $post->fill([
+                    'status' => 'published',
+                    // "Publish now": live posts keep their original date (like `resolvePublishedAt()`)
+                    'published_at' => $post->is_published ? $post->published_at : now(),
+                ])->save(),
+                'delete' => $post->delete(),
+                default => $post->fill(['status' => $status])->save(),
+            };
+
+            if ($status !== null) {
+                $post->recordStatusChange($user);
+            }
+        }
+
+        $count = $posts->count();
+        $noun = $count === 1 ? 'post' : 'posts';
+        $done = ['publish' => 'published', 'submit' => 'submitted for review', 'unpublish' => 'moved back to drafts', 'archive' => 'archived', 'delete' => 'moved to the trash'][$validated['action']];
+
+        if ($count === 0) {
+            return back()->with('warning', 'None of the selected posts could be changed.');
+        }
+
+        return back()
+            ->with('success', "**{$count} {$noun}** {$done}.")
+            // Deleting only moves posts to the trash, so it can be undone right away
+            ->with('action', $validated['action'] === 'delete' ? PostTrashController::undoAction($posts->modelKeys()) : null);
+    }
+
+    /**
+     * FILTER BY A "MY POSTS" STATUS TAB
+     * =================================
+     * 
+     * `published` means live now; posts waiting for their publish date have
+     * their own `scheduled` tab (see `BlogPost::scopeScheduled()`).
+     */
+    private function whereManageStatus($query, string $status)
+    {
+        return match ($status) {
+            'published' => $query->published(),
+            'scheduled' => $query->scheduled(),
+            default => $query->where('status', $status),
+        };
+    }
 }
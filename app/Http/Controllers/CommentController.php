@@ -0,0 +1,178 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\BlogPost;
+use App\Models\Comment;
+use App\Services\CommentSpamFilter;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Validation\Rule;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * COMMENT CONTROLLER - THREADED DISCUSSIONS UNDER EACH POST
+ * =========================================================
+ *
+ * Logged-in readers write, edit and delete their comments on a post's page
+ * (`BlogPosts/Show.svelte`). Post authors moderate the comments on their posts:
+ * on the post page itself, or from the queue on "My Posts" (`BlogPosts/Manage.svelte`).
+ *
+ * Every action redirects back to the page it came from. The frontend sends them
+ * as **partial reloads** (`only: ['comments', ...]`), so after a comment is saved
+ * only the comment list is fetched again, not the whole post.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **Nested Resources**: A new comment is created *inside* its post (`/posts/{post}/comments`).
+ * 2. **Moderation**: Comments that look like spam are held as `pending` (see `CommentSpamFilter`).
+ * 3. **Rate Limiting**: The write routes use `throttle` middleware, like `/forgot-password`.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `POST /posts/{post}/comments`: Add a comment or reply (`store` method)
+ * - `PUT /comments/{comment}`: Change a comment's text (`update` method)
+ * - `DELETE /comments/{comment}`: Delete a comment and its replies (`destroy` method)
+ * - `PATCH /comments/{comment}/status`: Approve or hide a comment (`moderate` method)
+ */
+class CommentController extends Controller
+{
+    /**
+     * ADD A COMMENT OR REPLY
+     * ======================
+     *
+     * Comments by the post's author are published right away; everybody else's
+     * go through the spam filter first.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `POST /posts/{post}/comments`
+     */
+    public function store(Request $request, BlogPost $post, CommentSpamFilter $spamFilter): RedirectResponse
+    {
+        if (!$post->is_published) {
+            abort(403, 'Comments open once the post is published.');
+        }
+
+        $validated = $request->validate([
+            'body' => 'required|string|max:'.Comment::MAX_LENGTH,
+            // A reply must answer a comment on *this* post
+            'parent_id' => ['nullable', 'integer', Rule::exists('comments', 'id')->where('blog_post_id', $post->id)],
+        ]);
+
+        $body = trim($validated['body']);
+        $user = $request->user();
+
+        if ($spamFilter->isDuplicate($body, $user, $post->id)) {
+            throw ValidationException::withMessages(['body' => 'You have already posted this comment.']);
+        }
+
+        $comment = new Comment(['body' => $body]);
+        $comment->blog_post_id = $post->id;
+        $comment->user_id = $user->id;
+        $comment->replyTo(isset($validated['parent_id']) ? Comment::find($validated['parent_id']) : null);
+
+        $reasons = $post->canEdit($user) ? [] : $spamFilter->check($body, $user);
+        $comment->status = $reasons ? Comment::STATUS_PENDING : Comment::STATUS_APPROVED;
+        $comment->spam_reasons = $reasons ?: null;
+        $comment->save();
+
+        return $reasons
+            ? back()->with('info', 'Your comment is **awaiting moderation** and will appear once the author approves it.')
+            : back()->with('success', 'Your comment has been **posted**.');
+    }
+
+    /**
+     * CHANGE A COMMENT'S TEXT
+     * =======================
+     *
+     * Only the comment's author can edit it. The new text is checked for spam
+     * again, so a harmless comment cannot be edited into an advert after approval.
+     * A hidden comment stays hidden.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `PUT /comments/{comment}`
+     */
+    public function update(Request $request, Comment $comment, CommentSpamFilter $spamFilter): RedirectResponse
+    {
+        if (!$comment->canEdit(Auth::user())) {
+            abort(403, 'You can only edit your own comments.');
+        }
+
+        $validated = $request->validate([
+            'body' => 'required|string|max:'.Comment::MAX_LENGTH,
+        ]);
+
+        $comment->body = trim($validated['body']);
+
+        if (!$comment->isDirty('body')) {
+            return back(); // Saved unchanged: nothing to do, and no "edited" label
+        }
+
+        $comment->edited_at = now();
+
+        if ($comment->status === Comment::STATUS_APPROVED && !$comment->canModerate(Auth::user())) {
+            $reasons = $spamFilter->check($comment->body, Auth::user());
+
+            if ($reasons) {
+                $comment->status = Comment::STATUS_PENDING;
+                $comment->spam_reasons = $reasons;
+            }
+        }
+
+        $comment->save();
+
+        return $comment->status === Comment::STATUS_PENDING
+            ? back()->with('info', 'Your comment has been **updated** and is awaiting moderation.')
+            : back()->with('success', 'Your comment has been **updated**.');
+    }
+
+    /**
+     * DELETE A COMMENT
+     * ================
+     *
+     * Allowed for the comment's author and the post's author. Replies are
+     * deleted with it (the `parent_id` foreign key cascades).
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `DELETE /comments/{comment}`
+     */
+    public function destroy(Comment $comment): RedirectResponse
+    {
+        if (!$comment->canDelete(Auth::user())) {
+            abort(403, 'You are not authorized to delete this comment.');
+        }
+
+        $comment->delete();
+
+        return back()->with('success', 'The comment has been **deleted**.');
+    }
+
+    /**
+     * APPROVE OR HIDE A COMMENT
+     * =========================
+     *
+     * Whoever may edit the post (its author, editors, admins) moderates its
+     * comments. Hiding keeps the comment (and its replies) in the database, so
+     * it can be approved again.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `PATCH /comments/{comment}/status`
+     */
+    public function moderate(Request $request, Comment $comment): RedirectResponse
+    {
+        if (!$comment->canModerate(Auth::user())) {
+            abort(403, 'Only the author of the post, editors and admins can moderate its comments.');
+        }
+
+        $validated = $request->validate([
+            'status' => ['required', Rule::in([Comment::STATUS_APPROVED, Comment::STATUS_HIDDEN])],
+        ]);
+
+        $comment->status = $validated['status'];
+        $comment->save();
+
+        return back()->with('success', $comment->status === Comment::STATUS_APPROVED
+            ? 'The comment has been **approved**.'
+            : 'The comment has been **hidden**.');
+    }
+}
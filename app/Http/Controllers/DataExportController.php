@@ -0,0 +1,94 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Jobs\ExportUserData;
+use App\Models\DataExport;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Storage;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+/**
+ * DATA EXPORT CONTROLLER - "EXPORT MY DATA" ON THE PROFILE PAGE
+ * =============================================================
+ *
+ * Users can take everything they wrote with them: a ZIP of their posts as
+ * Markdown, their uploaded images and a JSON manifest of their profile
+ * (see `DataExporter`). It is also the responsible thing to offer before
+ * "Delete Account", which removes all of it.
+ *
+ * 1. **Request** (`store`): an `ExportUserData` job is queued; the profile page
+ *    polls the `dataExport` prop until it is done.
+ * 2. **Download** (`download`): through a link signed with
+ *    `URL::temporarySignedRoute()` that stops working after
+ *    `config('blog.export_hours')` hours.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **Signed URLs**: The `signed` middleware rejects edited or expired links.
+ * 2. **Private Files**: The ZIP is streamed from the private disk, never from `public/`.
+ * 3. **Queued Jobs**: Slow work leaves the request (`ExportUserData::dispatch()`).
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `POST /profile/export` (`store` method)
+ * - `GET /profile/export/{export}/download` (`download` method, signed)
+ */
+class DataExportController extends Controller
+{
+    /**
+     * START A NEW EXPORT
+     * ==================
+     *
+     * Only the latest export is kept: requesting a new one removes the old
+     * file, so a user never has several copies of their data lying around.
+     *
+     * ROUTE: `POST /profile/export`
+     */
+    public function store(): RedirectResponse
+    {
+        $user = Auth::user();
+        $latest = DataExport::where('user_id', $user->id)->latest('id')->first();
+
+        // A double click must not build the archive twice
+        if ($latest?->isInProgress()) {
+            return back()->with('info', 'Your export is already being prepared.');
+        }
+
+        DataExport::where('user_id', $user->id)->get()->each->delete();
+
+        $export = new DataExport(['status' => DataExport::STATUS_QUEUED]);
+        $export->user_id = $user->id;
+        $export->save();
+
+        ExportUserData::dispatch($export);
+
+        return back()->with('success', 'Preparing your export. The **download link** will appear here when it is ready.');
+    }
+
+    /**
+     * DOWNLOAD THE ARCHIVE
+     * ====================
+     *
+     * The `signed` middleware has already checked the signature and expiry.
+     * The owner check is still needed: a leaked link must not work for
+     * someone else's session.
+     *
+     * ROUTE: `GET /profile/export/{export}/download`
+     */
+    public function download(DataExport $export): StreamedResponse
+    {
+        if ($export->user_id !== Auth::id()) {
+            abort(403, 'You are not authorized to download this export.');
+        }
+
+        if (!$export->isDownloadable() || !Storage::disk(DataExport::DISK)->exists($export->path)) {
+            abort(404, 'This export is no longer available. Please request a new one.');
+        }
+
+        return Storage::disk(DataExport::DISK)->download(
+            $export->path,
+            'blog-export-'.$export->finished_at->format('Y-m-d').'.zip'
+        );
+    }
+}
@@ -0,0 +1,207 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\BlogPost;
+use App\Models\Tag;
+use App\Models\User;
+use App\Services\HtmlSanitizer;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Http\Response;
+use Illuminate\Support\Str;
+
+/**
+ * FEED CONTROLLER - SUBSCRIBE TO THE BLOG (RSS, ATOM, JSON FEED)
+ * ==============================================================
+ *
+ * Feed readers (Feedly, NetNewsWire, Thunderbird...) check a feed URL every few
+ * minutes and show new posts to their users. This controller publishes the
+ * latest published posts in the three common feed formats:
+ *
+ * - **RSS 2.0** (`/feed.xml`): the oldest and most widely supported format.
+ * - **Atom** (`/atom.xml`): a stricter, standardized XML format.
+ * - **JSON Feed** (`/feed.json`): the same idea as JSON, easy to read in any language.
+ *
+ * Each format also exists per author (`/authors/{user}/feed.xml`) and per tag
+ * (`/tags/{tag}/feed.xml`). The routes share these methods and receive the
+ * author or tag through route model binding (like `BlogPostController::index()`).
+ *
+ * CONTENT:
+ * Items contain the full post, rendered from Markdown to HTML. Readers who prefer
+ * short items can subscribe with `?content=excerpt`.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **Non-HTML Responses**: Rendering XML with Blade views and the right `Content-Type`.
+ * 2. **Absolute URLs**: Feeds are read outside the site, so every link must be absolute.
+ * 3. **Date Formats**: RSS wants RFC 2822 dates, Atom and JSON Feed want RFC 3339.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `GET /feed.xml`, `/authors/{user}/feed.xml`, `/tags/{tag:slug}/feed.xml` (`rss` method)
+ * - `GET /atom.xml`, `/authors/{user}/atom.xml`, `/tags/{tag:slug}/atom.xml` (`atom` method)
+ * - `GET /feed.json`, `/authors/{user}/feed.json`, `/tags/{tag:slug}/feed.json` (`json` method)
+ */
+class FeedController extends Controller
+{
+    /**
+     * HOW MANY POSTS A FEED CONTAINS
+     */
+    public const LIMIT = 20;
+
+    /**
+     * HOW LONG READERS AND PROXIES MAY CACHE A FEED (SECONDS)
+     */
+    private const MAX_AGE = 900;
+
+    public function __construct(private HtmlSanitizer $sanitizer)
+    {
+    }
+
+    /**
+     * RSS 2.0 FEED
+     * ============
+     *
+     * ROUTES: `GET /feed.xml`, `GET /authors/{user}/feed.xml`, `GET /tags/{tag:slug}/feed.xml`
+     */
+    public function rss(Request $request, ?User $user = null, ?Tag $tag = null): Response
+    {
+        return $this->xml('feeds.rss', 'application/rss+xml', $this->feed($request, $user, $tag));
+    }
+
+    /**
+     * ATOM FEED
+     * =========
+     *
+     * ROUTES: `GET /atom.xml`, `GET /authors/{user}/atom.xml`, `GET /tags/{tag:slug}/atom.xml`
+     */
+    public function atom(Request $request, ?User $user = null, ?Tag $tag = null): Response
+    {
+        return $this->xml('feeds.atom', 'application/atom+xml', $this->feed($request, $user, $tag));
+    }
+
+    /**
+     * JSON FEED 1.1
+     * =============
+     *
+     * See https://www.jsonfeed.org/version/1.1/ for the format.
+     *
+     * ROUTES: `GET /feed.json`, `GET /authors/{user}/feed.json`, `GET /tags/{tag:slug}/feed.json`
+     */
+    public function json(Request $request, ?User $user = null, ?Tag $tag = null): JsonResponse
+    {
+        $feed = $this->feed($request, $user, $tag);
+
+        return response()->json([
+            'version' => 'https://jsonfeed.org/version/1.1',
+            'title' => $feed['title'],
+            'home_page_url' => $feed['link'],
+            'feed_url' => $feed['self'],
+            'description' => $feed['description'],
+            'language' => 'en',
+            'items' => $feed['posts']->map(fn (BlogPost $post) => array_filter([
+                'id' => $post->url,
+                'url' => $post->url,
+                'title' => $post->title,
+                'content_html' => $feed['full'] ? $this->contentHtml($post) : null,
+                'summary' => $this->summary($post),
+                'image' => $post->featured_image_url ? url($post->featured_image_url) : null,
+                'date_published' => $post->published_at->toRfc3339String(),
+                'date_modified' => $post->updated_at->toRfc3339String(),
+                'authors' => [['name' => $post->user->name]],
+                'tags' => $post->tags->pluck('name')->all() ?: null,
+            ], fn ($value) => $value !== null))->all(),
+        ], 200, [
+            'Content-Type' => 'application/feed+json; charset=UTF-8',
+            'Cache-Control' => 'public, max-age='.self::MAX_AGE,
+        ], JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+    }
+
+    /**
+     * WHAT GOES INTO A FEED
+     * =====================
+     *
+     * The newest published posts (optionally by one author or with one tag),
+     * plus the feed's title, description and URLs.
+     */
+    private function feed(Request $request, ?User $user, ?Tag $tag): array
+    {
+        $posts = BlogPost::withoutGlobalScope('ordered') // Newest *published* first, not newest created
+            ->published()
+            ->with(['user', 'tags'])
+            ->when($user, fn ($query) => $query->whereBelongsTo($user))
+            ->when($tag, fn ($query) => $query->whereHas('tags', fn ($q) => $q->whereKey($tag->id)))
+            ->latest('published_at')
+            ->limit(self::LIMIT)
+            ->get();
+
+        [$title, $description, $link] = match (true) {
+            $user !== null => ["Posts by {$user->name} - Educational Blog", "The latest posts by {$user->name}.", route('posts.index')],
+            $tag !== null => ["Posts tagged \"{$tag->name}\" - Educational Blog", "The latest posts tagged \"{$tag->name}\".", route('tags.show', $tag)],
+            default => ['Educational Blog', 'Tutorials and articles about modern web development.', route('posts.index')],
+        };
+
+        return [
+            'title' => $title,
+            'description' => $description,
+            'link' => $link,
+            'self' => $request->fullUrl(),
+            'updated' => $this->lastUpdated($posts),
+            'posts' => $posts,
+            'full' => $request->query('content') !== 'excerpt',
+        ];
+    }
+
+    /**
+     * THE POST AS HTML
+     * ================
+     *
+     * Posts are stored as Markdown, feed readers want HTML. Site-relative links and
+     * images (`/storage/...`) are made absolute, because a feed reader would
+     * otherwise resolve them against its own domain.
+     */
+    public function contentHtml(BlogPost $post): string
+    {
+        $html = $this->sanitizer->cleanHtml(Str::markdown($post->content, [
+            'html_input' => 'allow', // Inline HTML was already sanitized when the post was saved
+            'allow_unsafe_links' => false,
+        ]));
+
+        return preg_replace_callback(
+            '/\s(href|src)="(\/[^"\/][^"]*)"/i',
+            fn (array $match) => " {$match[1]}=\"".url($match[2]).'"',
+            $html
+        );
+    }
+
+    /**
+     * A SHORT PLAIN-TEXT SUMMARY
+     * ==========================
+     *
+     * The excerpt, or the beginning of the post when it has none.
+     */
+    public function summary(BlogPost $post): string
+    {
+        return $post->excerpt ?: Str::limit(Str::squish(strip_tags(Str::markdown($post->content))), 300);
+    }
+
+    /**
+     * When the newest post was published or edited (or now, for an empty feed)
+     */
+    private function lastUpdated(Collection $posts)
+    {
+        return $posts->map(fn (BlogPost $post) => $post->updated_at->max($post->published_at))->max() ?? now();
+    }
+
+    /**
+     * Renders an XML feed view with the right headers
+     */
+    private function xml(string $view, string $contentType, array $feed): Response
+    {
+        return response()
+            ->view($view, [...$feed, 'controller' => $this], 200)
+            ->header('Content-Type', "{$contentType}; charset=UTF-8")
+            ->header('Cache-Control', 'public, max-age='.self::MAX_AGE);
+    }
+}
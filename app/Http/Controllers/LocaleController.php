@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Middleware\SetLocale;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+
+/**
+ * LOCALE CONTROLLER - THE LANGUAGE SWITCHER IN THE FOOTER
+ * =======================================================
+ *
+ * Remembers the chosen interface language in the session; the `SetLocale`
+ * middleware applies it to every following request. Works for guests and
+ * signed-in users alike.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `POST /locale`: Switch the interface language (`update` method)
+ */
+class LocaleController extends Controller
+{
+    /**
+     * SWITCH THE LANGUAGE
+     * ===================
+     *
+     * Back to the same page, which Inertia reloads with the new `locale`
+     * prop, so the switcher needs no "Saved" message.
+     *
+     * ROUTE: `POST /locale`
+     */
+    public function update(Request $request): RedirectResponse
+    {
+        $validated = $request->validate([
+            'locale' => ['required', 'string', Rule::in(array_keys(config('app.locales')))],
+        ]);
+
+        $request->session()->put(SetLocale::SESSION_KEY, $validated['locale']);
+
+        return redirect()->back();
+    }
+}
@@ -0,0 +1,123 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Media;
+use App\Services\ImageProcessor;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Validation\ValidationException;
+use Inertia\Inertia;
+use Inertia\Response;
+use RuntimeException;
+
+/**
+ * MEDIA CONTROLLER - THE AUTHOR'S IMAGE LIBRARY
+ * =============================================
+ *
+ * Authors upload images while writing (pasted or dropped into the Markdown
+ * editor), and each upload is kept in their media library so it can be reused
+ * in other posts. This controller lists, uploads and deletes those images.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **One Route, Two Formats**: `index` renders an Inertia page for browsers and
+ *    returns JSON for background requests (`$request->wantsJson()`).
+ * 2. **JSON Uploads**: The editor uploads images with axios while the author keeps
+ *    typing, so `store` answers with JSON instead of a redirect.
+ * 3. **Safe Deletes**: Images still used by a post are not deleted.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `GET /media`: Media library page, or JSON for the editor's image picker (`index` method)
+ * - `POST /media`: Upload an image, JSON response (`store` method)
+ * - `DELETE /media/{media}`: Delete an unused image (`destroy` method)
+ */
+class MediaController extends Controller
+{
+    /**
+     * LIST THE CURRENT USER'S UPLOADS
+     * ===============================
+     *
+     * Newest first, 24 per page. The page version also tells the author how many
+     * posts use each image.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `GET /media`
+     */
+    public function index(Request $request): Response|JsonResponse
+    {
+        $media = $request->user()->media()->latest()->paginate(24)->withQueryString();
+
+        // Background request from the editor's image picker: plain JSON is enough
+        if ($request->wantsJson()) {
+            return response()->json($media);
+        }
+
+        // One query counts the posts using every image on the page (see `Media::usageCounts()`)
+        $usedIn = Media::usageCounts($media->getCollection());
+
+        return Inertia::render('Media/Index', [
+            'media' => $media->through(fn (Media $item) => [
+                ...$item->toArray(),
+                'used_in' => $usedIn[$item->id],
+            ]),
+        ]);
+    }
+
+    /**
+     * UPLOAD AN IMAGE
+     * ===============
+     *
+     * Validates the file, lets `ImageProcessor` store it with responsive variants
+     * and returns the new media record (with `url` and `srcset`) as JSON. A file that
+     * passes the rules but cannot be decoded (e.g. a corrupt JPEG) is reported as a
+     * validation error on `image`, like any other bad upload.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `POST /media`
+     */
+    public function store(Request $request, ImageProcessor $images): JsonResponse
+    {
+        $request->validate([
+            'image' => ['required', ...ImageProcessor::RULES],
+        ]);
+
+        try {
+            $media = $images->store($request->file('image'), $request->user());
+        } catch (RuntimeException $e) {
+            throw ValidationException::withMessages(['image' => $e->getMessage()]);
+        }
+
+        return response()->json($media, 201);
+    }
+
+    /**
+     * DELETE AN IMAGE
+     * ===============
+     *
+     * Only the uploader can delete an image, and only while no post uses it -
+     * otherwise the post would show a broken image. The files are removed by the
+     * `Media` model's `deleted` event.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `DELETE /media/{media}`
+     */
+    public function destroy(Media $media): RedirectResponse
+    {
+        if ($media->user_id !== Auth::id()) {
+            abort(403, 'You can only delete your own uploads.');
+        }
+
+        $usedIn = $media->usedInPosts()->count();
+
+        if ($usedIn > 0) {
+            return back()->with('error', "This image is still used in {$usedIn} ".str('post')->plural($usedIn).'. Remove it from there first.');
+        }
+
+        $media->delete();
+
+        return back()->with('success', "Image '{$media->original_name}' has been **deleted**.");
+    }
+}
@@ -0,0 +1,136 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\BlogPost;
+use App\Models\Category;
+use App\Models\Tag;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Validation\Rule;
+
+/**
+ * POST DRAFT CONTROLLER - SERVER-SIDE AUTOSAVE FOR THE POST EDITOR
+ * ================================================================
+ *
+ * The edit page (`BlogPosts/Edit.svelte`) autosaves unsaved changes in the
+ * background. This controller stores them as a `PostDraft` and tells the editor
+ * whether the post itself was changed by someone else in the meantime.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **JSON Endpoints**: Not every request needs a full Inertia page visit.
+ *    Background saves return small JSON responses and never navigate.
+ * 2. **Upserts**: Inserting the first draft and updating the same row afterwards.
+ * 3. **Optimistic Concurrency**: Comparing `updated_at` timestamps to detect conflicting edits.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `PUT /posts/{post}/draft`: Save (or replace) the current user's draft (`update` method)
+ * - `DELETE /posts/{post}/draft`: Discard the current user's draft (`destroy` method)
+ *
+ * AUTHORIZATION:
+ * Only users who can edit the post may autosave drafts for it.
+ */
+class PostDraftController extends Controller
+{
+    /**
+     * SAVE AUTOSAVED DRAFT
+     * ====================
+     *
+     * Stores the editor's current (unsaved) form values for the logged-in user.
+     *
+     * RESPONSE (JSON):
+     * - `saved_at`: When the draft was stored.
+     * - `post_updated_at`: The post's current `updated_at` on the server.
+     * - `conflict`: True if the post changed after the editor loaded it.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `PUT /posts/{post}/draft`
+     */
+    public function update(Request $request, BlogPost $post): JsonResponse
+    {
+        if (!$post->canEdit(Auth::user())) {
+            abort(403, 'You are not authorized to edit this post.');
+        }
+
+        /**
+         * ✅ VALIDATE THE DRAFT
+         * ====================
+         *
+         * Drafts are work in progress, so nothing is `required` here. We only check
+         * types and sizes to keep junk out of the database. The real validation
+         * (and HTML sanitizing) still happens when the post is saved.
+         */
+        $validated = $request->validate([
+            'payload' => ['required', 'array'],
+            'payload.title' => ['nullable', 'string', 'max:255'],
+            'payload.slug' => ['nullable', 'string', 'max:255'],
+            'payload.content' => ['nullable', 'string'],
+            'payload.excerpt' => ['nullable', 'string', 'max:500'],
+            'payload.status' => ['nullable', 'string', Rule::in(BlogPost::STATUSES)],
+            'payload.featured_image' => ['nullable', 'string', 'max:255'],
+            'payload.meta_title' => ['nullable', 'string', 'max:255'],
+            'payload.meta_description' => ['nullable', 'string', 'max:500'],
+            'payload.published_at' => ['nullable', 'date'],
+            'payload.category' => ['nullable', 'string', 'max:'.Category::MAX_LENGTH],
+            'payload.tags' => ['nullable', 'array', 'max:'.Tag::MAX_PER_POST],
+            'payload.tags.*' => ['string', 'max:'.Tag::MAX_LENGTH],
+            'base_updated_at' => ['nullable', 'date'],
+        ]);
+
+        // Only keep the known form fields (ignore anything else the client sent)
+        $payload = array_intersect_key($validated['payload'], array_flip([
+            'title', 'slug', 'content', 'excerpt', 'status',
+            'featured_image', 'meta_title', 'meta_description', 'published_at',
+            'category', 'tags',
+        ]));
+
+        $baseUpdatedAt = isset($validated['base_updated_at'])
+            ? Carbon::parse($validated['base_updated_at'])
+            : null;
+
+        /**
+         * 💾 UPSERT: ONE DRAFT PER AUTHOR PER POST
+         * =======================================
+         *
+         * Find the user's existing draft or start a new one. `drafts()->make()`
+         * fills in `blog_post_id` for us; `user_id` is set explicitly because
+         * it is (deliberately) not mass assignable.
+         */
+        $draft = $post->drafts()->where('user_id', Auth::id())->first()
+            ?? $post->drafts()->make();
+
+        $draft->user_id = Auth::id();
+        $draft->fill(['payload' => $payload, 'base_updated_at' => $baseUpdatedAt]);
+        $draft->save();
+
+        return response()->json([
+            'saved_at' => $draft->updated_at,
+            'post_updated_at' => $post->updated_at,
+            'conflict' => $post->isNewerThan($baseUpdatedAt),
+        ]);
+    }
+
+    /**
+     * DISCARD AUTOSAVED DRAFT
+     * =======================
+     *
+     * Called when the author chooses "Discard" in the restore prompt.
+     * Deleting a draft that does not exist is not an error.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `DELETE /posts/{post}/draft`
+     */
+    public function destroy(BlogPost $post): JsonResponse
+    {
+        if (!$post->canEdit(Auth::user())) {
+            abort(403, 'You are not authorized to edit this post.');
+        }
+
+        $post->drafts()->where('user_id', Auth::id())->delete();
+
+        return response()->json(['deleted' => true]);
+    }
+}
@@ -0,0 +1,202 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Jobs\ImportPosts;
+use App\Models\PostImport;
+use App\Services\PostImporter;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Validation\Rule;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * POST IMPORT CONTROLLER - MARKDOWN AND WORDPRESS CONTENT INTO THE BLOG
+ * =====================================================================
+ *
+ * Importing happens in three steps, so nothing is created by surprise:
+ *
+ * 1. **Upload** (`create`, `store`): Markdown files or a WordPress export are
+ *    parsed by `PostImporter` and saved as a `PostImport` in `preview` state.
+ * 2. **Preview** (`show`): a table of every post that will be created, with
+ *    slug conflicts and problems. The author picks what to do with conflicts.
+ * 3. **Import** (`start`): the `ImportPosts` job creates the posts in the
+ *    background while the page shows its progress.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **File Uploads**: Validating several files by extension and size.
+ * 2. **Queued Jobs**: Slow work leaves the request (`ImportPosts::dispatch()`).
+ * 3. **Polling With Partial Reloads**: The page reloads only the `postImport` prop.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `GET /manage-posts/import` (`create` method)
+ * - `POST /manage-posts/import` (`store` method)
+ * - `GET /manage-posts/import/{import}` (`show` method)
+ * - `POST /manage-posts/import/{import}/start` (`start` method)
+ * - `DELETE /manage-posts/import/{import}` (`destroy` method)
+ */
+class PostImportController extends Controller
+{
+    /**
+     * UPLOAD LIMITS
+     * =============
+     */
+    public const MAX_FILES = 50;
+    public const MAX_FILE_KB = 10240; // 10 MB: enough for a WordPress export of a few hundred posts
+
+    /**
+     * THE UPLOAD FORM AND RECENT IMPORTS
+     * ==================================
+     *
+     * ROUTE: `GET /manage-posts/import`
+     */
+    public function create(): Response
+    {
+        return Inertia::render('BlogPosts/Import', [
+            'imports' => PostImport::where('user_id', Auth::id())
+                ->latest()
+                ->limit(10)
+                ->get(['id', 'status', 'source', 'total', 'processed', 'created_at']),
+            'limits' => [
+                'files' => self::MAX_FILES,
+                'fileKb' => self::MAX_FILE_KB,
+                'posts' => PostImporter::MAX_POSTS,
+            ],
+        ]);
+    }
+
+    /**
+     * READ THE UPLOADED FILES
+     * =======================
+     *
+     * Nothing is created yet: the parsed posts are stored for the preview.
+     *
+     * ROUTE: `POST /manage-posts/import`
+     */
+    public function store(Request $request, PostImporter $importer): RedirectResponse
+    {
+        $request->validate([
+            'files' => ['required', 'array', 'max:'.self::MAX_FILES],
+            'files.*' => ['file', 'extensions:md,markdown,xml', 'max:'.self::MAX_FILE_KB],
+        ], [
+            'files.*.extensions' => 'Only Markdown (.md) files and WordPress exports (.xml) can be imported.',
+        ]);
+
+        $items = collect($request->file('files'))
+            ->flatMap(fn ($file) => $importer->parse($file))
+            ->values()
+            ->all();
+
+        if (count($items) === 0) {
+            return back()->withErrors(['files' => 'No posts were found in these files.']);
+        }
+
+        if (count($items) > PostImporter::MAX_POSTS) {
+            return back()->withErrors(['files' => 'At most '.PostImporter::MAX_POSTS.' posts can be imported at once; these files hold '.count($items).'.']);
+        }
+
+        $import = new PostImport([
+            'status' => PostImport::STATUS_PREVIEW,
+            'source' => collect($request->file('files'))->map->getClientOriginalName()->implode(', '),
+            'items' => $items,
+            'total' => count($items),
+        ]);
+        $import->user_id = Auth::id();
+        $import->save();
+
+        return redirect()->route('posts.import.show', $import);
+    }
+
+    /**
+     * PREVIEW OR PROGRESS OF ONE IMPORT
+     * =================================
+     *
+     * `items` (the preview table) is only sent before the import starts, and is
+     * a closure so the progress polling (`only: ['postImport']`) skips it.
+     * Conflicts are checked again on every visit: posts may have been
+     * written since the upload.
+     *
+     * ROUTE: `GET /manage-posts/import/{import}`
+     */
+    public function show(PostImport $import, PostImporter $importer): Response
+    {
+        $this->authorizeImport($import);
+
+        return Inertia::render('BlogPosts/ImportRun', [
+            'postImport' => $import->only(['id', 'status', 'on_conflict', 'source', 'total', 'processed', 'results', 'created_at', 'finished_at']),
+            'items' => fn () => $import->status === PostImport::STATUS_PREVIEW
+                ? collect($importer->withConflicts($import->items))
+                    ->map(fn (array $item) => [
+                        ...collect($item)->except('content')->all(),
+                        'words' => str_word_count(strip_tags($item['content'])),
+                    ])
+                : [],
+            'strategies' => PostImport::CONFLICT_STRATEGIES,
+        ]);
+    }
+
+    /**
+     * START THE IMPORT
+     * ================
+     *
+     * ROUTE: `POST /manage-posts/import/{import}/start`
+     */
+    public function start(Request $request, PostImport $import): RedirectResponse
+    {
+        $this->authorizeImport($import);
+
+        $validated = $request->validate([
+            'on_conflict' => ['required', Rule::in(PostImport::CONFLICT_STRATEGIES)],
+        ]);
+
+        // A double click must not import everything twice
+        if ($import->status !== PostImport::STATUS_PREVIEW) {
+            return back()->with('warning', 'This import has already been started.');
+        }
+
+        $import->on_conflict = $validated['on_conflict'];
+        $import->status = PostImport::STATUS_QUEUED;
+        $import->save();
+
+        ImportPosts::dispatch($import);
+
+        return redirect()
+            ->route('posts.import.show', $import)
+            ->with('success', "Importing **{$import->total} posts**...");
+    }
+
+    /**
+     * DISCARD A PREVIEW
+     * =================
+     *
+     * Only imports that have not started can be discarded; finished ones stay
+     * in the list as a record of what was imported.
+     *
+     * ROUTE: `DELETE /manage-posts/import/{import}`
+     */
+    public function destroy(PostImport $import): RedirectResponse
+    {
+        $this->authorizeImport($import);
+
+        if ($import->status !== PostImport::STATUS_PREVIEW) {
+            return back()->with('warning', 'Only imports that have not started can be discarded.');
+        }
+
+        $import->delete();
+
+        return redirect()->route('posts.import')->with('info', 'The import was discarded.');
+    }
+
+    /**
+     * Imports are private to the user who uploaded the files
+     */
+    private function authorizeImport(PostImport $import): void
+    {
+        if ($import->user_id !== Auth::id()) {
+            abort(403, 'You are not authorized to view this import.');
+        }
+    }
+}
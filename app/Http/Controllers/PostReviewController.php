@@ -0,0 +1,120 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\BlogPost;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Validation\Rule;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * POST REVIEW CONTROLLER - THE EDITORS' SIDE OF THE WORKFLOW
+ * ==========================================================
+ *
+ * Authors cannot publish: they submit a post for review (status `in_review`,
+ * from the editor's status select or the "Submit" bulk action). Editors and
+ * admins find those posts in the review queue, read them on the post page,
+ * and decide:
+ * - **Approve**: the post is published now, or scheduled for a chosen date.
+ * - **Request changes**: it goes back to draft with a note for the author,
+ *   shown above their editor until they submit it again.
+ *
+ * Each decision is a `PostStatusChange` in the post's status history.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **State Machines**: a status only moves along allowed transitions
+ *    (`BlogPost::AUTHOR_TRANSITIONS`, `BlogPostPolicy::review()`).
+ * 2. **Audit Trails**: who did what, and why, recorded next to the change.
+ * 3. **`required_if`**: the note is only mandatory when asking for changes.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `GET /reviews` (`index` method)
+ * - `POST /posts/{post}/review` (`store` method)
+ */
+class PostReviewController extends Controller
+{
+    public const MAX_NOTE_LENGTH = 2000;
+
+    /**
+     * THE REVIEW QUEUE
+     * ================
+     *
+     * Every post waiting for review, the longest-waiting first (first come,
+     * first served). `submitted_at` is when it entered the queue, from the
+     * status history; `updated_at` would also move on every edit.
+     */
+    public function index(): Response
+    {
+        $posts = BlogPost::inReview()
+            ->reorder()
+            ->orderBy('updated_at')
+            ->with('user:id,name')
+            ->withMax(['statusChanges as submitted_at' => fn ($query) => $query->where('to_status', BlogPost::STATUS_IN_REVIEW)], 'created_at')
+            ->paginate(20)
+            ->through(fn (BlogPost $post) => [
+                'id' => $post->id,
+                'title' => $post->title,
+                'slug' => $post->slug,
+                'excerpt' => $post->excerpt,
+                'reading_minutes' => $post->reading_minutes,
+                'author' => $post->user->name,
+                'submitted_at' => $post->submitted_at ? Carbon::parse($post->submitted_at) : $post->updated_at,
+                'updated_at' => $post->updated_at,
+            ]);
+
+        return Inertia::render('BlogPosts/Reviews', [
+            'posts' => $posts,
+        ]);
+    }
+
+    /**
+     * APPROVE OR REQUEST CHANGES
+     * ==========================
+     *
+     * `published_at` (optional, approvals only): a future moment schedules the
+     * post, like the editor's "Publish date" field; empty publishes it now.
+     * The route's `can:review,post` middleware has already checked that the
+     * user publishes and that the post is still waiting (not handled by a
+     * colleague a minute ago).
+     */
+    public function store(Request $request, BlogPost $post): RedirectResponse
+    {
+        $validated = $request->validate([
+            'decision' => ['required', Rule::in(['approve', 'request_changes'])],
+            'note' => ['nullable', 'required_if:decision,request_changes', 'string', 'max:'.self::MAX_NOTE_LENGTH],
+            'published_at' => ['nullable', 'date'],
+        ], [
+            'note.required_if' => 'Tell the author what to change.',
+        ]);
+
+        if ($validated['decision'] === 'approve') {
+            $post->status = BlogPost::STATUS_PUBLISHED;
+            $post->published_at = !empty($validated['published_at'])
+                ? Carbon::parse($validated['published_at'])->setTimezone(config('app.timezone'))
+                : now();
+        } else {
+            $post->status = BlogPost::STATUS_DRAFT;
+        }
+
+        $post->save();
+        $post->recordStatusChange(Auth::user(), $validated['note'] ?? null);
+
+        $message = match (true) {
+            $post->is_scheduled => "**{$post->title}** is approved and scheduled for {$post->published_at->format('F j, Y g:i A T')}.",
+            $post->status === BlogPost::STATUS_PUBLISHED => "**{$post->title}** is approved and published.",
+            default => "**{$post->title}** was sent back to its author with your notes.",
+        };
+
+        return redirect()
+            ->route('reviews.index')
+            ->with('success', $message)
+            ->with('action', $post->status === BlogPost::STATUS_PUBLISHED
+                ? ['label' => 'View post', 'method' => 'get', 'url' => route('posts.show', $post->slug)]
+                : null);
+    }
+}
@@ -0,0 +1,69 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\BlogPost;
+use App\Models\PostRevision;
+use App\Services\HtmlSanitizer;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Support\Facades\Auth;
+
+/**
+ * POST REVISION CONTROLLER - UNDOING EDITS FROM THE HISTORY PANEL
+ * ===============================================================
+ *
+ * Revisions are recorded by `BlogPostController` whenever a post is saved, and
+ * listed in the editor's history panel (`BlogPosts/Edit.svelte`). This controller
+ * handles the one write action: restoring an old revision.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **Nested Resources**: A revision only makes sense *inside* its post
+ *    (`/posts/{post}/revisions/{revision}`), so we check they belong together.
+ * 2. **Non-Destructive Undo**: Restoring does not delete newer revisions. It saves
+ *    the old content as a *new* edit, so the restore itself can be undone too.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `POST /posts/{post}/revisions/{revision}/restore`: Restore a revision (`restore` method)
+ */
+class PostRevisionController extends Controller
+{
+    /**
+     * RESTORE A REVISION
+     * ==================
+     *
+     * Copies the revision's writing (title, content, excerpt, SEO fields, image)
+     * back into the post and records the result as a new revision. The slug and
+     * status are left alone (see `PostRevision::RESTORABLE_FIELDS`).
+     *
+     * The content is sanitized again like in `BlogPostController::store()`:
+     * revisions recorded before the sanitizer existed may hold unsafe HTML.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `POST /posts/{post}/revisions/{revision}/restore`
+     */
+    public function restore(BlogPost $post, PostRevision $revision, HtmlSanitizer $sanitizer): RedirectResponse
+    {
+        if (!$post->canEdit(Auth::user())) {
+            abort(403, 'You are not authorized to edit this post.');
+        }
+
+        // `/posts/1/revisions/99` must not restore a revision of some other post
+        if ($revision->blog_post_id !== $post->id) {
+            abort(404);
+        }
+
+        $restored = $revision->only(PostRevision::RESTORABLE_FIELDS);
+        $restored['content'] = $sanitizer->clean($restored['content']);
+
+        $post->update($restored);
+        $post->recordRevision(Auth::user());
+
+        // Any autosaved draft was based on the content we just replaced
+        $post->drafts()->where('user_id', Auth::id())->delete();
+
+        return redirect()
+            ->route('posts.edit', $post->id)
+            ->with('success', "Revision from {$revision->created_at->format('M j, Y g:i A')} has been **restored**.");
+    }
+}
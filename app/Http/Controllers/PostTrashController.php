@@ -0,0 +1,170 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\BlogPost;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * POST TRASH CONTROLLER - RESTORE OR PERMANENTLY DELETE POSTS
+ * ===========================================================
+ *
+ * Deleting a post (`BlogPostController::destroy()` or the bulk action on
+ * "My Posts") only moves it to the trash (`SoftDeletes` on `BlogPost`). This
+ * controller lists the trash and handles what can happen to a trashed post:
+ * restore it, or delete it forever. Posts left in the trash are purged
+ * automatically after `config('blog.trash_days')` days.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **Soft Deletes**: `onlyTrashed()`, `restore()` and `forceDelete()`.
+ * 2. **Undo Instead of "Are You Sure?"**: A mistake can be fixed with one click
+ *    on the "Undo" button of the flash message (see `undoAction()`).
+ * 3. **Ownership Through Relations**: the trash lists `Auth::user()->blogPosts()`,
+ *    the user's own posts. Restoring and purging ask `BlogPostPolicy` for each
+ *    post, so an admin's "Undo" also works on a post they deleted for someone
+ *    else; ids the user may not touch are simply ignored.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `GET /manage-posts/trash` (`index` method)
+ * - `POST /manage-posts/trash/restore` (`restore` method)
+ * - `DELETE /manage-posts/trash` (`destroy` method)
+ */
+class PostTrashController extends Controller
+{
+    /**
+     * THE "UNDO" BUTTON FOR A FLASH MESSAGE
+     * =====================================
+     *
+     * Flashed as `action` next to the success message of a delete. The toast
+     * sends `data` to `url`, which restores exactly the posts just deleted.
+     *
+     * @param  array<int, int>  $ids
+     */
+    public static function undoAction(array $ids): array
+    {
+        return [
+            'label' => 'Undo',
+            'method' => 'post',
+            'url' => route('posts.trash.restore'),
+            'data' => ['ids' => array_values($ids)],
+        ];
+    }
+
+    /**
+     * LIST THE TRASH
+     * ==============
+     *
+     * Most recently deleted first, with the date each post will be purged.
+     *
+     * ROUTE: `GET /manage-posts/trash`
+     */
+    public function index(): Response
+    {
+        $posts = Auth::user()->blogPosts()
+            ->onlyTrashed()
+            ->withoutGlobalScope('ordered')
+            ->latest('deleted_at')
+            ->paginate(15);
+
+        $posts->getCollection()->transform(fn (BlogPost $post) => [
+            'id' => $post->id,
+            'title' => $post->title,
+            'status' => $post->status,
+            'deleted_at' => $post->deleted_at,
+            'purges_at' => $post->purgesAt(),
+        ]);
+
+        return Inertia::render('BlogPosts/Trash', [
+            'posts' => $posts,
+            'trashDays' => (int) config('blog.trash_days'),
+        ]);
+    }
+
+    /**
+     * RESTORE POSTS FROM THE TRASH
+     * ============================
+     *
+     * A restored post comes back exactly as it was: same status, same slug
+     * (slugs of trashed posts are never given away), and back in search results
+     * (`BlogPost::booted()` re-indexes it).
+     *
+     * ROUTE: `POST /manage-posts/trash/restore`
+     */
+    public function restore(Request $request): RedirectResponse
+    {
+        $posts = $this->trashedPosts($request, 'restore');
+
+        // Someone else's posts, or ones restored in another tab a moment ago
+        if ($posts->isEmpty()) {
+            return back()->with('error', 'None of the selected posts could be restored.');
+        }
+
+        $posts->each->restore();
+
+        // A single restored post gets a "View post" button next to the message
+        $action = $posts->count() === 1
+            ? ['label' => 'View post', 'method' => 'get', 'url' => route('posts.show', $posts->first()->slug)]
+            : null;
+
+        return back()
+            ->with('success', $posts->count() === 1
+                ? "Post '{$posts->first()->title}' has been **restored**."
+                : "**{$posts->count()} posts** have been restored.")
+            ->with('action', $action);
+    }
+
+    /**
+     * DELETE POSTS FOREVER
+     * ====================
+     *
+     * `forceDelete()` removes the rows; comments, views and revisions go with
+     * them through their `cascadeOnDelete()` foreign keys. This cannot be undone.
+     *
+     * Send `all: true` instead of `ids` to empty the whole trash.
+     *
+     * ROUTE: `DELETE /manage-posts/trash`
+     */
+    public function destroy(Request $request): RedirectResponse
+    {
+        $posts = $request->boolean('all')
+            ? Auth::user()->blogPosts()->onlyTrashed()->get()
+            : $this->trashedPosts($request, 'forceDelete');
+
+        if ($posts->isEmpty()) {
+            return $request->boolean('all')
+                ? back()->with('info', 'The trash is already empty.')
+                : back()->with('error', 'None of the selected posts could be deleted.');
+        }
+
+        $posts->each->forceDelete();
+
+        return back()->with('success', $posts->count() === 1
+            ? "Post '{$posts->first()->title}' has been **deleted forever**."
+            : "**{$posts->count()} posts** have been deleted forever.");
+    }
+
+    /**
+     * THE TRASHED POSTS NAMED IN `ids` THAT THE USER MAY RESTORE / PURGE
+     * ==================================================================
+     *
+     * @param  string  $ability  'restore' or 'forceDelete' (see `BlogPostPolicy`)
+     */
+    private function trashedPosts(Request $request, string $ability)
+    {
+        $validated = $request->validate([
+            'ids' => ['required', 'array', 'max:100'],
+            'ids.*' => ['integer'],
+        ]);
+
+        return BlogPost::onlyTrashed()
+            ->whereIn('id', $validated['ids'])
+            ->get()
+            ->filter(fn (BlogPost $post) => $request->user()->can($ability, $post))
+            ->values();
+    }
+}
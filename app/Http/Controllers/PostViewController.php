@@ -0,0 +1,146 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\BlogPost;
+use App\Models\PostView;
+use Illuminate\Http\Request;
+use Illuminate\Http\Response as HttpResponse;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\Gate;
+use Inertia\Inertia;
+use Inertia\Response;
+
+/**
+ * POST VIEW CONTROLLER - READ DEPTH BEACON AND PER-POST ANALYTICS
+ * ===============================================================
+ *
+ * Views are *recorded* in `BlogPostController::show()` (through `ViewTracker`).
+ * This controller handles what happens afterwards:
+ *
+ * 1. **The beacon**: While a reader scrolls, the post page reports how far down
+ *    they got. The page sends it once more when the reader leaves, so we learn
+ *    how many readers finish a post.
+ * 2. **The analytics page**: The post's author sees daily views, where readers
+ *    came from and how many read to the end.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **Aggregate Queries**: `groupBy` with `count(*)`, and `avg()` on a column.
+ * 2. **Filling Gaps**: Days without views still need a (zero) bar in the chart.
+ * 3. **Capability URLs**: The beacon is authorised by an unguessable token.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `PATCH /views/{view:token}` (`update` method)
+ * - `GET /posts/{post}/analytics` (`show` method)
+ */
+class PostViewController extends Controller
+{
+    /**
+     * HOW MANY DAYS THE ANALYTICS PAGE COVERS
+     */
+    public const DAYS = 30;
+
+    /**
+     * HOW MANY REFERRING SITES ARE LISTED
+     */
+    private const TOP_REFERRERS = 10;
+
+    /**
+     * RECORD HOW FAR A READER SCROLLED
+     * ================================
+     *
+     * The page only knows its own view's token, so it can only update its own
+     * row. Depth never goes down: scrolling back up does not "un-read" a post.
+     *
+     * ROUTE: `PATCH /views/{view:token}`
+     */
+    public function update(Request $request, PostView $view): HttpResponse
+    {
+        $validated = $request->validate([
+            'depth' => ['required', 'integer', 'min:0', 'max:100'],
+        ]);
+
+        if ($validated['depth'] > $view->read_depth) {
+            $view->read_depth = $validated['depth'];
+            $view->save();
+        }
+
+        return response()->noContent();
+    }
+
+    /**
+     * ANALYTICS FOR ONE POST
+     * ======================
+     *
+     * Only those who may edit the post (its author, editors, admins) see its
+     * numbers: `BlogPostPolicy::viewAnalytics()`.
+     *
+     * ROUTE: `GET /posts/{post}/analytics`
+     */
+    public function show(BlogPost $post): Response
+    {
+        if (Gate::denies('viewAnalytics', $post)) {
+            abort(403, 'You are not authorized to view the analytics of this post.');
+        }
+
+        $since = Carbon::today()->subDays(self::DAYS - 1);
+        $recent = $post->views()->where('created_at', '>=', $since);
+
+        /**
+         * 📈 VIEWS PER DAY
+         * ===============
+         *
+         * One query groups the views by day; then every day of the period gets an
+         * entry, so days without any views show as an empty bar instead of missing.
+         */
+        $perDay = (clone $recent)
+            ->selectRaw('date(created_at) as day, count(*) as views')
+            ->groupBy('day')
+            ->pluck('views', 'day');
+
+        $daily = collect(range(0, self::DAYS - 1))->map(function (int $offset) use ($since, $perDay) {
+            $day = $since->copy()->addDays($offset)->toDateString();
+
+            return ['date' => $day, 'views' => (int) ($perDay[$day] ?? 0)];
+        });
+
+        /**
+         * 🔗 TOP REFERRERS
+         * ===============
+         *
+         * `null` means the reader typed the address, used a bookmark, or followed
+         * a link on this blog.
+         */
+        $referrers = (clone $recent)
+            ->selectRaw('referrer_host, count(*) as views')
+            ->groupBy('referrer_host')
+            ->orderByDesc('views')
+            ->limit(self::TOP_REFERRERS)
+            ->get()
+            ->map(fn ($row) => ['host' => $row->referrer_host, 'views' => (int) $row->views]);
+
+        /**
+         * 📖 READ COMPLETION
+         * =================
+         *
+         * The share of views that scrolled to the end of the post
+         * (`PostView::COMPLETED_DEPTH`), and the average depth reached.
+         */
+        $totalViews = $post->views()->count();
+        $completed = $post->views()->where('read_depth', '>=', PostView::COMPLETED_DEPTH)->count();
+
+        return Inertia::render('BlogPosts/Analytics', [
+            'post' => $post->only(['id', 'title', 'slug', 'status', 'published_at']),
+            'days' => self::DAYS,
+            'daily' => $daily,
+            'referrers' => $referrers,
+            'totals' => [
+                'views' => $totalViews,
+                'recentViews' => $daily->sum('views'),
+                'completionRate' => $totalViews > 0 ? (int) round($completed / $totalViews * 100) : null,
+                'averageDepth' => $totalViews > 0 ? (int) round($post->views()->avg('read_depth')) : null,
+            ],
+        ]);
+    }
+}
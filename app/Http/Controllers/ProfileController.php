@@ -2,6 +2,9 @@
 
 namespace App\Http\Controllers;
 
+use App\Models\DataExport;
+use App\Models\User;
+use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
 use Illuminate\Support\Facades\Hash;
@@ -42,7 +45,9 @@
  * - `GET /profile`: Show user profile edit form (`edit` method)
  * - `PUT /profile`: Update profile information (name, email) (`update` method)
  * - `PUT /profile/password`: Change user password (`updatePassword` method)
+ * - `PUT /profile/theme`: Save the color theme (`updateTheme` method)
  * - `DELETE /profile`: Delete user account (`destroy` method)
+ * - "Export my data" has its own controller: `DataExportController`
  * 
  * SECURITY CONSIDERATIONS (CRITICAL FOR ANY APP):
  * - **Self-Service Only**: Users can only access/edit their own profile, enforced by middleware and explicit checks.
@@ -113,6 +118,8 @@ public function edit(): Response
         return Inertia::render('Profile/Edit', [
             'user' => $user, // The authenticated user object
             'stats' => $stats, // User-specific statistics
+            // The latest "Export my data" request; a closure so the page can poll it alone
+            'dataExport' => fn () => $this->latestExport($user->id),
             'meta' => [
                 'title' => 'Profile Settings',
                 'description' => 'Update your account information and preferences',
@@ -274,6 +281,29 @@ public function updatePassword(Request $request): RedirectResponse
                         ->with('success', '✅ Password updated successfully!');
     }
 
+    /**
+     * SAVE THE COLOR THEME
+     * ====================
+     *
+     * Called in the background (axios, not an Inertia visit) by the theme
+     * switcher in the header and on the profile page: the browser has already
+     * switched the colors, and a page visit would interrupt whatever the user
+     * is doing, like writing a post.
+     *
+     * AUTHENTICATION: This route is protected by Laravel's `auth` middleware.
+     * ROUTE: `PUT /profile/theme`
+     */
+    public function updateTheme(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            'theme' => ['required', 'string', Rule::in(User::THEMES)],
+        ]);
+
+        $request->user()->update($validated);
+
+        return response()->json(['theme' => $validated['theme']]);
+    }
+
     /**
      * DELETE ACCOUNT (PERMANENT AND IRREVERSIBLE)
      * ==========================================
@@ -338,6 +368,9 @@ public function destroy(Request $request): RedirectResponse
          */
         $user->blogPosts()->delete();
 
+        // Export rows go with the user (cascade), but their ZIP files only go with `delete()`
+        DataExport::where('user_id', $user->id)->get()->each->delete();
+
         /**
          * 🚶 LOGOUT USER
          * =============
@@ -369,6 +402,23 @@ public function destroy(Request $request): RedirectResponse
         return redirect('/')
                       ->with('success', "✅ Your account has been successfully deleted. We're sorry to see you go!");
     }
+
+    /**
+     * THE LATEST DATA EXPORT, READY FOR THE PAGE
+     * ==========================================
+     *
+     * `download_url` is signed fresh on every visit and is `null` until the
+     * archive is ready (and again once it has expired).
+     */
+    private function latestExport(int $userId): ?array
+    {
+        $export = DataExport::where('user_id', $userId)->latest('id')->first();
+
+        return $export ? [
+            ...$export->only(['id', 'status', 'size', 'created_at', 'finished_at', 'expires_at']),
+            'download_url' => $export->downloadUrl(),
+        ] : null;
+    }
 }
 
 /*
@@ -0,0 +1,93 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\BlogPost;
+use App\Models\Tag;
+use App\Services\PostSearch;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+/**
+ * SEARCH CONTROLLER - INSTANT SUGGESTIONS FOR THE COMMAND PALETTE
+ * ===============================================================
+ *
+ * The command palette (Ctrl/Cmd+K on every page) shows matching posts and tags
+ * while the reader is still typing. It asks this controller after every short
+ * pause, so the answer is small JSON rather than a full Inertia page.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **Lightweight Endpoints**: Only the fields the dropdown shows are returned.
+ * 2. **Reusing Services**: Post matching and ranking come from `PostSearch`, exactly
+ *    like the full search on `/posts`, so both always agree.
+ * 3. **Rate Limiting**: The route is throttled because it is called while typing.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `GET /search/suggest?q=...`: Top matching posts and tags as JSON (`suggest` method)
+ */
+class SearchController extends Controller
+{
+    /**
+     * HOW MANY SUGGESTIONS OF EACH KIND
+     */
+    public const MAX_POSTS = 6;
+    public const MAX_TAGS = 4;
+
+    /**
+     * SUGGEST POSTS AND TAGS
+     * ======================
+     *
+     * Posts are the best published matches (with highlighted `search_title` and
+     * `search_snippet` when FTS5 is available). Tags are those whose name starts
+     * with what was typed, most used first, and only if they have published posts.
+     *
+     * Queries shorter than two characters return empty lists - one letter
+     * matches almost everything and is not worth a database round trip.
+     *
+     * ROUTE: `GET /search/suggest`
+     */
+    public function suggest(Request $request, PostSearch $postSearch): JsonResponse
+    {
+        $validated = $request->validate([
+            'q' => 'nullable|string|max:200',
+        ]);
+
+        $term = trim($validated['q'] ?? '');
+
+        if (mb_strlen($term) < 2) {
+            return response()->json(['query' => $term, 'posts' => [], 'tags' => []]);
+        }
+
+        $posts = $postSearch->apply(BlogPost::published(), $term)
+            ->with('category')
+            ->latest('published_at')
+            ->limit(self::MAX_POSTS)
+            ->get()
+            ->map(fn (BlogPost $post) => [
+                'id' => $post->id,
+                'title' => $post->title,
+                'slug' => $post->slug,
+                'search_title' => $post->search_title,
+                'search_snippet' => $post->search_snippet,
+                'category' => $post->category?->name,
+                'published_at' => $post->published_at,
+            ]);
+
+        $tags = Tag::query()
+            ->where('name', 'like', addcslashes($term, '%_\\').'%')
+            ->whereHas('posts', fn ($q) => $q->published())
+            ->withCount(['posts' => fn ($q) => $q->published()])
+            ->orderByDesc('posts_count')
+            ->orderBy('name')
+            ->limit(self::MAX_TAGS)
+            ->get()
+            ->map(fn (Tag $tag) => [
+                'name' => $tag->name,
+                'slug' => $tag->slug,
+                'posts_count' => $tag->posts_count,
+            ]);
+
+        return response()->json(['query' => $term, 'posts' => $posts, 'tags' => $tags]);
+    }
+}
@@ -0,0 +1,145 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\BlogPost;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Http\Response;
+
+/**
+ * SITEMAP CONTROLLER - TELL SEARCH ENGINES WHAT TO CRAWL
+ * ======================================================
+ *
+ * A sitemap is an XML list of the URLs on a site, each with the date it last
+ * changed (`lastmod`). Search engines use it to find new posts quickly and to
+ * re-crawl only the posts that were edited.
+ *
+ * PAGING:
+ * One sitemap file may list at most 50,000 URLs. Small blogs get a single
+ * `/sitemap.xml`; once there are more posts than fit on one page, `/sitemap.xml`
+ * becomes a *sitemap index* that points to `/sitemap/1.xml`, `/sitemap/2.xml`...
+ * Nothing needs to be configured: the switch happens on its own.
+ *
+ * A static `robots.txt` cannot know the site's domain, so `/robots.txt` is served
+ * by `robots()` below and advertises the sitemap's absolute URL.
+ *
+ * 🎓 BEGINNER LEARNING OBJECTIVES:
+ * ================================
+ * 1. **Sitemaps and Sitemap Indexes**: The two XML formats from sitemaps.org.
+ * 2. **Paging Without a Paginator**: `forPage()` on a query for fixed-size chunks.
+ * 3. **Plain-Text Responses**: Generating `robots.txt` in a route.
+ *
+ * ROUTES MANAGED BY THIS CONTROLLER:
+ * - `GET /sitemap.xml` (`index` method)
+ * - `GET /sitemap/{page}.xml` (`page` method)
+ * - `GET /robots.txt` (`robots` method)
+ */
+class SitemapController extends Controller
+{
+    /**
+     * HOW MANY POSTS ONE SITEMAP FILE LISTS
+     * =====================================
+     *
+     * Well below the 50,000 URL limit, so a file also stays under the 50 MB limit
+     * and is quick to generate.
+     */
+    public const PER_PAGE = 5000;
+
+    /**
+     * HOW LONG CRAWLERS AND PROXIES MAY CACHE A SITEMAP (SECONDS)
+     */
+    private const MAX_AGE = 3600;
+
+    /**
+     * THE SITEMAP (OR SITEMAP INDEX)
+     * ==============================
+     *
+     * ROUTE: `GET /sitemap.xml`
+     */
+    public function index(): Response
+    {
+        $pages = $this->pageCount();
+
+        if ($pages <= 1) {
+            return $this->page(1);
+        }
+
+        // The newest change on each page becomes that page's `lastmod`
+        $sitemaps = collect(range(1, $pages))->map(fn (int $page) => [
+            'loc' => route('sitemap.page', $page),
+            'lastmod' => $this->posts()->forPage($page, self::PER_PAGE)->pluck('updated_at')->max(),
+        ]);
+
+        return $this->xml('sitemaps.index', ['sitemaps' => $sitemaps]);
+    }
+
+    /**
+     * ONE PAGE OF THE SITEMAP
+     * =======================
+     *
+     * The first page also lists the site's main pages (home, blog, about...).
+     *
+     * ROUTE: `GET /sitemap/{page}.xml`
+     */
+    public function page(int $page): Response
+    {
+        abort_if($page < 1 || $page > max(1, $this->pageCount()), 404);
+
+        $posts = $this->posts()
+            ->forPage($page, self::PER_PAGE)
+            ->get(['id', 'slug', 'updated_at']);
+
+        $urls = $posts->map(fn (BlogPost $post) => [
+            'loc' => $post->url,
+            'lastmod' => $post->updated_at,
+        ]);
+
+        if ($page === 1) {
+            $urls = collect(['home', 'posts.index', 'about', 'legal.terms', 'legal.privacy'])
+                ->map(fn (string $name) => ['loc' => route($name), 'lastmod' => null])
+                ->concat($urls);
+        }
+
+        return $this->xml('sitemaps.urlset', ['urls' => $urls]);
+    }
+
+    /**
+     * ROBOTS.TXT
+     * ==========
+     *
+     * Allows everything and points crawlers to the sitemap.
+     *
+     * ROUTE: `GET /robots.txt`
+     */
+    public function robots(): Response
+    {
+        return response("User-agent: *\nDisallow:\n\nSitemap: ".route('sitemap')."\n")
+            ->header('Content-Type', 'text/plain; charset=UTF-8');
+    }
+
+    /**
+     * Published posts in a stable order, so a post stays on the same page
+     */
+    private function posts(): Builder
+    {
+        return BlogPost::withoutGlobalScope('ordered')
+            ->published()
+            ->orderBy('id');
+    }
+
+    private function pageCount(): int
+    {
+        return (int) ceil($this->posts()->count() / self::PER_PAGE);
+    }
+
+    /**
+     * Renders a sitemap view as XML
+     */
+    private function xml(string $view, array $data): Response
+    {
+        return response()
+            ->view($view, $data)
+            ->header('Content-Type', 'application/xml; charset=UTF-8')
+            ->header('Cache-Control', 'public, max-age='.self::MAX_AGE);
+    }
+}
@@ -2,6 +2,8 @@
 
 namespace App\Http\Middleware;
 
+use App\Models\BlogPost;
+use App\Models\User;
 use Illuminate\Http\Request;
 use Inertia\Middleware;
 
@@ -97,8 +99,16 @@ public function share(Request $request): array
              * - Conditional rendering of authenticated content
              * 
              * The data structure:
-             * - If logged in: { id: 1, name: "John", email: "john@example.com" }
+             * - If logged in: { id: 1, name: "John", email: "john@example.com", role: "author" }
              * - If not logged in: null
+             * 
+             * `can` says what the user may do in general, answered by the policies
+             * (`app/Policies`), so pages hide the buttons that would only end in a 403:
+             * 
+             *     {#if $page.props.auth.can.createPosts} <Link href="/posts/create">...
+             * 
+             * Permissions for one particular post (may I edit *this* one?) come with
+             * that post's page, e.g. `can.update` on `BlogPosts/Show`.
              */
             'auth' => [
                 // Get the currently authenticated user (or null if not logged in)
@@ -106,9 +116,35 @@ public function share(Request $request): array
                     'id' => $request->user()->id,
                     'name' => $request->user()->name,
                     'email' => $request->user()->email,
+                    // Light, dark or system (see `resources/js/Utils/theme.svelte.js`)
+                    'theme' => $request->user()->theme,
+                    // admin, editor, author or reader (see `User::ROLES`)
+                    'role' => $request->user()->role,
                     // Add more user fields as needed for your app
                     'created_at' => $request->user()->created_at,
                 ] : null,
+                'can' => [
+                    'createPosts' => (bool) $request->user()?->can('create', BlogPost::class),
+                    'editAnyPost' => (bool) $request->user()?->can('updateAny', BlogPost::class),
+                    // Publish and review posts; authors submit theirs for review instead
+                    'publishPosts' => (bool) $request->user()?->can('publish', BlogPost::class),
+                    'deleteAnyPost' => (bool) $request->user()?->can('deleteAny', BlogPost::class),
+                    'manageUsers' => (bool) $request->user()?->can('viewAny', User::class),
+                ],
+            ],
+
+            /**
+             * LOCALE - THE INTERFACE LANGUAGE
+             * ===============================
+             * 
+             * `current` is set by the `SetLocale` middleware; `available` feeds
+             * the footer's language switcher (code => name in that language).
+             * `resources/js/Utils/i18n.svelte.js` loads the catalog for `current`
+             * and formats dates and numbers for it.
+             */
+            'locale' => [
+                'current' => app()->getLocale(),
+                'available' => config('app.locales'),
             ],
 
             /**
@@ -124,15 +160,21 @@ public function share(Request $request): array
              * USAGE IN LARAVEL CONTROLLERS:
              * return redirect()->back()->with('success', 'Post created!');
              * 
-             * USAGE IN SVELTE:
-             * let { flash } = $props(); // Receive as prop
-             * {#if flash.success}<div class="alert">{flash.success}</div>{/if}
+             * IN SVELTE:
+             * Pages do not render them: `Components/ToastStack.svelte` (mounted in
+             * `app.js`) shows them as toasts after every response. `**bold**` in a
+             * message is shown in bold; everything else is plain text.
+             * 
+             * `action` is an optional button for the message, e.g. "Undo" after
+             * moving a post to the trash, or "View post" (`'method' => 'get'`):
+             * ->with('action', ['label' => 'Undo', 'method' => 'post', 'url' => ..., 'data' => [...]])
              */
             'flash' => [
                 'success' => fn () => $request->session()->get('success'),
                 'error' => fn () => $request->session()->get('error'),
                 'info' => fn () => $request->session()->get('info'),
                 'warning' => fn () => $request->session()->get('warning'),
+                'action' => fn () => $request->session()->get('action'),
             ],
 
             /**
@@ -0,0 +1,51 @@
+<?php
+
+namespace App\Http\Middleware;
+
+use Closure;
+use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * SET LOCALE - WHICH LANGUAGE THIS REQUEST IS ANSWERED IN
+ * =======================================================
+ *
+ * Picks the interface language for every web request, in this order:
+ *
+ * 1. The language chosen in the footer's switcher (kept in the session)
+ * 2. The browser's preferred language (`Accept-Language`), if we have it
+ * 3. `config('app.locale')`
+ *
+ * Only languages listed in `config('app.locales')` are ever used. The result
+ * is shared with the pages by `HandleInertiaRequests` (`locale`), where
+ * `resources/js/Utils/i18n.svelte.js` loads the matching catalog, and it sets
+ * `<html lang>` in `app.blade.php`.
+ *
+ * 🎓 LEARN: Middleware runs before the controller, so everything after it
+ * (validation messages, `__()`, Carbon's `diffForHumans()`) uses this locale.
+ */
+class SetLocale
+{
+    /**
+     * Session key of the language chosen in the switcher
+     */
+    public const SESSION_KEY = 'locale';
+
+    public function handle(Request $request, Closure $next): Response
+    {
+        $available = array_keys(config('app.locales'));
+        $chosen = $request->session()->get(self::SESSION_KEY);
+
+        // `getPreferredLanguage()` answers with the first entry when nothing
+        // matches, so the default language goes first
+        usort($available, fn ($a, $b) => ($b === config('app.locale')) <=> ($a === config('app.locale')));
+
+        $locale = in_array($chosen, $available, true)
+            ? $chosen
+            : $request->getPreferredLanguage($available);
+
+        app()->setLocale($locale);
+
+        return $next($request);
+    }
+}
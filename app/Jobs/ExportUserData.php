@@ -0,0 +1,83 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\DataExport;
+use App\Services\DataExporter;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Queue\Queueable;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Throwable;
+
+/**
+ * EXPORT USER DATA JOB - BUILD THE "EXPORT MY DATA" ZIP IN THE BACKGROUND
+ * =======================================================================
+ *
+ * Copying every image and post into a ZIP can take a while, so
+ * `DataExportController::store()` only dispatches this job; the profile page
+ * polls the export until the download link appears.
+ *
+ * The file name is random: even on the private disk, a guessable name
+ * (`exports/3.zip`) is one mistake away from a data leak.
+ *
+ * 🎓 EDUCATIONAL CONCEPTS:
+ * - `ShouldQueue`: `dispatch()` stores the job instead of running it
+ * - Writing to a real path on a disk (`Storage::disk()->path()`) for `ZipArchive`
+ * - Cleaning up a half-written file when the job fails
+ */
+class ExportUserData implements ShouldQueue
+{
+    use Queueable;
+
+    public int $tries = 1;
+
+    public int $timeout = 600;
+
+    public function __construct(public DataExport $export)
+    {
+    }
+
+    /**
+     * WRITE THE ARCHIVE
+     * =================
+     */
+    public function handle(DataExporter $exporter): void
+    {
+        $export = $this->export;
+        $disk = Storage::disk(DataExport::DISK);
+
+        $export->status = DataExport::STATUS_RUNNING;
+        $export->path = "exports/{$export->user_id}/".Str::random(40).'.zip';
+        $export->save();
+
+        $disk->makeDirectory(dirname($export->path));
+        $exporter->export($export->user, $disk->path($export->path));
+
+        $export->status = DataExport::STATUS_COMPLETED;
+        $export->size = $disk->size($export->path);
+        $export->finished_at = now();
+        $export->expires_at = now()->addHours(max((int) config('blog.export_hours'), 1));
+        $export->save();
+    }
+
+    /**
+     * THE JOB CRASHED OR TIMED OUT
+     * ============================
+     *
+     * A half-written ZIP is useless; it is removed and the page offers a retry.
+     * The row is pruned like any other once `expires_at` has passed.
+     */
+    public function failed(?Throwable $exception): void
+    {
+        if ($this->export->path) {
+            Storage::disk(DataExport::DISK)->delete($this->export->path);
+        }
+
+        $this->export->status = DataExport::STATUS_FAILED;
+        $this->export->path = null;
+        $this->export->finished_at = now();
+        $this->export->expires_at = now()->addDay();
+        $this->export->save();
+    }
+}
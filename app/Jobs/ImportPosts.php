@@ -0,0 +1,88 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\PostImport;
+use App\Services\PostImporter;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Queue\Queueable;
+use Throwable;
+
+/**
+ * IMPORT POSTS JOB - CREATE THE POSTS OF AN IMPORT IN THE BACKGROUND
+ * ==================================================================
+ *
+ * A WordPress export can hold hundreds of posts; creating them (with tags,
+ * revisions and search indexing) takes longer than a web request should.
+ * So `PostImportController::start()` only *dispatches* this job, and a queue
+ * worker (`php artisan queue:work`, started by `composer dev`) runs it.
+ *
+ * After every post the job saves `processed` and `results`, which the import
+ * page polls to draw its progress bar.
+ *
+ * 🎓 EDUCATIONAL CONCEPTS:
+ * - `ShouldQueue`: `dispatch()` stores the job instead of running it
+ * - Models in a job's constructor are stored as ids and re-fetched when it runs
+ * - One bad post is recorded as `failed` instead of stopping the whole import
+ */
+class ImportPosts implements ShouldQueue
+{
+    use Queueable;
+
+    /**
+     * Run once: creating posts again would make duplicates
+     */
+    public int $tries = 1;
+
+    public int $timeout = 600;
+
+    public function __construct(public PostImport $import)
+    {
+    }
+
+    /**
+     * CREATE THE POSTS
+     * ================
+     */
+    public function handle(PostImporter $importer): void
+    {
+        $import = $this->import;
+        $import->status = PostImport::STATUS_RUNNING;
+        $import->processed = 0;
+        $import->save();
+
+        $results = [];
+
+        foreach ($import->items as $index => $item) {
+            try {
+                $outcome = $importer->create($item, $import->user, $import->on_conflict);
+            } catch (Throwable $exception) {
+                report($exception);
+                $outcome = ['result' => 'failed', 'slug' => null, 'message' => 'Could not be saved'];
+            }
+
+            $results[] = ['index' => $index, 'title' => $item['title'], ...$outcome];
+
+            $import->processed = $index + 1;
+            $import->results = $results;
+            $import->save();
+        }
+
+        $import->status = PostImport::STATUS_COMPLETED;
+        $import->finished_at = now();
+        $import->save();
+    }
+
+    /**
+     * THE JOB CRASHED OR TIMED OUT
+     * ============================
+     *
+     * Posts created so far stay; the page shows the import as failed.
+     */
+    public function failed(?Throwable $exception): void
+    {
+        $this->import->status = PostImport::STATUS_FAILED;
+        $this->import->finished_at = now();
+        $this->import->save();
+    }
+}
@@ -2,9 +2,16 @@
 
 namespace App\Models;
 
+use App\Services\PostSearch;
+use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Prunable;
+use Illuminate\Database\Eloquent\SoftDeletes;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Facades\Storage;
 use Illuminate\Support\Str;
 use Carbon\Carbon;
 
@@ -23,7 +30,7 @@
  * 
  * EDUCATIONAL CONCEPTS COVERED:
  * - Eloquent ORM basics
- * - Model relationships (belongs to)
+ * - Model relationships (belongs to, belongs to many)
  * - Mass assignment protection
  * - Accessors and mutators
  * - Query scopes
@@ -33,22 +40,81 @@
  * 
  * @property int $id
  * @property int $user_id
+ * @property int|null $category_id
  * @property string $title
  * @property string $slug
  * @property string $content
  * @property string|null $excerpt
- * @property string $status
- * @property string|null $featured_image
+ * @property string $status  One of `STATUSES`
+ * @property string|null $featured_image  Path of an upload on the `public` disk (or a legacy external URL)
+ * @property-read string|null $featured_image_url
  * @property string|null $meta_title
  * @property string|null $meta_description
  * @property Carbon|null $published_at
  * @property Carbon $created_at
  * @property Carbon $updated_at
+ * @property Carbon|null $deleted_at  Set while the post is in the trash
  * 
  * @property-read User $user
+ * @property-read Media|null $featuredMedia
+ * @property-read Category|null $category
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, Tag> $tags
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, PostDraft> $drafts
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, PostRevision> $revisions
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, Comment> $comments
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, PostView> $views
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, PostStatusChange> $statusChanges
  */
 class BlogPost extends Model
 {
+    /** @use HasFactory<\Database\Factories\BlogPostFactory> */
+    use HasFactory;
+
+    /**
+     * TRASH (SOFT DELETES) AND AUTOMATIC PURGING
+     * ==========================================
+     * 
+     * `SoftDeletes`: `$post->delete()` only sets `deleted_at`. Every query then
+     * skips the post (public pages, search, feeds, "My Posts") until it is
+     * restored with `$post->restore()` or removed for good with `$post->forceDelete()`.
+     * 
+     * `Prunable`: `php artisan model:prune` (scheduled daily in `routes/console.php`)
+     * permanently deletes posts that have been in the trash longer than
+     * `config('blog.trash_days')`.
+     */
+    use SoftDeletes, Prunable;
+
+    /**
+     * STATUSES AND THE EDITORIAL WORKFLOW
+     * ===================================
+     *
+     * draft ──submit──▶ in_review ──approve──▶ published ──▶ archived
+     *   ▲                   │
+     *   └─request changes───┘
+     *
+     * Authors write drafts and submit them; editors and admins approve them
+     * (publishing now or on a date) or send them back with a note
+     * (see `PostReviewController`). Publishers may also set any status
+     * directly. Every change is logged by `recordStatusChange()`.
+     */
+    public const STATUS_DRAFT = 'draft';
+    public const STATUS_IN_REVIEW = 'in_review';
+    public const STATUS_PUBLISHED = 'published';
+    public const STATUS_ARCHIVED = 'archived';
+
+    public const STATUSES = [self::STATUS_DRAFT, self::STATUS_IN_REVIEW, self::STATUS_PUBLISHED, self::STATUS_ARCHIVED];
+
+    /**
+     * The moves a post's own author may make without an editor: submit and
+     * withdraw, and take a live post down. Publishing is never one of them.
+     */
+    public const AUTHOR_TRANSITIONS = [
+        self::STATUS_DRAFT => [self::STATUS_IN_REVIEW],
+        self::STATUS_IN_REVIEW => [self::STATUS_DRAFT],
+        self::STATUS_PUBLISHED => [self::STATUS_DRAFT, self::STATUS_ARCHIVED],
+        self::STATUS_ARCHIVED => [self::STATUS_DRAFT],
+    ];
+
     /**
      * FILLABLE ATTRIBUTES - MASS ASSIGNMENT PROTECTION
      * ===============================================
@@ -75,12 +141,13 @@ class BlogPost extends Model
         'slug',            // URL-friendly version of title
         'content',         // Main blog post content
         'excerpt',         // Short summary (optional)
-        'status',          // draft, published, archived
-        'featured_image',  // Image URL/path (optional)
+        'status',          // draft, in_review, published, archived (see `STATUSES`)
+        'featured_image',  // Uploaded image path (optional, see `featuredMedia()`)
         'meta_title',      // SEO title (optional)
         'meta_description', // SEO description (optional)
         'published_at',    // When the post was published
         // Note: user_id is NOT fillable for security
+        // Note: category_id is set with `category()->associate()`, tags with `syncTagNames()`
         // Note: id, created_at, updated_at are managed by Laravel
     ];
 
@@ -91,8 +158,10 @@ class BlogPost extends Model
      * The $appends array defines additional attributes that should be returned
      * with the model. This is useful for computed attributes that don't exist
      * in the database.
+     * 
+     * `reading_minutes` lets the page write "5 min read" in the reader's language.
      */
-    protected $appends = ['reading_time'];
+    protected $appends = ['reading_time', 'reading_minutes', 'featured_image_url'];
 
     /**
      * ATTRIBUTE CASTING - AUTOMATIC DATA TRANSFORMATION
@@ -139,6 +208,249 @@ public function user(): BelongsTo
         return $this->belongsTo(User::class);
     }
 
+    /**
+     * RELATIONSHIP: BELONGS TO FEATURED MEDIA (THE UPLOADED IMAGE)
+     * ===========================================================
+     * 
+     * `featured_image` holds the path of the uploaded image, so we connect the
+     * two tables on `blog_posts.featured_image -> media.path` instead of an id.
+     * Older posts may still contain an external URL: no media row matches it,
+     * and the relationship is simply `null`.
+     * 
+     * USAGE (eager load it to render `srcset` without extra queries):
+     * BlogPost::with('featuredMedia')->published()->paginate(10)
+     */
+    public function featuredMedia(): BelongsTo
+    {
+        return $this->belongsTo(Media::class, 'featured_image', 'path');
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO CATEGORY
+     * =================================
+     * 
+     * Each post sits in at most one category (`null` = uncategorized).
+     * 
+     * USAGE:
+     * $post->category?->name
+     * $post->category()->associate(Category::findOrCreateByName('Tutorials'))
+     */
+    public function category(): BelongsTo
+    {
+        return $this->belongsTo(Category::class);
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO MANY TAGS
+     * ==================================
+     * 
+     * A many-to-many relationship: the `blog_post_tag` pivot table holds one row
+     * per (post, tag) pair. Laravel guesses the pivot table and its columns from
+     * the two model names, so no extra arguments are needed.
+     * 
+     * USAGE:
+     * $post->tags->pluck('name')            // ["Laravel", "Testing"]
+     * BlogPost::whereHas('tags', fn ($q) => $q->where('slug', 'laravel'))
+     */
+    public function tags(): BelongsToMany
+    {
+        return $this->belongsToMany(Tag::class)->orderBy('name');
+    }
+
+    /**
+     * REPLACE THE POST'S TAGS
+     * =======================
+     * 
+     * Takes the tag names from the editor, creates any tags that do not exist yet
+     * (see `Tag::findOrCreateMany()`), and `sync()`s the pivot table: missing pairs
+     * are inserted, pairs that are no longer wanted are deleted.
+     * 
+     * USAGE: $post->syncTagNames(['Laravel', 'Testing']);
+     */
+    public function syncTagNames(array $names): void
+    {
+        $this->tags()->sync(Tag::findOrCreateMany($names)->modelKeys());
+        $this->unsetRelation('tags'); // Reload on next access
+    }
+
+    /**
+     * RELATIONSHIP: HAS MANY AUTOSAVED DRAFTS
+     * =======================================
+     * 
+     * Unsaved editor state autosaved by the post editor (see `PostDraft`).
+     * There is at most one draft per author, so usually:
+     * $post->drafts()->where('user_id', Auth::id())->first()
+     */
+    public function drafts(): HasMany
+    {
+        return $this->hasMany(PostDraft::class);
+    }
+
+    /**
+     * RELATIONSHIP: HAS MANY REVISIONS
+     * ================================
+     * 
+     * Every saved version of this post, oldest first (see `PostRevision`).
+     */
+    public function revisions(): HasMany
+    {
+        return $this->hasMany(PostRevision::class)->orderBy('id');
+    }
+
+    /**
+     * RELATIONSHIP: HAS MANY COMMENTS
+     * ===============================
+     * 
+     * Every comment and reply on this post, oldest first (see `Comment`).
+     * Use `->visibleTo($user)` to leave out held and hidden comments.
+     */
+    public function comments(): HasMany
+    {
+        return $this->hasMany(Comment::class)->orderBy('id');
+    }
+
+    /**
+     * RELATIONSHIP: HAS MANY VIEWS
+     * ============================
+     * 
+     * One row per counted reader visit (see `ViewTracker` and `PostView`).
+     * 
+     * USAGE: $post->views()->count()
+     */
+    public function views(): HasMany
+    {
+        return $this->hasMany(PostView::class);
+    }
+
+    /**
+     * RELATIONSHIP: HAS MANY STATUS CHANGES
+     * =====================================
+     * 
+     * The post's editorial history, oldest first (see `PostStatusChange`).
+     */
+    public function statusChanges(): HasMany
+    {
+        return $this->hasMany(PostStatusChange::class)->orderBy('id');
+    }
+
+    /**
+     * THE DISCUSSION AS A GIVEN READER SEES IT
+     * ========================================
+     * 
+     * A flat list (the page builds the tree from `parent_id`) in which each
+     * comment says what the reader may do with it (`can.edit`, `can.delete`,
+     * `can.moderate`). Moderators (whoever may edit the post) see held and hidden comments too,
+     * including why the spam filter held them.
+     * 
+     * USAGE:
+     * 'comments' => fn () => $post->commentsFor(Auth::user())
+     */
+    public function commentsFor(?User $viewer): array
+    {
+        $isModerator = $viewer !== null && $this->canEdit($viewer);
+
+        return $this->comments()
+            ->unless($isModerator, fn (Builder $query) => $query->visibleTo($viewer))
+            ->with('user:id,name')
+            ->get()
+            ->map(fn (Comment $comment) => [
+                ...$comment->toArray(),
+                'spam_reasons' => $isModerator ? $comment->spam_reasons : null,
+                'can' => [
+                    'edit' => $viewer !== null && $comment->canEdit($viewer),
+                    'delete' => $viewer !== null && ($comment->canEdit($viewer) || $isModerator),
+                    'moderate' => $isModerator,
+                ],
+            ])
+            ->all();
+    }
+
+    /**
+     * RECORD THE CURRENT VERSION AS A REVISION
+     * ========================================
+     * 
+     * Copies the post's current content into `post_revisions`. If nothing changed
+     * since the latest revision (e.g. the form was saved unchanged), no duplicate
+     * is stored and `null` is returned.
+     * 
+     * USAGE:
+     * $post->update($validated);
+     * $post->recordRevision(Auth::user());
+     */
+    public function recordRevision(?User $user): ?PostRevision
+    {
+        $snapshot = $this->only(PostRevision::SNAPSHOT_FIELDS);
+        $latest = $this->revisions()->reorder()->latest('id')->first();
+
+        if ($latest && $latest->only(PostRevision::SNAPSHOT_FIELDS) == $snapshot) {
+            return null;
+        }
+
+        $revision = $this->revisions()->make($snapshot);
+        $revision->user_id = $user?->id;
+        $revision->save();
+
+        return $revision;
+    }
+
+    /**
+     * LOG A STATUS CHANGE
+     * ===================
+     * 
+     * Call it right after saving: it compares the status with the one before
+     * that save and adds a `PostStatusChange` when they differ (or when the
+     * post was just created). A `$note` is always logged - a reviewer may
+     * comment without changing anything.
+     * 
+     * USAGE:
+     * $post->update($validated);
+     * $post->recordStatusChange(Auth::user());
+     */
+    public function recordStatusChange(?User $user, ?string $note = null): ?PostStatusChange
+    {
+        $from = $this->wasRecentlyCreated ? null : ($this->getPrevious()['status'] ?? $this->status);
+
+        if (!$this->wasRecentlyCreated && $from === $this->status && $note === null) {
+            return null;
+        }
+
+        $change = $this->statusChanges()->make([
+            'from_status' => $from,
+            'to_status' => $this->status,
+            'note' => $note,
+            'published_at' => $this->status === self::STATUS_PUBLISHED ? $this->published_at : null,
+        ]);
+        $change->user_id = $user?->id;
+        $change->save();
+
+        return $change;
+    }
+
+    /**
+     * STATUSES THIS USER MAY CHOOSE
+     * =============================
+     * 
+     * What the editor's status `<select>` offers, and what `update()` accepts:
+     * the current status, the author's moves (`AUTHOR_TRANSITIONS`) and, for
+     * those who may publish (`BlogPostPolicy::publish()`), draft, published
+     * and archived. A new post starts from draft; it cannot be born archived.
+     * 
+     * USAGE: Rule::in($post->allowedStatusesFor(Auth::user()))
+     */
+    public function allowedStatusesFor(User $user): array
+    {
+        $current = $this->exists ? $this->status : self::STATUS_DRAFT;
+        $allowed = [$current, ...self::AUTHOR_TRANSITIONS[$current] ?? []];
+
+        if ($user->can('publish', self::class)) {
+            $allowed = [...$allowed, self::STATUS_DRAFT, self::STATUS_PUBLISHED];
+            $allowed = $this->exists ? [...$allowed, self::STATUS_ARCHIVED] : $allowed;
+        }
+
+        // In workflow order, without duplicates
+        return array_values(array_intersect(self::STATUSES, $allowed));
+    }
+
     /**
      * QUERY SCOPE: PUBLISHED POSTS ONLY
      * =================================
@@ -175,6 +487,19 @@ public function scopeDraft(Builder $query): Builder
         return $query->where('status', 'draft');
     }
 
+    /**
+     * QUERY SCOPE: WAITING FOR REVIEW
+     * ===============================
+     * 
+     * Posts submitted by their authors that no editor has handled yet.
+     * 
+     * USAGE: BlogPost::inReview()->count()  // The review queue's badge
+     */
+    public function scopeInReview(Builder $query): Builder
+    {
+        return $query->where('status', self::STATUS_IN_REVIEW);
+    }
+
     /**
      * QUERY SCOPE: RECENT POSTS
      * =========================
@@ -221,6 +546,36 @@ public function getIsPublishedAttribute(): bool
                && $this->published_at->isPast();
     }
 
+    /**
+     * ACCESSOR: IS SCHEDULED
+     * ======================
+     * 
+     * A scheduled post is "published" with a `published_at` in the future.
+     * It becomes visible on its own when that moment passes (see `scopePublished()`).
+     * 
+     * USAGE: $post->is_scheduled  // Returns true/false
+     */
+    public function getIsScheduledAttribute(): bool
+    {
+        return $this->status === 'published'
+               && $this->published_at !== null
+               && $this->published_at->isFuture();
+    }
+
+    /**
+     * QUERY SCOPE: SCHEDULED POSTS ONLY
+     * =================================
+     * 
+     * Published posts waiting for their `published_at` moment.
+     * 
+     * USAGE: $user->blogPosts()->scheduled()->count()
+     */
+    public function scopeScheduled(Builder $query): Builder
+    {
+        return $query->where('status', 'published')
+                    ->where('published_at', '>', now());
+    }
+
     /**
      * ACCESSOR: READING TIME ESTIMATE
      * ==============================
@@ -231,11 +586,25 @@ public function getIsPublishedAttribute(): bool
      * USAGE: $post->reading_time  // Returns "5 min read"
      */
     public function getReadingTimeAttribute(): string
+    {
+        return $this->reading_minutes . ' min read';
+    }
+
+    /**
+     * ACCESSOR: READING TIME IN WHOLE MINUTES
+     * =======================================
+     * 
+     * The number behind `reading_time`, for machines rather than readers,
+     * e.g. the ISO 8601 duration in the post's JSON-LD ("PT5M").
+     * Assumes average reading speed of 200 words per minute.
+     * 
+     * USAGE: $post->reading_minutes  // Returns 5
+     */
+    public function getReadingMinutesAttribute(): int
     {
         $wordCount = str_word_count(strip_tags($this->content));
-        $minutes = ceil($wordCount / 200); // Average reading speed
-        
-        return $minutes === 1 ? '1 min read' : $minutes . ' min read';
+
+        return (int) ceil($wordCount / 200); // Average reading speed
     }
 
     /**
@@ -255,6 +624,28 @@ public function getPublishedDateAttribute(): string
         return $this->published_at->format('F j, Y');
     }
 
+    /**
+     * ACCESSOR: FEATURED IMAGE URL
+     * ============================
+     * 
+     * Turns the stored path into a full URL for `<img src>` and social media tags.
+     * Legacy values that already are URLs are returned unchanged.
+     * 
+     * USAGE: $post->featured_image_url // "http://localhost/storage/images/2026/10/9b1d...c2.webp"
+     */
+    public function getFeaturedImageUrlAttribute(): ?string
+    {
+        if (!$this->featured_image) {
+            return null;
+        }
+
+        if (Str::startsWith($this->featured_image, ['http://', 'https://', '/'])) {
+            return $this->featured_image;
+        }
+
+        return Storage::disk('public')->url($this->featured_image);
+    }
+
     /**
      * MUTATOR: AUTO-GENERATE SLUG FROM TITLE
      * ======================================
@@ -295,8 +686,8 @@ public function setSlugAttribute(string $value): void
         $originalSlug = $slug;
         $counter = 1;
         
-        // Keep checking until we find a unique slug
-        while (static::where('slug', $slug)->where('id', '!=', $this->id ?? 0)->exists()) {
+        // Keep checking until we find a unique slug (posts in the trash still own theirs)
+        while (static::withTrashed()->where('slug', $slug)->where('id', '!=', $this->id ?? 0)->exists()) {
             $counter++;
             $slug = $originalSlug . '-' . $counter;
         }
@@ -361,13 +752,27 @@ public function archive(): bool
     }
 
     /**
-     * Check if the current user can edit this post
+     * Check if the given user can edit this post
+     * 
+     * A shortcut for `$user->can('update', $post)`: the rules (the author, or
+     * any editor or admin) live in `App\Policies\BlogPostPolicy`.
      */
     public function canEdit(User $user): bool
     {
-        // Only the author can edit their own posts
-        // In a more complex app, you might also check for admin roles
-        return $this->user_id === $user->id;
+        return $user->can('update', $this);
+    }
+
+    /**
+     * Check if the post was saved after the given moment
+     * 
+     * Used for conflict detection: editors remember the `updated_at` they started
+     * from, and if the post is newer than that, someone else saved it meanwhile.
+     */
+    public function isNewerThan(?Carbon $timestamp): bool
+    {
+        return $timestamp !== null
+            && $this->updated_at !== null
+            && $this->updated_at->gt($timestamp);
     }
 
     /**
@@ -379,16 +784,58 @@ public function getUrlAttribute(): string
     }
 
     /**
-     * DEFAULT QUERY ORDERING
-     * ======================
+     * DEFAULT QUERY ORDERING AND SEARCH INDEXING
+     * ==========================================
      * 
      * This method defines the default order for queries.
      * When you do BlogPost::all(), it will automatically order by newest first.
+     * 
+     * It also keeps the full-text search index (`blog_posts_fts`) in sync:
+     * whenever the searchable text of a post changes, `PostSearch` re-indexes it.
+     * Moving a post to the trash removes it from the index; restoring adds it back.
      */
     protected static function booted(): void
     {
         static::addGlobalScope('ordered', function (Builder $builder) {
             $builder->orderBy('created_at', 'desc');
         });
+
+        static::saved(function (BlogPost $post) {
+            if ($post->wasRecentlyCreated || $post->wasChanged(['title', 'excerpt', 'content'])) {
+                app(PostSearch::class)->index($post);
+            }
+        });
+
+        static::deleted(fn (BlogPost $post) => app(PostSearch::class)->remove($post));
+        static::restored(fn (BlogPost $post) => app(PostSearch::class)->index($post));
+    }
+
+    /**
+     * POSTS TO PURGE FROM THE TRASH
+     * =============================
+     * 
+     * Used by `Prunable`: posts trashed more than `blog.trash_days` days ago.
+     * Set the option to 0 to keep trashed posts until they are deleted by hand.
+     */
+    public function prunable(): Builder
+    {
+        $days = (int) config('blog.trash_days');
+
+        return static::onlyTrashed()
+            ->when($days <= 0, fn (Builder $query) => $query->whereRaw('1 = 0'))
+            ->where('deleted_at', '<=', now()->subDays(max($days, 0)));
+    }
+
+    /**
+     * WHEN WILL THIS TRASHED POST BE PURGED?
+     * ======================================
+     * 
+     * `null` for posts that are not in the trash, or when purging is turned off.
+     */
+    public function purgesAt(): ?Carbon
+    {
+        $days = (int) config('blog.trash_days');
+
+        return $this->deleted_at && $days > 0 ? $this->deleted_at->copy()->addDays($days) : null;
     }
 }
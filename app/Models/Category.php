@@ -0,0 +1,79 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Support\Str;
+use Carbon\Carbon;
+
+/**
+ * CATEGORY MODEL - THE SECTION OF THE BLOG A POST BELONGS TO
+ * ==========================================================
+ *
+ * Every post has at most one category (`blog_posts.category_id`). Authors pick
+ * an existing category in the post editor or type a new name, which creates it.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - One-to-many relationships from the "one" side (`hasMany`)
+ * - Finding rows by slug so differently capitalized names match
+ *
+ * DATABASE TABLE: categories
+ *
+ * @property int $id
+ * @property string $name
+ * @property string $slug
+ * @property string|null $description
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, BlogPost> $posts
+ */
+class Category extends Model
+{
+    /**
+     * LIMITS
+     * ======
+     */
+    public const MAX_LENGTH = 50;
+
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     */
+    protected $fillable = [
+        'name',
+        'slug',
+        'description',
+    ];
+
+    /**
+     * RELATIONSHIP: HAS MANY POSTS
+     * ============================
+     *
+     * USAGE: $category->posts()->published()->count()
+     */
+    public function posts(): HasMany
+    {
+        return $this->hasMany(BlogPost::class);
+    }
+
+    /**
+     * FIND OR CREATE A CATEGORY BY NAME
+     * =================================
+     *
+     * Returns `null` for an empty name (the post becomes uncategorized).
+     *
+     * USAGE: $post->category()->associate(Category::findOrCreateByName('Tutorials'))
+     */
+    public static function findOrCreateByName(?string $name): ?static
+    {
+        $name = Str::squish((string) $name);
+
+        if (Str::slug($name) === '') {
+            return null;
+        }
+
+        return static::firstOrCreate(['slug' => Str::slug($name)], ['name' => $name]);
+    }
+}
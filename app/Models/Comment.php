@@ -0,0 +1,174 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+use Carbon\Carbon;
+
+/**
+ * COMMENT MODEL - A READER'S RESPONSE TO A POST
+ * =============================================
+ *
+ * Comments form threads: a reply stores the comment it answers in `parent_id`.
+ * Threads are kept shallow (see `MAX_DEPTH`) so they stay readable on a phone.
+ *
+ * WHO CAN DO WHAT:
+ * - The comment's author can edit and delete it.
+ * - Whoever may edit the post (its author, editors, admins) moderates: approve,
+ *   hide or delete any comment on it.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Self-referencing relationships (`parent()` / `replies()`)
+ * - Status constants instead of magic strings
+ * - Permission checks on the model that ask a policy (`App\Policies\CommentPolicy`)
+ *
+ * DATABASE TABLE: comments
+ *
+ * @property int $id
+ * @property int $blog_post_id
+ * @property int $user_id
+ * @property int|null $parent_id
+ * @property int $depth
+ * @property string $body
+ * @property string $status
+ * @property array|null $spam_reasons
+ * @property Carbon|null $edited_at
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read BlogPost $post
+ * @property-read User $user
+ * @property-read Comment|null $parent
+ */
+class Comment extends Model
+{
+    public const STATUS_APPROVED = 'approved';
+    public const STATUS_PENDING = 'pending';
+    public const STATUS_HIDDEN = 'hidden';
+
+    public const STATUSES = [self::STATUS_APPROVED, self::STATUS_PENDING, self::STATUS_HIDDEN];
+
+    /**
+     * LIMITS
+     * ======
+     *
+     * `MAX_DEPTH`: number of levels in a thread. Replying at the deepest level
+     * adds the reply next to the comment instead of below it.
+     */
+    public const MAX_LENGTH = 2000;
+    public const MAX_DEPTH = 3;
+
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     *
+     * Only the text. The post, author, parent and status are set explicitly.
+     */
+    protected $fillable = ['body'];
+
+    protected $hidden = ['spam_reasons'];
+
+    protected function casts(): array
+    {
+        return [
+            'spam_reasons' => 'array',
+            'edited_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO BLOG POST
+     */
+    public function post(): BelongsTo
+    {
+        return $this->belongsTo(BlogPost::class, 'blog_post_id');
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO USER (THE COMMENT'S AUTHOR)
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * RELATIONSHIP: THE COMMENT THIS ONE REPLIES TO
+     */
+    public function parent(): BelongsTo
+    {
+        return $this->belongsTo(Comment::class, 'parent_id');
+    }
+
+    /**
+     * RELATIONSHIP: DIRECT REPLIES TO THIS COMMENT
+     */
+    public function replies(): HasMany
+    {
+        return $this->hasMany(Comment::class, 'parent_id');
+    }
+
+    /**
+     * QUERY SCOPE: COMMENTS A USER MAY SEE
+     * ====================================
+     *
+     * Everyone sees approved comments. A commenter also sees their own held
+     * comments (marked "awaiting moderation"), so nothing seems to vanish.
+     * The post's author sees everything - use no scope for them.
+     */
+    public function scopeVisibleTo(Builder $query, ?User $user): Builder
+    {
+        return $query->where(fn (Builder $q) => $q
+            ->where('status', self::STATUS_APPROVED)
+            ->when($user, fn (Builder $q) => $q->orWhere(fn (Builder $mine) => $mine
+                ->where('user_id', $user->id)
+                ->where('status', self::STATUS_PENDING))));
+    }
+
+    /**
+     * ATTACH AS A REPLY
+     * =================
+     *
+     * Sets `parent_id` and `depth`. A reply to a comment at the deepest level is
+     * attached to that comment's parent, so it still appears right next to it.
+     */
+    public function replyTo(?Comment $parent): static
+    {
+        while ($parent && $parent->depth >= self::MAX_DEPTH - 1) {
+            $parent = $parent->parent;
+        }
+
+        $this->parent_id = $parent?->id;
+        $this->depth = $parent ? $parent->depth + 1 : 0;
+
+        return $this;
+    }
+
+    /**
+     * Can this user change the text? Only the person who wrote it.
+     * (The rules are in `App\Policies\CommentPolicy`.)
+     */
+    public function canEdit(User $user): bool
+    {
+        return $user->can('update', $this);
+    }
+
+    /**
+     * Can this user approve or hide it? Whoever may edit the post it is on.
+     */
+    public function canModerate(User $user): bool
+    {
+        return $user->can('moderate', $this);
+    }
+
+    /**
+     * Can this user delete it? Its author, or a moderator.
+     */
+    public function canDelete(User $user): bool
+    {
+        return $user->can('delete', $this);
+    }
+}
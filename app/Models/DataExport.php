@@ -0,0 +1,147 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Prunable;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Facades\URL;
+use Carbon\Carbon;
+
+/**
+ * DATA EXPORT MODEL - ONE "EXPORT MY DATA" ARCHIVE
+ * ================================================
+ *
+ * Created by `DataExportController::store()`, filled in by the
+ * `ExportUserData` job once the ZIP is written. The file lives on the private
+ * `local` disk and is only reachable through a signed, expiring link.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - `Prunable`: expired exports are deleted by `php artisan model:prune`
+ * - Model events: deleting the row also deletes the ZIP
+ * - `URL::temporarySignedRoute()`: a link that stops working at a given time
+ *
+ * DATABASE TABLE: data_exports
+ *
+ * @property int $id
+ * @property int $user_id
+ * @property string $status  One of the `STATUS_*` constants
+ * @property string|null $path  On the `local` disk
+ * @property int|null $size  Bytes
+ * @property Carbon|null $finished_at
+ * @property Carbon|null $expires_at
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read User $user
+ */
+class DataExport extends Model
+{
+    use Prunable;
+
+    /**
+     * EXPORT STATUSES
+     * ===============
+     */
+    public const STATUS_QUEUED = 'queued';
+    public const STATUS_RUNNING = 'running';
+    public const STATUS_COMPLETED = 'completed';
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * The disk the archives are written to: private, never served directly
+     */
+    public const DISK = 'local';
+
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     *
+     * `user_id` is set explicitly by the controller; the rest by the job.
+     */
+    protected $fillable = [
+        'status',
+    ];
+
+    protected $casts = [
+        'size' => 'integer',
+        'finished_at' => 'datetime',
+        'expires_at' => 'datetime',
+    ];
+
+    /**
+     * MODEL EVENTS
+     * ============
+     *
+     * Whether pruned, replaced by a newer export or removed with the account,
+     * the ZIP goes with the row.
+     */
+    protected static function booted(): void
+    {
+        static::deleted(function (DataExport $export) {
+            if ($export->path) {
+                Storage::disk(self::DISK)->delete($export->path);
+            }
+        });
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO USER
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Has the job been started and not finished yet?
+     */
+    public function isInProgress(): bool
+    {
+        return in_array($this->status, [self::STATUS_QUEUED, self::STATUS_RUNNING], true);
+    }
+
+    /**
+     * Is there a file that may still be downloaded?
+     */
+    public function isDownloadable(): bool
+    {
+        return $this->status === self::STATUS_COMPLETED
+            && $this->path !== null
+            && $this->expires_at?->isFuture();
+    }
+
+    /**
+     * THE SIGNED DOWNLOAD LINK
+     * ========================
+     *
+     * The signature covers the export id and the expiry time, so the link
+     * cannot be edited to fetch another export or to live longer.
+     * `null` when there is nothing to download.
+     */
+    public function downloadUrl(): ?string
+    {
+        if (!$this->isDownloadable()) {
+            return null;
+        }
+
+        return URL::temporarySignedRoute('profile.export.download', $this->expires_at, ['export' => $this->id]);
+    }
+
+    /**
+     * EXPORTS TO PRUNE
+     * ================
+     *
+     * Used by `Prunable`: exports whose link has expired, and exports that never
+     * finished (no queue worker, a crash) a day after they were requested.
+     */
+    public function prunable(): Builder
+    {
+        return static::where('expires_at', '<=', now())
+            ->orWhere(fn (Builder $query) => $query
+                ->whereNull('expires_at')
+                ->where('created_at', '<=', now()->subDay()));
+    }
+}
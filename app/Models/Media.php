@@ -0,0 +1,203 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\Storage;
+use Carbon\Carbon;
+
+/**
+ * MEDIA MODEL - AN UPLOADED IMAGE AND ITS RESPONSIVE VARIANTS
+ * ===========================================================
+ *
+ * Created by `App\Services\ImageProcessor` when an author uploads an image.
+ * The original and a few smaller copies are stored on a filesystem disk, and
+ * this model knows how to turn them into URLs for `<img src>` and `srcset`.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Accessors that build URLs from stored paths (`Storage::disk()->url()`)
+ * - Model events: deleting the row also deletes its files
+ * - Responsive images: `srcset` lets the browser pick the smallest good-enough file
+ *
+ * DATABASE TABLE: media
+ *
+ * @property int $id
+ * @property int $user_id
+ * @property string $disk
+ * @property string $path
+ * @property string $original_name
+ * @property string $mime_type
+ * @property int $size
+ * @property int $width
+ * @property int $height
+ * @property array|null $variants
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read string $url
+ * @property-read string $srcset
+ * @property-read User $user
+ */
+class Media extends Model
+{
+    /**
+     * TABLE NAME
+     * ==========
+     *
+     * "Media" is already plural, so we name the table explicitly instead of
+     * relying on Laravel's pluralizer.
+     */
+    protected $table = 'media';
+
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     *
+     * `user_id` is set explicitly, never mass assigned.
+     */
+    protected $fillable = [
+        'disk',
+        'path',
+        'original_name',
+        'mime_type',
+        'size',
+        'width',
+        'height',
+        'variants',
+    ];
+
+    /**
+     * ATTRIBUTE CASTING
+     * =================
+     */
+    protected $casts = [
+        'variants' => 'array',
+        'size' => 'integer',
+        'width' => 'integer',
+        'height' => 'integer',
+    ];
+
+    /**
+     * APPENDED ATTRIBUTES
+     * ===================
+     *
+     * Sent to the frontend with every media item so components can render
+     * `<img src={media.url} srcset={media.srcset}>` directly.
+     */
+    protected $appends = ['url', 'srcset'];
+
+    /**
+     * MODEL EVENTS - CLEAN UP FILES
+     * =============================
+     *
+     * When a media row is deleted, its original file and all variants are
+     * removed from the disk too, so no orphaned files are left behind.
+     */
+    protected static function booted(): void
+    {
+        static::deleted(function (Media $media) {
+            Storage::disk($media->disk)->delete($media->allPaths());
+        });
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO USER (THE UPLOADER)
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * ACCESSOR: PUBLIC URL OF THE ORIGINAL FILE
+     * =========================================
+     *
+     * USAGE: $media->url // "http://localhost/storage/images/2026/10/9b1d...c2.webp"
+     */
+    public function getUrlAttribute(): string
+    {
+        return Storage::disk($this->disk)->url($this->path);
+    }
+
+    /**
+     * ACCESSOR: SRCSET FOR RESPONSIVE IMAGES
+     * ======================================
+     *
+     * Lists every variant plus the original with its width in pixels, e.g.
+     * "…-480w.webp 480w, …-960w.webp 960w, ….webp 1600w". The browser combines
+     * this with the `sizes` attribute to download the smallest suitable file.
+     */
+    public function getSrcsetAttribute(): string
+    {
+        $disk = Storage::disk($this->disk);
+
+        return collect($this->variants ?? [])
+            ->map(fn (array $variant) => $disk->url($variant['path']).' '.$variant['width'].'w')
+            ->push($this->url.' '.$this->width.'w')
+            ->implode(', ');
+    }
+
+    /**
+     * POSTS THAT USE THIS IMAGE
+     * =========================
+     *
+     * An image is "in use" when it is a post's featured image, or when its path
+     * appears in a post's Markdown (`![diagram](/storage/images/...)`).
+     * The media library uses this to warn before deleting an image.
+     * Posts in the trash count too: restoring one must not bring back a broken image.
+     *
+     * USAGE: $media->usedInPosts()->count()
+     */
+    public function usedInPosts(): Builder
+    {
+        return BlogPost::withTrashed()->where(function (Builder $query) {
+            $query->where('featured_image', $this->path)
+                  ->orWhere('content', 'like', '%'.$this->path.'%');
+        });
+    }
+
+    /**
+     * HOW MANY POSTS USE EACH OF THESE IMAGES?
+     * ========================================
+     *
+     * Same rule as `usedInPosts()`, for a whole page of the library at once:
+     * one pass over the posts with a counter per image, instead of one
+     * `LIKE` scan per image.
+     *
+     * @param Collection<int, Media> $media
+     * @return array<int, int> Media id => number of posts
+     */
+    public static function usageCounts(Collection $media): array
+    {
+        if ($media->isEmpty()) {
+            return [];
+        }
+
+        $query = BlogPost::withTrashed()->reorder()->toBase();
+
+        foreach ($media as $item) {
+            $query->selectRaw(
+                "SUM(CASE WHEN featured_image = ? OR content LIKE ? THEN 1 ELSE 0 END) AS used_{$item->id}",
+                [$item->path, '%'.$item->path.'%']
+            );
+        }
+
+        $counts = $query->first();
+
+        return $media->mapWithKeys(fn (Media $item) => [$item->id => (int) $counts->{"used_{$item->id}"}])->all();
+    }
+
+    /**
+     * EVERY FILE BELONGING TO THIS UPLOAD
+     * ===================================
+     *
+     * @return array<int, string> Paths of the original and all variants
+     */
+    public function allPaths(): array
+    {
+        return [$this->path, ...array_column($this->variants ?? [], 'path')];
+    }
+}
@@ -0,0 +1,72 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Carbon\Carbon;
+
+/**
+ * POST DRAFT MODEL - AUTOSAVED, UNSUBMITTED EDITOR STATE
+ * ======================================================
+ *
+ * While an author edits a post, the editor periodically sends the current form
+ * values to the server. They are stored here, separate from the post itself,
+ * until the author either saves the post (the draft is deleted) or discards it.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - JSON attribute casting (`payload` is a PHP array in code, JSON in the database)
+ * - Optimistic concurrency: remembering which version of the post a draft is based on
+ *
+ * DATABASE TABLE: post_drafts
+ *
+ * @property int $id
+ * @property int $blog_post_id
+ * @property int $user_id
+ * @property array $payload
+ * @property Carbon|null $base_updated_at
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read BlogPost $post
+ * @property-read User $user
+ */
+class PostDraft extends Model
+{
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     *
+     * `blog_post_id` and `user_id` are NOT fillable: the controller sets them
+     * from the route and the logged-in user, never from request data.
+     */
+    protected $fillable = [
+        'payload',          // Unsaved form values (title, content, ...)
+        'base_updated_at',  // The post version the draft started from
+    ];
+
+    /**
+     * ATTRIBUTE CASTING
+     * =================
+     */
+    protected $casts = [
+        'payload' => 'array',
+        'base_updated_at' => 'datetime',
+    ];
+
+    /**
+     * RELATIONSHIP: BELONGS TO BLOG POST
+     */
+    public function post(): BelongsTo
+    {
+        return $this->belongsTo(BlogPost::class, 'blog_post_id');
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO USER (THE DRAFT'S AUTHOR)
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+}
@@ -0,0 +1,95 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Carbon\Carbon;
+
+/**
+ * POST IMPORT MODEL - ONE BATCH OF IMPORTED POSTS
+ * ===============================================
+ *
+ * Created when Markdown files or a WordPress export are uploaded
+ * (`PostImportController::store()`), then filled in by the `ImportPosts`
+ * job as it creates the posts.
+ *
+ * DATABASE TABLE: post_imports
+ *
+ * @property int $id
+ * @property int $user_id
+ * @property string $status  One of the `STATUS_*` constants
+ * @property string $on_conflict  `rename` or `skip`
+ * @property string $source  Uploaded file names
+ * @property array $items  Parsed posts, see `PostImporter::normalize()`
+ * @property int $total
+ * @property int $processed
+ * @property array|null $results  `[{ index, title, slug, result, message }]`
+ * @property Carbon|null $finished_at
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read User $user
+ */
+class PostImport extends Model
+{
+    /**
+     * IMPORT STATUSES
+     * ===============
+     */
+    public const STATUS_PREVIEW = 'preview';
+    public const STATUS_QUEUED = 'queued';
+    public const STATUS_RUNNING = 'running';
+    public const STATUS_COMPLETED = 'completed';
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * WHAT TO DO WITH A TAKEN SLUG
+     * ============================
+     *
+     * - `rename`: create the post anyway; `setSlugAttribute` appends `-2`, `-3`...
+     * - `skip`: leave the existing post alone and do not import this one
+     */
+    public const CONFLICT_STRATEGIES = ['rename', 'skip'];
+
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     *
+     * `user_id` is set explicitly by the controller; progress fields by the job.
+     */
+    protected $fillable = [
+        'status',
+        'on_conflict',
+        'source',
+        'items',
+        'total',
+    ];
+
+    /**
+     * The parsed posts can be large; pages get a summary instead
+     */
+    protected $hidden = ['items'];
+
+    protected $casts = [
+        'items' => 'array',
+        'results' => 'array',
+        'finished_at' => 'datetime',
+    ];
+
+    /**
+     * RELATIONSHIP: BELONGS TO USER
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Has the job been started and not finished yet?
+     */
+    public function isInProgress(): bool
+    {
+        return in_array($this->status, [self::STATUS_QUEUED, self::STATUS_RUNNING], true);
+    }
+}
@@ -0,0 +1,98 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Carbon\Carbon;
+
+/**
+ * POST REVISION MODEL - ONE SAVED VERSION OF A BLOG POST
+ * ======================================================
+ *
+ * Every time a post is created or updated, a copy of its content is stored as a
+ * revision (see `BlogPost::recordRevision()`). The post editor lists them, shows
+ * word-level differences between any two, and can restore an old one.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Append-only history tables
+ * - Sharing a list of field names between models with a class constant
+ *
+ * DATABASE TABLE: post_revisions
+ *
+ * @property int $id
+ * @property int $blog_post_id
+ * @property int|null $user_id
+ * @property string $title
+ * @property string $slug
+ * @property string $content
+ * @property string|null $excerpt
+ * @property string $status
+ * @property string|null $featured_image
+ * @property string|null $meta_title
+ * @property string|null $meta_description
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read BlogPost $post
+ * @property-read User|null $user
+ */
+class PostRevision extends Model
+{
+    /**
+     * SNAPSHOT FIELDS
+     * ===============
+     *
+     * The `BlogPost` attributes copied into every revision.
+     */
+    public const SNAPSHOT_FIELDS = [
+        'title',
+        'slug',
+        'content',
+        'excerpt',
+        'status',
+        'featured_image',
+        'meta_title',
+        'meta_description',
+    ];
+
+    /**
+     * RESTORABLE FIELDS
+     * =================
+     *
+     * Restoring a revision brings back the *writing*, not the publishing state:
+     * the slug (existing links keep working) and the status stay as they are now.
+     */
+    public const RESTORABLE_FIELDS = [
+        'title',
+        'content',
+        'excerpt',
+        'featured_image',
+        'meta_title',
+        'meta_description',
+    ];
+
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     *
+     * `blog_post_id` and `user_id` are set explicitly, never mass assigned.
+     */
+    protected $fillable = self::SNAPSHOT_FIELDS;
+
+    /**
+     * RELATIONSHIP: BELONGS TO BLOG POST
+     */
+    public function post(): BelongsTo
+    {
+        return $this->belongsTo(BlogPost::class, 'blog_post_id');
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO USER (WHO MADE THIS EDIT)
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+}
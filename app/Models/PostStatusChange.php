@@ -0,0 +1,96 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Carbon\Carbon;
+
+/**
+ * POST STATUS CHANGE MODEL - ONE STEP IN A POST'S EDITORIAL HISTORY
+ * =================================================================
+ *
+ * Every time a post's status changes (it is created, submitted for review,
+ * approved, sent back, archived...) a row is added here by
+ * `BlogPost::recordStatusChange()`. The post page shows them as its
+ * "Status history", so authors see who approved their post or why it came back.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Audit trails (append-only, written next to the change they describe)
+ * - Deriving a label from stored facts instead of storing the label
+ *
+ * DATABASE TABLE: post_status_changes
+ *
+ * @property int $id
+ * @property int $blog_post_id
+ * @property int|null $user_id
+ * @property string|null $from_status  `null` when the post was created
+ * @property string $to_status
+ * @property string|null $note
+ * @property Carbon|null $published_at
+ * @property-read string $event
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read BlogPost $post
+ * @property-read User|null $user
+ */
+class PostStatusChange extends Model
+{
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     *
+     * `blog_post_id` and `user_id` are set explicitly, never mass assigned.
+     */
+    protected $fillable = ['from_status', 'to_status', 'note', 'published_at'];
+
+    protected $appends = ['event'];
+
+    protected function casts(): array
+    {
+        return [
+            'published_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO BLOG POST
+     */
+    public function post(): BelongsTo
+    {
+        return $this->belongsTo(BlogPost::class, 'blog_post_id');
+    }
+
+    /**
+     * RELATIONSHIP: BELONGS TO USER (WHO CHANGED THE STATUS)
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * ACCESSOR: WHAT HAPPENED, IN ONE WORD
+     * ====================================
+     *
+     * `created`, `submitted`, `approved`, `changes_requested`, `published`,
+     * `archived` or `drafted`. The page turns it into a sentence; the facts
+     * (`from_status`, `to_status`, `note`) are what is stored.
+     *
+     * 🎓 LEARN: A review that asks for changes is simply `in_review` → `draft`
+     * with a note. Without a note the author withdrew it (`drafted`).
+     */
+    public function getEventAttribute(): string
+    {
+        return match (true) {
+            $this->from_status === null => 'created',
+            $this->to_status === BlogPost::STATUS_IN_REVIEW => 'submitted',
+            $this->from_status === BlogPost::STATUS_IN_REVIEW && $this->to_status === BlogPost::STATUS_PUBLISHED => 'approved',
+            $this->from_status === BlogPost::STATUS_IN_REVIEW && $this->note !== null => 'changes_requested',
+            $this->to_status === BlogPost::STATUS_PUBLISHED => 'published',
+            $this->to_status === BlogPost::STATUS_ARCHIVED => 'archived',
+            default => 'drafted',
+        };
+    }
+}
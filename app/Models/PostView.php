@@ -0,0 +1,66 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Carbon\Carbon;
+
+/**
+ * POST VIEW MODEL - ONE READER VISIT TO A POST
+ * ============================================
+ *
+ * Created by `ViewTracker` when a post page is opened, then updated by the
+ * page's scroll beacon with how far the reader got (`read_depth`).
+ * Stores no personal data (see the migration).
+ *
+ * DATABASE TABLE: post_views
+ *
+ * @property int $id
+ * @property int $blog_post_id
+ * @property string $token
+ * @property string|null $referrer_host
+ * @property int $read_depth
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read BlogPost $post
+ */
+class PostView extends Model
+{
+    /**
+     * READ COMPLETION
+     * ===============
+     *
+     * A visit counts as "read to the end" from this scroll depth (%). Footers,
+     * comments and related posts sit below the text, so few readers reach 100.
+     */
+    public const COMPLETED_DEPTH = 90;
+
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     *
+     * Nothing: the post, token and referrer are set by `ViewTracker`, and
+     * `read_depth` only by the beacon endpoint.
+     */
+    protected $fillable = [];
+
+    protected $hidden = ['token'];
+
+    /**
+     * RELATIONSHIP: BELONGS TO BLOG POST
+     */
+    public function post(): BelongsTo
+    {
+        return $this->belongsTo(BlogPost::class, 'blog_post_id');
+    }
+
+    /**
+     * Use the token in URLs (`/views/{view}`), never the guessable id
+     */
+    public function getRouteKeyName(): string
+    {
+        return 'token';
+    }
+}
@@ -0,0 +1,96 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
+use Illuminate\Support\Str;
+use Carbon\Carbon;
+
+/**
+ * TAG MODEL - A KEYWORD SHARED BY MANY POSTS
+ * ==========================================
+ *
+ * Authors type tags freely in the post editor. A tag is created the first time
+ * someone uses it and reused after that, matched by its slug, so "Laravel",
+ * "laravel" and " LARAVEL " all end up as the same tag.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Many-to-many relationships (`belongsToMany`) through the `blog_post_tag` pivot table
+ * - `firstOrCreate()`: find a row, or insert it when it does not exist yet
+ *
+ * DATABASE TABLE: tags
+ *
+ * @property int $id
+ * @property string $name
+ * @property string $slug
+ * @property Carbon $created_at
+ * @property Carbon $updated_at
+ *
+ * @property-read \Illuminate\Database\Eloquent\Collection<int, BlogPost> $posts
+ */
+class Tag extends Model
+{
+    /**
+     * LIMITS
+     * ======
+     *
+     * Shared by the validation rules and the editor's tag input.
+     */
+    public const MAX_PER_POST = 10;
+    public const MAX_LENGTH = 30;
+
+    /**
+     * FILLABLE ATTRIBUTES
+     * ===================
+     */
+    protected $fillable = [
+        'name',
+        'slug',
+    ];
+
+    /**
+     * HIDDEN ATTRIBUTES
+     * =================
+     *
+     * The pivot row (`blog_post_id`, `tag_id`) is of no use to the frontend.
+     */
+    protected $hidden = ['pivot'];
+
+    /**
+     * RELATIONSHIP: BELONGS TO MANY POSTS
+     * ===================================
+     *
+     * USAGE: $tag->posts()->published()->count()
+     */
+    public function posts(): BelongsToMany
+    {
+        return $this->belongsToMany(BlogPost::class);
+    }
+
+    /**
+     * FIND OR CREATE TAGS BY NAME
+     * ===========================
+     *
+     * Turns the names typed in the editor into `Tag` models. Names are trimmed,
+     * a leading "#" is dropped, and names that produce no slug (e.g. "!!!") are
+     * skipped. Duplicates collapse into one tag.
+     *
+     * USAGE: Tag::findOrCreateMany(['Laravel', 'svelte 5'])->modelKeys()
+     *
+     * @param  array<int, string>  $names
+     * @return Collection<int, Tag>
+     */
+    public static function findOrCreateMany(array $names): Collection
+    {
+        $tags = collect($names)
+            ->map(fn (string $name) => Str::squish(ltrim(trim($name), '#')))
+            ->filter(fn (string $name) => Str::slug($name) !== '')
+            ->unique(fn (string $name) => Str::slug($name))
+            ->map(fn (string $name) => static::firstOrCreate(['slug' => Str::slug($name)], ['name' => $name]))
+            ->values();
+
+        return new Collection($tags->all());
+    }
+}
@@ -5,6 +5,7 @@
 // use Illuminate\Contracts\Auth\MustVerifyEmail;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Database\Eloquent\Relations\HasManyThrough;
 use Illuminate\Foundation\Auth\User as Authenticatable;
 use Illuminate\Notifications\Notifiable;
 
@@ -28,18 +29,56 @@
  * @property string $name
  * @property string $email
  * @property string $password
+ * @property string $theme One of `THEMES`
+ * @property string $role One of `ROLES`
  * @property \Illuminate\Support\Carbon|null $email_verified_at
  * @property string|null $remember_token
  * @property \Illuminate\Support\Carbon|null $created_at
  * @property \Illuminate\Support\Carbon|null $updated_at
  * 
  * @property-read \Illuminate\Database\Eloquent\Collection|BlogPost[] $blogPosts
+ * @property-read \Illuminate\Database\Eloquent\Collection|PostView[] $postViews
+ * @property-read \Illuminate\Database\Eloquent\Collection|Media[] $media
  */
 class User extends Authenticatable
 {
     /** @use HasFactory<\Database\Factories\UserFactory> */
     use HasFactory, Notifiable;
 
+    /**
+     * COLOR THEMES
+     * ============
+     *
+     * 'system' follows the operating system's light/dark setting (and changes
+     * with it). Applied before the first paint by `resources/views/app.blade.php`.
+     */
+    public const THEME_LIGHT = 'light';
+    public const THEME_DARK = 'dark';
+    public const THEME_SYSTEM = 'system';
+
+    public const THEMES = [self::THEME_LIGHT, self::THEME_DARK, self::THEME_SYSTEM];
+
+    /**
+     * ROLES - WHAT A USER MAY DO
+     * ==========================
+     *
+     * - **admin**: everything, including deleting anyone's posts and assigning roles
+     * - **editor**: edits and publishes anyone's posts, moderates their comments
+     * - **author**: writes and manages their own posts (the default)
+     * - **reader**: reads and comments, but does not write posts
+     *
+     * The rules themselves live in the policies (`app/Policies`), not in the
+     * controllers: `$user->can('update', $post)`. `role` is deliberately not
+     * `$fillable`, so no form can promote its own user; only the admin's
+     * "Users" page sets it.
+     */
+    public const ROLE_ADMIN = 'admin';
+    public const ROLE_EDITOR = 'editor';
+    public const ROLE_AUTHOR = 'author';
+    public const ROLE_READER = 'reader';
+
+    public const ROLES = [self::ROLE_ADMIN, self::ROLE_EDITOR, self::ROLE_AUTHOR, self::ROLE_READER];
+
     /**
      * MASS ASSIGNMENT PROTECTION - SECURITY
      * ====================================
@@ -57,6 +96,7 @@ class User extends Authenticatable
         'name',        // User's display name
         'email',       // Email address (used for login)
         'password',    // Password (will be hashed automatically)
+        'theme',       // Color theme: light, dark or system
     ];
 
     /**
@@ -128,6 +168,36 @@ public function blogPosts(): HasMany
         return $this->hasMany(BlogPost::class);
     }
 
+    /**
+     * RELATIONSHIP: VIEWS OF THIS USER'S POSTS
+     * ========================================
+     * 
+     * A "has many through" relationship: users -> blog_posts -> post_views.
+     * Laravel joins the `blog_posts` table for us, so counting every view of
+     * every post by this author is a single query.
+     * 
+     * USAGE:
+     * $user->postViews()->count()  // "Total Views" on the dashboard
+     */
+    public function postViews(): HasManyThrough
+    {
+        return $this->hasManyThrough(PostView::class, BlogPost::class);
+    }
+
+    /**
+     * RELATIONSHIP: HAS MANY MEDIA (UPLOADED IMAGES)
+     * =============================================
+     * 
+     * Every image this user uploaded, listed in their media library (`/media`).
+     * 
+     * USAGE:
+     * $user->media()->latest()->paginate(24)
+     */
+    public function media(): HasMany
+    {
+        return $this->hasMany(Media::class);
+    }
+
     /**
      * CONVENIENCE METHOD: GET PUBLISHED POSTS
      * ======================================
@@ -157,12 +227,33 @@ public function draftPosts(): HasMany
         return $this->blogPosts()->draft();
     }
 
+    /**
+     * BUSINESS LOGIC: DOES THE USER HAVE ONE OF THESE ROLES?
+     * =====================================================
+     * 
+     * USAGE:
+     * $user->hasRole(User::ROLE_ADMIN, User::ROLE_EDITOR)
+     */
+    public function hasRole(string ...$roles): bool
+    {
+        return in_array($this->role, $roles, true);
+    }
+
+    /**
+     * BUSINESS LOGIC: IS THE USER AN ADMIN?
+     * ====================================
+     */
+    public function isAdmin(): bool
+    {
+        return $this->hasRole(self::ROLE_ADMIN);
+    }
+
     /**
      * BUSINESS LOGIC: CHECK IF USER IS AUTHOR
      * ======================================
      * 
-     * Check if this user has written any blog posts.
-     * Useful for conditional UI elements and permissions.
+     * Check if this user has written any blog posts (whatever their role).
+     * Useful for conditional UI elements; permissions use the policies.
      * 
      * USAGE:
      * if ($user->isAuthor()) {
@@ -191,6 +282,7 @@ public function getAuthorStats(): array
             'total_posts' => $this->blogPosts()->count(),
             'published_count' => $this->publishedPosts()->count(),
             'draft_count' => $this->draftPosts()->count(),
+            'total_views' => $this->postViews()->count(),
             'latest_post' => $this->blogPosts()->first(),
         ];
     }
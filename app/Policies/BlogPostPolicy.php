@@ -0,0 +1,130 @@
+<?php
+
+namespace App\Policies;
+
+use App\Models\BlogPost;
+use App\Models\User;
+
+/**
+ * BLOG POST POLICY - WHO MAY DO WHAT WITH A POST
+ * ==============================================
+ *
+ * One place for every rule about posts, by role (see `User::ROLES`):
+ *
+ * | Action                    | admin | editor | author   | reader |
+ * |---------------------------|-------|--------|----------|--------|
+ * | Write posts               | yes   | yes    | yes      | no     |
+ * | Edit a post, see analytics| any   | any    | own      | no     |
+ * | Publish, review           | yes   | yes    | submit   | no     |
+ * | Delete / restore a post   | any   | own    | own      | no     |
+ *
+ * 🎓 LEARN: POLICIES
+ * Laravel finds this class by its name (`BlogPost` → `BlogPostPolicy`), so
+ * `$user->can('update', $post)`, `Gate::authorize('delete', $post)` and the
+ * `can:create,App\Models\BlogPost` route middleware all end up here. Controllers
+ * ask; they no longer compare user ids themselves. The "any" abilities
+ * (`updateAny`, `deleteAny`) take no post: they are what the frontend
+ * receives as `auth.can` (see `HandleInertiaRequests`) to show or hide buttons.
+ *
+ * Which status an author may move their post to is the model's business
+ * (`BlogPost::AUTHOR_TRANSITIONS`); this policy only says who publishes.
+ */
+class BlogPostPolicy
+{
+    /**
+     * Can the user write posts at all (and import them, upload images)?
+     */
+    public function create(User $user): bool
+    {
+        return $user->hasRole(User::ROLE_ADMIN, User::ROLE_EDITOR, User::ROLE_AUTHOR);
+    }
+
+    /**
+     * Can the user edit posts written by others?
+     */
+    public function updateAny(User $user): bool
+    {
+        return $user->hasRole(User::ROLE_ADMIN, User::ROLE_EDITOR);
+    }
+
+    /**
+     * Can the user publish (or schedule) posts, their own and approved ones?
+     * Authors submit theirs for review instead.
+     */
+    public function publish(User $user): bool
+    {
+        return $this->updateAny($user);
+    }
+
+    /**
+     * Can the user approve this post or send it back? Only while it waits in review.
+     */
+    public function review(User $user, BlogPost $post): bool
+    {
+        return $this->publish($user) && $post->status === BlogPost::STATUS_IN_REVIEW;
+    }
+
+    /**
+     * Can the user delete posts written by others?
+     */
+    public function deleteAny(User $user): bool
+    {
+        return $user->isAdmin();
+    }
+
+    /**
+     * Can the user see the post? Published posts are public; drafts only to
+     * those who may edit them. `?User`: guests are asked too.
+     */
+    public function view(?User $user, BlogPost $post): bool
+    {
+        return $post->is_published || ($user !== null && $this->update($user, $post));
+    }
+
+    /**
+     * Can the user edit this post (and its drafts, revisions and analytics)?
+     * A writer edits their own posts; an editor or admin anyone's. A reader
+     * who once was an author can no longer edit their old posts.
+     */
+    public function update(User $user, BlogPost $post): bool
+    {
+        return $this->updateAny($user) || ($this->create($user) && $this->owns($user, $post));
+    }
+
+    /**
+     * Can the user see the post's analytics? Whoever may edit it.
+     */
+    public function viewAnalytics(User $user, BlogPost $post): bool
+    {
+        return $this->update($user, $post);
+    }
+
+    /**
+     * Can the user move this post to the trash?
+     */
+    public function delete(User $user, BlogPost $post): bool
+    {
+        return $this->deleteAny($user) || ($this->create($user) && $this->owns($user, $post));
+    }
+
+    /**
+     * Can the user bring it back from the trash? Whoever may delete it.
+     */
+    public function restore(User $user, BlogPost $post): bool
+    {
+        return $this->delete($user, $post);
+    }
+
+    /**
+     * Can the user delete it forever? Whoever may delete it.
+     */
+    public function forceDelete(User $user, BlogPost $post): bool
+    {
+        return $this->delete($user, $post);
+    }
+
+    private function owns(User $user, BlogPost $post): bool
+    {
+        return $post->user_id === $user->id;
+    }
+}
@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Policies;
+
+use App\Models\Comment;
+use App\Models\User;
+
+/**
+ * COMMENT POLICY - EDITING AND MODERATING COMMENTS
+ * ================================================
+ *
+ * - **Edit**: only the person who wrote the comment.
+ * - **Moderate** (approve, hide): whoever may edit the post it is on - its
+ *   author, and editors and admins for every post.
+ * - **Delete**: either of them.
+ *
+ * `Comment::canEdit()`, `canModerate()` and `canDelete()` ask this policy,
+ * so the comment tree sent to `Show.svelte` follows the same rules.
+ */
+class CommentPolicy
+{
+    public function update(User $user, Comment $comment): bool
+    {
+        return $comment->user_id === $user->id;
+    }
+
+    public function moderate(User $user, Comment $comment): bool
+    {
+        return $user->can('update', $comment->post);
+    }
+
+    public function delete(User $user, Comment $comment): bool
+    {
+        return $this->update($user, $comment) || $this->moderate($user, $comment);
+    }
+}
@@ -0,0 +1,26 @@
+<?php
+
+namespace App\Policies;
+
+use App\Models\User;
+
+/**
+ * USER POLICY - THE ADMIN'S "USERS" PAGE
+ * ======================================
+ *
+ * Only admins see the user list and assign roles. Nobody changes their own
+ * role: an admin cannot demote themselves by accident and leave the site
+ * without anyone able to undo it.
+ */
+class UserPolicy
+{
+    public function viewAny(User $user): bool
+    {
+        return $user->isAdmin();
+    }
+
+    public function updateRole(User $user, User $target): bool
+    {
+        return $user->isAdmin() && $user->id !== $target->id;
+    }
+}
@@ -0,0 +1,251 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\BlogPost;
+use App\Models\Media;
+use App\Models\User;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use RuntimeException;
+use ZipArchive;
+
+/**
+ * DATA EXPORTER - EVERYTHING A USER WROTE AND UPLOADED, IN ONE ZIP
+ * ================================================================
+ *
+ * Builds the archive behind "Export my data" on the profile page
+ * (run by the `ExportUserData` job):
+ *
+ *     posts/svelte-5-basics.md     one Markdown file per post, with front-matter
+ *     images/9b1d...c2.webp        the original of every uploaded image
+ *     manifest.json                profile data and an index of the files
+ *
+ * The front-matter uses the same keys `PostImporter` reads, so the posts can
+ * be imported again here (or into a static site generator):
+ *
+ *     ---
+ *     title: "Getting started with Svelte 5"
+ *     slug: "svelte-5-basics"
+ *     status: "published"
+ *     date: "2024-03-01T09:30:00+00:00"
+ *     category: "Tutorials"
+ *     tags:
+ *       - "svelte"
+ *     ---
+ *
+ * Posts in the trash are included too (with `deleted_at`): they are still the
+ * author's until they are purged.
+ *
+ * 🎓 EDUCATIONAL CONCEPTS:
+ * - `ZipArchive`: writing a ZIP file entry by entry, without loading it in memory
+ * - `lazy()`: walking through every post in chunks instead of one big query
+ * - Round trips: an export format that the importer understands
+ */
+class DataExporter
+{
+    /**
+     * WRITE THE ARCHIVE
+     * =================
+     *
+     * @param string $file Absolute path of the ZIP to create
+     * @throws RuntimeException When the ZIP cannot be written
+     */
+    public function export(User $user, string $file): void
+    {
+        $zip = new ZipArchive();
+        if ($zip->open($file, ZipArchive::CREATE | ZipArchive::OVERWRITE) !== true) {
+            throw new RuntimeException("Cannot create the export archive at {$file}.");
+        }
+
+        $images = $this->addImages($zip, $user);
+        $posts = $this->addPosts($zip, $user, $images);
+
+        $zip->addFromString('manifest.json', json_encode(
+            $this->manifest($user, $posts, $images),
+            JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE
+        ));
+
+        if (!$zip->close()) {
+            throw new RuntimeException("Cannot finish the export archive at {$file}.");
+        }
+    }
+
+    /**
+     * ONE POST AS MARKDOWN WITH FRONT-MATTER
+     * ======================================
+     *
+     * Every value is written as a double-quoted string (JSON strings are valid
+     * YAML), so titles with colons, quotes or `#` survive the trip.
+     *
+     * @param string|null $featuredImage The image's file in the archive, if it has one
+     */
+    public function markdown(BlogPost $post, ?string $featuredImage = null): string
+    {
+        $fields = [
+            'title' => $post->title,
+            'slug' => $post->slug,
+            'excerpt' => $post->excerpt,
+            'status' => $post->status,
+            'date' => $post->published_at?->toIso8601String(),
+            'category' => $post->category?->name,
+            'tags' => $post->tags->pluck('name')->all(),
+            'featured_image' => $featuredImage,
+            'meta_title' => $post->meta_title,
+            'meta_description' => $post->meta_description,
+            'created_at' => $post->created_at?->toIso8601String(),
+            'updated_at' => $post->updated_at?->toIso8601String(),
+            'deleted_at' => $post->deleted_at?->toIso8601String(),
+        ];
+
+        $lines = ['---'];
+        foreach ($fields as $key => $value) {
+            if (is_array($value)) {
+                if (count($value) > 0) {
+                    $lines[] = "{$key}:";
+                    foreach ($value as $item) {
+                        $lines[] = '  - '.$this->quote($item);
+                    }
+                }
+            } elseif (filled($value)) {
+                $lines[] = "{$key}: ".$this->quote($value);
+            }
+        }
+        $lines[] = '---';
+
+        return implode("\n", $lines)."\n\n".rtrim((string) $post->content)."\n";
+    }
+
+    /**
+     * Copy the originals of the user's uploads into `images/`
+     *
+     * @return array<string, array> Manifest rows keyed by the path on the public disk
+     */
+    private function addImages(ZipArchive $zip, User $user): array
+    {
+        $images = [];
+
+        foreach ($user->media()->oldest()->lazy() as $media) {
+            /** @var Media $media */
+            $disk = Storage::disk($media->disk);
+            if (!$disk->exists($media->path)) {
+                continue;
+            }
+
+            $file = 'images/'.basename($media->path);
+            $zip->addFile($disk->path($media->path), $file);
+
+            $images[$media->path] = [
+                'file' => $file,
+                'original_name' => $media->original_name,
+                'url' => $media->url,
+                'width' => $media->width,
+                'height' => $media->height,
+                'uploaded_at' => $media->created_at?->toIso8601String(),
+            ];
+        }
+
+        return $images;
+    }
+
+    /**
+     * Write every post (trash included) into `posts/`
+     *
+     * Featured images that were uploaded before the media library existed are
+     * not in `$images` yet; they are copied here.
+     *
+     * @return array<int, array> Manifest rows
+     */
+    private function addPosts(ZipArchive $zip, User $user, array &$images): array
+    {
+        $posts = [];
+
+        $query = $user->blogPosts()
+            ->withTrashed()
+            ->withoutGlobalScope('ordered')
+            ->with(['category', 'tags'])
+            ->orderBy('id');
+
+        foreach ($query->lazy() as $post) {
+            /** @var BlogPost $post */
+            $featuredImage = $this->featuredImage($zip, $post, $images);
+            $file = "posts/{$post->slug}.md";
+
+            $zip->addFromString($file, $this->markdown($post, $featuredImage));
+
+            $posts[] = [
+                'file' => $file,
+                'title' => $post->title,
+                'status' => $post->status,
+                'url' => $post->deleted_at ? null : $post->url,
+                'published_at' => $post->published_at?->toIso8601String(),
+                'in_trash' => $post->deleted_at !== null,
+            ];
+        }
+
+        return $posts;
+    }
+
+    /**
+     * The featured image's file in the archive (added if needed), or `null`
+     */
+    private function featuredImage(ZipArchive $zip, BlogPost $post, array &$images): ?string
+    {
+        $path = $post->featured_image;
+
+        // External URLs stay where they are
+        if (!$path || Str::startsWith($path, ['http://', 'https://', '/'])) {
+            return null;
+        }
+
+        if (!isset($images[$path])) {
+            $disk = Storage::disk('public');
+            if (!$disk->exists($path)) {
+                return null;
+            }
+
+            $file = 'images/'.basename($path);
+            $zip->addFile($disk->path($path), $file);
+            $images[$path] = ['file' => $file, 'original_name' => basename($path), 'url' => $disk->url($path)];
+        }
+
+        return $images[$path]['file'];
+    }
+
+    /**
+     * THE MANIFEST
+     * ============
+     *
+     * Profile data plus an index of the archive. The password hash and the
+     * remember token are deliberately left out: they are secrets, not data.
+     */
+    private function manifest(User $user, array $posts, array $images): array
+    {
+        return [
+            'exported_at' => now()->toIso8601String(),
+            'site' => config('app.url'),
+            'profile' => [
+                'name' => $user->name,
+                'email' => $user->email,
+                'email_verified_at' => $user->email_verified_at?->toIso8601String(),
+                'member_since' => $user->created_at?->toIso8601String(),
+            ],
+            'stats' => [
+                'posts' => count($posts),
+                'published' => collect($posts)->where('status', 'published')->where('in_trash', false)->count(),
+                'images' => count($images),
+                'views' => $user->postViews()->count(),
+            ],
+            'posts' => $posts,
+            'images' => array_values($images),
+        ];
+    }
+
+    /**
+     * A value as a YAML double-quoted string
+     */
+    private function quote(string $value): string
+    {
+        return json_encode($value, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+    }
+}
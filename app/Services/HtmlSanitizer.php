@@ -0,0 +1,424 @@
+<?php
+
+namespace App\Services;
+
+/**
+ * HTML SANITIZER - ALLOW-LIST PROTECTION AGAINST STORED XSS
+ * =========================================================
+ *
+ * Any logged-in user can publish a post, and post bodies are rendered as HTML
+ * in `BlogPosts/Show.svelte`. Without sanitization, a post containing
+ * `<script>` or `<img onerror=...>` would run JavaScript in every reader's
+ * browser (a **stored XSS** attack).
+ *
+ * This class removes everything that is not explicitly allowed:
+ * - **Tags**: only the formatting tags listed in `ALLOWED_TAGS` survive.
+ *   Dangerous containers (`<script>`, `<style>`, `<iframe>`...) are removed
+ *   together with their contents; other unknown tags are unwrapped (their
+ *   text is kept).
+ * - **Attributes**: only the attributes listed per tag survive. Event
+ *   handlers (`onclick`, `onerror`...) and `style` are never allowed.
+ * - **URL schemes**: `href`/`src` values must be relative or use one of
+ *   `ALLOWED_SCHEMES`, so `javascript:` and `data:` links are dropped.
+ *
+ * 🎓 EDUCATIONAL NOTE - WHY AN ALLOW-LIST?
+ * A deny-list ("remove <script>") always misses something new. An allow-list
+ * ("keep only <p>, <a>, ...") is safe by default: anything we forgot about is
+ * simply removed.
+ *
+ * MARKDOWN AWARENESS:
+ * Post content is Markdown with optional inline HTML. Text outside of tags is
+ * left untouched (so `**bold**` and `> quotes` survive), and tags inside
+ * fenced code blocks / inline code spans are kept, because the Markdown
+ * renderer escapes them anyway. That way a tutorial can still show
+ * `<script>` inside a code sample (see `cleanCode()`). Autolinks such as
+ * `<https://example.com>` are kept as well (see `isSafeAutolink()`).
+ *
+ * The same allow-list is mirrored on the frontend in
+ * `resources/js/Utils/sanitize.js`, which runs again at render time.
+ *
+ * USAGE:
+ * $clean = app(HtmlSanitizer::class)->clean($request->input('content'));
+ */
+class HtmlSanitizer
+{
+    /**
+     * ALLOWED TAGS AND THEIR ATTRIBUTES
+     * =================================
+     *
+     * Tag name => list of attributes that may appear on it.
+     */
+    public const ALLOWED_TAGS = [
+        'a' => ['href', 'title'],
+        'abbr' => ['title'],
+        'b' => [],
+        'blockquote' => [],
+        'br' => [],
+        'caption' => [],
+        'code' => ['class'],
+        'dd' => [],
+        'del' => [],
+        'details' => ['open'],
+        'div' => [],
+        'dl' => [],
+        'dt' => [],
+        'em' => [],
+        'figcaption' => [],
+        'figure' => [],
+        'h1' => [], 'h2' => [], 'h3' => [], 'h4' => [], 'h5' => [], 'h6' => [],
+        'hr' => [],
+        'i' => [],
+        'img' => ['src', 'alt', 'title', 'width', 'height'],
+        'input' => ['type', 'checked', 'disabled'],
+        'ins' => [],
+        'kbd' => [],
+        'li' => [],
+        'mark' => [],
+        'ol' => ['start'],
+        'p' => [],
+        'pre' => [],
+        's' => [],
+        'small' => [],
+        'span' => [],
+        'strong' => [],
+        'sub' => [],
+        'summary' => [],
+        'sup' => [],
+        'table' => [],
+        'tbody' => [],
+        'td' => ['align', 'colspan', 'rowspan'],
+        'tfoot' => [],
+        'th' => ['align', 'colspan', 'rowspan', 'scope'],
+        'thead' => [],
+        'tr' => [],
+        'u' => [],
+        'ul' => [],
+    ];
+
+    /**
+     * TAGS REMOVED TOGETHER WITH EVERYTHING INSIDE THEM
+     * =================================================
+     *
+     * Unwrapping these would leak executable or confusing content
+     * (e.g. the body of a `<script>` would become visible text).
+     */
+    public const DROP_WITH_CONTENT = [
+        'script', 'style', 'iframe', 'object', 'embed', 'applet', 'noscript',
+        'template', 'svg', 'math', 'form', 'textarea', 'select', 'button',
+        'title', 'xmp', 'noembed', 'noframes', 'frameset',
+    ];
+
+    /**
+     * ATTRIBUTES THAT CONTAIN URLS
+     */
+    public const URL_ATTRIBUTES = ['href', 'src'];
+
+    /**
+     * ATTRIBUTES CHECKED FOR UNSAFE URLS INSIDE CODE SAMPLES
+     * ======================================================
+     *
+     * Code samples may show any tag, so we check every attribute a browser
+     * would follow as a link or load as a resource.
+     */
+    public const CODE_URL_ATTRIBUTES = [
+        'href', 'src', 'action', 'formaction', 'data', 'poster', 'background', 'cite', 'xlink:href',
+    ];
+
+    /**
+     * URL SCHEMES ALLOWED IN LINKS AND IMAGES
+     * =======================================
+     *
+     * Relative URLs (`/posts/foo`, `#section`) are always allowed.
+     */
+    public const ALLOWED_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+    /**
+     * CLEAN CONTENT
+     * =============
+     *
+     * Sanitize Markdown/HTML content. Code samples get the lighter `cleanCode()` pass.
+     *
+     * @param string|null $content Raw post content from the author
+     * @return string Content that is safe to render
+     */
+    public function clean(?string $content): string
+    {
+        if ($content === null || $content === '') {
+            return '';
+        }
+
+        /*
+         * Find the code samples so we can treat them differently:
+         * - Fenced blocks: ``` or ~~~ at the start of a line, until the closing fence.
+         * - Inline code: one or more backticks, until the same number of backticks.
+         */
+        preg_match_all(
+            '/^(?:```|~~~)[^\n]*\n.*?(?:^(?:```|~~~)[ \t]*$|\z)|(`+)(?:(?!\1).)+?\1/ms',
+            $content,
+            $matches,
+            PREG_OFFSET_CAPTURE
+        );
+
+        $output = '';
+        $markup = ''; // The output with the kept code samples blanked out, for `isInsideHtmlBlock()`
+        $cursor = 0;
+
+        foreach ($matches[0] as [$code, $offset]) {
+            $html = $this->cleanHtml(substr($content, $cursor, $offset - $cursor));
+            $output .= $html;
+            $markup .= $html;
+
+            // Inside a raw HTML block, backticks are plain text and the "code" is real HTML
+            if ($this->isInsideHtmlBlock($markup)) {
+                $html = $this->cleanHtml($code);
+                $output .= $html;
+                $markup .= $html;
+            } else {
+                $output .= $this->cleanCode($code);
+                $markup .= preg_replace('/[^\n]/', 'x', $code);
+            }
+
+            $cursor = $offset + strlen($code);
+        }
+
+        return $output . $this->cleanHtml(substr($content, $cursor));
+    }
+
+    /**
+     * CLEAN A CODE SAMPLE
+     * ===================
+     *
+     * Inside code, tags are *shown* rather than rendered, so we keep them
+     * (a tutorial must be able to display `<script src="app.js">`). We still
+     * strip event handlers, `srcdoc` and unsafe URLs in place, in case the
+     * renderer treats the sample differently than we expect. Samples inside
+     * a raw HTML block never get here: `clean()` sends those to `cleanHtml()`.
+     */
+    public function cleanCode(string $code): string
+    {
+        $code = str_replace("\u{E000}", '', $code);
+
+        return preg_replace_callback(
+            '/<[a-zA-Z][a-zA-Z0-9-]*(?:\s+[^\s"\'>\/=]+(?:\s*=\s*(?:"[^"]*"|\'[^\']*\'|[^\s"\'=<>`]+))?)*\s*\/?>/',
+            fn (array $tag) => preg_replace_callback(
+                '/\s+([^\s"\'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s"\'=<>`]+)))?/',
+                function (array $attribute) {
+                    $name = strtolower($attribute[1]);
+                    $value = html_entity_decode(
+                        ($attribute[2] ?? '') . ($attribute[3] ?? '') . ($attribute[4] ?? ''),
+                        ENT_QUOTES | ENT_HTML5,
+                        'UTF-8'
+                    );
+
+                    $dangerous = str_starts_with($name, 'on')
+                        || $name === 'srcdoc'
+                        || (in_array($name, self::CODE_URL_ATTRIBUTES, true) && !$this->isSafeUrl($value));
+
+                    return $dangerous ? '' : $attribute[0];
+                },
+                $tag[0]
+            ),
+            $code
+        );
+    }
+
+    /**
+     * CLEAN AN HTML FRAGMENT
+     * ======================
+     *
+     * Sanitize a piece of content that contains no code samples.
+     */
+    public function cleanHtml(string $html): string
+    {
+        // 0. Remove our internal tag placeholder if an author typed it
+        $html = str_replace("\u{E000}", '', $html);
+
+        // 1. Remove HTML comments (they can hide conditional markup)
+        $html = preg_replace('/<!--.*?(?:-->|\z)/s', '', $html);
+
+        // 2. Remove dangerous elements together with their contents
+        $dropped = implode('|', self::DROP_WITH_CONTENT);
+        $html = preg_replace(
+            '/<(' . $dropped . ')\b[^>]*>.*?(?:<\/\1\s*>|\z)/is',
+            '',
+            $html
+        );
+        $html = preg_replace('/<\/?(?:' . $dropped . ')\b[^>]*>/i', '', $html);
+
+        // 3. Rebuild every well-formed tag from the allow-list
+        $html = preg_replace_callback(
+            '/<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"\'>\/=]+(?:\s*=\s*(?:"[^"]*"|\'[^\']*\'|[^\s"\'=<>`]+))?)*)\s*\/?>/',
+            fn (array $match) => $this->rebuildTag(strtolower($match[2]), $match[1] === '/', $match[3]),
+            $html
+        );
+
+        // 4. Keep Markdown autolinks (`<https://example.com>`) with a safe URL
+        $html = preg_replace_callback(
+            '/<([a-zA-Z][a-zA-Z0-9+.\-]{1,31}:[^\s<>]*)>/',
+            fn (array $match) => $this->isSafeAutolink($match[1]) ? "\u{E000}{$match[1]}>" : $match[0],
+            $html
+        );
+
+        // 5. Escape anything that still looks like the start of a tag
+        //    (malformed or unterminated markup such as `<img src=x onerror=alert(1)`)
+        $html = preg_replace('/<(?=[a-zA-Z\/!?])/', '&lt;', $html);
+
+        // 6. Turn the placeholders of the tags we kept back into real tags
+        return str_replace("\u{E000}", '<', $html);
+    }
+
+    /**
+     * REBUILD A SINGLE TAG
+     * ====================
+     *
+     * Returns the sanitized tag, or an empty string when the tag is not allowed.
+     * We use a private placeholder for `<` so step 5 above does not escape
+     * the tags we deliberately kept.
+     */
+    private function rebuildTag(string $tag, bool $closing, string $attributeString): string
+    {
+        if (!array_key_exists($tag, self::ALLOWED_TAGS)) {
+            return '';
+        }
+
+        if ($closing) {
+            return "\u{E000}/{$tag}>";
+        }
+
+        $attributes = $this->parseAttributes($attributeString);
+        $kept = [];
+
+        foreach ($attributes as $name => $value) {
+            if (!in_array($name, self::ALLOWED_TAGS[$tag], true)) {
+                continue;
+            }
+
+            if (in_array($name, self::URL_ATTRIBUTES, true) && !$this->isSafeUrl($value)) {
+                continue;
+            }
+
+            // Only syntax-highlighting classes (e.g. "language-php") are allowed on code blocks
+            if ($name === 'class' && !preg_match('/^language-[a-zA-Z0-9_+-]+$/', $value)) {
+                continue;
+            }
+
+            $kept[$name] = $value;
+        }
+
+        // Task list checkboxes only: never an interactive form control
+        if ($tag === 'input') {
+            if (($kept['type'] ?? '') !== 'checkbox') {
+                return '';
+            }
+            $kept['disabled'] = '';
+        }
+
+        $rendered = '';
+        foreach ($kept as $name => $value) {
+            $rendered .= ' ' . $name . '="' . htmlspecialchars($value, ENT_QUOTES | ENT_HTML5, 'UTF-8') . '"';
+        }
+
+        return "\u{E000}{$tag}{$rendered}>";
+    }
+
+    /**
+     * PARSE AN ATTRIBUTE STRING
+     * =========================
+     *
+     * Turns ` href="/a" title='b' hidden` into ['href' => '/a', 'title' => 'b', 'hidden' => ''].
+     *
+     * @return array<string, string>
+     */
+    private function parseAttributes(string $attributeString): array
+    {
+        preg_match_all(
+            '/([^\s"\'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s"\'=<>`]+)))?/',
+            $attributeString,
+            $matches,
+            PREG_SET_ORDER
+        );
+
+        $attributes = [];
+        foreach ($matches as $match) {
+            $name = strtolower($match[1]);
+            $value = $match[2] ?? '';
+            if ($value === '' && isset($match[3]) && $match[3] !== '') {
+                $value = $match[3];
+            }
+            if ($value === '' && isset($match[4]) && $match[4] !== '') {
+                $value = $match[4];
+            }
+            // The first occurrence wins, like in browsers
+            $attributes[$name] ??= html_entity_decode($value, ENT_QUOTES | ENT_HTML5, 'UTF-8');
+        }
+
+        return $attributes;
+    }
+
+    /**
+     * IS THE CODE INSIDE A RAW HTML BLOCK?
+     * ====================================
+     *
+     * `$before` is the sanitized content in front of the code. Markdown keeps
+     * raw HTML as it is, backticks included: a `<pre>` block up to its closing
+     * tag, and up to the next blank line a block that starts with a block-level
+     * tag (`<div>`, `<table>`...) or with a line holding nothing but one tag.
+     */
+    private function isInsideHtmlBlock(string $before): bool
+    {
+        if (preg_match_all('/^ {0,3}<pre\b/mi', $before) > preg_match_all('/<\/pre\s*>/i', $before)) {
+            return true;
+        }
+
+        $blocks = preg_split('/\n[ \t]*\n/', $before);
+
+        return preg_match(
+            '/^ {0,3}(?:<\/?(?:blockquote|caption|dd|details|div|dl|dt|figcaption|figure|h[1-6]|hr|li|ol|p|summary|table|tbody|td|tfoot|th|thead|tr|ul)(?:[\s\/>]|$)|<\/?[a-zA-Z][a-zA-Z0-9-]*(?:\s[^<>]*)?\/?>[ \t]*$)/mi',
+            end($blocks)
+        ) === 1;
+    }
+
+    /**
+     * CHECK AN AUTOLINK
+     * =================
+     *
+     * The URL must pass `isSafeUrl()`. Inside a raw HTML block a browser reads
+     * `<https://x/autofocus/onfocus=alert(1)>` as a tag, with an attribute after
+     * every `/`, so a path segment that would set an event handler or a style
+     * is not a link we keep.
+     */
+    private function isSafeAutolink(string $url): bool
+    {
+        if (!$this->isSafeUrl($url)) {
+            return false;
+        }
+
+        foreach (array_slice(explode('/', $url), 1) as $segment) {
+            [$name] = explode('=', strtolower($segment), 2);
+
+            if (str_contains($segment, '=') && (str_starts_with($name, 'on') || $name === 'style')) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * CHECK A URL AGAINST THE SCHEME ALLOW-LIST
+     * =========================================
+     *
+     * Browsers ignore whitespace and control characters inside a scheme,
+     * so `java\tscript:` still runs. We strip those before checking.
+     */
+    public function isSafeUrl(string $url): bool
+    {
+        $normalized = strtolower(preg_replace('/[\x00-\x20\x7F]+/', '', $url));
+
+        if (!preg_match('/^([a-z][a-z0-9+.\-]*):/', $normalized, $match)) {
+            return true; // Relative URL (no scheme)
+        }
+
+        return in_array($match[1], self::ALLOWED_SCHEMES, true);
+    }
+}
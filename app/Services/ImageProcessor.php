@@ -0,0 +1,256 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Media;
+use App\Models\User;
+use GdImage;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use RuntimeException;
+
+/**
+ * IMAGE PROCESSOR - STORE UPLOADS AND GENERATE RESPONSIVE VARIANTS
+ * ================================================================
+ *
+ * Authors used to paste external image URLs, which broke whenever the other
+ * site moved or deleted the file. Images are now uploaded and stored on our own
+ * `public` disk, and this class prepares them for the web:
+ *
+ * 1. **Re-encode** the image with PHP's GD extension. This throws away EXIF
+ *    metadata (camera details, GPS location!) and anything that is not pixels.
+ * 2. **Limit the size** of the original to `MAX_DIMENSION` pixels.
+ * 3. **Generate variants** at the `VARIANT_WIDTHS` that are smaller than the
+ *    original, so phones don't download a desktop-sized image (`srcset`).
+ * 4. **Record** everything in a `Media` row.
+ *
+ * Images are saved as WebP when the server's GD supports it (much smaller than
+ * JPEG/PNG at the same quality), otherwise in their original format. Animated
+ * GIFs are stored untouched: re-encoding would keep only the first frame.
+ *
+ * The browser already resizes and compresses images before uploading them
+ * (`resources/js/Utils/images.js`), which makes uploads fast. We still do all
+ * of this on the server, because anything sent by a browser can be forged.
+ *
+ * USAGE:
+ * $media = app(ImageProcessor::class)->store($request->file('image'), $request->user());
+ * $media->url;    // Original
+ * $media->srcset; // Original + variants
+ */
+class ImageProcessor
+{
+    /**
+     * VARIANT WIDTHS (PIXELS)
+     * =======================
+     *
+     * Roughly: phones, tablets/small laptops, large screens.
+     */
+    public const VARIANT_WIDTHS = [480, 960, 1600];
+
+    /**
+     * LARGEST ALLOWED WIDTH OR HEIGHT OF THE STORED ORIGINAL
+     */
+    public const MAX_DIMENSION = 2400;
+
+    /**
+     * ENCODING QUALITY (0-100) FOR WEBP AND JPEG
+     */
+    public const QUALITY = 82;
+
+    /**
+     * VALIDATION RULES FOR IMAGE UPLOADS
+     * ==================================
+     *
+     * Shared by every form that accepts an image. The pixel limit keeps GD's
+     * memory use reasonable (an image needs about width × height × 4 bytes).
+     */
+    public const RULES = ['image', 'mimes:jpeg,png,webp,gif', 'max:5120', 'dimensions:max_width=4000,max_height=4000'];
+
+    /**
+     * STORE AN UPLOADED IMAGE
+     * =======================
+     *
+     * @param UploadedFile $file - The validated upload
+     * @param User $user - The uploader
+     * @param string $disk - Filesystem disk to store the files on
+     * @return Media The saved media record
+     *
+     * @throws RuntimeException If GD cannot read the image
+     */
+    public function store(UploadedFile $file, User $user, string $disk = 'public'): Media
+    {
+        $basePath = 'images/'.now()->format('Y/m').'/'.Str::uuid();
+
+        $media = $file->getMimeType() === 'image/gif'
+            ? $this->storeUntouched($file, $basePath, $disk)
+            : $this->storeProcessed($file, $basePath, $disk);
+
+        $media->original_name = Str::limit($file->getClientOriginalName(), 250, '');
+        $media->user_id = $user->id;
+        $media->save();
+
+        return $media;
+    }
+
+    // =======================================================================
+    // INTERNAL HELPERS
+    // =======================================================================
+
+    /**
+     * Re-encode the image, cap its size and write it plus its variants to the disk.
+     */
+    private function storeProcessed(UploadedFile $file, string $basePath, string $disk): Media
+    {
+        $image = @imagecreatefromstring((string) file_get_contents($file->getRealPath()));
+
+        if (!$image instanceof GdImage) {
+            throw new RuntimeException('The uploaded file could not be read as an image.');
+        }
+
+        $image = $this->applyExifOrientation($image, $file);
+        $image = $this->fitWithin($image, self::MAX_DIMENSION);
+
+        [$format, $mimeType] = $this->outputFormat($file->getMimeType());
+        $width = imagesx($image);
+        $height = imagesy($image);
+
+        $path = "{$basePath}.{$format}";
+        $contents = $this->encode($image, $format);
+        Storage::disk($disk)->put($path, $contents);
+
+        $variants = [];
+        foreach (self::VARIANT_WIDTHS as $variantWidth) {
+            if ($variantWidth >= $width) {
+                break; // Never upscale: the original is already small enough
+            }
+
+            $variantPath = "{$basePath}-{$variantWidth}w.{$format}";
+            Storage::disk($disk)->put($variantPath, $this->encode($this->scaleToWidth($image, $variantWidth), $format));
+            $variants[] = ['width' => $variantWidth, 'path' => $variantPath];
+        }
+
+        return new Media([
+            'disk' => $disk,
+            'path' => $path,
+            'mime_type' => $mimeType,
+            'size' => strlen($contents),
+            'width' => $width,
+            'height' => $height,
+            'variants' => $variants,
+        ]);
+    }
+
+    /**
+     * Store a file exactly as uploaded (used for animated GIFs).
+     */
+    private function storeUntouched(UploadedFile $file, string $basePath, string $disk): Media
+    {
+        [$width, $height] = getimagesize($file->getRealPath()) ?: [0, 0];
+        $path = $file->storeAs(dirname($basePath), basename($basePath).'.gif', $disk);
+
+        return new Media([
+            'disk' => $disk,
+            'path' => $path,
+            'mime_type' => 'image/gif',
+            'size' => $file->getSize(),
+            'width' => $width,
+            'height' => $height,
+            'variants' => [],
+        ]);
+    }
+
+    /**
+     * Pick the output format: WebP when available, otherwise keep PNG (transparency) or use JPEG.
+     *
+     * @return array{0: string, 1: string} File extension and MIME type
+     */
+    private function outputFormat(?string $mimeType): array
+    {
+        return match (true) {
+            function_exists('imagewebp') => ['webp', 'image/webp'],
+            $mimeType === 'image/png' => ['png', 'image/png'],
+            default => ['jpg', 'image/jpeg'],
+        };
+    }
+
+    /**
+     * Encode a GD image into file contents.
+     */
+    private function encode(GdImage $image, string $format): string
+    {
+        ob_start();
+
+        match ($format) {
+            'webp' => imagewebp($image, null, self::QUALITY),
+            'png' => imagepng($image, null, 6),
+            default => imagejpeg($this->flattenOnWhite($image), null, self::QUALITY),
+        };
+
+        return (string) ob_get_clean();
+    }
+
+    /**
+     * Shrink an image so neither side is larger than `$max` pixels.
+     */
+    private function fitWithin(GdImage $image, int $max): GdImage
+    {
+        $width = imagesx($image);
+        $height = imagesy($image);
+
+        if ($width <= $max && $height <= $max) {
+            return $image;
+        }
+
+        $scale = $max / max($width, $height);
+
+        return $this->scaleToWidth($image, (int) round($width * $scale));
+    }
+
+    /**
+     * Resize an image to a width, keeping its aspect ratio and transparency.
+     */
+    private function scaleToWidth(GdImage $image, int $width): GdImage
+    {
+        $height = max(1, (int) round(imagesy($image) * $width / imagesx($image)));
+
+        $scaled = imagecreatetruecolor($width, $height);
+        imagealphablending($scaled, false);
+        imagesavealpha($scaled, true);
+        imagecopyresampled($scaled, $image, 0, 0, 0, 0, $width, $height, imagesx($image), imagesy($image));
+
+        return $scaled;
+    }
+
+    /**
+     * JPEG has no transparency: draw the image on a white background first.
+     */
+    private function flattenOnWhite(GdImage $image): GdImage
+    {
+        $flat = imagecreatetruecolor(imagesx($image), imagesy($image));
+        imagefill($flat, 0, 0, imagecolorallocate($flat, 255, 255, 255));
+        imagecopy($flat, $image, 0, 0, 0, 0, imagesx($image), imagesy($image));
+
+        return $flat;
+    }
+
+    /**
+     * Phone photos are often stored sideways with an EXIF "Orientation" flag.
+     * Re-encoding drops that flag, so we rotate the pixels to match it first.
+     */
+    private function applyExifOrientation(GdImage $image, UploadedFile $file): GdImage
+    {
+        if ($file->getMimeType() !== 'image/jpeg' || !function_exists('exif_read_data')) {
+            return $image;
+        }
+
+        $orientation = @exif_read_data($file->getRealPath())['Orientation'] ?? 1;
+
+        return match ((int) $orientation) {
+            3 => imagerotate($image, 180, 0),
+            6 => imagerotate($image, -90, 0),
+            8 => imagerotate($image, 90, 0),
+            default => $image,
+        };
+    }
+}
@@ -0,0 +1,402 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\BlogPost;
+use App\Models\Category;
+use App\Models\Tag;
+use App\Models\User;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Str;
+use Illuminate\Validation\ValidationException;
+use SimpleXMLElement;
+use Throwable;
+
+/**
+ * POST IMPORTER - MARKDOWN FILES AND WORDPRESS EXPORTS INTO BLOG POSTS
+ * ====================================================================
+ *
+ * Reads uploaded files into a list of plain arrays ("items"), one per post,
+ * that can be previewed before anything is saved. The `ImportPosts` job later
+ * turns each item into a `BlogPost` with `create()`.
+ *
+ * SUPPORTED FILES:
+ * - **Markdown** (`.md`, `.markdown`): one post per file. Optional front-matter
+ *   between `---` lines at the top:
+ *
+ *       ---
+ *       title: "Getting started with Svelte 5"
+ *       slug: svelte-5-basics
+ *       excerpt: Runes, props and effects in ten minutes.
+ *       status: published          # draft (default), published (in review for authors) or archived
+ *       date: 2024-03-01 09:30     # publish date; in the future = scheduled
+ *       category: Tutorials
+ *       tags: [svelte, javascript]  # or a "- item" list on the next lines
+ *       ---
+ *
+ *   Without a `title`, the first `# Heading` (removed from the body) or the
+ *   file name is used.
+ * - **WordPress export** (`.xml`, "WXR" from Tools → Export): every item of
+ *   type `post`, with its slug, excerpt, status, date, category and tags.
+ *   Pages, attachments and trashed posts are left out.
+ *
+ * Content is sanitized exactly like posts written in the editor (`HtmlSanitizer`).
+ *
+ * 🎓 EDUCATIONAL CONCEPTS:
+ * - Parsing instead of trusting: every field is normalized and length-limited
+ * - XML namespaces (`wp:`, `content:`) with SimpleXML
+ * - Reporting problems per item instead of failing the whole upload
+ */
+class PostImporter
+{
+    /**
+     * MOST POSTS IN ONE IMPORT
+     * ========================
+     */
+    public const MAX_POSTS = 500;
+
+    /**
+     * WORDPRESS STATUS => BLOG STATUS
+     * ===============================
+     *
+     * `future` posts keep their date, which makes them scheduled here too.
+     * `pending` is WordPress for "awaiting review": it waits for an editor here too.
+     * Statuses not listed (trash, auto-draft...) are not imported.
+     */
+    private const WORDPRESS_STATUSES = [
+        'publish' => BlogPost::STATUS_PUBLISHED,
+        'future' => BlogPost::STATUS_PUBLISHED,
+        'draft' => BlogPost::STATUS_DRAFT,
+        'pending' => BlogPost::STATUS_IN_REVIEW,
+        'private' => BlogPost::STATUS_ARCHIVED,
+    ];
+
+    public function __construct(private HtmlSanitizer $sanitizer)
+    {
+    }
+
+    /**
+     * READ ONE UPLOADED FILE
+     * ======================
+     *
+     * @return array<int, array> The file's posts (see `normalize()`)
+     * @throws ValidationException When a WordPress export cannot be read
+     */
+    public function parse(UploadedFile $file): array
+    {
+        $name = $file->getClientOriginalName();
+
+        return strtolower($file->getClientOriginalExtension()) === 'xml'
+            ? $this->parseWordPress($file->get(), $name)
+            : [$this->parseMarkdown($file->get(), $name)];
+    }
+
+    /**
+     * READ A MARKDOWN FILE WITH FRONT-MATTER
+     * ======================================
+     */
+    public function parseMarkdown(string $contents, string $source): array
+    {
+        // Byte order mark and Windows line endings would break the `---` match
+        $contents = str_replace(["\r\n", "\r"], "\n", preg_replace('/^\xEF\xBB\xBF/', '', $contents));
+
+        $meta = [];
+        $body = $contents;
+        if (preg_match('/\A---\n(.*?)\n---\n?(.*)\z/s', $contents, $matches)) {
+            $meta = $this->parseFrontMatter($matches[1]);
+            $body = $matches[2];
+        }
+
+        // No title in the front-matter: use the first "# Heading" and drop it from the body
+        $title = $meta['title'] ?? null;
+        if (!$title && preg_match('/^\s*#\s+(.+)$/m', $body, $heading, PREG_OFFSET_CAPTURE)) {
+            $title = trim($heading[1][0], " #\t");
+            $body = substr_replace($body, '', $heading[0][1], strlen($heading[0][0]));
+        }
+
+        $status = strtolower((string) ($meta['status'] ?? 'draft'));
+
+        return $this->normalize([
+            'title' => $title ?: Str::headline(pathinfo($source, PATHINFO_FILENAME)),
+            'slug' => $meta['slug'] ?? null,
+            'excerpt' => $meta['excerpt'] ?? $meta['description'] ?? null,
+            'content' => $body,
+            'status' => $status === 'publish' ? 'published' : $status,
+            'date' => $meta['date'] ?? $meta['published_at'] ?? null,
+            'category' => $meta['category'] ?? null,
+            'tags' => $meta['tags'] ?? [],
+        ], $source);
+    }
+
+    /**
+     * PARSE SIMPLE YAML FRONT-MATTER
+     * ==============================
+     *
+     * Front-matter is written by people (or static site generators), so only the
+     * simple part of YAML is needed:
+     * - `key: value`, with optional quotes and `# comments`
+     * - `key: [a, b]` inline lists
+     * - a `key:` line followed by `- item` lines
+     *
+     * @return array<string, string|array<int, string>> Keys in lower case
+     */
+    public function parseFrontMatter(string $yaml): array
+    {
+        $meta = [];
+        $listKey = null;
+
+        foreach (explode("\n", $yaml) as $line) {
+            if (trim($line) === '' || str_starts_with(ltrim($line), '#')) {
+                continue;
+            }
+
+            // "- item" belongs to the last key that had no value of its own
+            if ($listKey !== null && preg_match('/^\s*-\s*(.*)$/', $line, $item)) {
+                $meta[$listKey][] = $this->scalar($item[1]);
+                continue;
+            }
+
+            if (!preg_match('/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/', $line, $pair)) {
+                continue;
+            }
+
+            $key = strtolower($pair[1]);
+            $value = preg_match('/^["\']/', $pair[2]) ? trim($pair[2]) : $this->scalar($pair[2]); // Comments off, quotes kept for `scalar()`
+            $listKey = null;
+
+            if ($value === '') {
+                $meta[$key] = [];
+                $listKey = $key;
+            } elseif (preg_match('/^\[(.*)\]$/', $value, $list)) {
+                $meta[$key] = array_values(array_filter(array_map(fn ($item) => $this->scalar($item), explode(',', $list[1])), 'strlen'));
+            } else {
+                $meta[$key] = $this->scalar($value);
+            }
+        }
+
+        return $meta;
+    }
+
+    /**
+     * One YAML value: quotes removed, trailing comment dropped
+     */
+    private function scalar(string $value): string
+    {
+        $value = trim($value);
+
+        if (preg_match('/^"((?:[^"\\\\]|\\\\.)*)"/', $value, $quoted)) {
+            return stripcslashes($quoted[1]);
+        }
+        if (preg_match("/^'((?:[^']|'')*)'/", $value, $quoted)) {
+            return str_replace("''", "'", $quoted[1]);
+        }
+
+        return trim(preg_replace('/\s+#.*$/', '', $value));
+    }
+
+    /**
+     * READ A WORDPRESS EXPORT (WXR)
+     * =============================
+     *
+     * WXR is RSS with extra namespaces: the post body is in `<content:encoded>`,
+     * WordPress data (slug, status, type) in `<wp:...>` elements.
+     * `LIBXML_NONET` stops the parser from fetching anything from the network.
+     *
+     * @throws ValidationException When the file is not a WordPress export
+     */
+    public function parseWordPress(string $xml, string $source): array
+    {
+        $previous = libxml_use_internal_errors(true);
+        $document = simplexml_load_string($xml, SimpleXMLElement::class, LIBXML_NONET | LIBXML_NOCDATA);
+        libxml_clear_errors();
+        libxml_use_internal_errors($previous);
+
+        $namespaces = $document !== false ? $document->getDocNamespaces(true) : [];
+        if ($document === false || !isset($document->channel, $namespaces['wp'])) {
+            throw ValidationException::withMessages([
+                'files' => "{$source} is not a WordPress export (WXR) file.",
+            ]);
+        }
+
+        $items = [];
+        foreach ($document->channel->item as $item) {
+            $wp = $item->children($namespaces['wp']);
+            $status = self::WORDPRESS_STATUSES[(string) $wp->status] ?? null;
+
+            if ((string) $wp->post_type !== 'post' || $status === null) {
+                continue;
+            }
+
+            $tags = [];
+            $category = null;
+            foreach ($item->category as $term) {
+                if ((string) $term['domain'] === 'post_tag') {
+                    $tags[] = (string) $term;
+                } elseif ((string) $term['domain'] === 'category' && $category === null && (string) $term !== 'Uncategorized') {
+                    $category = (string) $term; // Posts here have one category: the first one wins
+                }
+            }
+
+            // `post_date_gmt` is empty for drafts; `post_date` is in the site's time zone
+            $gmt = (string) $wp->post_date_gmt;
+            $date = $gmt !== '' && !str_starts_with($gmt, '0000')
+                ? "{$gmt} UTC"
+                : ((string) $wp->post_date ?: null);
+
+            $items[] = $this->normalize([
+                'title' => (string) $item->title,
+                'slug' => urldecode((string) $wp->post_name),
+                'excerpt' => isset($namespaces['excerpt']) ? strip_tags((string) $item->children($namespaces['excerpt'])->encoded) : null,
+                'content' => preg_replace('/<!--\s*\/?wp:.*?-->\n?/s', '', (string) $item->children($namespaces['content'])->encoded), // Block editor markers
+                'status' => $status,
+                // Unpublished posts only have a creation date, which would read as a publish date
+                'date' => in_array($status, [BlogPost::STATUS_DRAFT, BlogPost::STATUS_IN_REVIEW], true) ? null : $date,
+                'category' => $category,
+                'tags' => $tags,
+            ], $source);
+        }
+
+        return $items;
+    }
+
+    /**
+     * ONE ITEM, READY FOR THE PREVIEW AND THE JOB
+     * ===========================================
+     *
+     * Same limits as the editor's validation (`BlogPostController::store()`).
+     * Items with `problems` are shown in the preview and skipped by the import.
+     */
+    public function normalize(array $data, string $source): array
+    {
+        $problems = [];
+        $title = Str::limit(Str::squish((string) ($data['title'] ?? '')), 255, '');
+        $content = trim((string) ($data['content'] ?? ''));
+
+        if ($title === '') {
+            $problems[] = 'No title';
+        }
+        if ($content === '') {
+            $problems[] = 'No content';
+        }
+
+        $publishedAt = null;
+        if (!empty($data['date'])) {
+            try {
+                $publishedAt = Carbon::parse($data['date'])->toIso8601String();
+            } catch (Throwable) {
+                $problems[] = "Unreadable date \"{$data['date']}\"";
+            }
+        }
+
+        $status = in_array($data['status'] ?? null, BlogPost::STATUSES, true) ? $data['status'] : BlogPost::STATUS_DRAFT;
+        $tags = collect((array) ($data['tags'] ?? []))
+            ->map(fn ($tag) => Str::limit(Str::squish((string) $tag), Tag::MAX_LENGTH, ''))
+            ->filter()
+            ->unique()
+            ->take(Tag::MAX_PER_POST)
+            ->values()
+            ->all();
+
+        return [
+            'title' => $title,
+            'slug' => Str::slug(Str::limit((string) ($data['slug'] ?? '') ?: $title, 255, '')),
+            'excerpt' => filled($data['excerpt'] ?? null) ? Str::limit(Str::squish($data['excerpt']), 500, '') : null,
+            'content' => $content === '' ? '' : $this->sanitizer->clean($content),
+            'status' => $status,
+            'published_at' => $publishedAt,
+            'category' => filled($data['category'] ?? null) ? Str::limit(Str::squish($data['category']), Category::MAX_LENGTH, '') : null,
+            'tags' => $tags,
+            'source' => $source,
+            'problems' => $problems,
+        ];
+    }
+
+    /**
+     * FIND SLUG CONFLICTS
+     * ===================
+     *
+     * A slug is taken when an existing post (even one in the trash) has it,
+     * or when an earlier item of the same import wants it. `setSlugAttribute`
+     * would quietly rename such posts to `my-post-2`; the preview shows it first.
+     *
+     * @return array<int, array> The items, each with `conflict`: `existing`, `duplicate` or `null`
+     */
+    public function withConflicts(array $items): array
+    {
+        $existing = BlogPost::withTrashed()
+            ->whereIn('slug', array_column($items, 'slug'))
+            ->pluck('slug')
+            ->flip();
+
+        $seen = [];
+
+        return array_map(function (array $item) use ($existing, &$seen) {
+            $item['conflict'] = match (true) {
+                isset($existing[$item['slug']]) => 'existing',
+                isset($seen[$item['slug']]) => 'duplicate',
+                default => null,
+            };
+            $seen[$item['slug']] = true;
+
+            return $item;
+        }, $items);
+    }
+
+    /**
+     * CREATE ONE POST FROM AN ITEM
+     * ============================
+     *
+     * Like `BlogPostController::store()`: the post belongs to `$user`, gets its
+     * category and tags, a first revision and status change. A historical date
+     * also becomes `created_at`, so imported posts sort among the others by their
+     * real age. Authors may not publish, so their "published" items are
+     * submitted for review instead (see `BlogPost::STATUSES`).
+     *
+     * @param  string  $onConflict  `rename` or `skip` (see `PostImport::CONFLICT_STRATEGIES`)
+     * @return array{result: string, slug: string|null, message: string|null}
+     *         `result` is `created`, `renamed` or `skipped`
+     */
+    public function create(array $item, User $user, string $onConflict): array
+    {
+        if (!empty($item['problems'])) {
+            return ['result' => 'skipped', 'slug' => null, 'message' => implode(', ', $item['problems'])];
+        }
+
+        if ($onConflict === 'skip' && BlogPost::withTrashed()->where('slug', $item['slug'])->exists()) {
+            return ['result' => 'skipped', 'slug' => null, 'message' => "The slug \"{$item['slug']}\" is already taken"];
+        }
+
+        $publishedAt = $item['published_at'] ? Carbon::parse($item['published_at']) : null;
+        $status = $item['status'] === BlogPost::STATUS_PUBLISHED && $user->cannot('publish', BlogPost::class)
+            ? BlogPost::STATUS_IN_REVIEW
+            : $item['status'];
+
+        // `published_at` before `status`: the status mutator fills in "now" only when no date is set
+        $post = new BlogPost([
+            'title' => $item['title'],
+            'content' => $item['content'],
+            'excerpt' => $item['excerpt'],
+            'published_at' => $publishedAt,
+            'status' => $status,
+        ]);
+        $post->user_id = $user->id;
+        $post->slug = $item['slug']; // Renamed by `setSlugAttribute` when taken
+        $post->category()->associate(Category::findOrCreateByName($item['category']));
+
+        if ($publishedAt?->isPast()) {
+            $post->created_at = $publishedAt;
+        }
+
+        $post->save();
+        $post->syncTagNames($item['tags']);
+        $post->recordRevision($user);
+        $post->recordStatusChange($user);
+
+        return [
+            'result' => $post->slug === $item['slug'] ? 'created' : 'renamed',
+            'slug' => $post->slug,
+            'message' => $post->slug === $item['slug'] ? null : "Saved as \"{$post->slug}\"",
+        ];
+    }
+}
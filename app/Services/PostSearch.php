@@ -0,0 +1,267 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\BlogPost;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Str;
+
+/**
+ * POST SEARCH - FULL-TEXT SEARCH WITH SQLITE FTS5
+ * ===============================================
+ *
+ * Keeps the `blog_posts_fts` index in sync with the posts and turns what a
+ * reader types into a ranked full-text query.
+ *
+ * SEARCH SYNTAX (what readers can type):
+ * - `svelte runes`         → posts containing both words (word stems match: "rune" finds "runes")
+ * - `"route model binding"` → the exact phrase
+ * - `laravel -livewire`     → posts about Laravel that do not mention Livewire
+ * - `-"vue 2"`              → exclude a phrase
+ * The last bare word also matches as a prefix ("lara" finds "Laravel"), which
+ * makes search-as-you-type feel natural.
+ *
+ * RESULTS:
+ * Matching posts are ordered by relevance (BM25: a match in the title counts
+ * more than one in the body) and get two extra attributes, `search_title` and
+ * `search_snippet`, in which matches are wrapped in `HIGHLIGHT_START` /
+ * `HIGHLIGHT_END`. These are control characters rather than `<mark>` tags, so
+ * the frontend can highlight without ever rendering post text as HTML
+ * (see `splitHighlights()` in `resources/js/Utils/helpers.js`).
+ *
+ * Databases other than SQLite have no FTS5; there the same syntax is applied
+ * with `LIKE` (no ranking, no snippets).
+ *
+ * USAGE:
+ * app(PostSearch::class)->apply(BlogPost::published(), 'laravel -"vue 2"')->paginate(10);
+ */
+class PostSearch
+{
+    public const TABLE = 'blog_posts_fts';
+
+    public const HIGHLIGHT_START = "\u{2}";
+    public const HIGHLIGHT_END = "\u{3}";
+
+    /**
+     * RELEVANCE WEIGHTS PER COLUMN (title, excerpt, content)
+     */
+    private const WEIGHTS = [10.0, 5.0, 1.0];
+
+    /**
+     * Whether the FTS5 index exists on the current database connection
+     */
+    public function isAvailable(): bool
+    {
+        return DB::getDriverName() === 'sqlite';
+    }
+
+    // =======================================================================
+    // KEEPING THE INDEX IN SYNC
+    // =======================================================================
+
+    /**
+     * ADD OR REFRESH A POST IN THE INDEX
+     * ==================================
+     *
+     * Called from `BlogPost`'s `saved` event. FTS5 tables cannot be updated in
+     * place reliably, so the old row is deleted and a new one inserted.
+     */
+    public function index(BlogPost $post): void
+    {
+        if (!$this->isAvailable()) {
+            return;
+        }
+
+        DB::transaction(function () use ($post) {
+            $this->remove($post);
+
+            DB::table(self::TABLE)->insert([
+                'rowid' => $post->id,
+                'title' => $post->title,
+                'excerpt' => $post->excerpt ?? '',
+                'content' => $this->plainText($post->content),
+            ]);
+        });
+    }
+
+    /**
+     * REMOVE A POST FROM THE INDEX
+     */
+    public function remove(BlogPost $post): void
+    {
+        if ($this->isAvailable()) {
+            DB::table(self::TABLE)->where('rowid', $post->id)->delete();
+        }
+    }
+
+    /**
+     * REBUILD THE WHOLE INDEX
+     * =======================
+     *
+     * Used by `php artisan posts:reindex`.
+     *
+     * @return int Number of posts indexed
+     */
+    public function rebuild(): int
+    {
+        if (!$this->isAvailable()) {
+            return 0;
+        }
+
+        DB::table(self::TABLE)->delete();
+
+        $count = 0;
+        // Only the default ordering is removed: posts in the trash stay out of the index
+        BlogPost::withoutGlobalScope('ordered')->orderBy('id')->chunk(200, function ($posts) use (&$count) {
+            foreach ($posts as $post) {
+                $this->index($post);
+                $count++;
+            }
+        });
+
+        return $count;
+    }
+
+    /**
+     * MARKDOWN TO SEARCHABLE TEXT
+     * ===========================
+     *
+     * Snippets are cut from the indexed text, so we index what a reader sees:
+     * no HTML tags, image/link URLs or Markdown symbols.
+     */
+    public function plainText(string $markdown): string
+    {
+        $text = strip_tags($markdown);
+        $text = preg_replace('/!?\[([^\]]*)\]\([^)]*\)/u', '$1', $text); // ![alt](url) and [text](url) -> text
+        $text = preg_replace('/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/mu', '', $text); // Headings, quotes, list markers
+        $text = preg_replace('/[*_`~]+/u', '', $text); // Emphasis and code markers
+
+        return Str::squish($text);
+    }
+
+    // =======================================================================
+    // SEARCHING
+    // =======================================================================
+
+    /**
+     * APPLY A SEARCH TO A POST QUERY
+     * ==============================
+     *
+     * Filters the query to matching posts and, with FTS5, orders it by relevance
+     * and selects the highlighted `search_title` and `search_snippet`.
+     */
+    public function apply(Builder $query, string $input): Builder
+    {
+        ['include' => $include, 'exclude' => $exclude] = $this->parse($input);
+
+        if (!$include && !$exclude) {
+            return $query;
+        }
+
+        if (!$this->isAvailable()) {
+            return $this->applyLike($query, $include, $exclude);
+        }
+
+        // Only exclusions ("-draft"): nothing to rank, just leave those posts out
+        if (!$include) {
+            return $query->whereNotIn('blog_posts.id', fn ($sub) => $sub
+                ->select('rowid')
+                ->from(self::TABLE)
+                ->whereRaw(self::TABLE.' MATCH ?', [implode(' OR ', array_map($this->quote(...), $exclude))]));
+        }
+
+        // Still typing the last word? Match it as a prefix (but not right after a closing quote)
+        $prefixLast = !Str::endsWith(rtrim($input), '"');
+        [$start, $end] = [self::HIGHLIGHT_START, self::HIGHLIGHT_END];
+
+        return $query
+            ->join(self::TABLE, self::TABLE.'.rowid', '=', 'blog_posts.id')
+            ->whereRaw(self::TABLE.' MATCH ?', [$this->matchExpression($include, $exclude, $prefixLast)])
+            ->select('blog_posts.*')
+            ->selectRaw('highlight('.self::TABLE.', 0, ?, ?) as search_title', [$start, $end])
+            ->selectRaw('snippet('.self::TABLE.", 2, ?, ?, '…', 24) as search_snippet", [$start, $end])
+            ->orderByRaw('bm25('.self::TABLE.', '.implode(', ', self::WEIGHTS).')');
+    }
+
+    /**
+     * SPLIT THE INPUT INTO WANTED AND UNWANTED TERMS
+     * ==============================================
+     *
+     * Each term is a list of words; more than one word means "this exact phrase".
+     * Punctuation is dropped, so nothing a reader types can break the FTS5 syntax.
+     *
+     * EXAMPLE: `laravel "model binding" -vue` →
+     *   ['include' => [['laravel'], ['model', 'binding']], 'exclude' => [['vue']]]
+     *
+     * @return array{include: array<int, array<int, string>>, exclude: array<int, array<int, string>>}
+     */
+    public function parse(string $input): array
+    {
+        $terms = ['include' => [], 'exclude' => []];
+
+        preg_match_all('/(-?)"([^"]*)"?|(-?)(\S+)/u', Str::limit($input, 200, ''), $matches, PREG_SET_ORDER);
+
+        foreach ($matches as $match) {
+            $negated = ($match[1] ?? '') === '-' || ($match[3] ?? '') === '-';
+            $text = ($match[4] ?? '') !== '' ? $match[4] : ($match[2] ?? '');
+            $words = preg_split('/[^\p{L}\p{N}]+/u', $text, -1, PREG_SPLIT_NO_EMPTY);
+
+            if ($words) {
+                $terms[$negated ? 'exclude' : 'include'][] = $words;
+            }
+        }
+
+        return $terms;
+    }
+
+    /**
+     * BUILD THE FTS5 MATCH EXPRESSION
+     * ===============================
+     *
+     * `[['laravel'], ['model', 'binding']]` and `[['vue']]` become
+     * `"laravel" AND "model binding"* NOT ("vue")`.
+     */
+    private function matchExpression(array $include, array $exclude, bool $prefixLast): string
+    {
+        $phrases = array_map($this->quote(...), $include);
+
+        if ($prefixLast) {
+            $phrases[count($phrases) - 1] .= '*';
+        }
+
+        $expression = implode(' AND ', $phrases);
+
+        if ($exclude) {
+            $expression .= ' NOT ('.implode(' OR ', array_map($this->quote(...), $exclude)).')';
+        }
+
+        return $expression;
+    }
+
+    /**
+     * Quoting makes FTS5 treat a term as plain words, never as operators
+     */
+    private function quote(array $words): string
+    {
+        return '"'.implode(' ', $words).'"';
+    }
+
+    /**
+     * FALLBACK FOR DATABASES WITHOUT FTS5
+     */
+    private function applyLike(Builder $query, array $include, array $exclude): Builder
+    {
+        foreach ([...$include, ...$exclude] as $index => $words) {
+            $pattern = '%'.implode(' ', $words).'%';
+            $method = $index < count($include) ? 'where' : 'whereNot';
+
+            $query->{$method}(fn (Builder $q) => $q
+                ->where('title', 'like', $pattern)
+                ->orWhere('excerpt', 'like', $pattern)
+                ->orWhere('content', 'like', $pattern));
+        }
+
+        return $query;
+    }
+}
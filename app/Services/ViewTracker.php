@@ -0,0 +1,115 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\BlogPost;
+use App\Models\PostView;
+use Illuminate\Http\Request;
+use Illuminate\Support\Str;
+
+/**
+ * VIEW TRACKER - COUNT READERS WITHOUT TRACKING PEOPLE
+ * ====================================================
+ *
+ * Records one `PostView` when a reader opens a published post. The rules keep
+ * the numbers honest and the readers anonymous:
+ *
+ * - **Once per session**: Reloading or coming back to a post in the same
+ *   browser session is not a new view. The session (not the database) remembers
+ *   which posts were seen, so nothing links a view to a person.
+ * - **No bots**: Crawlers, link previews and scripts are recognised by their
+ *   user agent (`BOT_PATTERN`) and not counted.
+ * - **No author views**: Authors checking their own post do not count.
+ * - **No prefetches**: Inertia can load a page before a link is clicked; only
+ *   real visits count.
+ * - **No personal data**: No IP, no user agent, no user id. Only the referring
+ *   *domain* is kept, and only for links from other sites.
+ *
+ * USAGE (in `BlogPostController::show()`):
+ * 'viewToken' => fn () => $tracker->record($request, $post)
+ *
+ * The returned token goes to the page, whose scroll beacon reports the read depth
+ * with it (`PATCH /views/{token}`, see `PostViewController`).
+ */
+class ViewTracker
+{
+    /**
+     * USER AGENTS THAT ARE NOT READERS
+     * ================================
+     *
+     * Search engine crawlers, social media link previews, monitoring tools and
+     * HTTP libraries. Requests without a user agent are treated the same way.
+     */
+    public const BOT_PATTERN = '/bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|curl|wget|python|java\/|go-http-client|okhttp|httpclient|feedfetcher|feed reader/i';
+
+    private const SESSION_KEY = 'post_views';
+
+    /**
+     * RECORD A VIEW
+     * =============
+     *
+     * @return string|null The view's token for the read-depth beacon; `null` when nothing was counted
+     */
+    public function record(Request $request, BlogPost $post): ?string
+    {
+        if (!$post->is_published || $this->isBot($request) || $this->isPrefetch($request)) {
+            return null;
+        }
+
+        if ($request->user()?->id === $post->user_id) {
+            return null;
+        }
+
+        // Seen in this session already: keep reporting to the same view
+        $token = $request->session()->get(self::SESSION_KEY.'.'.$post->id);
+        if ($token && PostView::where('token', $token)->exists()) {
+            return $token;
+        }
+
+        $view = new PostView();
+        $view->blog_post_id = $post->id;
+        $view->token = Str::random(40);
+        $view->referrer_host = $this->referrerHost($request);
+        $view->save();
+
+        $request->session()->put(self::SESSION_KEY.'.'.$post->id, $view->token);
+
+        return $view->token;
+    }
+
+    /**
+     * Is the request from a crawler or script rather than a reader?
+     */
+    public function isBot(Request $request): bool
+    {
+        $agent = (string) $request->userAgent();
+
+        return $agent === '' || preg_match(self::BOT_PATTERN, $agent) === 1;
+    }
+
+    /**
+     * Browsers and Inertia announce prefetches with a `Purpose` header
+     */
+    private function isPrefetch(Request $request): bool
+    {
+        return str_contains(strtolower($request->header('Purpose', '').$request->header('Sec-Purpose', '')), 'prefetch');
+    }
+
+    /**
+     * THE REFERRING DOMAIN
+     * ====================
+     *
+     * `https://www.reddit.com/r/laravel/comments/...` becomes `reddit.com`.
+     * Links from this site itself (and direct visits) give `null`.
+     */
+    private function referrerHost(Request $request): ?string
+    {
+        $host = parse_url((string) $request->headers->get('referer'), PHP_URL_HOST);
+
+        if (!is_string($host) || $host === '' || strcasecmp($host, $request->getHost()) === 0) {
+            return null;
+        }
+
+        return Str::limit(preg_replace('/^www\./', '', strtolower($host)), 255, '');
+    }
+}
@@ -19,6 +19,7 @@
 use Illuminate\Foundation\Configuration\Exceptions;
 use Illuminate\Foundation\Configuration\Middleware;
 use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+use Illuminate\Http\Exceptions\ThrottleRequestsException;
 use Illuminate\Http\Request;
 use Inertia\Inertia;
 
@@ -65,6 +66,16 @@
          * to this group so it runs on every page request.
          */
         $middleware->web(append: [
+            /**
+             * LOCALE MIDDLEWARE - THE INTERFACE LANGUAGE
+             * =========================================
+             * 
+             * Sets the language for this request (switcher choice, then the
+             * browser's preference). It runs before Inertia's middleware, so
+             * the shared `locale` prop is already the right one.
+             */
+            \App\Http\Middleware\SetLocale::class,
+
             /**
              * INERTIA MIDDLEWARE - THE BRIDGE TO SVELTE
              * ========================================
@@ -102,6 +113,27 @@
         // All authentication middleware use Laravel's built-in aliases
     })
     ->withExceptions(function (Exceptions $exceptions) {
+        /**
+         * RATE LIMITS ON INERTIA FORMS
+         * ============================
+         * 
+         * A `throttle` middleware answers "429 Too Many Requests". For a form sent
+         * by Inertia (e.g. a comment), a plain error page would open in a modal, so
+         * we send the reader back with an error the form can show instead.
+         * 
+         * Every form posting to a throttled route must show `errors.throttle`:
+         * comments, "Forgot password" and "Export my data" do.
+         */
+        $exceptions->render(function (ThrottleRequestsException $e, Request $request) {
+            if ($request->header('X-Inertia') && !$request->isMethod('GET')) {
+                $seconds = $e->getHeaders()['Retry-After'] ?? 60;
+
+                return back()->withErrors([
+                    'throttle' => "You are doing that too often. Please try again in {$seconds} seconds.",
+                ]);
+            }
+        });
+
         /**
          * GLOBAL EXCEPTION HANDLING FOR MODEL NOT FOUND
          * ============================================
@@ -113,10 +145,8 @@
          * and no blog post with that slug exists.
          */
         $exceptions->render(function (NotFoundHttpException $e, Request $request) {
-            // 404 page for blog post not found
+            // 404 page for blog post not found (the wording is in the page's language catalogs)
             return Inertia::render('Errors/PostNotFound', [
-                'title' => 'Blog Post Not Found',
-                'message' => 'The blog post you are looking for does not exist or may have been removed.',
                 'suggestions' => \App\Models\BlogPost::published()
                     ->latest()
                     ->take(3)
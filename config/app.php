@@ -84,6 +84,23 @@
 
     'faker_locale' => env('APP_FAKER_LOCALE', 'en_US'),
 
+    /*
+    |--------------------------------------------------------------------------
+    | Interface Languages
+    |--------------------------------------------------------------------------
+    |
+    | The languages a visitor can pick in the footer, each with its name in
+    | that language. Every locale here needs a catalog in resources/js/Lang
+    | (see resources/js/Utils/i18n.svelte.js). The `SetLocale` middleware
+    | only accepts these.
+    |
+    */
+
+    'locales' => [
+        'en' => 'English',
+        'es' => 'Español',
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Encryption Key
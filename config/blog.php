@@ -0,0 +1,38 @@
+<?php
+
+/**
+ * BLOG SETTINGS
+ * =============
+ *
+ * Options of the blog itself (as opposed to the framework settings in the
+ * other files of this folder). Read them with `config('blog.trash_days')`.
+ */
+return [
+
+    /*
+    |--------------------------------------------------------------------------
+    | Trash Retention
+    |--------------------------------------------------------------------------
+    |
+    | Deleted posts stay in the trash (`/manage-posts/trash`) for this many
+    | days, then `php artisan model:prune` removes them for good. Use 0 to
+    | keep them until they are deleted by hand.
+    |
+    */
+
+    'trash_days' => (int) env('BLOG_TRASH_DAYS', 30),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Data Export Link Lifetime
+    |--------------------------------------------------------------------------
+    |
+    | "Export my data" archives can be downloaded for this many hours after
+    | they are ready. Then the signed link stops working and
+    | `php artisan model:prune` deletes the file.
+    |
+    */
+
+    'export_hours' => (int) env('BLOG_EXPORT_HOURS', 24),
+
+];
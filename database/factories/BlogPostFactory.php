@@ -0,0 +1,47 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\BlogPost>
+ */
+class BlogPostFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'user_id' => User::factory(),
+            'title' => fake()->sentence(),
+            'content' => fake()->paragraph(),
+            'status' => BlogPost::STATUS_DRAFT,
+        ];
+    }
+
+    /**
+     * Publish the post a day ago: `BlogPost::factory()->published()`.
+     */
+    public function published(): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'status' => BlogPost::STATUS_PUBLISHED,
+            'published_at' => now()->subDay(),
+        ]);
+    }
+
+    /**
+     * Tag the post once it is saved: `BlogPost::factory()->withTags(['Laravel'])`.
+     */
+    public function withTags(array $names): static
+    {
+        return $this->afterCreating(fn (BlogPost $post) => $post->syncTagNames($names));
+    }
+}
@@ -2,6 +2,7 @@
 
 namespace Database\Factories;
 
+use App\Models\User;
 use Illuminate\Database\Eloquent\Factories\Factory;
 use Illuminate\Support\Facades\Hash;
 use Illuminate\Support\Str;
@@ -29,9 +30,36 @@ public function definition(): array
             'email_verified_at' => now(),
             'password' => static::$password ??= Hash::make('password'),
             'remember_token' => Str::random(10),
+            'theme' => 'system',
+            'role' => User::ROLE_AUTHOR,
         ];
     }
 
+    /**
+     * Give the user a role: `User::factory()->role(User::ROLE_EDITOR)`.
+     */
+    public function role(string $role): static
+    {
+        return $this->state(fn (array $attributes) => [
+            'role' => $role,
+        ]);
+    }
+
+    public function admin(): static
+    {
+        return $this->role(User::ROLE_ADMIN);
+    }
+
+    public function editor(): static
+    {
+        return $this->role(User::ROLE_EDITOR);
+    }
+
+    public function reader(): static
+    {
+        return $this->role(User::ROLE_READER);
+    }
+
     /**
      * Indicate that the model's email address should be unverified.
      */
@@ -0,0 +1,79 @@
+<?php
+
+/**
+ * POST DRAFTS DATABASE MIGRATION - AUTOSAVED WORK IN PROGRESS
+ * ===========================================================
+ *
+ * The post editor autosaves unsaved changes every few seconds. They are kept
+ * in the browser (localStorage) *and* in this table, so an author can pick up
+ * where they left off after a crash, a closed tab or on another device.
+ *
+ * A draft is NOT a post: the real `blog_posts` row only changes when the
+ * author clicks "Update Post". Each author has at most one draft per post.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - JSON columns for storing a whole form in one field
+ * - Composite unique indexes (one row per post + user)
+ * - Cascading deletes across two foreign keys
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLE - POST DRAFTS
+     * ==========================
+     */
+    public function up(): void
+    {
+        Schema::create('post_drafts', function (Blueprint $table) {
+            $table->id();
+
+            // The post being edited (drafts disappear together with the post)
+            $table->foreignId('blog_post_id')
+                  ->constrained()
+                  ->onDelete('cascade');
+
+            // The author who owns this draft
+            $table->foreignId('user_id')
+                  ->constrained()
+                  ->onDelete('cascade');
+
+            /**
+             * PAYLOAD - THE UNSAVED FORM VALUES
+             * =================================
+             *
+             * Title, slug, content, excerpt, status and SEO fields exactly as they
+             * were in the editor. Stored as JSON so new form fields need no migration.
+             */
+            $table->json('payload');
+
+            /**
+             * BASE VERSION - CONFLICT DETECTION
+             * =================================
+             *
+             * The post's `updated_at` at the moment editing started. If the post's
+             * current `updated_at` is newer, someone saved it elsewhere in the
+             * meantime and restoring this draft would overwrite their changes.
+             */
+            $table->timestamp('base_updated_at')->nullable();
+
+            $table->timestamps(); // `updated_at` = when the draft was last autosaved
+
+            // One draft per author per post
+            $table->unique(['blog_post_id', 'user_id']);
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE TABLE
+     * =========================
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('post_drafts');
+    }
+};
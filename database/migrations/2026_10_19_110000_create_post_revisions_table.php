@@ -0,0 +1,72 @@
+<?php
+
+/**
+ * POST REVISIONS DATABASE MIGRATION - A HISTORY OF EVERY EDIT
+ * ===========================================================
+ *
+ * Updating a post overwrites its row in `blog_posts`. To be able to see what
+ * changed (and undo a bad edit), every saved version is also copied into this
+ * table. Rows here are never updated, only added: an append-only history.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Snapshot tables (copying a row's columns at a moment in time)
+ * - Nullable foreign keys with `nullOnDelete()` (keep history if a user leaves)
+ * - Indexes that match the most common query (a post's revisions, newest first)
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLE - POST REVISIONS
+     * =============================
+     */
+    public function up(): void
+    {
+        Schema::create('post_revisions', function (Blueprint $table) {
+            $table->id();
+
+            // The post this is a version of (history is removed together with the post)
+            $table->foreignId('blog_post_id')
+                  ->constrained()
+                  ->onDelete('cascade');
+
+            // Who made this edit (kept as "unknown" if that account is deleted)
+            $table->foreignId('user_id')
+                  ->nullable()
+                  ->constrained()
+                  ->nullOnDelete();
+
+            /**
+             * SNAPSHOT OF THE POST
+             * ====================
+             *
+             * The same columns as `blog_posts`, copied at the moment of the edit.
+             */
+            $table->string('title');
+            $table->string('slug');
+            $table->text('content');
+            $table->text('excerpt')->nullable();
+            $table->string('status');
+            $table->string('featured_image')->nullable();
+            $table->string('meta_title')->nullable();
+            $table->text('meta_description')->nullable();
+
+            $table->timestamps(); // `created_at` = when this version was saved
+
+            $table->index(['blog_post_id', 'created_at']);
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE TABLE
+     * =========================
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('post_revisions');
+    }
+};
@@ -0,0 +1,72 @@
+<?php
+
+/**
+ * MEDIA DATABASE MIGRATION - UPLOADED IMAGES AND THEIR VARIANTS
+ * =============================================================
+ *
+ * Every image uploaded by an author gets one row here. The original file and
+ * its resized copies ("variants") live on the `public` disk
+ * (`storage/app/public`, served from `/storage` after `php artisan storage:link`).
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Storing file *metadata* in the database and the bytes on a disk
+ * - JSON columns for small, variable lists (the generated variants)
+ * - Unique indexes on file paths (a path can only belong to one upload)
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLE - MEDIA
+     * ====================
+     */
+    public function up(): void
+    {
+        Schema::create('media', function (Blueprint $table) {
+            $table->id();
+
+            // Who uploaded the image (their uploads are removed with their account)
+            $table->foreignId('user_id')
+                  ->constrained()
+                  ->onDelete('cascade');
+
+            /**
+             * WHERE THE FILE LIVES
+             * ====================
+             *
+             * `path` is relative to the disk root, e.g. "images/2026/10/9b1d...c2.webp".
+             * Posts refer to an upload by this path (`blog_posts.featured_image`).
+             */
+            $table->string('disk')->default('public');
+            $table->string('path')->unique();
+
+            /**
+             * FILE DETAILS
+             * ============
+             */
+            $table->string('original_name');
+            $table->string('mime_type');
+            $table->unsignedBigInteger('size');          // Bytes
+            $table->unsignedInteger('width');            // Pixels
+            $table->unsignedInteger('height');           // Pixels
+
+            // Resized copies for `srcset`: [{"width": 480, "path": "images/...-480w.webp"}, ...]
+            $table->json('variants')->nullable();
+
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE TABLE
+     * =========================
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('media');
+    }
+};
@@ -0,0 +1,60 @@
+<?php
+
+/**
+ * CATEGORIES DATABASE MIGRATION - ONE SECTION OF THE BLOG PER POST
+ * ================================================================
+ *
+ * Categories are the broad sections of the blog ("Tutorials", "News"). Every
+ * post belongs to at most one category, so `blog_posts` gets a `category_id`
+ * column pointing here. Each category has its own archive page at
+ * `/categories/{slug}`.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - One-to-many relationships (one category, many posts)
+ * - Unique slugs for clean archive URLs
+ * - `nullOnDelete()`: deleting a category leaves its posts uncategorized
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLE - CATEGORIES (AND LINK POSTS TO THEM)
+     * ==================================================
+     */
+    public function up(): void
+    {
+        Schema::create('categories', function (Blueprint $table) {
+            $table->id();
+            $table->string('name', 50);
+            $table->string('slug', 60)->unique(); // Used in `/categories/{slug}`
+            $table->string('description', 255)->nullable(); // Shown on the archive page
+            $table->timestamps();
+        });
+
+        Schema::table('blog_posts', function (Blueprint $table) {
+            // A post without a category is simply "uncategorized"
+            $table->foreignId('category_id')
+                  ->nullable()
+                  ->after('user_id')
+                  ->constrained()
+                  ->nullOnDelete();
+        });
+    }
+
+    /**
+     * ROLLBACK - REMOVE THE COLUMN, THEN THE TABLE
+     * ============================================
+     */
+    public function down(): void
+    {
+        Schema::table('blog_posts', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('category_id');
+        });
+
+        Schema::dropIfExists('categories');
+    }
+};
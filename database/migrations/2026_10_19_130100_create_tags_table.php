@@ -0,0 +1,55 @@
+<?php
+
+/**
+ * TAGS DATABASE MIGRATION - FREE-FORM KEYWORDS FOR POSTS
+ * ======================================================
+ *
+ * A post can have many tags ("laravel", "svelte", "testing") and a tag can be
+ * used by many posts: a many-to-many relationship. Relational databases model
+ * that with a third "pivot" table holding one row per (post, tag) pair.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Many-to-many relationships and pivot tables
+ * - Pivot naming convention: both singular table names, alphabetical (`blog_post_tag`)
+ * - Composite primary keys (a post cannot have the same tag twice)
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLES - TAGS AND THE POST/TAG PIVOT
+     * ===========================================
+     */
+    public function up(): void
+    {
+        Schema::create('tags', function (Blueprint $table) {
+            $table->id();
+            $table->string('name', 30);
+            $table->string('slug', 40)->unique(); // Used in `/tags/{slug}`
+            $table->timestamps();
+        });
+
+        Schema::create('blog_post_tag', function (Blueprint $table) {
+            // Rows disappear together with the post or the tag they connect
+            $table->foreignId('blog_post_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('tag_id')->constrained()->cascadeOnDelete();
+
+            $table->primary(['blog_post_id', 'tag_id']);
+            $table->index('tag_id'); // Tag archive pages look posts up by tag
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE PIVOT FIRST (IT REFERENCES `tags`)
+     * =====================================================
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('blog_post_tag');
+        Schema::dropIfExists('tags');
+    }
+};
@@ -0,0 +1,53 @@
+<?php
+
+/**
+ * FULL-TEXT SEARCH INDEX MIGRATION - SQLITE FTS5
+ * ==============================================
+ *
+ * `LIKE '%term%'` scans every post, cannot rank results and only finds the exact
+ * characters typed. SQLite ships with FTS5, a full-text search engine: a
+ * "virtual table" that stores an inverted index (word -> posts containing it),
+ * ranks matches with the BM25 algorithm and can cut highlighted snippets.
+ *
+ * The index is a separate table whose `rowid` is the post id. It is kept in sync
+ * by `App\Services\PostSearch` whenever a post is saved or deleted.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Virtual tables (`CREATE VIRTUAL TABLE ... USING fts5`)
+ * - Tokenizers: `porter` reduces words to their stem ("running" -> "run"),
+ *   `unicode61 remove_diacritics 2` lowercases and ignores accents ("café" = "cafe")
+ * - Database-specific migrations (other databases fall back to `LIKE` search)
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Support\Facades\DB;
+
+return new class extends Migration
+{
+    /**
+     * CREATE THE INDEX AND FILL IT WITH THE EXISTING POSTS
+     * ====================================================
+     */
+    public function up(): void
+    {
+        if (DB::getDriverName() !== 'sqlite') {
+            return; // FTS5 is SQLite-only; `PostSearch` uses LIKE on other databases
+        }
+
+        DB::statement("CREATE VIRTUAL TABLE blog_posts_fts USING fts5(title, excerpt, content, tokenize = 'porter unicode61 remove_diacritics 2')");
+
+        // Raw Markdown for now; `php artisan posts:reindex` stores the cleaned-up text
+        DB::statement("INSERT INTO blog_posts_fts (rowid, title, excerpt, content) SELECT id, title, COALESCE(excerpt, ''), content FROM blog_posts");
+    }
+
+    /**
+     * ROLLBACK - DROP THE INDEX
+     * =========================
+     */
+    public function down(): void
+    {
+        if (DB::getDriverName() === 'sqlite') {
+            DB::statement('DROP TABLE IF EXISTS blog_posts_fts');
+        }
+    }
+};
@@ -0,0 +1,81 @@
+<?php
+
+/**
+ * COMMENTS DATABASE MIGRATION - READERS RESPONDING TO POSTS
+ * =========================================================
+ *
+ * Logged-in readers can comment on a published post and reply to each other.
+ * Replies point at the comment they answer (`parent_id`), which turns the flat
+ * table into a tree: a *threaded* discussion.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Self-referencing foreign keys (`parent_id` -> `comments.id`)
+ * - Cascading deletes through a tree (deleting a comment removes its replies)
+ * - A `status` column for moderation (approved, pending, hidden)
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLE - COMMENTS
+     * =======================
+     */
+    public function up(): void
+    {
+        Schema::create('comments', function (Blueprint $table) {
+            $table->id();
+
+            // The post being discussed (comments are removed together with the post)
+            $table->foreignId('blog_post_id')
+                  ->constrained()
+                  ->cascadeOnDelete();
+
+            // Who wrote it (a deleted account takes its comments with it)
+            $table->foreignId('user_id')
+                  ->constrained()
+                  ->cascadeOnDelete();
+
+            // The comment this one replies to; `null` for top-level comments
+            $table->foreignId('parent_id')
+                  ->nullable()
+                  ->constrained('comments')
+                  ->cascadeOnDelete();
+
+            // 0 = top-level comment, 1 = reply, 2 = reply to a reply (see `Comment::MAX_DEPTH`)
+            $table->unsignedTinyInteger('depth')->default(0);
+
+            $table->text('body');
+
+            /**
+             * MODERATION
+             * ==========
+             *
+             * - `approved`: visible to everyone
+             * - `pending`:  held by the spam filter until the post's author approves it
+             * - `hidden`:   removed from view by the post's author (kept, can be approved again)
+             */
+            $table->string('status', 20)->default('approved');
+
+            // Why the spam filter held the comment, shown in the moderation queue
+            $table->json('spam_reasons')->nullable();
+
+            $table->timestamp('edited_at')->nullable();
+            $table->timestamps();
+
+            $table->index(['blog_post_id', 'status', 'created_at']);
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE TABLE
+     * =========================
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('comments');
+    }
+};
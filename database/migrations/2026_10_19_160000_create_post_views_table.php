@@ -0,0 +1,64 @@
+<?php
+
+/**
+ * POST VIEWS DATABASE MIGRATION - PRIVACY-FRIENDLY READ COUNTING
+ * ==============================================================
+ *
+ * One row per reader visit to a post, so authors can see how many people
+ * read a post, where they came from and how far they scrolled.
+ *
+ * WHAT IS *NOT* STORED:
+ * No IP address, no user agent and no user id. A visit cannot be traced back to
+ * a person: deduplication happens in the reader's session (see `ViewTracker`),
+ * and the referrer is reduced to its domain (`news.ycombinator.com`).
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Data minimisation: only store what the report needs
+ * - A random `token` so the browser can update its own row later (read depth)
+ * - Indexes that match the report queries (per post, per day)
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLE - POST VIEWS
+     * =========================
+     */
+    public function up(): void
+    {
+        Schema::create('post_views', function (Blueprint $table) {
+            $table->id();
+
+            // The post that was read (its statistics go with it)
+            $table->foreignId('blog_post_id')
+                  ->constrained()
+                  ->cascadeOnDelete();
+
+            // Random id handed to the page; the scroll beacon reports back with it
+            $table->string('token', 40)->unique();
+
+            // Domain of the page that linked here; `null` for direct visits and internal links
+            $table->string('referrer_host')->nullable();
+
+            // How far down the post the reader scrolled, 0-100 (%)
+            $table->unsignedTinyInteger('read_depth')->default(0);
+
+            $table->timestamps();
+
+            $table->index(['blog_post_id', 'created_at']);
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE TABLE
+     * =========================
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('post_views');
+    }
+};
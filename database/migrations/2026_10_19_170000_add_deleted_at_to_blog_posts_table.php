@@ -0,0 +1,48 @@
+<?php
+
+/**
+ * BLOG POSTS TRASH MIGRATION - SOFT DELETES
+ * =========================================
+ *
+ * Deleting a post used to remove it for good. With a `deleted_at` column,
+ * Eloquent's `SoftDeletes` trait only marks the post as deleted, so the author
+ * can restore it from the trash (`/manage-posts/trash`).
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Adding a column to an existing table (`Schema::table`)
+ * - `softDeletes()`: a nullable `deleted_at` timestamp
+ * - Indexing the column the daily purge filters on
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * ADD THE `deleted_at` COLUMN
+     * ===========================
+     */
+    public function up(): void
+    {
+        Schema::table('blog_posts', function (Blueprint $table) {
+            // `null` = a normal post, a date = in the trash since then
+            $table->softDeletes()->index();
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE COLUMN
+     * ==========================
+     *
+     * Posts that are in the trash at that moment become visible again.
+     */
+    public function down(): void
+    {
+        Schema::table('blog_posts', function (Blueprint $table) {
+            $table->dropIndex(['deleted_at']);
+            $table->dropSoftDeletes();
+        });
+    }
+};
@@ -0,0 +1,71 @@
+<?php
+
+/**
+ * POST IMPORTS DATABASE MIGRATION - MOVING CONTENT INTO THE BLOG
+ * ==============================================================
+ *
+ * One row per import: the posts read from the uploaded Markdown files or
+ * WordPress export, and - once the queued job runs - its progress and results.
+ *
+ * THE LIFE OF AN IMPORT:
+ * 1. `preview`: files uploaded and parsed, the author checks the preview table
+ * 2. `queued`: the author started it; `ImportPosts` waits for a queue worker
+ * 3. `running`: posts are being created, `processed` counts up
+ * 4. `completed` (or `failed`): `results` says what happened to every post
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Storing structured data in a text column (`items`, cast to an array)
+ * - Progress counters that a page can poll while a job runs
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLE - POST IMPORTS
+     * ===========================
+     */
+    public function up(): void
+    {
+        Schema::create('post_imports', function (Blueprint $table) {
+            $table->id();
+
+            // Who imports (the new posts belong to them)
+            $table->foreignId('user_id')
+                  ->constrained()
+                  ->cascadeOnDelete();
+
+            // preview, queued, running, completed or failed
+            $table->string('status', 20)->default('preview');
+
+            // What to do when a slug is taken: `rename` (my-post-2) or `skip`
+            $table->string('on_conflict', 10)->default('rename');
+
+            // Uploaded file names, for the list of imports
+            $table->string('source');
+
+            // The parsed posts (title, slug, content, tags...), see `PostImporter`
+            $table->longText('items');
+
+            // Progress and outcome, filled in by the `ImportPosts` job
+            $table->unsignedInteger('total')->default(0);
+            $table->unsignedInteger('processed')->default(0);
+            $table->json('results')->nullable();
+            $table->timestamp('finished_at')->nullable();
+
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE TABLE
+     * =========================
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('post_imports');
+    }
+};
@@ -0,0 +1,66 @@
+<?php
+
+/**
+ * DATA EXPORTS DATABASE MIGRATION - TAKING YOUR CONTENT WITH YOU
+ * ==============================================================
+ *
+ * One row per "Export my data" request: a ZIP with every post as Markdown,
+ * the uploaded images and a JSON manifest of the profile. The `ExportUserData`
+ * job builds the file; the profile page offers it through a signed link.
+ *
+ * THE LIFE OF AN EXPORT:
+ * 1. `queued`: requested on the profile page, waiting for a queue worker
+ * 2. `running`: the job is writing the ZIP
+ * 3. `completed` (or `failed`): `path` points at the file until `expires_at`
+ * 4. After `expires_at`, `php artisan model:prune` deletes the row and the file
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Keeping generated files on the private disk, never under `public/`
+ * - An expiry column that both the signed link and pruning rely on
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLE - DATA EXPORTS
+     * ===========================
+     */
+    public function up(): void
+    {
+        Schema::create('data_exports', function (Blueprint $table) {
+            $table->id();
+
+            // Whose data (and who may download it)
+            $table->foreignId('user_id')
+                  ->constrained()
+                  ->cascadeOnDelete();
+
+            // queued, running, completed or failed
+            $table->string('status', 20)->default('queued');
+
+            // The ZIP on the `local` (private) disk, and its size in bytes
+            $table->string('path')->nullable();
+            $table->unsignedBigInteger('size')->nullable();
+
+            $table->timestamp('finished_at')->nullable();
+
+            // The download link stops working, and the file is pruned, after this
+            $table->timestamp('expires_at')->nullable()->index();
+
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE TABLE
+     * =========================
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('data_exports');
+    }
+};
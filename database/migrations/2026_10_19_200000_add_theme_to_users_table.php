@@ -0,0 +1,43 @@
+<?php
+
+/**
+ * USER THEME MIGRATION - LIGHT, DARK OR SYSTEM
+ * ============================================
+ *
+ * Stores the color theme a user picked, so it follows them to every browser
+ * they sign in with. Guests keep their choice in `localStorage` instead.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Adding a column to an existing table (`Schema::table`)
+ * - A default value, so existing users keep following their system setting
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * ADD THE `theme` COLUMN
+     * ======================
+     */
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            // One of `User::THEMES`; 'system' follows the operating system
+            $table->string('theme', 10)->default('system')->after('password');
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE COLUMN
+     * ==========================
+     */
+    public function down(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropColumn('theme');
+        });
+    }
+};
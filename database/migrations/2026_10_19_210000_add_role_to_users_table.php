@@ -0,0 +1,46 @@
+<?php
+
+/**
+ * USER ROLE MIGRATION - ADMIN, EDITOR, AUTHOR OR READER
+ * =====================================================
+ *
+ * What a user may do is decided by their role (see `User::ROLES` and the
+ * policies in `app/Policies`). Existing users become authors, so everyone
+ * keeps writing and managing their own posts exactly as before; an admin
+ * hands out the other roles on the "Users" page.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Adding a column to an existing table (`Schema::table`)
+ * - An index on a column we filter by (the admin's "role" filter)
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * ADD THE `role` COLUMN
+     * =====================
+     */
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            // One of `User::ROLES`
+            $table->string('role', 10)->default('author')->after('password')->index();
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE COLUMN
+     * ==========================
+     */
+    public function down(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropIndex(['role']);
+            $table->dropColumn('role');
+        });
+    }
+};
@@ -0,0 +1,54 @@
+<?php
+
+/**
+ * "IN REVIEW" STATUS MIGRATION - POSTS WAITING FOR AN EDITOR
+ * ==========================================================
+ *
+ * Authors no longer publish on their own: they submit a draft for review
+ * (`in_review`) and an editor or admin approves it (see `PostReviewController`).
+ * The `status` enum gets that fourth value.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Changing an existing column with `->change()`
+ * - Making a rollback safe: rows with the new value are moved first
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * ADD `in_review` TO THE STATUS ENUM
+     * ==================================
+     *
+     * 🎓 LEARN: `->change()` redefines the whole column, so the default is
+     * repeated. SQLite cannot alter a column at all: Laravel rebuilds the
+     * table there (copy, drop, rename) behind the same call.
+     */
+    public function up(): void
+    {
+        Schema::table('blog_posts', function (Blueprint $table) {
+            $table->enum('status', ['draft', 'in_review', 'published', 'archived'])
+                  ->default('draft')
+                  ->change();
+        });
+    }
+
+    /**
+     * ROLLBACK - POSTS IN REVIEW GO BACK TO DRAFT
+     * ===========================================
+     */
+    public function down(): void
+    {
+        DB::table('blog_posts')->where('status', 'in_review')->update(['status' => 'draft']);
+
+        Schema::table('blog_posts', function (Blueprint $table) {
+            $table->enum('status', ['draft', 'published', 'archived'])
+                  ->default('draft')
+                  ->change();
+        });
+    }
+};
@@ -0,0 +1,67 @@
+<?php
+
+/**
+ * POST STATUS CHANGES MIGRATION - THE EDITORIAL AUDIT TRAIL
+ * =========================================================
+ *
+ * One row per status change of a post: created, submitted for review,
+ * approved, sent back with requested changes, unpublished, archived...
+ * Who did it, when, and (for reviews) the editor's note. Like
+ * `post_revisions`, rows are only ever added.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Audit tables (an append-only log next to the row it describes)
+ * - Nullable foreign keys with `nullOnDelete()` (keep history if a user leaves)
+ */
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * CREATE TABLE - POST STATUS CHANGES
+     * ==================================
+     */
+    public function up(): void
+    {
+        Schema::create('post_status_changes', function (Blueprint $table) {
+            $table->id();
+
+            // The post that changed (its history is removed together with it)
+            $table->foreignId('blog_post_id')
+                  ->constrained()
+                  ->onDelete('cascade');
+
+            // Who changed it (kept as "unknown" if that account is deleted)
+            $table->foreignId('user_id')
+                  ->nullable()
+                  ->constrained()
+                  ->nullOnDelete();
+
+            // `from_status` is null for the post's creation
+            $table->string('from_status', 20)->nullable();
+            $table->string('to_status', 20);
+
+            // The reviewer's comment ("Please add a source for the benchmark")
+            $table->text('note')->nullable();
+
+            // For publications: when the post goes live (a future date = scheduled)
+            $table->timestamp('published_at')->nullable();
+
+            $table->timestamps(); // `created_at` = when the status changed
+
+            $table->index(['blog_post_id', 'created_at']);
+        });
+    }
+
+    /**
+     * ROLLBACK - DROP THE TABLE
+     * =========================
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('post_status_changes');
+    }
+};
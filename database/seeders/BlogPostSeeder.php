@@ -5,6 +5,7 @@
 use Illuminate\Database\Console\Seeds\WithoutModelEvents;
 use Illuminate\Database\Seeder;
 use App\Models\BlogPost;
+use App\Models\Category;
 use App\Models\User;
 use Illuminate\Support\Str;
 
@@ -34,6 +35,8 @@ public function run(): void
                 'excerpt' => 'Learn about the new features and improvements in Svelte 5.',
                 'status' => 'published',
                 'published_at' => now()->subDays(5),
+                'category' => 'Tutorials',
+                'tags' => ['Svelte', 'JavaScript'],
             ],
             [
                 'title' => 'Laravel and Inertia.js: The Perfect Match',
@@ -41,6 +44,8 @@ public function run(): void
                 'excerpt' => 'Explore how Laravel and Inertia.js work together to create amazing web applications.',
                 'status' => 'published',
                 'published_at' => now()->subDays(3),
+                'category' => 'Tutorials',
+                'tags' => ['Laravel', 'Inertia.js'],
             ],
             [
                 'title' => 'Building Responsive UIs with Tailwind CSS',
@@ -48,6 +53,8 @@ public function run(): void
                 'excerpt' => 'Master Tailwind CSS for creating stunning responsive user interfaces.',
                 'status' => 'published',
                 'published_at' => now()->subDays(1),
+                'category' => 'Design',
+                'tags' => ['Tailwind CSS', 'CSS'],
             ],
             [
                 'title' => 'Advanced Database Relationships in Laravel',
@@ -55,6 +62,8 @@ public function run(): void
                 'excerpt' => 'Explore complex database relationships and Eloquent features.',
                 'status' => 'draft',
                 'published_at' => null,
+                'category' => 'Deep Dives',
+                'tags' => ['Laravel', 'Eloquent'],
             ],
             [
                 'title' => 'Modern JavaScript ES2024 Features',
@@ -62,6 +71,8 @@ public function run(): void
                 'excerpt' => 'Stay up-to-date with the latest JavaScript features and syntax.',
                 'status' => 'draft',
                 'published_at' => null,
+                'category' => 'News',
+                'tags' => ['JavaScript'],
             ],
         ];
         
@@ -77,7 +88,7 @@ public function run(): void
                 $counter++;
             }
             
-            BlogPost::create([
+            $post = BlogPost::create([
                 'user_id' => $user->id,
                 'title' => $postData['title'],
                 'slug' => $slug,
@@ -86,6 +97,10 @@ public function run(): void
                 'status' => $postData['status'],
                 'published_at' => $postData['published_at'],
             ]);
+
+            // Category and tags are relationships, not columns, so they are set separately
+            $post->category()->associate(Category::findOrCreateByName($postData['category']))->save();
+            $post->syncTagNames($postData['tags']);
         }
     }
     
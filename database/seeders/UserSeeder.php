@@ -44,7 +44,7 @@ public function run(): void
          * 
          * These match exactly what the login component fills in.
          */
-        User::updateOrCreate(
+        $demo = User::updateOrCreate(
             ['email' => 'demo@example.com'], // Find by email
             [
                 'name' => 'Demo User',
@@ -54,6 +54,10 @@ public function run(): void
             ]
         );
 
+        // The demo account is an admin, so every screen (including Users) can be tried.
+        // `role` is not mass assignable, hence `forceFill()` instead of the array above.
+        $demo->forceFill(['role' => User::ROLE_ADMIN])->save();
+
         /**
          * EDUCATIONAL NOTE: updateOrCreate() METHOD
          * ========================================
@@ -69,7 +73,7 @@ public function run(): void
          */
 
         $this->command->info('✅ Demo users created successfully:');
-        $this->command->line('📧 demo@example.com (password: password123)');
+        $this->command->line('📧 demo@example.com (password: password123, admin)');
         $this->command->line('📧 test@example.com (password: password)');
         $this->command->line('📧 admin@example.com (password: admin123)');
     }
@@ -0,0 +1,39 @@
+/**
+ * AUTH HELPERS - LOGGING OUT FROM ANY BUTTON
+ * ==========================================
+ *
+ * The header's user menu and the footer both have a "Logout" button. They
+ * share this one function (and its "logging out..." state), so a double
+ * click on either sends a single request.
+ *
+ * USAGE:
+ * import { logout, isLoggingOut } from '../Utils/auth.svelte.js'
+ * <button onclick={logout} disabled={isLoggingOut()}>Logout</button>
+ *
+ * 🎓 LEARN: Logging out is a POST (not a link): it changes state on the
+ * server, and Laravel's CSRF protection only covers non-GET requests.
+ */
+
+import { router } from '@inertiajs/svelte'
+
+let loggingOut = $state(false)
+
+/**
+ * True while the logout request is on its way
+ */
+export function isLoggingOut() {
+  return loggingOut
+}
+
+/**
+ * Log out (`AuthController::logout()`), which redirects to the home page
+ */
+export function logout() {
+  if (loggingOut) return
+
+  loggingOut = true
+  router.post('/logout', {}, {
+    onError: (errors) => console.error('❌ Logout failed:', errors),
+    onFinish: () => loggingOut = false
+  })
+}
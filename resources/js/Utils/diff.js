@@ -0,0 +1,217 @@
+/**
+ * WORD-LEVEL DIFF - WHAT CHANGED BETWEEN TWO TEXTS?
+ * =================================================
+ *
+ * Used by the revision history panel to compare two versions of a post.
+ * The texts are split into words (and the whitespace between them), and the
+ * smallest set of insertions and deletions that turns one into the other is
+ * computed with **Myers' diff algorithm** - the same idea `git diff` uses,
+ * applied to words instead of lines.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Tokenizing text with a capturing `split()`
+ * - Shortest edit scripts (Myers, 1986) and backtracking through a search trace
+ * - Trimming the common prefix/suffix first (most edits touch a small part of a post)
+ *
+ * RESULT FORMAT:
+ * An array of segments: { type: 'equal' | 'insert' | 'delete', text: string }
+ */
+
+/**
+ * DIFF TWO TEXTS WORD BY WORD
+ * ===========================
+ *
+ * @param {string} before - The older text
+ * @param {string} after - The newer text
+ * @returns {Array<{type: string, text: string}>} Segments in reading order
+ *
+ * EXAMPLE:
+ * diffWords('the quick fox', 'the slow fox')
+ * → [{ type: 'equal', text: 'the ' }, { type: 'delete', text: 'quick' },
+ *    { type: 'insert', text: 'slow' }, { type: 'equal', text: ' fox' }]
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before)
+  const b = tokenize(after)
+
+  // Skip everything both texts share at the start and the end
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++
+  }
+
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const edits = [
+    ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+    ...myers(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(text => ({ type: 'equal', text }))
+  ]
+
+  return mergeSegments(edits)
+}
+
+/**
+ * COUNT CHANGED WORDS
+ * ===================
+ *
+ * @param {Array<{type: string, text: string}>} segments - Result of `diffWords()`
+ * @returns {{added: number, removed: number}} Number of words inserted and deleted
+ */
+export function countChanges(segments) {
+  const words = text => text.split(/\s+/).filter(Boolean).length
+
+  return segments.reduce((totals, segment) => {
+    if (segment.type === 'insert') totals.added += words(segment.text)
+    if (segment.type === 'delete') totals.removed += words(segment.text)
+    return totals
+  }, { added: 0, removed: 0 })
+}
+
+// =======================================================================
+// INTERNAL HELPERS
+// =======================================================================
+
+/**
+ * Split text into word and whitespace tokens ("a  b" → ["a", "  ", "b"]).
+ */
+function tokenize(text) {
+  return String(text ?? '').split(/(\s+)/).filter(token => token !== '')
+}
+
+/**
+ * Myers' O((N+M)·D) shortest edit script between two token arrays.
+ *
+ * For each number of edits `d`, `v[k]` is the furthest x reached on diagonal
+ * k = x - y. We keep a copy of `v` for every step so we can walk back from
+ * the end and recover the actual edits.
+ */
+function myers(a, b) {
+  const n = a.length
+  const m = b.length
+
+  if (n === 0) return b.map(text => ({ type: 'insert', text }))
+  if (m === 0) return a.map(text => ({ type: 'delete', text }))
+
+  const trace = []
+  let v = new Map([[1, 0]])
+
+  search:
+  for (let d = 0; d <= n + m; d++) {
+    trace.push(v)
+    const next = new Map(v)
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1))
+        ? v.get(k + 1)      // Step down: insert from b
+        : v.get(k - 1) + 1  // Step right: delete from a
+      let y = x - k
+
+      // Follow the "snake": equal tokens cost nothing
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+
+      next.set(k, x)
+
+      if (x >= n && y >= m) {
+        break search
+      }
+    }
+
+    v = next
+  }
+
+  return backtrack(trace, a, b)
+}
+
+/**
+ * Walk the search trace backwards from (n, m) to (0, 0), collecting edits.
+ */
+function backtrack(trace, a, b) {
+  const edits = []
+  let x = a.length
+  let y = b.length
+
+  // trace[d] holds the state *before* step d
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d]
+    const k = x - y
+    const prevK = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1)) ? k + 1 : k - 1
+    const prevX = v.get(prevK)
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'equal', text: a[x - 1] })
+      x--
+      y--
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: 'insert', text: b[y - 1] })
+      } else {
+        edits.push({ type: 'delete', text: a[x - 1] })
+      }
+    }
+
+    x = prevX
+    y = prevY
+  }
+
+  return edits.reverse()
+}
+
+/**
+ * Join neighbouring tokens into segments. Inside a changed region, deletions are
+ * grouped before insertions, and a lone whitespace token between two changes is
+ * folded into the change, so the diff reads as phrases ("quick brown" → "slow red")
+ * instead of alternating single words.
+ */
+function mergeSegments(edits) {
+  const segments = []
+  let deleted = ''
+  let inserted = ''
+
+  const push = (type, text) => {
+    const last = segments[segments.length - 1]
+    if (last && last.type === type) {
+      last.text += text
+    } else {
+      segments.push({ type, text })
+    }
+  }
+
+  const flush = () => {
+    if (deleted) push('delete', deleted)
+    if (inserted) push('insert', inserted)
+    deleted = ''
+    inserted = ''
+  }
+
+  edits.forEach((edit, index) => {
+    const next = edits[index + 1]
+
+    if (edit.type === 'delete') {
+      deleted += edit.text
+    } else if (edit.type === 'insert') {
+      inserted += edit.text
+    } else if ((deleted || inserted) && /^\s+$/.test(edit.text) && next && next.type !== 'equal') {
+      deleted += edit.text
+      inserted += edit.text
+    } else {
+      flush()
+      push('equal', edit.text)
+    }
+  })
+
+  flush()
+
+  return segments
+}
@@ -0,0 +1,205 @@
+/**
+ * DRAFT AUTOSAVE - NEVER LOSE WORK IN THE POST EDITOR
+ * ===================================================
+ *
+ * The post editors autosave unsaved form values in two places:
+ *
+ * 1. **localStorage** (this browser): instant, works offline, survives a crash
+ *    or an accidentally closed tab.
+ * 2. **The server** (`PUT /posts/{id}/draft`, existing posts only): survives
+ *    switching devices, and tells us if someone else saved the post meanwhile.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Browser storage with `localStorage` (and why it can throw)
+ * - Background JSON requests with axios (no Inertia page visit)
+ * - Optimistic concurrency with `updated_at` timestamps
+ *
+ * A stored draft always has the same shape:
+ * { values: {...form fields}, saved_at: ISO string, base_updated_at: ISO string|null }
+ */
+
+import axios from 'axios'
+import { safeJsonParse } from './helpers.js'
+
+const STORAGE_PREFIX = 'blog:post-draft:'
+
+// =======================================================================
+// LOCAL (BROWSER) DRAFTS
+// =======================================================================
+
+/**
+ * BUILD THE STORAGE KEY FOR A POST
+ * ================================
+ *
+ * The key includes the user, so on a shared computer one account never
+ * gets offered (or overwrites) another account's unsaved work.
+ *
+ * @param {number|string|null} postId - Post id, or null for a new (unsaved) post
+ * @param {number|string} userId - Id of the logged-in user
+ * @returns {string} localStorage key
+ *
+ * EXAMPLES:
+ * draftStorageKey(12, 3) → 'blog:post-draft:3:12'
+ * draftStorageKey(null, 3) → 'blog:post-draft:3:new'
+ */
+export function draftStorageKey(postId, userId) {
+  return `${STORAGE_PREFIX}${userId}:${postId ?? 'new'}`
+}
+
+/**
+ * SAVE A DRAFT IN THIS BROWSER
+ * ============================
+ *
+ * localStorage can be full or disabled (e.g. private mode), so failures are
+ * logged and reported instead of thrown: autosave must never break the form.
+ *
+ * @param {string} key - Key from `draftStorageKey()`
+ * @param {Object} values - Current form values
+ * @param {string|null} baseUpdatedAt - The post's `updated_at` when editing started
+ * @returns {Object|null} The stored draft, or null if it could not be saved
+ */
+export function saveLocalDraft(key, values, baseUpdatedAt = null) {
+  const draft = {
+    values: { ...values },
+    saved_at: new Date().toISOString(),
+    base_updated_at: baseUpdatedAt
+  }
+
+  try {
+    localStorage.setItem(key, JSON.stringify(draft))
+    return draft
+  } catch (error) {
+    console.error('Could not save draft locally:', error)
+    return null
+  }
+}
+
+/**
+ * LOAD A DRAFT FROM THIS BROWSER
+ * ==============================
+ *
+ * @param {string} key - Key from `draftStorageKey()`
+ * @returns {Object|null} The stored draft, or null if there is none
+ */
+export function loadLocalDraft(key) {
+  try {
+    const draft = safeJsonParse(localStorage.getItem(key), null)
+    return draft && draft.values ? draft : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * REMOVE A DRAFT FROM THIS BROWSER
+ * ================================
+ *
+ * @param {string} key - Key from `draftStorageKey()`
+ */
+export function clearLocalDraft(key) {
+  try {
+    localStorage.removeItem(key)
+  } catch {
+    // Storage unavailable: there is nothing to clear
+  }
+}
+
+// =======================================================================
+// SERVER DRAFTS (EXISTING POSTS)
+// =======================================================================
+
+/**
+ * SAVE A DRAFT ON THE SERVER
+ * ==========================
+ *
+ * @param {number} postId - The post being edited
+ * @param {Object} values - Current form values
+ * @param {string|null} baseUpdatedAt - The post's `updated_at` when editing started
+ * @returns {Promise<{saved_at: string, post_updated_at: string, conflict: boolean}>}
+ */
+export async function saveServerDraft(postId, values, baseUpdatedAt) {
+  const response = await axios.put(`/posts/${postId}/draft`, {
+    payload: values,
+    base_updated_at: baseUpdatedAt
+  })
+
+  return response.data
+}
+
+/**
+ * DISCARD THE SERVER DRAFT
+ * ========================
+ *
+ * @param {number} postId - The post being edited
+ * @returns {Promise<void>}
+ */
+export async function discardServerDraft(postId) {
+  await axios.delete(`/posts/${postId}/draft`)
+}
+
+// =======================================================================
+// COMPARING DRAFTS AND VERSIONS
+// =======================================================================
+
+/**
+ * PICK THE MOST RECENT DRAFT
+ * ==========================
+ *
+ * The same draft may exist locally and on the server (or only in one place).
+ * The one saved last wins.
+ *
+ * @param {...(Object|null)} drafts - Drafts with a `saved_at` timestamp
+ * @returns {Object|null} The newest draft, or null if none were given
+ */
+export function pickNewestDraft(...drafts) {
+  return drafts
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.saved_at) - new Date(a.saved_at))[0] ?? null
+}
+
+/**
+ * CHECK IF A POST VERSION IS NEWER THAN ANOTHER
+ * =============================================
+ *
+ * Timestamps are compared as dates, not strings, because the same moment can
+ * be formatted differently ("...T10:00:00Z" vs "...T10:00:00.000000Z").
+ *
+ * @param {string|null} current - The post's `updated_at` now
+ * @param {string|null} base - The `updated_at` editing started from
+ * @returns {boolean} True if `current` is later than `base`
+ */
+export function isNewerVersion(current, base) {
+  if (!current || !base) {
+    return false
+  }
+
+  return new Date(current).getTime() > new Date(base).getTime()
+}
+
+/**
+ * CHECK IF A DRAFT DIFFERS FROM THE FORM
+ * ======================================
+ *
+ * Only fields present in `values` are compared, so drafts saved before a new
+ * form field existed still match. Empty and `null` count as the same (Laravel
+ * turns empty strings into `null` when a draft is saved on the server).
+ * Lists (like tags) are compared by their contents; an empty list counts as empty.
+ *
+ * @param {Object} draftValues - Values stored in the draft
+ * @param {Object} values - Current form values
+ * @returns {boolean} True if restoring the draft would change something
+ */
+export function draftDiffers(draftValues, values) {
+  return Object.keys(values).some(
+    field => field in draftValues && comparable(draftValues[field]) !== comparable(values[field])
+  )
+}
+
+// Arrays are copied on every save, so they can only be compared as text
+function comparable(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? JSON.stringify(value) : ''
+  }
+
+  return value ?? ''
+}
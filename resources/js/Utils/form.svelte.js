@@ -0,0 +1,407 @@
+/**
+ * FORM HELPER - ONE WAY TO HANDLE EVERY FORM IN THE APP
+ * =====================================================
+ *
+ * Every page with a form used to repeat the same code: a `processing` flag,
+ * `router.post()` with `onSuccess` / `onError` / `onFinish`, a hand-written
+ * "is this valid?" check and a copy of the original values for "unsaved
+ * changes". `createForm()` does all of that once:
+ *
+ *     const form = createForm(
+ *       { email: '', password: '' },
+ *       { rules: { email: [rules.required(), rules.email()], password: [rules.required()] } }
+ *     )
+ *
+ *     <form onsubmit={(event) => { event.preventDefault(); form.post('/login') }}>
+ *       <input bind:value={form.values.email} disabled={form.processing} />
+ *       {#if form.errors.email}<p>{form.errors.email}</p>{/if}
+ *       <button disabled={!form.isValid || form.processing}>Log in</button>
+ *     </form>
+ *
+ * WHAT IT TRACKS:
+ * - **Dirty fields**: which values differ from the defaults (`isDirty`, `dirtyFields`)
+ * - **Client validation**: `rules` per field, built on `isRequired` / `isValidEmail` /
+ *   `validatePassword` from `helpers.js`. A field's message shows once the field
+ *   was changed, or after a submit attempt, so an empty form is not covered in red.
+ * - **Server errors**: Laravel's validation errors, mapped to fields (`tags.0` → `tags`).
+ *   A server error disappears as soon as its field is edited.
+ * - **Success**: `wasSuccessful`, and `recentlySuccessful` for a couple of seconds
+ *   (for "Saved ✓" messages)
+ * - **Cancel on unmount**: leaving the page cancels a request still in flight
+ *
+ * 🎓 WHY NOT `useForm` FROM @inertiajs/svelte?
+ * Its store-based API (`$form.email`) predates Svelte 5 runes and did not play
+ * well with `$state` and `$derived` in this app. This module is plain runes: the
+ * values are a `$state` object, everything else is `$derived`.
+ *
+ * The file name ends in `.svelte.js` so the Svelte compiler allows runes in it.
+ * Call `createForm()` while a component initializes (in its `<script>`), like
+ * any rune: it registers the cleanup that cancels requests on unmount.
+ */
+
+import { router } from '@inertiajs/svelte'
+import { isRequired, isValidEmail, validatePassword } from './helpers.js'
+import { t } from './i18n.svelte.js'
+
+const RECENTLY_SUCCESSFUL_MS = 2000
+
+// =======================================================================
+// VALIDATION RULES
+// =======================================================================
+
+/**
+ * RULE BUILDERS
+ * =============
+ *
+ * A rule is a function `(value, values) => message | null`. Every rule except
+ * `required` and `accepted` passes empty values, so optional fields only need checking when
+ * filled in.
+ *
+ * 🎓 LEARN: A message may be a function. It is then called when the error is
+ * shown, so `() => t('...')` follows the reader switching language mid-form.
+ *
+ * The limit of `minLength` / `maxLength` may be a function too, read on every
+ * check, so a limit that comes from a prop stays up to date.
+ *
+ * EXAMPLES:
+ * rules.required(() => t('postForm.titleRequired'))
+ * rules.maxLength(255)
+ * rules.maxLength(() => maxTitleLength)
+ * rules.matches('password', () => t('auth.passwordsDoNotMatch'))
+ */
+export const rules = {
+  required: (message = () => t('validation.required')) =>
+    value => isRequired(value) ? null : resolve(message),
+
+  email: (message = () => t('validation.email')) =>
+    value => !isRequired(value) || isValidEmail(value) ? null : resolve(message),
+
+  minLength: (min, message = () => t('validation.minLength', { min: resolve(min) })) =>
+    value => !isRequired(value) || value.length >= resolve(min) ? null : resolve(message),
+
+  maxLength: (max, message = () => t('validation.maxLength', { max: resolve(max) })) =>
+    value => !isRequired(value) || value.length <= resolve(max) ? null : resolve(message),
+
+  // Laravel's `Password::min(8)->letters()->numbers()`, see `validatePassword()`
+  password: (message = () => t('validation.password')) =>
+    value => !isRequired(value) || validatePassword(value).isValid ? null : resolve(message),
+
+  // Checkboxes such as "I agree to the terms" (Laravel's `accepted`)
+  accepted: (message = () => t('validation.accepted')) =>
+    value => value === true ? null : resolve(message),
+
+  matches: (field, message = () => t('validation.matches')) =>
+    (value, values) => !isRequired(value) || value === values[field] ? null : resolve(message)
+}
+
+// A message (or limit) is a value, or a function returning one (read when needed)
+function resolve(value) {
+  return typeof value === 'function' ? value() : value
+}
+
+// =======================================================================
+// THE FORM
+// =======================================================================
+
+/**
+ * CREATE A FORM
+ * =============
+ *
+ * @param {Object|Function} initialValues - Field names and their starting values (also the "clean" state),
+ *   or a function returning them: `createForm(() => ({ title: post.title }))` reads props once, on purpose
+ * @param {Object} [options]
+ * @param {Object<string, Function[]>} [options.rules] - Validation rules per field, see `rules`
+ * @returns {Object} The form: `values` to bind to, state getters and methods
+ *
+ * STATE (read-only, reactive):
+ * `errors`, `processing`, `progress`, `isDirty`, `dirtyFields`, `isValid`,
+ * `hasErrors`, `wasSuccessful`, `recentlySuccessful`, `defaults`
+ *
+ * METHODS:
+ * `submit(method, url, options)`, `submitWith(send)`, `post()`, `put()`, `patch()`, `delete()`,
+ * `validate()`, `setError()`, `clearErrors()`, `reset()`, `setDefaults()`, `cancel()`
+ */
+export function createForm(initialValues, { rules: fieldRules = {} } = {}) {
+  const start = resolve(initialValues)
+  const values = $state(clone(start))
+  let defaults = $state.raw(clone(start))
+
+  // Server errors: `{ field: { message, value } }`, `value` being what was submitted
+  let serverErrors = $state.raw({})
+  let processing = $state(false)
+  let progress = $state(null)
+  let submitAttempted = $state(false)
+  let wasSuccessful = $state(false)
+  let recentlySuccessful = $state(false)
+
+  let cancelToken = null
+  let successTimer = null
+
+  const dirtyFields = $derived(Object.keys(values).filter(field => !isEqual(values[field], defaults[field])))
+
+  // The first failing rule of every field, shown or not
+  const clientErrors = $derived(Object.fromEntries(
+    Object.entries(fieldRules)
+      .map(([field, checks]) => [field, checks.map(check => check(values[field], values)).find(Boolean)])
+      .filter(([, message]) => message)
+  ))
+
+  const errors = $derived.by(() => {
+    const visible = {}
+
+    for (const [field, message] of Object.entries(clientErrors)) {
+      if (submitAttempted || dirtyFields.includes(field)) {
+        visible[field] = message
+      }
+    }
+
+    // Server errors win, until the field is edited
+    for (const [field, error] of Object.entries(serverErrors)) {
+      if (!(field in values) || isEqual(values[field], error.value)) {
+        visible[field] = error.message
+      }
+    }
+
+    return visible
+  })
+
+  // Leaving the page (or closing a modal with a form) cancels a request still running
+  $effect(() => () => {
+    cancelToken?.cancel()
+    clearTimeout(successTimer)
+  })
+
+  /**
+   * Turn Laravel's error bag into field errors: `tags.0` belongs to `tags`.
+   * Keys that match no field (`conflict`, `general`) are kept as they are.
+   */
+  function mapServerErrors(bag) {
+    const mapped = {}
+
+    for (const [key, message] of Object.entries(bag ?? {})) {
+      const field = key in values ? key : key.split('.')[0]
+
+      if (field in values) {
+        mapped[field] ??= { message, value: clone(values[field]) }
+      } else {
+        mapped[key] = { message, value: undefined }
+      }
+    }
+
+    return mapped
+  }
+
+  /**
+   * Clear server errors (of some fields, or all) and hide client errors until the next change
+   */
+  function clearErrors(...fields) {
+    serverErrors = fields.length
+      ? Object.fromEntries(Object.entries(serverErrors).filter(([field]) => !fields.includes(field)))
+      : {}
+    if (fields.length === 0) {
+      submitAttempted = false
+    }
+  }
+
+  /**
+   * Put fields (or all of them) back to their defaults
+   */
+  function reset(...fields) {
+    for (const field of fields.length ? fields : Object.keys(defaults)) {
+      values[field] = clone(defaults[field])
+    }
+    clearErrors(...fields)
+  }
+
+  /**
+   * SUBMIT THE FORM
+   * ===============
+   *
+   * Validates first, then sends the values with `router.visit()`. Any Inertia
+   * visit option can be passed; the callbacks run after the form's own.
+   * Extra options:
+   * - `transform(data)`: change the data before it is sent (add a file, rename fields)
+   * - `validate: false`: skip client validation (e.g. "delete" buttons)
+   *
+   * @returns {boolean} False when client validation stopped the submit
+   */
+  function submit(method, url, options = {}) {
+    const { transform = data => data, validate: shouldValidate = true, ...visitOptions } = options
+
+    submitAttempted = true
+    if (shouldValidate && Object.keys(clientErrors).length > 0) {
+      return false
+    }
+
+    processing = true
+    wasSuccessful = false
+    recentlySuccessful = false
+    clearTimeout(successTimer)
+
+    router.visit(url, {
+      ...visitOptions,
+      method,
+      data: transform(clone(values)),
+      onCancelToken: token => {
+        cancelToken = token
+        visitOptions.onCancelToken?.(token)
+      },
+      onProgress: event => {
+        progress = event
+        visitOptions.onProgress?.(event)
+      },
+      onSuccess: page => {
+        serverErrors = {}
+        submitAttempted = false
+        wasSuccessful = true
+        recentlySuccessful = true
+        successTimer = setTimeout(() => recentlySuccessful = false, RECENTLY_SUCCESSFUL_MS)
+        return visitOptions.onSuccess?.(page)
+      },
+      onError: bag => {
+        serverErrors = mapServerErrors(bag)
+        return visitOptions.onError?.(bag)
+      },
+      onFinish: visit => {
+        processing = false
+        progress = null
+        cancelToken = null
+        visitOptions.onFinish?.(visit)
+      }
+    })
+
+    return true
+  }
+
+  /**
+   * SUBMIT THROUGH YOUR OWN REQUEST
+   * ===============================
+   *
+   * Like `submit()`, for sending that is not one Inertia visit of this form,
+   * e.g. a callback from the parent component. `send(data)` returns a promise
+   * of Laravel-style errors (`{ body: 'Too long' }`), or of `null` when it worked.
+   *
+   * @returns {Promise<boolean>} True when the request went through without errors
+   */
+  async function submitWith(send, { validate: shouldValidate = true } = {}) {
+    submitAttempted = true
+    if (shouldValidate && Object.keys(clientErrors).length > 0) {
+      return false
+    }
+
+    processing = true
+    wasSuccessful = false
+    recentlySuccessful = false
+    clearTimeout(successTimer)
+
+    const bag = await send(clone(values))
+
+    processing = false
+    if (bag && Object.keys(bag).length > 0) {
+      serverErrors = mapServerErrors(bag)
+      return false
+    }
+
+    serverErrors = {}
+    submitAttempted = false
+    wasSuccessful = true
+    recentlySuccessful = true
+    successTimer = setTimeout(() => recentlySuccessful = false, RECENTLY_SUCCESSFUL_MS)
+    return true
+  }
+
+  return {
+    values,
+
+    get errors() { return errors },
+    get processing() { return processing },
+    get progress() { return progress },
+    get isDirty() { return dirtyFields.length > 0 },
+    get dirtyFields() { return dirtyFields },
+    get isValid() { return Object.keys(clientErrors).length === 0 },
+    get hasErrors() { return Object.keys(errors).length > 0 },
+    get wasSuccessful() { return wasSuccessful },
+    get recentlySuccessful() { return recentlySuccessful },
+    get defaults() { return defaults },
+
+    submit,
+    submitWith,
+    post: (url, options) => submit('post', url, options),
+    put: (url, options) => submit('put', url, options),
+    patch: (url, options) => submit('patch', url, options),
+    delete: (url, options) => submit('delete', url, options),
+
+    /**
+     * Show every client error now (as a submit attempt would)
+     * @returns {boolean} True when the values pass all rules
+     */
+    validate() {
+      submitAttempted = true
+      return Object.keys(clientErrors).length === 0
+    },
+
+    /**
+     * Set an error by hand, e.g. from an axios request
+     */
+    setError(field, message) {
+      serverErrors = { ...serverErrors, ...mapServerErrors({ [field]: message }) }
+    },
+
+    clearErrors,
+    reset,
+
+    /**
+     * The current values (or the given ones) become the new "clean" state,
+     * e.g. after saving, so `isDirty` starts over
+     */
+    setDefaults(newDefaults = values) {
+      defaults = clone({ ...defaults, ...newDefaults })
+    },
+
+    /**
+     * Cancel the request in flight, if any
+     */
+    cancel() {
+      cancelToken?.cancel()
+    }
+  }
+}
+
+// =======================================================================
+// HELPERS
+// =======================================================================
+
+/**
+ * Copy plain objects and arrays; keep everything else (Files, Dates) as is,
+ * so a `File` in the values is still the same `File` when it is uploaded
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone)
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]))
+  }
+  return value
+}
+
+/**
+ * Deep equality for form values (plain objects, arrays and primitives)
+ */
+function isEqual(a, b) {
+  if (a === b) {
+    return true
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]))
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]))
+  }
+  return false
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))
+}
@@ -23,120 +23,108 @@
  * - Async helpers
  */
 
+import { getLocale, t } from './i18n.svelte.js'
+
 // =======================================================================
 // DATE AND TIME UTILITIES
 // =======================================================================
 
+/*
+ * 🎓 LEARN: LOCALE-AWARE FORMATTING WITH `Intl`
+ * The browser already knows how every language writes dates and numbers:
+ * "March 15, 2024" in English is "15 de marzo de 2024" in Spanish, and
+ * 1,234.5 is "1234,5". `Intl.DateTimeFormat`, `Intl.RelativeTimeFormat` and
+ * `Intl.NumberFormat` do it for us, given the UI's locale (`getLocale()` from
+ * `Utils/i18n.svelte.js`). Because the locale is reactive state, a template
+ * that calls these helpers re-renders when the reader switches language.
+ */
+
+// Options for each `formatDate()` format ('relative' and 'iso' are handled apart)
+const DATE_FORMATS = {
+  short: { month: 'short', day: 'numeric' },
+  long: { year: 'numeric', month: 'long', day: 'numeric' },
+  month: { year: 'numeric', month: 'long' },
+  time: { hour: 'numeric', minute: '2-digit' },
+  datetime: { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+}
+
 /**
  * FORMAT DATE FOR DISPLAY
  * =======================
  * 
- * Convert a date string or Date object to a human-readable format.
- * Handles various input formats and provides consistent output.
+ * Convert a date string or Date object to a human-readable format, in the
+ * UI's language. Whether the clock is 12h or 24h is left to the locale.
  * 
  * @param {string|Date|null} date - Date to format
- * @param {string} format - Format type ('relative', 'short', 'long', 'iso')
+ * @param {string} format - Format type ('relative', 'short', 'long', 'month', 'iso', 'time', 'datetime')
  * @returns {string} Formatted date string
  * 
- * EXAMPLES:
- * formatDate('2024-03-15') → "March 15, 2024"
- * formatDate(new Date(), 'relative') → "2 hours ago"
- * formatDate('2024-03-15', 'short') → "Mar 15"
+ * EXAMPLES (English / Spanish):
+ * formatDate('2024-03-15') → "March 15, 2024" / "15 de marzo de 2024"
+ * formatDate(new Date(), 'relative') → "2 hours ago" / "hace 2 horas"
+ * formatDate('2024-03-15', 'short') → "Mar 15" / "15 mar"
  */
 export function formatDate(date, format = 'long') {
-  if (!date) return 'No date'
+  if (!date) return t('common.noDate')
   
   try {
     const dateObj = typeof date === 'string' ? new Date(date) : date
     
     // Check if date is valid
     if (isNaN(dateObj.getTime())) {
-      return 'Invalid date'
+      return t('common.invalidDate')
     }
     
-    const now = new Date()
+    if (format === 'relative') {
+      return formatRelativeDate(dateObj)
+    }
     
-    switch (format) {
-      case 'relative':
-        return formatRelativeDate(dateObj, now)
-      
-      case 'short':
-        return dateObj.toLocaleDateString('en-US', {
-          month: 'short',
-          day: 'numeric'
-        })
-      
-      case 'long':
-        return dateObj.toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        })
-      
-      case 'iso':
-        return dateObj.toISOString().split('T')[0]
-      
-      case 'time':
-        return dateObj.toLocaleTimeString('en-US', {
-          hour: 'numeric',
-          minute: '2-digit',
-          hour12: true
-        })
-      
-      case 'datetime':
-        return dateObj.toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric',
-          hour: 'numeric',
-          minute: '2-digit',
-          hour12: true
-        })
-      
-      default:
-        return dateObj.toLocaleDateString('en-US')
+    if (format === 'iso') {
+      return dateObj.toISOString().split('T')[0]
     }
+    
+    return new Intl.DateTimeFormat(getLocale(), DATE_FORMATS[format] ?? {}).format(dateObj)
   } catch (error) {
     console.error('Error formatting date:', error)
-    return 'Invalid date'
+    return t('common.invalidDate')
   }
 }
 
+// From the largest unit down: the first one the difference reaches is used
+const RELATIVE_UNITS = [
+  ['year', 365 * 24 * 60 * 60],
+  ['month', 30 * 24 * 60 * 60],
+  ['week', 7 * 24 * 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60]
+]
+
 /**
  * FORMAT RELATIVE DATE
  * ===================
  * 
- * Convert a date to relative format like "2 hours ago" or "in 3 days".
+ * Convert a date to relative format like "2 hours ago" or "in 3 days" - in
+ * the past or in the future (a link that expires, a scheduled post).
+ * Under a minute it is "now"; `numeric: 'auto'` also gives "yesterday" and
+ * "tomorrow" instead of "1 day ago" and "in 1 day".
  * 
- * @param {Date} date - Date to format
+ * @param {string|Date} date - Date to format
  * @param {Date} now - Current date (for testing)
  * @returns {string} Relative date string
  */
-function formatRelativeDate(date, now = new Date()) {
-  const diffMs = now.getTime() - date.getTime()
-  const diffSeconds = Math.floor(diffMs / 1000)
-  const diffMinutes = Math.floor(diffSeconds / 60)
-  const diffHours = Math.floor(diffMinutes / 60)
-  const diffDays = Math.floor(diffHours / 24)
-  const diffWeeks = Math.floor(diffDays / 7)
-  const diffMonths = Math.floor(diffDays / 30)
-  const diffYears = Math.floor(diffDays / 365)
-  
-  if (diffSeconds < 60) {
-    return 'just now'
-  } else if (diffMinutes < 60) {
-    return `${diffMinutes} minute${diffMinutes !== 1 ? 's' : ''} ago`
-  } else if (diffHours < 24) {
-    return `${diffHours} hour${diffHours !== 1 ? 's' : ''} ago`
-  } else if (diffDays < 7) {
-    return `${diffDays} day${diffDays !== 1 ? 's' : ''} ago`
-  } else if (diffWeeks < 4) {
-    return `${diffWeeks} week${diffWeeks !== 1 ? 's' : ''} ago`
-  } else if (diffMonths < 12) {
-    return `${diffMonths} month${diffMonths !== 1 ? 's' : ''} ago`
-  } else {
-    return `${diffYears} year${diffYears !== 1 ? 's' : ''} ago`
+export function formatRelativeDate(date, now = new Date()) {
+  const dateObj = typeof date === 'string' ? new Date(date) : date
+  const diffSeconds = Math.round((dateObj.getTime() - now.getTime()) / 1000) // negative = in the past
+  const formatter = new Intl.RelativeTimeFormat(getLocale(), { numeric: 'auto' })
+  
+  for (const [unit, seconds] of RELATIVE_UNITS) {
+    if (Math.abs(diffSeconds) >= seconds) {
+      return formatter.format(Math.trunc(diffSeconds / seconds), unit)
+    }
   }
+  
+  return formatter.format(0, 'second')
 }
 
 /**
@@ -151,7 +139,7 @@ function formatRelativeDate(date, now = new Date()) {
  */
 export function getReadingTime(text, wordsPerMinute = 200) {
   if (!text || typeof text !== 'string') {
-    return '0 min read'
+    return t('common.readingTime', { count: 0 })
   }
   
   // Remove HTML tags and count words
@@ -159,7 +147,147 @@ export function getReadingTime(text, wordsPerMinute = 200) {
   const wordCount = plainText.trim().split(/\s+/).length
   const minutes = Math.ceil(wordCount / wordsPerMinute)
   
-  return `${minutes} min read`
+  return t('common.readingTime', { count: minutes })
+}
+
+/**
+ * GET THE USER'S TIME ZONE
+ * ========================
+ * 
+ * @returns {string} IANA time zone name from the browser (e.g. "Asia/Manila")
+ */
+export function getUserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  } catch {
+    return 'UTC'
+  }
+}
+
+/**
+ * LIST AVAILABLE TIME ZONES
+ * =========================
+ * 
+ * @returns {string[]} IANA time zone names supported by this browser
+ */
+export function getTimeZones() {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : []
+  
+  // Older browsers may not list every zone; make sure the common ones are there
+  return [...new Set(['UTC', getUserTimeZone(), ...zones])]
+}
+
+/**
+ * CONVERT A WALL-CLOCK TIME IN A TIME ZONE TO UTC
+ * ===============================================
+ * 
+ * `<input type="datetime-local">` gives us a time *without* a time zone
+ * ("2025-07-01T09:00"). This interprets it in the given zone and returns
+ * the matching moment as an ISO string in UTC, ready to send to Laravel.
+ * 
+ * @param {string} localValue - Value of a datetime-local input ("YYYY-MM-DDTHH:mm")
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string|null} ISO 8601 UTC string, or null for an empty/invalid value
+ * 
+ * EXAMPLE:
+ * zonedTimeToUtc('2025-07-01T09:00', 'Asia/Manila') → "2025-07-01T01:00:00.000Z"
+ */
+export function zonedTimeToUtc(localValue, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(localValue || '')
+  if (!match) return null
+  
+  const [, year, month, day, hour, minute] = match.map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+  
+  // First guess with the zone's offset at that moment, then re-check in case
+  // the guess landed on the other side of a daylight saving time change
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone)
+  utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone)
+  
+  return new Date(utc).toISOString()
+}
+
+/**
+ * CONVERT A UTC MOMENT TO A WALL-CLOCK TIME IN A TIME ZONE
+ * ========================================================
+ * 
+ * The reverse of `zonedTimeToUtc()`: produces a value for a datetime-local input.
+ * 
+ * @param {string|Date} date - Moment in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} "YYYY-MM-DDTHH:mm" ('' for an invalid date)
+ */
+export function utcToZonedTime(date, timeZone) {
+  const dateObj = typeof date === 'string' ? new Date(date) : date
+  if (!dateObj || isNaN(dateObj.getTime())) return ''
+  
+  const part = getZonedParts(dateObj, timeZone)
+  const pad = value => String(value).padStart(2, '0')
+  
+  return `${part.year}-${pad(part.month)}-${pad(part.day)}T${pad(part.hour)}:${pad(part.minute)}`
+}
+
+/**
+ * FORMAT A COUNTDOWN
+ * ==================
+ * 
+ * Each part is a number with a narrow unit from `Intl.NumberFormat`, so the
+ * abbreviations follow the UI's language ("13m" in English, "13min" in Spanish).
+ * 
+ * @param {string|Date} target - Moment to count down to
+ * @param {Date} now - Current time (for testing)
+ * @returns {string} Remaining time like "2d 4h 13m", "4h 13m 20s" or "0s"
+ */
+export function formatCountdown(target, now = new Date()) {
+  const targetTime = (typeof target === 'string' ? new Date(target) : target).getTime()
+  let seconds = Math.max(0, Math.floor((targetTime - now.getTime()) / 1000))
+  
+  const days = Math.floor(seconds / 86400)
+  seconds %= 86400
+  const hours = Math.floor(seconds / 3600)
+  seconds %= 3600
+  const minutes = Math.floor(seconds / 60)
+  seconds %= 60
+  
+  const unit = (value, name) =>
+    new Intl.NumberFormat(getLocale(), { style: 'unit', unit: name, unitDisplay: 'narrow' }).format(value)
+  
+  if (days > 0) return `${unit(days, 'day')} ${unit(hours, 'hour')} ${unit(minutes, 'minute')}`
+  if (hours > 0) return `${unit(hours, 'hour')} ${unit(minutes, 'minute')} ${unit(seconds, 'second')}`
+  if (minutes > 0) return `${unit(minutes, 'minute')} ${unit(seconds, 'second')}`
+  return unit(seconds, 'second')
+}
+
+/**
+ * Split a moment into calendar parts as seen in a time zone.
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date)
+  
+  return Object.fromEntries(
+    parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)])
+  )
+}
+
+/**
+ * How far a time zone is ahead of UTC at a given moment, in milliseconds.
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const part = getZonedParts(date, timeZone)
+  const asUtc = Date.UTC(part.year, part.month - 1, part.day, part.hour, part.minute, part.second)
+  
+  return asUtc - (date.getTime() - date.getMilliseconds())
 }
 
 // =======================================================================
@@ -220,6 +348,42 @@ export function truncateText(text, maxLength = 100, suffix = '...') {
   return text.substring(0, cutoff).trim() + suffix
 }
 
+/**
+ * SPLIT SEARCH HIGHLIGHTS
+ * =======================
+ * 
+ * Search results (`search_title`, `search_snippet`) mark matched words with two
+ * control characters (see `App\Services\PostSearch`). This splits such a string
+ * into pieces, so a component can wrap the highlighted ones in `<mark>` without
+ * rendering any post text as HTML.
+ * 
+ * @param {string} text - Text containing highlight markers
+ * @returns {Array<{text: string, highlighted: boolean}>} Pieces in order
+ * 
+ * EXAMPLE:
+ * splitHighlights('Learn \u0002Svelte\u0003 5') →
+ *   [{ text: 'Learn ', highlighted: false }, { text: 'Svelte', highlighted: true }, { text: ' 5', highlighted: false }]
+ */
+export const HIGHLIGHT_START = '\u0002'
+export const HIGHLIGHT_END = '\u0003'
+
+export function splitHighlights(text) {
+  const pieces = []
+  let highlighted = false
+  
+  for (const part of String(text ?? '').split(/([\u0002\u0003])/)) {
+    if (part === HIGHLIGHT_START) {
+      highlighted = true
+    } else if (part === HIGHLIGHT_END) {
+      highlighted = false
+    } else if (part) {
+      pieces.push({ text: part, highlighted })
+    }
+  }
+  
+  return pieces
+}
+
 /**
  * CAPITALIZE FIRST LETTER
  * =======================
@@ -332,13 +496,15 @@ export function isRequired(value) {
  * ==========================
  * 
  * Check password strength and return score with feedback.
+ * `isValid` is the server's rule (`Password::min(8)->letters()->numbers()`),
+ * which `rules.password` in `form.svelte.js` checks before submitting.
  * 
  * @param {string} password - Password to validate
  * @returns {object} Validation result with score and feedback
  */
 export function validatePassword(password) {
   if (!password || typeof password !== 'string') {
-    return { score: 0, feedback: 'Password is required' }
+    return { score: 0, feedback: t('validation.passwordRequired'), isValid: false }
   }
   
   let score = 0
@@ -348,44 +514,44 @@ export function validatePassword(password) {
   if (password.length >= 8) {
     score += 1
   } else {
-    feedback.push('Password must be at least 8 characters')
+    feedback.push(t('validation.passwordLength', { min: 8 }))
   }
   
   // Uppercase check
   if (/[A-Z]/.test(password)) {
     score += 1
   } else {
-    feedback.push('Password must contain an uppercase letter')
+    feedback.push(t('validation.passwordUppercase'))
   }
   
   // Lowercase check
   if (/[a-z]/.test(password)) {
     score += 1
   } else {
-    feedback.push('Password must contain a lowercase letter')
+    feedback.push(t('validation.passwordLowercase'))
   }
   
   // Number check
   if (/\d/.test(password)) {
     score += 1
   } else {
-    feedback.push('Password must contain a number')
+    feedback.push(t('validation.passwordNumber'))
   }
   
   // Special character check
   if (/[!@#$%^&*]/.test(password)) {
     score += 1
   } else {
-    feedback.push('Password must contain a special character (!@#$%^&*)')
+    feedback.push(t('validation.passwordSpecial'))
   }
   
-  const strength = ['Very Weak', 'Weak', 'Fair', 'Good', 'Strong'][score]
+  const strength = t(`validation.strength.${['veryWeak', 'weak', 'fair', 'good', 'strong', 'veryStrong'][score]}`)
   
   return {
     score,
     strength,
-    feedback: feedback.length > 0 ? feedback : ['Password meets all requirements'],
-    isValid: score >= 4
+    feedback: feedback.length > 0 ? feedback : [t('validation.passwordOk')],
+    isValid: password.length >= 8 && /\p{L}/u.test(password) && /\d/.test(password)
   }
 }
 
@@ -394,20 +560,22 @@ export function validatePassword(password) {
 // =======================================================================
 
 /**
- * FORMAT NUMBER WITH COMMAS
- * =========================
+ * FORMAT NUMBER FOR THE UI'S LANGUAGE
+ * ===================================
  * 
- * Format large numbers with comma separators.
+ * Thousands separators and decimals the way the reader writes them
+ * ("1,234.5" in English, "1234,5" in Spanish).
  * 
  * @param {number} num - Number to format
+ * @param {Intl.NumberFormatOptions} [options] - e.g. `{ style: 'percent' }`
  * @returns {string} Formatted number
  */
-export function formatNumber(num) {
+export function formatNumber(num, options = {}) {
   if (typeof num !== 'number' || isNaN(num)) {
-    return '0'
+    return formatNumber(0)
   }
   
-  return num.toLocaleString()
+  return new Intl.NumberFormat(getLocale(), options).format(num)
 }
 
 /**
@@ -433,7 +601,8 @@ export function formatFileSize(bytes) {
     unitIndex++
   }
   
-  return `${size.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`
+  const digits = unitIndex === 0 ? 0 : 1
+  return `${formatNumber(size, { minimumFractionDigits: digits, maximumFractionDigits: digits })} ${units[unitIndex]}`
 }
 
 // =======================================================================
@@ -544,14 +713,22 @@ export function delay(ms) {
  * Debounce a function to limit how often it can be called.
  * Useful for search inputs, scroll handlers, etc.
  * 
+ * The returned function has a `cancel()` method that drops a pending call
+ * (e.g. when the search box is cleared before the wait is over).
+ * 
  * @param {Function} func - Function to debounce
  * @param {number} wait - Wait time in milliseconds
  * @returns {Function} Debounced function
+ * 
+ * EXAMPLE:
+ * const search = debounce(query => router.get('/posts', { search: query }), 300)
+ * search('sv'); search('svelte') // Only 'svelte' is searched, 300ms after the last call
+ * search.cancel()                // Nothing is searched
  */
 export function debounce(func, wait) {
   let timeout
   
-  return function executedFunction(...args) {
+  function executedFunction(...args) {
     const later = () => {
       clearTimeout(timeout)
       func(...args)
@@ -560,6 +737,10 @@ export function debounce(func, wait) {
     clearTimeout(timeout)
     timeout = setTimeout(later, wait)
   }
+  
+  executedFunction.cancel = () => clearTimeout(timeout)
+  
+  return executedFunction
 }
 
 /**
@@ -627,4 +808,25 @@ export function withErrorHandling(asyncFn, fallback = null) {
       return fallback
     }
   }
-} 
\ No newline at end of file
+} 
+/**
+ * FEED LINKS
+ * ==========
+ * 
+ * The RSS, Atom and JSON feeds for a path prefix (see `FeedController`), as
+ * `{ type, href, title }` objects ready for `<link rel="alternate">` tags.
+ * 
+ * @param {string} prefix - '' for the whole blog, '/authors/3' or '/tags/laravel' for a variant
+ * @param {string} title - Name of the feed shown by browsers and feed readers
+ * @returns {Array<{type: string, href: string, title: string}>} One entry per format
+ * 
+ * EXAMPLE:
+ * feedLinks('/tags/laravel', 'Laravel') // [{ type: 'application/rss+xml', href: '/tags/laravel/feed.xml', title: 'Laravel (RSS)' }, ...]
+ */
+export function feedLinks(prefix, title) {
+  return [
+    { type: 'application/rss+xml', href: `${prefix}/feed.xml`, title: `${title} (RSS)` },
+    { type: 'application/atom+xml', href: `${prefix}/atom.xml`, title: `${title} (Atom)` },
+    { type: 'application/feed+json', href: `${prefix}/feed.json`, title: `${title} (JSON Feed)` }
+  ]
+}
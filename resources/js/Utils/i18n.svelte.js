@@ -0,0 +1,157 @@
+/**
+ * TRANSLATIONS - THE UI IN THE READER'S LANGUAGE
+ * ==============================================
+ *
+ * UI strings live in one JSON catalog per locale, in `resources/js/Lang/`
+ * (`en.json`, `es.json`...). Components ask for them by key:
+ *
+ *   t('footer.navigation')                     → "Navigation" / "Navegación"
+ *   t('header.greeting', { name: user.name })  → "Hi, Ana" / "Hola, Ana"
+ *   t('blog.postCount', { count: 3 })          → "3 posts" / "3 publicaciones"
+ *
+ * WHERE THE LOCALE COMES FROM:
+ * The server decides (`SetLocale` middleware: the reader's choice in the session,
+ * else the browser's `Accept-Language`) and shares it as `locale.current`, with
+ * the choices in `locale.available`. `app.js` loads that catalog before the
+ * first page renders and again whenever a response brings another locale.
+ *
+ * 🎓 LEARN: LAZY CATALOGS
+ * English is bundled with the app, since it is the fallback for any key a
+ * catalog is missing. The other catalogs are separate chunks
+ * (`import.meta.glob`), so a reader only downloads the language they use.
+ *
+ * 🎓 LEARN: PLURALS ARE NOT "ADD AN S"
+ * A plural message is an object with one entry per plural category of the
+ * language - `{ "one": "{count} post", "other": "{count} posts" }`. Which
+ * category a number falls in differs by language (Polish has four, Japanese
+ * one), so `Intl.PluralRules` picks it. An exact entry such as `"=0"` wins over
+ * the category, for wording like "No posts yet".
+ */
+
+import { router } from '@inertiajs/svelte'
+import en from '../Lang/en.json'
+
+const FALLBACK_LOCALE = 'en'
+
+// One lazy chunk per catalog, except English which is already bundled above
+const catalogLoaders = import.meta.glob(['../Lang/*.json', '!../Lang/en.json'], { import: 'default' })
+
+// Catalogs fetched so far, by locale (plain object: nothing renders from it directly)
+const catalogs = { [FALLBACK_LOCALE]: en }
+
+let locale = $state(FALLBACK_LOCALE)
+let messages = $state.raw(en)
+
+/**
+ * The locale the UI is showing, e.g. 'en' or 'es'
+ */
+export function getLocale() {
+  return locale
+}
+
+/**
+ * LOAD A LOCALE'S CATALOG AND SWITCH TO IT
+ * ========================================
+ *
+ * Downloads the catalog the first time, then switches every `t()` on the page.
+ * An unknown locale (or a failed download) falls back to English rather than
+ * leaving the page without strings.
+ *
+ * @param {string} [next] - Locale code from `locale.current`
+ * @returns {Promise<void>}
+ */
+export async function loadLocale(next) {
+  if (!next) return
+
+  if (!catalogs[next]) {
+    const loader = catalogLoaders[`../Lang/${next}.json`]
+
+    try {
+      catalogs[next] = loader ? await loader() : null
+    } catch (error) {
+      console.error(`Could not load the "${next}" translations:`, error)
+    }
+  }
+
+  const resolved = catalogs[next] ? next : FALLBACK_LOCALE
+  locale = resolved
+  messages = catalogs[resolved]
+  document.documentElement.lang = resolved
+}
+
+/**
+ * CHANGE THE LANGUAGE
+ * ===================
+ *
+ * Used by the language switcher. The catalog is loaded first, so the page
+ * switches in one go; then the choice is saved in the session and the current
+ * page reloads its props in the new locale (server-made strings, such as flash
+ * messages, follow too).
+ *
+ * @param {string} next - One of the codes in `locale.available`
+ */
+export async function setLocale(next) {
+  await loadLocale(next)
+
+  router.post('/locale', { locale: next }, {
+    preserveScroll: true,
+    preserveState: true
+  })
+}
+
+/**
+ * TRANSLATE A KEY
+ * ===============
+ *
+ * @param {string} key - Dotted path into the catalog, e.g. 'footer.legal'
+ * @param {Object} [params] - Values for `{placeholders}`; `count` also picks the plural form
+ * @returns {string} The message, or the key itself when no catalog has it
+ */
+export function t(key, params = {}) {
+  let message = lookup(messages, key) ?? lookup(en, key)
+
+  if (message === undefined) {
+    if (import.meta.env.DEV) {
+      console.warn(`Missing translation: "${key}"`)
+    }
+    return key
+  }
+
+  if (typeof message === 'object') {
+    message = pluralize(message, params.count)
+  }
+
+  return interpolate(message, params)
+}
+
+// =======================================================================
+// HELPERS
+// =======================================================================
+
+function lookup(catalog, key) {
+  const value = key.split('.').reduce((node, part) => node?.[part], catalog)
+  return typeof value === 'string' || (value && typeof value === 'object') ? value : undefined
+}
+
+// `Intl.PluralRules` objects are costly to build, so keep one per locale
+const pluralRules = {}
+
+function pluralize(forms, count = 0) {
+  if (forms[`=${count}`] !== undefined) return forms[`=${count}`]
+
+  pluralRules[locale] ??= new Intl.PluralRules(locale)
+  return forms[pluralRules[locale].select(count)] ?? forms.other ?? ''
+}
+
+/**
+ * Replaces `{name}` with `params.name`; numbers are formatted for the locale
+ * ("1,200" in English, "1200" or "1.200" in Spanish)
+ */
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name]
+    if (value === undefined || value === null) return match
+
+    return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value)
+  })
+}
@@ -0,0 +1,205 @@
+/**
+ * IMAGE UPLOADS - RESIZE AND COMPRESS IN THE BROWSER
+ * ==================================================
+ *
+ * Photos straight from a phone or camera are often 4000+ pixels wide and
+ * several megabytes. Uploading them as they are is slow (especially on mobile
+ * data) and wasteful: the server shrinks them anyway.
+ *
+ * So before uploading, we draw the image onto a `<canvas>` at a sensible size
+ * and export it as WebP (or JPEG/PNG where WebP isn't supported). The server
+ * still validates and re-processes everything (`App\Services\ImageProcessor`):
+ * this step is only about speed, never about security.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Decoding images with `createImageBitmap()` (respecting EXIF orientation)
+ * - Resizing with the Canvas API and exporting with `canvas.toBlob()`
+ * - Wrapping callback APIs in Promises
+ * - Uploading files in the background with axios (and `onUploadProgress`)
+ */
+
+import axios from 'axios'
+import { t } from './i18n.svelte.js'
+
+/**
+ * IMAGE TYPES THE SERVER ACCEPTS
+ * ==============================
+ *
+ * Mirrors the `mimes:` validation rule in `ImageProcessor::RULES`.
+ */
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
+
+/**
+ * LARGEST UPLOAD SIZE THE SERVER ACCEPTS (BYTES)
+ * ==============================================
+ *
+ * Mirrors the `max:5120` (kilobytes) validation rule in `ImageProcessor::RULES`.
+ */
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024
+
+/**
+ * RESIZE AND COMPRESS AN IMAGE FILE
+ * =================================
+ *
+ * @param {File} file - Image chosen by the user
+ * @param {Object} options
+ * @param {number} options.maxDimension - Largest allowed width or height in pixels
+ * @param {number} options.quality - Encoding quality between 0 and 1
+ * @returns {Promise<File>} A smaller file, or the original if processing wouldn't help
+ *
+ * EXAMPLE:
+ * const upload = await resizeImage(input.files[0]) // 6 MB JPEG → ~400 KB WebP
+ *
+ * Animated GIFs are returned untouched: a canvas can only hold one frame.
+ */
+export async function resizeImage(file, { maxDimension = 2400, quality = 0.85 } = {}) {
+  if (file.type === 'image/gif' || typeof createImageBitmap !== 'function') {
+    return file
+  }
+
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height))
+  const width = Math.round(bitmap.width * scale)
+  const height = Math.round(bitmap.height * scale)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+  bitmap.close()
+
+  // Browsers that cannot encode WebP silently return a PNG instead
+  let blob = await canvasToBlob(canvas, 'image/webp', quality)
+  if (blob.type !== 'image/webp') {
+    blob = await canvasToBlob(canvas, file.type === 'image/png' ? 'image/png' : 'image/jpeg', quality)
+  }
+
+  // Already small and well compressed: keep the original
+  if (scale === 1 && blob.size >= file.size) {
+    return file
+  }
+
+  const extension = blob.type.split('/')[1].replace('jpeg', 'jpg')
+  const name = file.name.replace(/\.[^.]+$/, '') + '.' + extension
+
+  return new File([blob], name, { type: blob.type, lastModified: Date.now() })
+}
+
+/**
+ * CHECK A FILE BEFORE UPLOADING IT
+ * ================================
+ *
+ * @param {File} file - File chosen or dropped by the user
+ * @returns {string|null} An error message, or null if the file can be uploaded
+ */
+export function validateImageFile(file) {
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+    return t('images.wrongType')
+  }
+
+  return null
+}
+
+/**
+ * URL OF A STORED IMAGE
+ * =====================
+ *
+ * Posts store the *path* of an uploaded image on the `public` disk, which
+ * Laravel serves from `/storage`. Older posts may still contain a full URL.
+ *
+ * @param {string|null} path - e.g. "images/2026/10/9b1d...c2.webp" or "https://..."
+ * @returns {string} URL for `<img src>`, or '' without an image
+ *
+ * EXAMPLES:
+ * storageUrl('images/2026/10/a.webp') → '/storage/images/2026/10/a.webp'
+ * storageUrl('https://example.com/a.jpg') → 'https://example.com/a.jpg'
+ */
+export function storageUrl(path) {
+  if (!path) {
+    return ''
+  }
+
+  return /^(https?:)?\/\//.test(path) || path.startsWith('/') ? path : `/storage/${path}`
+}
+
+// =======================================================================
+// MEDIA LIBRARY (BACKGROUND REQUESTS)
+// =======================================================================
+
+/**
+ * UPLOAD AN IMAGE TO THE MEDIA LIBRARY
+ * ====================================
+ *
+ * Used by the Markdown editor, where an image must be uploaded right away
+ * (while the author keeps writing) instead of together with the form.
+ *
+ * @param {File} file - Image to upload (ideally already passed through `resizeImage()`)
+ * @param {Function} onProgress - Called with the upload percentage (0-100)
+ * @returns {Promise<Object>} The stored media record ({ id, path, url, srcset, width, ... })
+ */
+export async function uploadImage(file, onProgress = () => {}) {
+  const data = new FormData()
+  data.append('image', file)
+
+  const response = await axios.post('/media', data, {
+    onUploadProgress: event => {
+      if (event.total) onProgress(Math.round((event.loaded / event.total) * 100))
+    }
+  })
+
+  return response.data
+}
+
+/**
+ * LOAD A PAGE OF THE MEDIA LIBRARY
+ * ================================
+ *
+ * @param {number} page - Page number (24 images per page)
+ * @returns {Promise<Object>} A Laravel paginator: { data: [...], current_page, last_page, ... }
+ */
+export async function fetchMediaLibrary(page = 1) {
+  const response = await axios.get('/media', { params: { page } })
+  return response.data
+}
+
+/**
+ * MARKDOWN FOR AN UPLOADED IMAGE
+ * ==============================
+ *
+ * Uses a site-relative URL (`/storage/...`), so content keeps working if the
+ * site moves to another domain.
+ *
+ * @param {Object} media - Media record from the server
+ * @param {string} alt - Alternative text (defaults to a cleaned-up file name)
+ * @returns {string} e.g. '![architecture diagram](/storage/images/2026/10/a.webp)'
+ */
+export function imageMarkdown(media, alt = altFromFileName(media.original_name)) {
+  return `![${alt.replace(/[\[\]]/g, '')}](${storageUrl(media.path)})`
+}
+
+/**
+ * TURN A FILE NAME INTO ALT TEXT
+ * ==============================
+ *
+ * EXAMPLE: altFromFileName('architecture_diagram-v2.png') → 'architecture diagram v2'
+ */
+export function altFromFileName(name = '') {
+  return name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim() || 'image'
+}
+
+// =======================================================================
+// INTERNAL HELPERS
+// =======================================================================
+
+/**
+ * `canvas.toBlob()` uses a callback; this turns it into a Promise.
+ */
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => blob ? resolve(blob) : reject(new Error('Could not encode the image.')),
+      type,
+      quality
+    )
+  })
+}
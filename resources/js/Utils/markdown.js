@@ -0,0 +1,67 @@
+/**
+ * MARKDOWN RENDERER - ONE RENDERER FOR AUTHORS AND READERS
+ * ========================================================
+ *
+ * Blog post content is written in Markdown and converted to HTML in the
+ * browser. This module is the *only* place that conversion happens: the
+ * live preview in the post editor and the public `BlogPosts/Show.svelte`
+ * page both call `renderMarkdown()`, so what an author previews is exactly
+ * what readers see.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Using a third-party parser (`marked`) behind a small wrapper module
+ * - GitHub Flavored Markdown (GFM): tables, fenced code, task lists
+ * - Why a single shared renderer avoids "preview drift"
+ *
+ * SECURITY:
+ * The generated HTML is passed through `sanitizeHtml()` before it is
+ * returned, so every caller gets output that is safe for `{@html}`.
+ *
+ * BACKWARDS COMPATIBILITY:
+ * Older posts were written as raw HTML. Markdown allows inline HTML, so
+ * those posts keep rendering exactly as before.
+ */
+
+import { Marked } from 'marked'
+import { sanitizeHtml } from './sanitize.js'
+
+/**
+ * MARKDOWN PARSER INSTANCE
+ * ========================
+ *
+ * We create our own `Marked` instance instead of configuring the global
+ * `marked` object, so no other code can accidentally change our options.
+ *
+ * - `gfm`: Enable GitHub Flavored Markdown (tables, task lists, strikethrough).
+ * - `breaks`: Keep standard Markdown line breaks (a blank line starts a paragraph).
+ */
+const parser = new Marked({
+  gfm: true,
+  breaks: false,
+})
+
+/**
+ * RENDER MARKDOWN TO HTML
+ * =======================
+ *
+ * Convert a Markdown string into a sanitized HTML string.
+ *
+ * @param {string|null} source - Markdown source (may contain inline HTML)
+ * @returns {string} Rendered, sanitized HTML
+ *
+ * EXAMPLES:
+ * renderMarkdown('# Hello') → '<h1>Hello</h1>\n'
+ * renderMarkdown('<img src=x onerror=alert(1)>') → '<img src="x">'
+ */
+export function renderMarkdown(source) {
+  if (!source || typeof source !== 'string') {
+    return ''
+  }
+
+  try {
+    return sanitizeHtml(parser.parse(source, { async: false }))
+  } catch (error) {
+    console.error('Error rendering markdown:', error)
+    return ''
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * READ DEPTH BEACON - HOW FAR DID THE READER GET?
+ * ===============================================
+ *
+ * A Svelte action for the post body. While the reader scrolls, it measures how
+ * much of the element has been on screen (0-100 %) and reports the deepest
+ * point to `PATCH /views/{token}` (see `PostViewController::update()`).
+ *
+ * WHEN IT REPORTS:
+ * - A few seconds after scrolling stops (a reader may never "leave" properly)
+ * - When the tab is hidden (switching apps on a phone, closing the tab)
+ * - When the reader navigates to another page of the blog
+ * ...and only when the depth grew since the last report.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Svelte actions (`use:trackReadDepth={token}`) with `update` and `destroy`
+ * - `fetch(..., { keepalive: true })`: a request that survives the page closing
+ * - Reading Laravel's `XSRF-TOKEN` cookie for CSRF protection outside axios
+ *
+ * USAGE:
+ * <div use:trackReadDepth={viewToken}>...post content...</div>
+ */
+
+import { debounce } from './helpers.js'
+
+const REPORT_DELAY = 3000 // ms without scrolling before reporting
+
+/**
+ * TRACK READ DEPTH ON AN ELEMENT
+ * ==============================
+ *
+ * @param {HTMLElement} element - The post body
+ * @param {string|null} token - The view's token; nothing is tracked without one
+ * @returns {{ update: Function, destroy: Function }} Svelte action lifecycle
+ */
+export function trackReadDepth(element, token) {
+  let deepest = 0
+  let reported = 0
+
+  function measure() {
+    const rect = element.getBoundingClientRect()
+    if (rect.height <= 0) return
+
+    // How much of the element is above the bottom edge of the window
+    const seen = (window.innerHeight - rect.top) / rect.height
+    deepest = Math.max(deepest, Math.round(Math.min(1, Math.max(0, seen)) * 100))
+    reportLater()
+  }
+
+  function report() {
+    if (!token || deepest <= reported) return
+    reported = deepest
+    sendDepth(token, deepest)
+  }
+
+  const reportLater = debounce(report, REPORT_DELAY)
+
+  function handleVisibility() {
+    if (document.visibilityState === 'hidden') report()
+  }
+
+  window.addEventListener('scroll', measure, { passive: true })
+  window.addEventListener('resize', measure, { passive: true })
+  document.addEventListener('visibilitychange', handleVisibility)
+  measure() // A short post may be fully visible without any scrolling
+
+  return {
+    // A new post page was opened in the same component (Inertia keeps it mounted)
+    update(newToken) {
+      report()
+      token = newToken
+      deepest = 0
+      reported = 0
+      measure()
+    },
+
+    destroy() {
+      reportLater.cancel()
+      report()
+      window.removeEventListener('scroll', measure)
+      window.removeEventListener('resize', measure)
+      document.removeEventListener('visibilitychange', handleVisibility)
+    }
+  }
+}
+
+/**
+ * SEND ONE REPORT
+ * ===============
+ *
+ * `keepalive` lets the request finish even if the tab closes right now.
+ * Laravel checks CSRF with the `X-XSRF-TOKEN` header, copied from the
+ * `XSRF-TOKEN` cookie (axios does the same automatically).
+ */
+function sendDepth(token, depth) {
+  const xsrf = document.cookie.match(/(?:^|;\s*)XSRF-TOKEN=([^;]+)/)?.[1]
+
+  fetch(`/views/${token}`, {
+    method: 'PATCH',
+    keepalive: true,
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...(xsrf ? { 'X-XSRF-TOKEN': decodeURIComponent(xsrf) } : {})
+    },
+    body: JSON.stringify({ depth })
+  }).catch(() => {}) // Statistics are best effort: never bother the reader with errors
+}
@@ -0,0 +1,207 @@
+/**
+ * HTML SANITIZER - RENDER-TIME PROTECTION AGAINST XSS
+ * ===================================================
+ *
+ * Blog post HTML is displayed with `{@html}`, which inserts it into the page
+ * as-is. Content is already sanitized when it is saved (see
+ * `app/Services/HtmlSanitizer.php`), and this module runs the *same
+ * allow-list* again on the final HTML right before it is rendered.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - Defense in depth: validating on the server AND escaping on the client
+ * - Allow-lists for tags, attributes and URL schemes
+ * - Walking a DOM tree built by the browser's own HTML parser
+ *
+ * WHY RUN IT TWICE?
+ * - Posts saved before sanitization existed are still in the database.
+ * - The Markdown renderer produces new HTML (e.g. from raw HTML blocks)
+ *   that the server never saw in its final form.
+ *
+ * Keep the lists below in sync with `HtmlSanitizer.php`.
+ */
+
+// =======================================================================
+// ALLOW-LISTS (mirrors App\Services\HtmlSanitizer)
+// =======================================================================
+
+/**
+ * Tag name => attributes that may appear on it.
+ */
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  abbr: ['title'],
+  b: [],
+  blockquote: [],
+  br: [],
+  caption: [],
+  code: ['class'],
+  dd: [],
+  del: [],
+  details: ['open'],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  input: ['type', 'checked', 'disabled'],
+  ins: [],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ['start'],
+  p: [],
+  pre: [],
+  s: [],
+  small: [],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['align', 'colspan', 'rowspan'],
+  tfoot: [],
+  th: ['align', 'colspan', 'rowspan', 'scope'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: []
+}
+
+/**
+ * Tags removed together with everything inside them.
+ */
+const DROP_WITH_CONTENT = [
+  'script', 'style', 'iframe', 'object', 'embed', 'applet', 'noscript',
+  'template', 'svg', 'math', 'form', 'textarea', 'select', 'button',
+  'title', 'xmp', 'noembed', 'noframes', 'frameset'
+]
+
+const URL_ATTRIBUTES = ['href', 'src']
+
+const ALLOWED_SCHEMES = ['http', 'https', 'mailto', 'tel']
+
+// =======================================================================
+// PUBLIC API
+// =======================================================================
+
+/**
+ * CHECK A URL AGAINST THE SCHEME ALLOW-LIST
+ * =========================================
+ *
+ * Relative URLs are always allowed. Whitespace and control characters are
+ * stripped first, because browsers ignore them (`java\tscript:` still runs).
+ *
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL is safe to link to or load
+ *
+ * EXAMPLES:
+ * isSafeUrl('/posts/hello') → true
+ * isSafeUrl('https://example.com') → true
+ * isSafeUrl('javascript:alert(1)') → false
+ */
+export function isSafeUrl(url) {
+  const normalized = String(url).replace(/[\u0000- \u007F]+/g, '').toLowerCase()
+  const match = normalized.match(/^([a-z][a-z0-9+.-]*):/)
+
+  return !match || ALLOWED_SCHEMES.includes(match[1])
+}
+
+/**
+ * SANITIZE AN HTML STRING
+ * =======================
+ *
+ * Parse the HTML into an inert document, remove everything that is not on
+ * the allow-list, and serialize it back to a string.
+ *
+ * @param {string} html - Untrusted HTML
+ * @returns {string} HTML that is safe to pass to `{@html}`
+ */
+export function sanitizeHtml(html) {
+  if (!html || typeof html !== 'string') {
+    return ''
+  }
+
+  // Without a DOM (e.g. during SSR) we cannot parse safely, so render nothing
+  if (typeof document === 'undefined') {
+    return ''
+  }
+
+  // A <template> element parses HTML without running scripts or loading images
+  const template = document.createElement('template')
+  template.innerHTML = html
+
+  cleanChildren(template.content)
+
+  return template.innerHTML
+}
+
+// =======================================================================
+// INTERNAL HELPERS
+// =======================================================================
+
+/**
+ * Sanitize every child of a node (recursively).
+ */
+function cleanChildren(parent) {
+  // Copy the list first: we modify the tree while walking it
+  for (const node of Array.from(parent.childNodes)) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      continue
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove() // Comments, processing instructions, ...
+      continue
+    }
+
+    const tag = node.nodeName.toLowerCase()
+
+    if (DROP_WITH_CONTENT.includes(tag)) {
+      node.remove()
+      continue
+    }
+
+    // Clean the children first so unwrapped content is already safe
+    cleanChildren(node)
+
+    if (!Object.hasOwn(ALLOWED_TAGS, tag)) {
+      node.replaceWith(...node.childNodes) // Unwrap: keep the text, drop the tag
+      continue
+    }
+
+    cleanAttributes(node, tag)
+  }
+}
+
+/**
+ * Remove every attribute that is not allowed on this tag.
+ */
+function cleanAttributes(element, tag) {
+  const allowed = ALLOWED_TAGS[tag]
+
+  for (const { name, value } of Array.from(element.attributes)) {
+    const keep = allowed.includes(name)
+      && (!URL_ATTRIBUTES.includes(name) || isSafeUrl(value))
+      && (name !== 'class' || /^language-[a-zA-Z0-9_+-]+$/.test(value))
+
+    if (!keep) {
+      element.removeAttribute(name)
+    }
+  }
+
+  // Task list checkboxes only: never an interactive form control
+  if (tag === 'input') {
+    if (element.getAttribute('type') !== 'checkbox') {
+      element.remove()
+      return
+    }
+    element.setAttribute('disabled', '')
+  }
+}
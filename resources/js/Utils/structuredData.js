@@ -0,0 +1,116 @@
+/**
+ * STRUCTURED DATA (JSON-LD) - DESCRIBE PAGES TO SEARCH ENGINES
+ * ============================================================
+ *
+ * Search engines read schema.org data embedded as JSON-LD
+ * (`<script type="application/ld+json">`) to show rich results: the author,
+ * the date, an image, breadcrumbs. The builders below turn the `meta` props
+ * that `BlogPostController` already sends into those objects, so the JSON-LD
+ * always agrees with the page's `<title>` and meta tags.
+ *
+ * EDUCATIONAL CONCEPTS COVERED:
+ * - schema.org types: `BlogPosting`, `Blog`, `ItemList`, `BreadcrumbList`
+ * - Leaving out empty properties instead of sending `""` or `null`
+ * - Escaping JSON for safe use inside an HTML `<script>` tag
+ *
+ * USAGE:
+ * <svelte:head>{@html jsonLdScript(blogPostingSchema(meta))}</svelte:head>
+ */
+
+export const SITE_NAME = 'Educational Blog'
+
+/**
+ * BLOG POST (`BlogPosts/Show.svelte`)
+ * ===================================
+ *
+ * @param {Object} meta - The `meta` prop of `BlogPostController::show()`
+ * @returns {Object} A schema.org `BlogPosting`
+ */
+export function blogPostingSchema(meta) {
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: meta.title,
+    description: meta.description,
+    image: meta.image,
+    url: meta.url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': meta.url },
+    author: { '@type': 'Person', name: meta.author },
+    publisher: { '@type': 'Organization', name: SITE_NAME, url: origin() },
+    datePublished: meta.published_at,
+    dateModified: meta.modified_at,
+    articleSection: meta.section,
+    keywords: meta.keywords?.length ? meta.keywords.join(', ') : null,
+    wordCount: meta.word_count,
+    timeRequired: meta.time_required // ISO 8601 duration, e.g. "PT5M" ("5 min read" is for people)
+  })
+}
+
+/**
+ * POST LISTING (`BlogPosts/Index.svelte`)
+ * =======================================
+ *
+ * The blog (or a tag/category archive) with the posts on the current page.
+ * Archives also get breadcrumbs: Blog › Tag name.
+ *
+ * @param {Object} meta - The `meta` prop of `BlogPostController::index()`
+ * @param {Array} posts - The posts on this page (`posts.data`)
+ * @param {Object|null} archive - The `archive` prop (tag or category), if any
+ * @returns {Array<Object>} One or two schema.org objects
+ */
+export function blogListingSchema(meta, posts = [], archive = null) {
+  const listing = compact({
+    '@context': 'https://schema.org',
+    '@type': archive ? 'CollectionPage' : 'Blog',
+    name: meta.title,
+    description: meta.description,
+    url: meta.url,
+    publisher: { '@type': 'Organization', name: SITE_NAME, url: origin() },
+    mainEntity: {
+      '@type': 'ItemList',
+      numberOfItems: meta.total_posts,
+      itemListElement: posts.map((post, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        url: `${origin()}/posts/${post.slug}`,
+        name: post.title
+      }))
+    }
+  })
+
+  if (!archive) return [listing]
+
+  return [listing, {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: [
+      { '@type': 'ListItem', position: 1, name: SITE_NAME, item: `${origin()}/posts` },
+      { '@type': 'ListItem', position: 2, name: archive.name, item: meta.url }
+    ]
+  }]
+}
+
+/**
+ * RENDER AS A SCRIPT TAG
+ * ======================
+ *
+ * Returns `<script type="application/ld+json">...</script>` for `{@html}`.
+ * A title containing `</script>` would otherwise end the tag early and let the
+ * rest run as HTML, so `<` is written as its JSON escape `\u003c`.
+ *
+ * @param {Object|Array} data - One schema.org object, or several
+ * @returns {string} HTML
+ */
+export function jsonLdScript(data) {
+  const json = JSON.stringify(data).replace(/</g, '\\u003c')
+  return `<script type="application/ld+json">${json}</script>`
+}
+
+// Drops `null`, `undefined` and `''` values, so search engines see no empty fields
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== ''))
+}
+
+function origin() {
+  return typeof window === 'undefined' ? '' : window.location.origin
+}
@@ -0,0 +1,133 @@
+/**
+ * COLOR THEME - LIGHT, DARK OR "WHATEVER MY SYSTEM SAYS"
+ * ======================================================
+ *
+ * The theme is a class on `<html>`: with `class="dark"` the palette in
+ * `resources/css/app.css` switches to dark colors (see "DARK THEME" there).
+ * Three choices, in `THEMES`:
+ *
+ * - **light** / **dark**: always that theme
+ * - **system**: follows the operating system, and changes with it (e.g. at sunset)
+ *
+ * WHERE THE CHOICE IS KEPT:
+ * - **Signed-in users**: on their account (`PUT /profile/theme`), so it follows
+ *   them to every browser. Shared as `auth.user.theme`.
+ * - **Everyone**: in `localStorage`, so a guest keeps it too, and the page
+ *   knows it before any JavaScript bundle has loaded.
+ *
+ * 🎓 LEARN: NO FLASH OF THE WRONG THEME
+ * The class must be on `<html>` *before* the browser paints anything, or a
+ * dark-mode user sees a white page for a moment. A few lines of inline script
+ * in `resources/views/app.blade.php` do that; this module only takes over for
+ * changes made afterwards. Both must agree on `STORAGE_KEY`.
+ */
+
+import axios from 'axios'
+
+export const THEMES = ['light', 'dark', 'system']
+
+// Also read by the inline script in `resources/views/app.blade.php`
+const STORAGE_KEY = 'blog:theme'
+
+const systemQuery = window.matchMedia('(prefers-color-scheme: dark)')
+
+let theme = $state(readInitialTheme())
+let systemDark = $state(systemQuery.matches)
+
+// The account's theme as last seen from the server (`auth.user.theme`)
+let accountTheme = document.documentElement.dataset.theme || null
+
+systemQuery.addEventListener('change', (event) => {
+  systemDark = event.matches
+  applyTheme()
+})
+
+/**
+ * The chosen theme: 'light', 'dark' or 'system'
+ */
+export function getTheme() {
+  return theme
+}
+
+/**
+ * True when dark colors are showing (for 'system': when the system is dark)
+ */
+export function isDark() {
+  return theme === 'dark' || (theme === 'system' && systemDark)
+}
+
+/**
+ * CHANGE THE THEME
+ * ================
+ *
+ * Switches the colors right away and remembers the choice. For signed-in
+ * users it is saved on the account in the background; if that fails the
+ * theme still applies in this browser, so the failure is only logged.
+ *
+ * @param {string} next - One of `THEMES`
+ * @param {Object} [options]
+ * @param {boolean} [options.save=false] - Also save it on the account (signed-in users)
+ */
+export function setTheme(next, { save = false } = {}) {
+  if (!THEMES.includes(next)) return
+
+  theme = next
+  storeTheme(next)
+  applyTheme()
+
+  if (save) {
+    accountTheme = next
+    axios.put('/profile/theme', { theme: next })
+      .catch(error => console.error('Could not save the theme:', error))
+  }
+}
+
+/**
+ * FOLLOW THE ACCOUNT'S THEME
+ * ==========================
+ *
+ * Called after every Inertia response with the shared `auth.user`. When the
+ * account's theme changed since we last saw it (the user just signed in, or
+ * changed it in another tab), the page follows. Guests keep their own.
+ *
+ * @param {Object|null} user - The shared `auth.user`
+ */
+export function syncAccountTheme(user) {
+  if (!user?.theme || user.theme === accountTheme) return
+
+  accountTheme = user.theme
+  setTheme(user.theme)
+}
+
+// =======================================================================
+// HELPERS
+// =======================================================================
+
+function readInitialTheme() {
+  const initial = document.documentElement.dataset.theme || readStoredTheme()
+  return THEMES.includes(initial) ? initial : 'system'
+}
+
+/**
+ * localStorage can be disabled (e.g. private mode): the theme then lasts
+ * until the page is reloaded, which is fine
+ */
+function readStoredTheme() {
+  try {
+    return localStorage.getItem(STORAGE_KEY)
+  } catch {
+    return null
+  }
+}
+
+function storeTheme(value) {
+  try {
+    localStorage.setItem(STORAGE_KEY, value)
+  } catch {
+    // Storage unavailable: the theme still applies until the next reload
+  }
+}
+
+function applyTheme() {
+  document.documentElement.classList.toggle('dark', isDark())
+}
@@ -0,0 +1,177 @@
+/**
+ * TOASTS - SHORT NOTIFICATIONS IN THE CORNER OF THE SCREEN
+ * ========================================================
+ *
+ * One list of toasts for the whole app, shown by `Components/ToastStack.svelte`
+ * (part of every layout in `resources/js/Layouts/`). Two ways to add one:
+ *
+ * 1. **From Laravel**: `->with('success', 'Post **published**.')` in a
+ *    controller. `ToastStack` turns the shared `flash` prop into toasts after
+ *    every response, so pages no longer render flash messages themselves.
+ * 2. **From the browser**: `showToast('Link copied', { type: 'success' })`,
+ *    for things that never reach the server (copying a link, for example).
+ *
+ * A toast closes by itself after a few seconds; hovering or focusing it pauses
+ * the countdown, so there is time to read it or click its button. Errors stay
+ * until they are closed: they usually need attention.
+ *
+ * 🎓 LEARN: Module-level `$state` is shared by every component that imports
+ * it - a global store without a store library. The file name ends in
+ * `.svelte.js` so the Svelte compiler allows runes in it.
+ */
+
+import { router } from '@inertiajs/svelte'
+
+export const TOAST_TYPES = ['success', 'info', 'warning', 'error']
+
+// Milliseconds before a toast closes by itself; 0 = stays until closed
+const DURATIONS = { success: 5000, info: 6000, warning: 8000, error: 0 }
+const ACTION_DURATION = 10000 // A button ("Undo") needs a little more time
+const MAX_TOASTS = 5
+
+const toasts = $state([])
+const timers = new Map() // id → { timeout, remaining, startedAt }
+let nextId = 1
+let lastFlash = null
+
+/**
+ * The current toasts, oldest first (read-only; use the functions below to change it)
+ */
+export function getToasts() {
+  return toasts
+}
+
+/**
+ * SHOW A TOAST
+ * ============
+ *
+ * @param {string} message - Text; `**bold**` parts are shown in bold (see `formatToastText`)
+ * @param {Object} [options]
+ * @param {string} [options.type='success'] - One of `TOAST_TYPES`
+ * @param {Object|null} [options.action] - A button: `{ label, method, url, data }` like
+ *   the flashed `action`, or `{ label, onClick }` for a browser-only action
+ * @param {number} [options.duration] - Milliseconds before closing, 0 to keep it open
+ * @returns {number} The toast's id (for `dismissToast()`)
+ */
+export function showToast(message, { type = 'success', action = null, duration } = {}) {
+  const id = nextId++
+  const timeout = duration ?? (action ? ACTION_DURATION : DURATIONS[type] ?? DURATIONS.info)
+
+  toasts.push({ id, type, message, action, running: false })
+
+  // The oldest ones make room; a long stack is harder to read than a short one
+  while (toasts.length > MAX_TOASTS) {
+    dismissToast(toasts[0].id)
+  }
+
+  if (timeout > 0) {
+    timers.set(id, { timeout: null, remaining: timeout, startedAt: 0 })
+    resumeToast(id)
+  }
+
+  return id
+}
+
+/**
+ * Turn the shared `flash` prop into toasts. The flashed `action` belongs to
+ * the first (main) message.
+ *
+ * A partial reload (`only: [...]`, used for polling) keeps the previous
+ * props, including the very same `flash` object, and a new layout reads the
+ * page the old one has already seen: comparing references shows each flash once.
+ */
+export function showFlash(flash) {
+  if (!flash || flash === lastFlash) return
+  lastFlash = flash
+
+  let action = flash.action ?? null
+
+  for (const type of TOAST_TYPES) {
+    if (flash[type]) {
+      showToast(flash[type], { type, action })
+      action = null
+    }
+  }
+}
+
+export function dismissToast(id) {
+  clearTimeout(timers.get(id)?.timeout)
+  timers.delete(id)
+
+  const index = toasts.findIndex(toast => toast.id === id)
+  if (index !== -1) {
+    toasts.splice(index, 1)
+  }
+}
+
+/**
+ * Stop the countdown (while the pointer or the keyboard focus is on the toast)
+ */
+export function pauseToast(id) {
+  const timer = timers.get(id)
+  if (!timer?.timeout) return
+
+  clearTimeout(timer.timeout)
+  timer.timeout = null
+  timer.remaining -= Date.now() - timer.startedAt
+}
+
+/**
+ * Continue the countdown where it stopped
+ */
+export function resumeToast(id) {
+  const timer = timers.get(id)
+  if (!timer || timer.timeout) return
+
+  timer.startedAt = Date.now()
+  timer.timeout = setTimeout(() => dismissToast(id), Math.max(timer.remaining, 1000))
+}
+
+/**
+ * RUN A TOAST'S BUTTON
+ * ====================
+ *
+ * Server actions are Inertia visits: `method: 'get'` navigates ("View post"),
+ * anything else sends `data` ("Undo"). The toast closes once it is done; the
+ * response usually brings a flash message of its own.
+ */
+export function runToastAction(toast) {
+  const { action } = toast
+
+  if (action.onClick) {
+    action.onClick()
+    dismissToast(toast.id)
+    return
+  }
+
+  toast.running = true
+  pauseToast(toast.id)
+
+  router.visit(action.url, {
+    method: action.method ?? 'post',
+    data: action.method === 'get' ? {} : action.data ?? {},
+    preserveScroll: action.method !== 'get',
+    onFinish: () => dismissToast(toast.id)
+  })
+}
+
+/**
+ * SAFE INLINE FORMATTING
+ * ======================
+ *
+ * Controllers write `**bold**` in their messages. Instead of turning that into
+ * HTML (and trusting everything else in the message, like a post title, not to
+ * be HTML), the text is split into parts that the component renders as text:
+ *
+ *     formatToastText("Post '<b>' has been **restored**.")
+ *     // → [{ text: "Post '<b>' has been ", bold: false }, { text: 'restored', bold: true }, { text: '.', bold: false }]
+ *
+ * @param {string} text
+ * @returns {{ text: string, bold: boolean }[]}
+ */
+export function formatToastText(text) {
+  return String(text ?? '')
+    .split(/\*\*(.+?)\*\*/g)
+    .map((part, index) => ({ text: part, bold: index % 2 === 1 }))
+    .filter(part => part.text !== '')
+}
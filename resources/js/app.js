@@ -57,6 +57,7 @@ import { createInertiaApp } from '@inertiajs/svelte'
  */
 import { resolvePageComponent } from 'laravel-vite-plugin/inertia-helpers'
 import { mount } from 'svelte'
+import { safeJsonParse } from './Utils/helpers.js'
 
 /**
  * NPROGRESS - TOP LOADING BAR
@@ -77,6 +78,45 @@ import NProgress from 'nprogress'
  */
 import 'nprogress/nprogress.css'
 
+/**
+ * COMMAND PALETTE - SEARCH FROM ANY PAGE
+ * ======================================
+ * 
+ * The Ctrl/Cmd+K search dialog. It is mounted once, next to the page (see `setup`
+ * below), so it keeps working across Inertia page visits.
+ */
+import CommandPalette from './Components/CommandPalette.svelte'
+
+/**
+ * PERSISTENT LAYOUTS - THE SHELL AROUND EVERY PAGE
+ * ================================================
+ * 
+ * The header (with the user menu), the footer and the toasts for flash messages
+ * live in layouts, not in the pages. `PublicLayout` is the default; a page can
+ * export another one (`AuthLayout` for sign-in pages, `EditorLayout` for the
+ * post editor). See `resources/js/Layouts/PublicLayout.svelte`.
+ */
+import PublicLayout from './Layouts/PublicLayout.svelte'
+
+/**
+ * COLOR THEME - LIGHT, DARK OR SYSTEM
+ * ===================================
+ * 
+ * `app.blade.php` already applied the theme before the first paint; the module
+ * handles changes from here on, including the account's theme after signing in.
+ */
+import { syncAccountTheme } from './Utils/theme.svelte.js'
+
+/**
+ * TRANSLATIONS - THE UI IN THE READER'S LANGUAGE
+ * ==============================================
+ * 
+ * The server shares the locale as `locale.current`. Its catalog (a small JSON
+ * chunk, see `Utils/i18n.svelte.js`) is fetched before the first page renders,
+ * so nobody sees English flash by before their own language.
+ */
+import { loadLocale } from './Utils/i18n.svelte.js'
+
 // =======================================================================
 // INERTIA.JS GLOBAL CONFIGURATION AND EVENT LISTENERS
 // =======================================================================
@@ -115,6 +155,17 @@ NProgress.configure({
 // Re-import `router` to attach event listeners
 import { router } from '@inertiajs/svelte'
 
+/**
+ * INITIAL LOCALE - READ FROM THE FIRST PAGE
+ * =========================================
+ * 
+ * The first page's props are embedded in `#app` as `data-page` JSON. We start
+ * loading its catalog right away, in parallel with the page component, and
+ * `resolve` below waits for both.
+ */
+const initialPage = safeJsonParse(document.getElementById('app')?.dataset.page, {})
+const localeReady = loadLocale(initialPage.props?.locale?.current)
+
 /**
  * `router.on('start')` - NAVIGATION STARTED
  * ========================================
@@ -161,6 +212,12 @@ router.on('progress', (event) => {
 router.on('success', (event) => {
   NProgress.done() // Complete and hide the NProgress loading bar
   
+  // A signed-in user's theme comes with every response (`auth.user.theme`)
+  syncAccountTheme(event.detail.page.props.auth?.user)
+  
+  // So does the locale: switching it (here or in another tab) loads the new catalog
+  loadLocale(event.detail.page.props.locale?.current)
+  
   // Scroll to the top of the page on new page loads (unless it's a form submission that should preserve scroll)
   if (event.detail?.visit?.method === 'get') {
     window.scrollTo({ top: 0, behavior: 'smooth' }) // Smoothly scroll to the top
@@ -241,11 +298,25 @@ createInertiaApp({
    * - 'Auth/Login'            -> `resources/js/Pages/Auth/Login.svelte` 
    * - 'BlogPosts/Index'       -> `resources/js/Pages/BlogPosts/Index.svelte`
    * - 'Home'                  -> `resources/js/Pages/Home.svelte`
+   *
+   * LAYOUTS:
+   * Inertia wraps the page in `layout` when the resolved module has one. Pages
+   * that export no `layout` get `PublicLayout`; `export const layout = null`
+   * renders a page without any. (Module objects are read-only, hence the copy.)
+   *
+   * The first page also waits for its translations (`localeReady`, above); on
+   * later visits that promise has long been settled.
    */
-  resolve: (name) => resolvePageComponent(
-    `./Pages/${name}.svelte`, // Construct the full path to the Svelte component file
-    import.meta.glob('./Pages/**/*.svelte') // Dynamically import all Svelte pages
-  ),
+  resolve: async (name) => {
+    const [page] = await Promise.all([
+      resolvePageComponent(
+        `./Pages/${name}.svelte`, // Construct the full path to the Svelte component file
+        import.meta.glob('./Pages/**/*.svelte') // Dynamically import all Svelte pages
+      ),
+      localeReady
+    ])
+    return { default: page.default, layout: page.layout === undefined ? PublicLayout : page.layout }
+  },
 
   /**
    * `setup` - SVELTE APPLICATION MOUNTING
@@ -282,6 +353,9 @@ createInertiaApp({
       props,         // Pass all received props from Laravel to the Svelte component
     })
 
+    // The command palette lives outside `#app`, so page changes never unmount it
+    mount(CommandPalette, { target: document.body })
+
     /**
      * OPTIONAL: HIDE INITIAL LOADING SPINNER
      * ======================================
@@ -349,7 +423,8 @@ createInertiaApp({
   
   const appContainer = document.getElementById('app') // Get the main app container
   if (appContainer) {
-    // Display a user-friendly error message directly into the #app container
+    // Display a user-friendly error message directly into the #app container.
+    // Only palette classes (gray, red, `bg-surface`...): they follow the dark theme by themselves.
     appContainer.innerHTML = `
       <div class="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
         <div class="max-w-md w-full space-y-8 text-center">
@@ -369,7 +444,7 @@ createInertiaApp({
           <div>
             <button 
               onclick="window.location.reload()" 
-              class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 dark:hover:bg-blue-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
             >
               Reload Page
             </button>
@@ -1,5 +1,5 @@
 <!DOCTYPE html>
-<html lang="{{ str_replace('_', '-', app()->getLocale()) }}">
+<html lang="{{ str_replace('_', '-', app()->getLocale()) }}" data-theme="{{ auth()->user()?->theme }}">
 <!--
     EDUCATIONAL BLOG CRUD APP - MAIN APPLICATION TEMPLATE
     ====================================================
@@ -49,6 +49,30 @@
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1">
     
+    <!--
+        COLOR THEME - BEFORE THE FIRST PAINT
+        ===================================
+        
+        Runs before the CSS and the app load, so a dark-mode user never sees
+        a white page for a moment. The theme comes from the signed-in user's
+        account (`data-theme` above), else from this browser (localStorage),
+        else it follows the system. Later changes are made by
+        `resources/js/Utils/theme.svelte.js` (same storage key).
+    -->
+    <script>
+        (function () {
+            var theme = document.documentElement.dataset.theme;
+            try {
+                theme = theme || localStorage.getItem('blog:theme');
+            } catch (error) {
+                // Storage disabled: follow the system
+            }
+            var dark = theme === 'dark'
+                || (theme !== 'light' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+            document.documentElement.classList.toggle('dark', dark);
+        })();
+    </script>
+    
     <!--
         DYNAMIC TITLE SYSTEM - EDUCATIONAL PATTERN
         =========================================
@@ -239,7 +263,7 @@ class="sr-only focus:not-sr-only focus:absolute focus:top-4 focus:left-4
             
             IMPORTANT: This entire div will be replaced by Svelte when it mounts.
         -->
-        <div id="loading-spinner" class="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div id="loading-spinner" class="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-50 dark:to-gray-100">
             <div class="text-center">
                 <div class="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto mb-4"></div>
                 <h2 class="text-xl font-semibold text-gray-700 mb-2">Loading Educational Blog...</h2>
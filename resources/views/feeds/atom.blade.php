@@ -0,0 +1,33 @@
+{!! '<?xml version="1.0" encoding="UTF-8"?>' !!}
+{{--
+    ATOM FEED (see FeedController::atom())
+
+    `type="html"` tells readers the escaped text is HTML to display.
+--}}
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+    <id>{{ $self }}</id>
+    <title>{{ $title }}</title>
+    <subtitle>{{ $description }}</subtitle>
+    <link href="{{ $link }}" rel="alternate" type="text/html" />
+    <link href="{{ $self }}" rel="self" type="application/atom+xml" />
+    <updated>{{ $updated->toRfc3339String() }}</updated>
+@foreach ($posts as $post)
+    <entry>
+        <id>{{ $post->url }}</id>
+        <title>{{ $post->title }}</title>
+        <link href="{{ $post->url }}" rel="alternate" type="text/html" />
+        <author>
+            <name>{{ $post->user->name }}</name>
+        </author>
+        <published>{{ $post->published_at->toRfc3339String() }}</published>
+        <updated>{{ $post->updated_at->max($post->published_at)->toRfc3339String() }}</updated>
+@foreach ($post->tags as $tag)
+        <category term="{{ $tag->slug }}" label="{{ $tag->name }}" />
+@endforeach
+        <summary>{{ $controller->summary($post) }}</summary>
+@if ($full)
+        <content type="html">{{ $controller->contentHtml($post) }}</content>
+@endif
+    </entry>
+@endforeach
+</feed>
@@ -0,0 +1,33 @@
+{!! '<?xml version="1.0" encoding="UTF-8"?>' !!}
+{{--
+    RSS 2.0 FEED (see FeedController::rss())
+
+    HTML inside `<description>` and `<content:encoded>` is written escaped
+    (`&lt;p&gt;`), which every feed reader decodes back into HTML.
+--}}
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel>
+        <title>{{ $title }}</title>
+        <link>{{ $link }}</link>
+        <description>{{ $description }}</description>
+        <language>en</language>
+        <lastBuildDate>{{ $updated->toRfc2822String() }}</lastBuildDate>
+        <atom:link href="{{ $self }}" rel="self" type="application/rss+xml" />
+@foreach ($posts as $post)
+        <item>
+            <title>{{ $post->title }}</title>
+            <link>{{ $post->url }}</link>
+            <guid isPermaLink="true">{{ $post->url }}</guid>
+            <dc:creator>{{ $post->user->name }}</dc:creator>
+            <pubDate>{{ $post->published_at->toRfc2822String() }}</pubDate>
+@foreach ($post->tags as $tag)
+            <category>{{ $tag->name }}</category>
+@endforeach
+            <description>{{ $controller->summary($post) }}</description>
+@if ($full)
+            <content:encoded>{{ $controller->contentHtml($post) }}</content:encoded>
+@endif
+        </item>
+@endforeach
+    </channel>
+</rss>
@@ -0,0 +1,12 @@
+{!! '<?xml version="1.0" encoding="UTF-8"?>' !!}
+{{-- THE SITEMAP INDEX FOR LARGE SITES (see SitemapController::index()) --}}
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+@foreach ($sitemaps as $sitemap)
+    <sitemap>
+        <loc>{{ $sitemap['loc'] }}</loc>
+@if ($sitemap['lastmod'])
+        <lastmod>{{ $sitemap['lastmod']->toAtomString() }}</lastmod>
+@endif
+    </sitemap>
+@endforeach
+</sitemapindex>
@@ -0,0 +1,12 @@
+{!! '<?xml version="1.0" encoding="UTF-8"?>' !!}
+{{-- A SITEMAP PAGE (see SitemapController::page()) --}}
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+@foreach ($urls as $url)
+    <url>
+        <loc>{{ $url['loc'] }}</loc>
+@if ($url['lastmod'])
+        <lastmod>{{ $url['lastmod']->toAtomString() }}</lastmod>
+@endif
+    </url>
+@endforeach
+</urlset>
@@ -1,8 +1,46 @@
 <?php
 
+use App\Models\BlogPost;
+use App\Models\DataExport;
+use App\Services\PostSearch;
 use Illuminate\Foundation\Inspiring;
 use Illuminate\Support\Facades\Artisan;
+use Illuminate\Support\Facades\Schedule;
 
 Artisan::command('inspire', function () {
     $this->comment(Inspiring::quote());
 })->purpose('Display an inspiring quote');
+
+/**
+ * REBUILD THE FULL-TEXT SEARCH INDEX
+ * ==================================
+ *
+ * Posts are re-indexed automatically when saved. Run this after importing posts
+ * directly into the database, or once after the search migration to replace the
+ * raw Markdown it indexed with clean text.
+ *
+ * USAGE: php artisan posts:reindex
+ */
+Artisan::command('posts:reindex', function (PostSearch $search) {
+    if (!$search->isAvailable()) {
+        $this->warn('Full-text search needs SQLite (FTS5). Other databases use LIKE search, which needs no index.');
+
+        return;
+    }
+
+    $this->info("Indexed {$search->rebuild()} posts.");
+})->purpose('Rebuild the full-text search index for blog posts');
+
+/**
+ * EMPTY OLD POSTS FROM THE TRASH, DELETE EXPIRED DATA EXPORTS
+ * ===========================================================
+ *
+ * Permanently deletes posts that have been in the trash longer than
+ * `config('blog.trash_days')` (see `BlogPost::prunable()`), and "Export my data"
+ * archives whose download link has expired (see `DataExport::prunable()`).
+ * Needs the scheduler: `php artisan schedule:work` locally, or a cron entry
+ * running `schedule:run`.
+ *
+ * RUN BY HAND: php artisan model:prune --model="App\Models\BlogPost" --model="App\Models\DataExport"
+ */
+Schedule::command('model:prune', ['--model' => [BlogPost::class, DataExport::class]])->daily();
@@ -40,9 +40,25 @@
  * and pattern involved in defining web routes for your application.
  */
 
+use App\Http\Controllers\Admin\UserManagementController;
 use App\Http\Controllers\Auth\AuthController;
 use App\Http\Controllers\BlogPostController;
+use App\Http\Controllers\CommentController;
+use App\Http\Controllers\DataExportController;
+use App\Http\Controllers\FeedController;
+use App\Http\Controllers\PostDraftController;
+use App\Http\Controllers\PostImportController;
+use App\Http\Controllers\MediaController;
+use App\Http\Controllers\PostReviewController;
+use App\Http\Controllers\PostRevisionController;
+use App\Http\Controllers\PostTrashController;
+use App\Http\Controllers\PostViewController;
 use App\Http\Controllers\LegalController;
+use App\Http\Controllers\LocaleController;
+use App\Http\Controllers\SearchController;
+use App\Http\Controllers\SitemapController;
+use App\Models\BlogPost;
+use App\Models\User;
 use Illuminate\Support\Facades\Route;
 use Inertia\Inertia;
 use App\Http\Controllers\ProfileController; // Import ProfileController
@@ -65,21 +81,8 @@
  * SVELTE COMPONENT: `resources/js/Pages/Home.svelte`
  */
 Route::get('/', function () {
-    return Inertia::render('Home', [
-        'welcome' => [
-            'title' => 'Welcome to Educational Blog',
-            'subtitle' => 'Learn Svelte 5 + Inertia.js + Laravel',
-            'description' => 'This is a comprehensive educational application demonstrating modern web development with detailed comments and explanations.',
-        ],
-        'features' => [
-            'Authentication with Laravel Sessions',
-            'CRUD Operations with Eloquent ORM', 
-            'Reactive UI with Svelte 5',
-            'Seamless Navigation with Inertia.js',
-            'Modern Styling with Tailwind CSS',
-            'Comprehensive Educational Comments',
-        ],
-    ]);
+    // The welcome copy is in the page's language catalogs (`resources/js/Lang/*.json`)
+    return Inertia::render('Home');
 })->name('home');
 
 /**
@@ -255,6 +258,19 @@
     Route::put('/profile', [ProfileController::class, 'update'])
         ->name('profile.update');
 
+    /**
+     * SAVE THE COLOR THEME
+     * ====================
+     * 
+     * Light, dark or system, picked in the header or on the profile page.
+     * Guests keep their choice in `localStorage` only.
+     * 
+     * ROUTE: `PUT /profile/theme`
+     * NAMED ROUTE: `profile.theme.update`
+     */
+    Route::put('/profile/theme', [ProfileController::class, 'updateTheme'])
+        ->name('profile.theme.update');
+
     /**
      * CHANGE PASSWORD
      * ==============
@@ -273,6 +289,27 @@
     Route::put('/profile/password', [ProfileController::class, 'updatePassword'])
         ->name('profile.password.update');
 
+    /**
+     * EXPORT MY DATA
+     * ==============
+     * 
+     * Queues a ZIP of the user's posts (Markdown with front-matter), uploaded
+     * images and a JSON manifest of their profile. The download route only
+     * accepts links signed by `DataExport::downloadUrl()`, which expire after
+     * `config('blog.export_hours')` hours. Requesting is throttled
+     * (`throttle:5,60` = 5 exports an hour): building an archive is heavy work.
+     * 
+     * ROUTES: `POST /profile/export`, `GET /profile/export/{export}/download`
+     * CONTROLLER: `DataExportController`
+     * NAMED ROUTES: `profile.export`, `profile.export.download`
+     */
+    Route::post('/profile/export', [DataExportController::class, 'store'])
+        ->middleware('throttle:5,60')
+        ->name('profile.export');
+    Route::get('/profile/export/{export}/download', [DataExportController::class, 'download'])
+        ->middleware('signed')
+        ->name('profile.export.download');
+
     /**
      * DELETE ACCOUNT
      * =============
@@ -424,6 +461,134 @@
 Route::get('/posts', [BlogPostController::class, 'index'])
     ->name('posts.index');
 
+/**
+ * TAG AND CATEGORY ARCHIVE PAGES
+ * ==============================
+ * 
+ * The post listing filtered to a single tag or category. Both reuse the listing
+ * page (and its search and pagination); `BlogPostController::index()` receives the
+ * tag or category through route model binding on its `slug` column.
+ * 
+ * EXAMPLE URLs:
+ * `/tags/laravel`                  → Published posts tagged "Laravel".
+ * `/categories/tutorials?page=2`   → Second page of the "Tutorials" category.
+ * `/tags/svelte?search=runes`      → Search within a tag.
+ * 
+ * ROUTES: `GET /tags/{tag:slug}`, `GET /categories/{category:slug}`
+ * CONTROLLER METHOD: `BlogPostController::index()`
+ * SVELTE COMPONENT: `resources/js/Pages/BlogPosts/Index.svelte`
+ * NAMED ROUTES: `tags.show`, `categories.show`
+ */
+Route::get('/tags/{tag:slug}', [BlogPostController::class, 'index'])
+    ->name('tags.show');
+
+Route::get('/categories/{category:slug}', [BlogPostController::class, 'index'])
+    ->name('categories.show');
+
+/**
+ * RSS, ATOM AND JSON FEEDS
+ * ========================
+ * 
+ * The newest published posts for feed readers, in three formats. Every feed
+ * also exists for a single author and for a single tag.
+ * 
+ * 🎓 EDUCATIONAL CONCEPTS:
+ * - One controller method per format; the author and tag variants reuse it and
+ *   receive the `User` or `Tag` through route model binding.
+ * - `?content=excerpt` swaps the full post for its summary.
+ * 
+ * EXAMPLE URLs:
+ * `/feed.xml`                  → RSS 2.0 feed of the whole blog.
+ * `/atom.xml?content=excerpt`  → Atom feed with summaries only.
+ * `/authors/3/feed.json`       → JSON Feed of one author's posts.
+ * `/tags/laravel/feed.xml`     → RSS feed of the "Laravel" tag.
+ * 
+ * CONTROLLER METHODS: `FeedController::rss()`, `atom()`, `json()`
+ * NAMED ROUTES: `feeds.rss`, `feeds.atom`, `feeds.json` (plus `feeds.author.*` and `feeds.tag.*`)
+ */
+Route::get('/feed.xml', [FeedController::class, 'rss'])->name('feeds.rss');
+Route::get('/atom.xml', [FeedController::class, 'atom'])->name('feeds.atom');
+Route::get('/feed.json', [FeedController::class, 'json'])->name('feeds.json');
+
+Route::get('/authors/{user}/feed.xml', [FeedController::class, 'rss'])->name('feeds.author.rss');
+Route::get('/authors/{user}/atom.xml', [FeedController::class, 'atom'])->name('feeds.author.atom');
+Route::get('/authors/{user}/feed.json', [FeedController::class, 'json'])->name('feeds.author.json');
+
+Route::get('/tags/{tag:slug}/feed.xml', [FeedController::class, 'rss'])->name('feeds.tag.rss');
+Route::get('/tags/{tag:slug}/atom.xml', [FeedController::class, 'atom'])->name('feeds.tag.atom');
+Route::get('/tags/{tag:slug}/feed.json', [FeedController::class, 'json'])->name('feeds.tag.json');
+
+/**
+ * XML SITEMAP AND ROBOTS.TXT
+ * ==========================
+ * 
+ * Lists every published post (with the date it last changed) for search engines.
+ * Large sites are split into pages automatically: `/sitemap.xml` then becomes
+ * an index of `/sitemap/1.xml`, `/sitemap/2.xml`... (see `SitemapController`).
+ * 
+ * `/robots.txt` is generated here (instead of a static file in `public/`) so it
+ * can point to the sitemap's absolute URL on whatever domain the blog runs.
+ * 
+ * ROUTES: `GET /sitemap.xml`, `GET /sitemap/{page}.xml`, `GET /robots.txt`
+ * CONTROLLER METHODS: `SitemapController::index()`, `page()`, `robots()`
+ * NAMED ROUTES: `sitemap`, `sitemap.page`, `robots`
+ */
+Route::get('/sitemap.xml', [SitemapController::class, 'index'])->name('sitemap');
+Route::get('/sitemap/{page}.xml', [SitemapController::class, 'page'])
+    ->whereNumber('page')
+    ->name('sitemap.page');
+Route::get('/robots.txt', [SitemapController::class, 'robots'])->name('robots');
+
+/**
+ * INSTANT SEARCH SUGGESTIONS (COMMAND PALETTE)
+ * ============================================
+ * 
+ * Answers the Ctrl/Cmd+K search palette while the reader types: the best
+ * matching published posts and tags, as JSON. Public like the listing itself.
+ * 
+ * 🎓 EDUCATIONAL CONCEPTS:
+ * - `throttle:60,1` allows 60 requests per minute per visitor. The palette waits
+ *   for a short pause in typing, so normal use stays far below that.
+ * 
+ * EXAMPLE URL: `/search/suggest?q=lara`
+ * 
+ * ROUTE: `GET /search/suggest`
+ * CONTROLLER METHOD: `SearchController::suggest()`
+ * NAMED ROUTE: `search.suggest`
+ */
+Route::get('/search/suggest', [SearchController::class, 'suggest'])
+    ->middleware('throttle:60,1')
+    ->name('search.suggest');
+
+/**
+ * SWITCH THE INTERFACE LANGUAGE
+ * =============================
+ * 
+ * The language switcher in the footer posts here. The choice is kept in the
+ * session (guests included) and applied by the `SetLocale` middleware.
+ * 
+ * ROUTE: `POST /locale`
+ * CONTROLLER METHOD: `LocaleController::update()`
+ * NAMED ROUTE: `locale.update`
+ */
+Route::post('/locale', [LocaleController::class, 'update'])->name('locale.update');
+
+/**
+ * READ DEPTH BEACON
+ * =================
+ * 
+ * A post page reports how far its reader scrolled, using the token it received
+ * with the page (`viewToken`). Public, because guests are readers too; the
+ * random token is what allows the update.
+ * 
+ * ROUTE: `PATCH /views/{view:token}`
+ * CONTROLLER METHOD: `PostViewController::update()`
+ * NAMED ROUTE: `views.update`
+ */
+Route::patch('/views/{view}', [PostViewController::class, 'update'])
+    ->middleware('throttle:60,1')
+    ->name('views.update');
+
 /**
  * AUTHENTICATED BLOG ROUTES - LOGIN REQUIRED
  * ==========================================
@@ -431,6 +596,11 @@
  * These routes are exclusively for authenticated (logged-in) users to create and manage blog posts.
  * The `auth` middleware ensures that only authorized users can access them.
  * If a non-authenticated user attempts to access these, they will be redirected to the login page.
+ * 
+ * ROLES:
+ * Writing routes also say `->can('create', BlogPost::class)`: readers (see `User::ROLES`)
+ * get a 403 there. Which post a user may edit or delete is checked in the controllers,
+ * through the same policy (`App\Policies\BlogPostPolicy`).
  */
 Route::middleware('auth')->group(function () {
     
@@ -458,7 +628,8 @@
      * NAMED ROUTE: `posts.create`
      */
     Route::get('/posts/create', [BlogPostController::class, 'create'])
-        ->name('posts.create');
+        ->name('posts.create')
+        ->can('create', BlogPost::class);
 
     /**
      * SAVE NEW BLOG POST
@@ -480,7 +651,8 @@
      * NAMED ROUTE: `posts.store`
      */
     Route::post('/posts', [BlogPostController::class, 'store'])
-        ->name('posts.store');
+        ->name('posts.store')
+        ->can('create', BlogPost::class);
 
     /**
      * SHOW EDIT POST FORM
@@ -489,8 +661,8 @@
      * Displays the pre-filled form for editing an existing blog post.
      * 
      * AUTHORIZATION:
-     * - Only the original author of the post can access this edit form.
-     * - The `BlogPostController::edit()` method includes logic to enforce this ownership.
+     * - The post's author, or any editor or admin, can access this edit form.
+     * - `BlogPostController::edit()` asks `BlogPostPolicy::update()`.
      * 
      * ROUTE: `GET /posts/{post}/edit`
      * CONTROLLER METHOD: `BlogPostController::edit()`
@@ -519,6 +691,84 @@
     Route::put('/posts/{post}', [BlogPostController::class, 'update'])
         ->name('posts.update');
 
+    /**
+     * AUTOSAVE EDITOR DRAFT
+     * =====================
+     * 
+     * Background (JSON) endpoint used by the edit form to autosave unsaved changes
+     * every few seconds. Drafts are stored per author and never change the post itself.
+     * The response reports whether the post was saved elsewhere in the meantime
+     * (conflict detection).
+     * 
+     * ROUTE: `PUT /posts/{post}/draft`
+     * CONTROLLER METHOD: `PostDraftController::update()`
+     * NAMED ROUTE: `posts.draft.update`
+     */
+    Route::put('/posts/{post}/draft', [PostDraftController::class, 'update'])
+        ->name('posts.draft.update');
+
+    /**
+     * DISCARD EDITOR DRAFT
+     * ====================
+     * 
+     * Deletes the current user's autosaved draft when they choose not to restore it.
+     * 
+     * ROUTE: `DELETE /posts/{post}/draft`
+     * CONTROLLER METHOD: `PostDraftController::destroy()`
+     * NAMED ROUTE: `posts.draft.destroy`
+     */
+    Route::delete('/posts/{post}/draft', [PostDraftController::class, 'destroy'])
+        ->name('posts.draft.destroy');
+
+    /**
+     * RESTORE AN OLD REVISION
+     * =======================
+     * 
+     * Every saved version of a post is kept as a revision. The editor's history panel
+     * lists them (loaded as the optional `revisions` prop of the edit page), shows the
+     * differences, and uses this route to bring an old version back.
+     * 
+     * Restoring never deletes history: the old content is saved as a *new* revision.
+     * 
+     * ROUTE: `POST /posts/{post}/revisions/{revision}/restore`
+     * CONTROLLER METHOD: `PostRevisionController::restore()`
+     * NAMED ROUTE: `posts.revisions.restore`
+     */
+    Route::post('/posts/{post}/revisions/{revision}/restore', [PostRevisionController::class, 'restore'])
+        ->name('posts.revisions.restore');
+
+    /**
+     * COMMENTS - WRITE, EDIT, DELETE AND MODERATE
+     * ===========================================
+     * 
+     * Threaded comments under each published post. Readers manage their own
+     * comments; a post's author approves, hides or deletes comments on their posts
+     * (on the post page, or from the moderation queue on "My Posts").
+     * 
+     * 🎓 EDUCATIONAL CONCEPTS:
+     * - **Rate Limiting**: Like `/forgot-password`, writing is throttled per user
+     *   (`throttle:5,1` = 5 new comments per minute), which stops comment floods.
+     * - **Partial Reloads**: Each route redirects back; the page only reloads its `comments` prop.
+     * 
+     * ROUTES: `POST /posts/{post}/comments`, `PUT /comments/{comment}`,
+     *         `DELETE /comments/{comment}`, `PATCH /comments/{comment}/status`
+     * CONTROLLER: `CommentController`
+     * NAMED ROUTES: `comments.store`, `comments.update`, `comments.destroy`, `comments.moderate`
+     */
+    Route::post('/posts/{post}/comments', [CommentController::class, 'store'])
+        ->middleware('throttle:5,1')
+        ->name('comments.store');
+
+    Route::put('/comments/{comment}', [CommentController::class, 'update'])
+        ->middleware('throttle:10,1')
+        ->name('comments.update');
+
+    Route::delete('/comments/{comment}', [CommentController::class, 'destroy'])
+        ->name('comments.destroy');
+
+    Route::patch('/comments/{comment}/status', [CommentController::class, 'moderate'])
+        ->name('comments.moderate');
+
     /**
      * DELETE BLOG POST
      * ================
@@ -557,6 +807,7 @@
      * - List of all user's posts with status indicators.
      * - Quick actions like edit, view (if published), and delete.
      * - Basic post statistics (total, published, drafts).
+     * - Status tabs, sortable table view and bulk actions, all kept in the query string.
      * 
      * ROUTE: `GET /manage-posts`
      * CONTROLLER METHOD: `BlogPostController::manage()`
@@ -564,7 +815,174 @@
      * NAMED ROUTE: `posts.manage`
      */
     Route::get('/manage-posts', [BlogPostController::class, 'manage'])
-        ->name('posts.manage');
+        ->name('posts.manage')
+        ->can('create', BlogPost::class);
+
+    /**
+     * BULK ACTIONS ON "MY POSTS"
+     * =========================
+     * 
+     * Publish, unpublish, archive or delete several of the user's posts at once.
+     * 
+     * ROUTE: `POST /manage-posts/bulk`
+     * CONTROLLER METHOD: `BlogPostController::bulk()`
+     * NAMED ROUTE: `posts.bulk`
+     */
+    Route::post('/manage-posts/bulk', [BlogPostController::class, 'bulk'])
+        ->name('posts.bulk')
+        ->can('create', BlogPost::class);
+
+    /**
+     * TRASH - DELETED POSTS WAITING TO BE PURGED
+     * ==========================================
+     * 
+     * Deleted posts stay here for `config('blog.trash_days')` days. From the list
+     * they can be restored (also the "Undo" button after a delete) or deleted forever.
+     * 
+     * ROUTES: `GET /manage-posts/trash`, `POST /manage-posts/trash/restore`, `DELETE /manage-posts/trash`
+     * CONTROLLER: `PostTrashController` (`index`, `restore`, `destroy`)
+     * SVELTE COMPONENT: `resources/js/Pages/BlogPosts/Trash.svelte`
+     * NAMED ROUTES: `posts.trash`, `posts.trash.restore`, `posts.trash.destroy`
+     */
+    Route::get('/manage-posts/trash', [PostTrashController::class, 'index'])
+        ->name('posts.trash')
+        ->can('create', BlogPost::class);
+    Route::post('/manage-posts/trash/restore', [PostTrashController::class, 'restore'])
+        ->name('posts.trash.restore')
+        ->can('create', BlogPost::class);
+    Route::delete('/manage-posts/trash', [PostTrashController::class, 'destroy'])
+        ->name('posts.trash.destroy')
+        ->can('create', BlogPost::class);
+
+    /**
+     * IMPORT POSTS - MARKDOWN FILES AND WORDPRESS EXPORTS
+     * ===================================================
+     * 
+     * Upload, preview (with slug conflicts), then import in a queued job.
+     * 
+     * ROUTES: `GET|POST /manage-posts/import`, `GET|DELETE /manage-posts/import/{import}`,
+     *         `POST /manage-posts/import/{import}/start`
+     * CONTROLLER: `PostImportController` (`create`, `store`, `show`, `destroy`, `start`)
+     * SVELTE COMPONENTS: `BlogPosts/Import.svelte` (upload), `BlogPosts/ImportRun.svelte` (preview and progress)
+     * NAMED ROUTES: `posts.import`, `posts.import.store`, `posts.import.show`, `posts.import.destroy`, `posts.import.start`
+     */
+    Route::get('/manage-posts/import', [PostImportController::class, 'create'])
+        ->name('posts.import')
+        ->can('create', BlogPost::class);
+    Route::post('/manage-posts/import', [PostImportController::class, 'store'])
+        ->name('posts.import.store')
+        ->can('create', BlogPost::class);
+    Route::get('/manage-posts/import/{import}', [PostImportController::class, 'show'])
+        ->name('posts.import.show')
+        ->can('create', BlogPost::class);
+    Route::delete('/manage-posts/import/{import}', [PostImportController::class, 'destroy'])
+        ->name('posts.import.destroy')
+        ->can('create', BlogPost::class);
+    Route::post('/manage-posts/import/{import}/start', [PostImportController::class, 'start'])
+        ->name('posts.import.start')
+        ->can('create', BlogPost::class);
+
+    /**
+     * POST ANALYTICS
+     * ==============
+     * 
+     * Views per day, top referring sites and read completion for one post.
+     * Whoever may edit the post may open it (`BlogPostPolicy::viewAnalytics()`).
+     * 
+     * ROUTE: `GET /posts/{post}/analytics`
+     * CONTROLLER METHOD: `PostViewController::show()`
+     * SVELTE COMPONENT: `resources/js/Pages/BlogPosts/Analytics.svelte`
+     * NAMED ROUTE: `posts.analytics`
+     */
+    Route::get('/posts/{post}/analytics', [PostViewController::class, 'show'])
+        ->name('posts.analytics');
+
+    /**
+     * EDITORIAL REVIEW - EDITORS AND ADMINS
+     * =====================================
+     * 
+     * The queue of posts authors submitted for review, and the decision on one:
+     * approve (publish now or schedule) or request changes with a note.
+     * `can:review,post` (`BlogPostPolicy::review()`) also refuses posts that are
+     * no longer waiting, so two editors cannot decide on the same post.
+     * 
+     * ROUTES: `GET /reviews`, `POST /posts/{post}/review`
+     * CONTROLLER: `PostReviewController` (`index`, `store`)
+     * SVELTE COMPONENT: `resources/js/Pages/BlogPosts/Reviews.svelte`
+     * NAMED ROUTES: `reviews.index`, `posts.review`
+     */
+    Route::get('/reviews', [PostReviewController::class, 'index'])
+        ->name('reviews.index')
+        ->can('publish', BlogPost::class);
+    Route::post('/posts/{post}/review', [PostReviewController::class, 'store'])
+        ->name('posts.review')
+        ->can('review', 'post');
+
+    /**
+     * MEDIA LIBRARY
+     * =============
+     * 
+     * Every image the current user has uploaded (featured images and images inside
+     * post content), so they can be reused in other posts. Background requests
+     * (`Accept: application/json`) get the same list as JSON for the editor's image picker.
+     * 
+     * ROUTE: `GET /media`
+     * CONTROLLER METHOD: `MediaController::index()`
+     * SVELTE COMPONENT: `resources/js/Pages/Media/Index.svelte`
+     * NAMED ROUTE: `media.index`
+     */
+    Route::get('/media', [MediaController::class, 'index'])
+        ->name('media.index')
+        ->can('create', BlogPost::class);
+
+    /**
+     * UPLOAD AN IMAGE
+     * ===============
+     * 
+     * JSON endpoint used when an image is pasted or dropped into the Markdown editor.
+     * Responds with the stored image (`url`, `srcset`, size...) so the editor can
+     * insert a Markdown reference at the cursor.
+     * 
+     * ROUTE: `POST /media`
+     * CONTROLLER METHOD: `MediaController::store()`
+     * NAMED ROUTE: `media.store`
+     */
+    Route::post('/media', [MediaController::class, 'store'])
+        ->name('media.store')
+        ->can('create', BlogPost::class);
+
+    /**
+     * DELETE AN IMAGE
+     * ===============
+     * 
+     * Removes an upload and all of its files. Refused while a post still uses it.
+     * 
+     * ROUTE: `DELETE /media/{media}`
+     * CONTROLLER METHOD: `MediaController::destroy()`
+     * NAMED ROUTE: `media.destroy`
+     */
+    Route::delete('/media/{media}', [MediaController::class, 'destroy'])
+        ->name('media.destroy')
+        ->can('create', BlogPost::class);
+
+    /**
+     * USER MANAGEMENT - ADMINS ONLY
+     * =============================
+     * 
+     * Lists every account with its role, and lets an admin assign roles
+     * (admin, editor, author, reader). `->can(...)` asks `UserPolicy`.
+     * 
+     * ROUTES: `GET /admin/users`, `PATCH /admin/users/{user}/role`
+     * CONTROLLER: `Admin\UserManagementController` (`index`, `updateRole`)
+     * SVELTE COMPONENT: `resources/js/Pages/Admin/Users.svelte`
+     * NAMED ROUTES: `admin.users`, `admin.users.role`
+     */
+    Route::get('/admin/users', [UserManagementController::class, 'index'])
+        ->name('admin.users')
+        ->can('viewAny', User::class);
+    Route::patch('/admin/users/{user}/role', [UserManagementController::class, 'updateRole'])
+        ->name('admin.users.role')
+        ->can('updateRole', 'user');
 });
 
 /**
@@ -0,0 +1,52 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class BlogPostSanitizationTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private const MALICIOUS_CONTENT = '<p>Hi</p><script>alert(1)</script>'
+        . '<img src="/a.png" onerror="alert(1)"><a href="javascript:alert(1)">x</a>';
+
+    private const CLEAN_CONTENT = '<p>Hi</p><img src="/a.png"><a>x</a>';
+
+    /**
+     * Creating a post stores sanitized content.
+     */
+    public function test_store_sanitizes_post_content(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'XSS attempt',
+            'content' => self::MALICIOUS_CONTENT,
+            'status' => 'draft',
+        ])->assertRedirect();
+
+        $this->assertSame(self::CLEAN_CONTENT, BlogPost::firstOrFail()->content);
+    }
+
+    /**
+     * Updating a post stores sanitized content.
+     */
+    public function test_update_sanitizes_post_content(): void
+    {
+        $user = User::factory()->create();
+
+        $post = BlogPost::factory()->for($user)->create();
+
+        $this->actingAs($user)->put("/posts/{$post->id}", [
+            'title' => 'Harmless post',
+            'content' => self::MALICIOUS_CONTENT,
+            'status' => 'draft',
+        ])->assertRedirect();
+
+        $this->assertSame(self::CLEAN_CONTENT, $post->fresh()->content);
+    }
+}
@@ -0,0 +1,158 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\Comment;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class CommentTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function reader(): User
+    {
+        return User::factory()->create(['created_at' => now()->subDay()]);
+    }
+
+    /**
+     * A reader can comment and reply; replies beyond the maximum depth stay at the deepest level.
+     */
+    public function test_reader_can_comment_and_reply(): void
+    {
+        $post = BlogPost::factory()->published()->create();
+        $reader = $this->reader();
+
+        $this->actingAs($reader)
+            ->post("/posts/{$post->id}/comments", ['body' => 'Great post!'])
+            ->assertSessionHasNoErrors()
+            ->assertSessionHas('success');
+
+        $parent = Comment::first();
+        $this->assertSame(Comment::STATUS_APPROVED, $parent->status);
+
+        for ($i = 1; $i <= Comment::MAX_DEPTH + 1; $i++) {
+            $this->actingAs($reader)->post("/posts/{$post->id}/comments", [
+                'body' => "Reply {$i}",
+                'parent_id' => Comment::latest('id')->first()->id,
+            ])->assertSessionHasNoErrors();
+        }
+
+        $this->assertSame(Comment::MAX_DEPTH - 1, Comment::max('depth'));
+    }
+
+    /**
+     * Drafts cannot be commented on, and replies must belong to the same post.
+     */
+    public function test_comments_require_a_published_post_and_matching_parent(): void
+    {
+        $author = User::factory()->create();
+        $reader = $this->reader();
+        $draft = BlogPost::factory()->for($author)->create();
+
+        $this->actingAs($reader)
+            ->post("/posts/{$draft->id}/comments", ['body' => 'Hello'])
+            ->assertForbidden();
+
+        $other = BlogPost::factory()->for($author)->published()->create();
+        $this->actingAs($reader)->post("/posts/{$other->id}/comments", ['body' => 'On the other post']);
+        $post = BlogPost::factory()->for($author)->published()->create();
+
+        $this->actingAs($reader)
+            ->post("/posts/{$post->id}/comments", [
+                'body' => 'Reply',
+                'parent_id' => Comment::first()->id,
+            ])
+            ->assertSessionHasErrors('parent_id');
+    }
+
+    /**
+     * Comments that look like spam are held, and only their author (and the post's author) see them.
+     */
+    public function test_suspicious_comments_are_held_for_moderation(): void
+    {
+        $author = User::factory()->create();
+        $post = BlogPost::factory()->for($author)->published()->create();
+        $reader = $this->reader();
+
+        $this->actingAs($reader)
+            ->post("/posts/{$post->id}/comments", ['body' => 'Visit https://a.example https://b.example https://c.example'])
+            ->assertSessionHas('info');
+
+        $comment = Comment::first();
+        $this->assertSame(Comment::STATUS_PENDING, $comment->status);
+        $this->assertNotEmpty($comment->spam_reasons);
+
+        $this->get("/posts/{$post->slug}")
+            ->assertInertia(fn (Assert $page) => $page->has('comments', 0));
+
+        $this->actingAs($reader)->get("/posts/{$post->slug}")
+            ->assertInertia(fn (Assert $page) => $page->has('comments', 1)->where('comments.0.status', 'pending'));
+
+        $this->actingAs($author)->get('/manage-posts')
+            ->assertInertia(fn (Assert $page) => $page->has('commentQueue', 1));
+    }
+
+    /**
+     * Posting the same comment twice is refused.
+     */
+    public function test_duplicate_comments_are_rejected(): void
+    {
+        $post = BlogPost::factory()->published()->create();
+        $reader = $this->reader();
+
+        $this->actingAs($reader)->post("/posts/{$post->id}/comments", ['body' => 'Nice!']);
+        $this->actingAs($reader)
+            ->post("/posts/{$post->id}/comments", ['body' => 'Nice!'])
+            ->assertSessionHasErrors('body');
+
+        $this->assertSame(1, Comment::count());
+    }
+
+    /**
+     * Only the comment's author edits; the post's author moderates; both can delete.
+     */
+    public function test_edit_moderate_and_delete_permissions(): void
+    {
+        $author = User::factory()->create();
+        $post = BlogPost::factory()->for($author)->published()->create();
+        $reader = $this->reader();
+        $stranger = $this->reader();
+
+        $this->actingAs($reader)->post("/posts/{$post->id}/comments", ['body' => 'First']);
+        $comment = Comment::first();
+
+        $this->actingAs($stranger)->put("/comments/{$comment->id}", ['body' => 'Changed'])->assertForbidden();
+        $this->actingAs($author)->put("/comments/{$comment->id}", ['body' => 'Changed'])->assertForbidden();
+        $this->actingAs($reader)->put("/comments/{$comment->id}", ['body' => 'Changed'])->assertSessionHasNoErrors();
+        $this->assertNotNull($comment->fresh()->edited_at);
+
+        $this->actingAs($reader)->patch("/comments/{$comment->id}/status", ['status' => 'hidden'])->assertForbidden();
+        $this->actingAs($author)->patch("/comments/{$comment->id}/status", ['status' => 'hidden'])->assertSessionHasNoErrors();
+        $this->assertSame(Comment::STATUS_HIDDEN, $comment->fresh()->status);
+
+        $this->actingAs($stranger)->delete("/comments/{$comment->id}")->assertForbidden();
+        $this->actingAs($author)->delete("/comments/{$comment->id}");
+        $this->assertSame(0, Comment::count());
+    }
+
+    /**
+     * Commenting is rate limited.
+     */
+    public function test_commenting_is_throttled(): void
+    {
+        $post = BlogPost::factory()->published()->create();
+        $reader = $this->reader();
+
+        for ($i = 1; $i <= 5; $i++) {
+            $this->actingAs($reader)->post("/posts/{$post->id}/comments", ['body' => "Comment {$i}"]);
+        }
+
+        $this->actingAs($reader)
+            ->post("/posts/{$post->id}/comments", ['body' => 'One too many'])
+            ->assertStatus(429);
+    }
+}
@@ -0,0 +1,176 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Jobs\ExportUserData;
+use App\Models\BlogPost;
+use App\Models\DataExport;
+use App\Models\Media;
+use App\Models\User;
+use App\Services\DataExporter;
+use App\Services\PostImporter;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Queue;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Facades\URL;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+use ZipArchive;
+
+class DataExportTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake('local');
+        Storage::fake('public');
+    }
+
+    /**
+     * Requesting an export queues the job once, even after a double click.
+     */
+    public function test_export_is_queued_once(): void
+    {
+        Queue::fake();
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->post('/profile/export')->assertSessionHas('success');
+        $this->actingAs($user)->post('/profile/export')->assertSessionHas('info');
+
+        Queue::assertPushed(ExportUserData::class, 1);
+        $this->assertSame(DataExport::STATUS_QUEUED, DataExport::sole()->status);
+    }
+
+    /**
+     * Past the rate limit, the Inertia form gets an error it can show instead of a 429 page.
+     */
+    public function test_throttled_export_requests_get_a_form_error(): void
+    {
+        Queue::fake();
+        $user = User::factory()->create();
+
+        for ($i = 1; $i <= 5; $i++) {
+            $this->actingAs($user)->post('/profile/export');
+        }
+
+        $this->actingAs($user)
+            ->from('/profile')
+            ->post('/profile/export', [], ['X-Inertia' => 'true'])
+            ->assertRedirect('/profile')
+            ->assertSessionHasErrors('throttle');
+    }
+
+    /**
+     * The archive holds every post (trash included) as Markdown, the images and a manifest.
+     */
+    public function test_job_writes_posts_images_and_manifest(): void
+    {
+        $user = User::factory()->create(['name' => 'Ada']);
+        BlogPost::factory()->for($user)->published()->withTags(['svelte', 'runes, explained'])->create([
+            'title' => 'Hello: "Svelte"',
+            'slug' => 'hello-svelte',
+            'content' => 'Some **content**.',
+        ]);
+        BlogPost::factory()->for($user)->create(['title' => 'Old draft', 'slug' => 'old-draft'])->delete();
+        BlogPost::factory()->create(['title' => 'Not mine', 'slug' => 'not-mine']);
+
+        Storage::disk('public')->put('images/2026/10/photo.webp', 'image bytes');
+        $media = new Media(['disk' => 'public', 'path' => 'images/2026/10/photo.webp', 'original_name' => 'photo.jpg', 'mime_type' => 'image/webp', 'size' => 11, 'width' => 10, 'height' => 10]);
+        $media->user_id = $user->id;
+        $media->save();
+
+        $export = new DataExport(['status' => DataExport::STATUS_QUEUED]);
+        $export->user_id = $user->id;
+        $export->save();
+
+        (new ExportUserData($export))->handle(app(DataExporter::class));
+
+        $export->refresh();
+        $this->assertSame(DataExport::STATUS_COMPLETED, $export->status);
+        $this->assertTrue($export->expires_at->isFuture());
+        Storage::disk('local')->assertExists($export->path);
+
+        $zip = new ZipArchive();
+        $zip->open(Storage::disk('local')->path($export->path));
+        $markdown = $zip->getFromName('posts/hello-svelte.md');
+        $manifest = json_decode($zip->getFromName('manifest.json'), true);
+
+        $this->assertNotFalse($zip->getFromName('posts/old-draft.md'));
+        $this->assertFalse($zip->getFromName('posts/not-mine.md'));
+        $this->assertSame('image bytes', $zip->getFromName('images/photo.webp'));
+        $this->assertSame('Ada', $manifest['profile']['name']);
+        $this->assertArrayNotHasKey('password', $manifest['profile']);
+        $this->assertCount(2, $manifest['posts']);
+        $zip->close();
+
+        // The importer reads the exported front-matter back
+        $item = app(PostImporter::class)->parseMarkdown($markdown, 'hello-svelte.md');
+        $this->assertSame('Hello: "Svelte"', $item['title']);
+        $this->assertSame('published', $item['status']);
+        $this->assertEqualsCanonicalizing(['svelte', 'runes, explained'], $item['tags']);
+    }
+
+    /**
+     * Only a valid, unexpired signature and the owner's session can download.
+     */
+    public function test_download_needs_a_signed_link_and_the_owner(): void
+    {
+        $user = User::factory()->create();
+        $export = $this->completedExport($user);
+
+        $this->actingAs($user)->get(route('profile.export.download', $export))->assertForbidden();
+        $this->actingAs(User::factory()->create())->get($export->downloadUrl())->assertForbidden();
+        $this->actingAs($user)->get($export->downloadUrl())->assertOk()->assertDownload();
+
+        $expired = URL::temporarySignedRoute('profile.export.download', now()->subMinute(), ['export' => $export->id]);
+        $this->actingAs($user)->get($expired)->assertForbidden();
+    }
+
+    /**
+     * The profile page gets the latest export with its download link.
+     */
+    public function test_profile_page_shows_the_download_link(): void
+    {
+        $user = User::factory()->create();
+        $this->completedExport($user);
+
+        $this->actingAs($user)->get('/profile')
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Profile/Edit')
+                ->where('dataExport.status', DataExport::STATUS_COMPLETED)
+                ->whereType('dataExport.download_url', 'string'));
+    }
+
+    /**
+     * Expired exports are pruned together with their file.
+     */
+    public function test_expired_exports_are_pruned(): void
+    {
+        $export = $this->completedExport(User::factory()->create());
+        $export->expires_at = now()->subMinute();
+        $export->save();
+
+        $this->artisan('model:prune', ['--model' => [DataExport::class]]);
+
+        $this->assertSame(0, DataExport::count());
+        Storage::disk('local')->assertMissing($export->path);
+    }
+
+    private function completedExport(User $user): DataExport
+    {
+        Storage::disk('local')->put("exports/{$user->id}/archive.zip", 'zip bytes');
+
+        $export = new DataExport(['status' => DataExport::STATUS_COMPLETED]);
+        $export->user_id = $user->id;
+        $export->path = "exports/{$user->id}/archive.zip";
+        $export->size = 9;
+        $export->finished_at = now();
+        $export->expires_at = now()->addDay();
+        $export->save();
+
+        return $export;
+    }
+}
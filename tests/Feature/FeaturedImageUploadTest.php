@@ -0,0 +1,127 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\Media;
+use App\Models\User;
+use App\Services\ImageProcessor;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Storage;
+use Tests\TestCase;
+
+class FeaturedImageUploadTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake('public');
+    }
+
+    /**
+     * Uploading a featured image stores it with responsive variants.
+     */
+    public function test_uploaded_image_is_stored_with_variants(): void
+    {
+        $user = User::factory()->editor()->create();
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'Post with a photo',
+            'content' => 'Content',
+            'status' => 'published',
+            'featured_image_upload' => UploadedFile::fake()->image('photo.jpg', 2000, 1000),
+        ])->assertSessionHasNoErrors();
+
+        $media = Media::sole();
+        $post = BlogPost::sole();
+
+        $this->assertSame($user->id, $media->user_id);
+        $this->assertSame($media->path, $post->featured_image);
+        $this->assertSame(2000, $media->width);
+        $this->assertSame([480, 960, 1600], array_column($media->variants, 'width'));
+        Storage::disk('public')->assertExists($media->allPaths());
+        $this->assertStringContainsString('480w', $media->srcset);
+        $this->assertSame($media->url, $post->featured_image_url);
+    }
+
+    /**
+     * Images larger than the limit are scaled down, and never upscaled into variants.
+     */
+    public function test_large_images_are_scaled_down(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'Huge photo',
+            'content' => 'Content',
+            'status' => 'draft',
+            'featured_image_upload' => UploadedFile::fake()->image('huge.png', 3600, 1800),
+        ])->assertSessionHasNoErrors();
+
+        $media = Media::sole();
+
+        $this->assertSame(2400, $media->width);
+        $this->assertSame(1200, $media->height);
+    }
+
+    /**
+     * Files that are not images are rejected.
+     */
+    public function test_non_images_are_rejected(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'Not a photo',
+            'content' => 'Content',
+            'status' => 'draft',
+            'featured_image_upload' => UploadedFile::fake()->create('notes.pdf', 100, 'application/pdf'),
+        ])->assertSessionHasErrors('featured_image_upload');
+
+        $this->assertSame(0, Media::count());
+        $this->assertSame(0, BlogPost::count());
+    }
+
+    /**
+     * An image can be replaced through the update form (multipart POST with `_method=PUT`).
+     */
+    public function test_image_can_be_replaced_on_update(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->create(['featured_image' => 'https://example.com/old.jpg']);
+
+        $this->actingAs($user)->post("/posts/{$post->id}", [
+            '_method' => 'PUT',
+            'title' => 'Old',
+            'content' => 'Content',
+            'status' => 'draft',
+            'featured_image' => 'https://example.com/old.jpg',
+            'featured_image_upload' => UploadedFile::fake()->image('new.jpg', 800, 600),
+            'expected_updated_at' => $post->updated_at->toJSON(),
+        ])->assertSessionHasNoErrors();
+
+        $this->assertSame(Media::sole()->path, $post->fresh()->featured_image);
+        $this->assertSame([480], array_column(Media::sole()->variants, 'width'));
+    }
+
+    /**
+     * Deleting a media record removes its files.
+     */
+    public function test_deleting_media_removes_its_files(): void
+    {
+        $user = User::factory()->create();
+        $media = app(ImageProcessor::class)
+            ->store(UploadedFile::fake()->image('photo.jpg', 1000, 500), $user);
+        $paths = $media->allPaths();
+
+        $media->delete();
+
+        foreach ($paths as $path) {
+            Storage::disk('public')->assertMissing($path);
+        }
+    }
+}
@@ -0,0 +1,88 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class FeedTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * All three formats list published posts with their author; drafts are left out.
+     */
+    public function test_feeds_list_published_posts(): void
+    {
+        $user = User::factory()->create(['name' => 'Ada Lovelace']);
+        BlogPost::factory()->for($user)->published()->create(['title' => 'Laravel queues explained']);
+        BlogPost::factory()->for($user)->create(['title' => 'Secret draft']);
+
+        $this->get('/feed.xml')
+            ->assertOk()
+            ->assertHeader('Content-Type', 'application/rss+xml; charset=UTF-8')
+            ->assertSee('<dc:creator>Ada Lovelace</dc:creator>', false)
+            ->assertSee('Laravel queues explained')
+            ->assertDontSee('Secret draft');
+
+        $this->get('/atom.xml')
+            ->assertOk()
+            ->assertHeader('Content-Type', 'application/atom+xml; charset=UTF-8')
+            ->assertSee('<name>Ada Lovelace</name>', false)
+            ->assertDontSee('Secret draft');
+
+        $this->get('/feed.json')
+            ->assertOk()
+            ->assertHeader('Content-Type', 'application/feed+json; charset=UTF-8')
+            ->assertJsonCount(1, 'items')
+            ->assertJsonPath('items.0.title', 'Laravel queues explained')
+            ->assertJsonPath('items.0.authors.0.name', 'Ada Lovelace');
+    }
+
+    /**
+     * Items carry the rendered HTML with absolute image URLs, or only the summary with `?content=excerpt`.
+     */
+    public function test_full_and_excerpt_content(): void
+    {
+        BlogPost::factory()->published()->create([
+            'title' => 'Svelte runes',
+            'excerpt' => 'Summary of Svelte runes',
+            'content' => "Intro to **Svelte runes**\n\n![Diagram](/storage/media/diagram.png)",
+        ]);
+
+        $item = $this->getJson('/feed.json')->json('items.0');
+        $this->assertStringContainsString('<strong>Svelte runes</strong>', $item['content_html']);
+        $this->assertStringContainsString('src="'.url('/storage/media/diagram.png').'"', $item['content_html']);
+        $this->assertSame('Summary of Svelte runes', $item['summary']);
+
+        $this->getJson('/feed.json?content=excerpt')
+            ->assertJsonMissingPath('items.0.content_html')
+            ->assertJsonPath('items.0.summary', 'Summary of Svelte runes');
+
+        $this->get('/feed.xml?content=excerpt')->assertDontSee('<content:encoded>', false);
+    }
+
+    /**
+     * Author and tag feeds contain only that author's or tag's posts.
+     */
+    public function test_author_and_tag_feeds(): void
+    {
+        $ada = User::factory()->create();
+        $grace = User::factory()->create();
+        BlogPost::factory()->for($ada)->published()->withTags(['Laravel'])->create(['title' => 'Laravel queues explained']);
+        BlogPost::factory()->for($grace)->published()->withTags(['Svelte'])->create(['title' => 'Svelte runes']);
+
+        $this->getJson("/authors/{$ada->id}/feed.json")
+            ->assertJsonCount(1, 'items')
+            ->assertJsonPath('items.0.title', 'Laravel queues explained');
+
+        $this->get('/tags/svelte/feed.xml')
+            ->assertOk()
+            ->assertSee('Svelte runes')
+            ->assertDontSee('Laravel queues explained');
+
+        $this->get('/tags/missing/atom.xml')->assertNotFound();
+    }
+}
@@ -0,0 +1,72 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Middleware\SetLocale;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class LocaleTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Without a choice or a browser preference, the default language is used.
+     */
+    public function test_default_locale_is_shared(): void
+    {
+        $this->get('/posts')
+            ->assertOk()
+            ->assertSee('<html lang="en"', false)
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('locale.current', 'en')
+                ->where('locale.available', config('app.locales')));
+    }
+
+    /**
+     * The browser's preferred language is used when we have it.
+     */
+    public function test_browser_language_is_used(): void
+    {
+        $this->get('/posts', ['Accept-Language' => 'es-ES,es;q=0.9,en;q=0.8'])
+            ->assertOk()
+            ->assertSee('<html lang="es"', false)
+            ->assertInertia(fn (Assert $page) => $page->where('locale.current', 'es'));
+    }
+
+    /**
+     * An unsupported browser language falls back to the default.
+     */
+    public function test_unsupported_browser_language_falls_back_to_default(): void
+    {
+        $this->get('/posts', ['Accept-Language' => 'de-DE,de;q=0.9'])
+            ->assertInertia(fn (Assert $page) => $page->where('locale.current', 'en'));
+    }
+
+    /**
+     * Guests can switch the language; the choice beats the browser's.
+     */
+    public function test_guest_can_switch_locale(): void
+    {
+        $this->from('/posts')
+            ->post('/locale', ['locale' => 'es'])
+            ->assertRedirect('/posts')
+            ->assertSessionHas(SetLocale::SESSION_KEY, 'es');
+
+        $this->get('/posts', ['Accept-Language' => 'en-US,en;q=0.9'])
+            ->assertInertia(fn (Assert $page) => $page->where('locale.current', 'es'));
+    }
+
+    /**
+     * Only the languages in `config('app.locales')` can be chosen.
+     */
+    public function test_unsupported_locale_is_rejected(): void
+    {
+        $this->from('/posts')
+            ->post('/locale', ['locale' => 'fr'])
+            ->assertRedirect('/posts')
+            ->assertSessionHasErrors('locale')
+            ->assertSessionMissing(SetLocale::SESSION_KEY);
+    }
+}
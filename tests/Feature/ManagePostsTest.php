@@ -0,0 +1,74 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class ManagePostsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Status tabs and sort order come from the query string; unknown values fall back to the defaults.
+     */
+    public function test_posts_can_be_filtered_and_sorted(): void
+    {
+        $author = User::factory()->create();
+        BlogPost::factory()->for($author)->published()->create(['title' => 'Banana']);
+        BlogPost::factory()->for($author)->published()->create(['title' => 'Apple', 'published_at' => now()->subDays(2)]);
+        BlogPost::factory()->for($author)->published()->create(['title' => 'Cherry', 'published_at' => now()->addDay()]);
+        BlogPost::factory()->for($author)->create();
+
+        $this->actingAs($author)
+            ->get('/manage-posts?status=published&sort=title&direction=asc&view=table')
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('BlogPosts/Manage')
+                ->has('posts.data', 2)
+                ->where('posts.data.0.title', 'Apple')
+                ->where('filters.view', 'table')
+                ->where('statusCounts.all', 4)
+                ->where('statusCounts.published', 2)
+                ->where('statusCounts.scheduled', 1)
+                ->where('statusCounts.draft', 1));
+
+        $this->actingAs($author)
+            ->get('/manage-posts?status=secret&sort=password')
+            ->assertInertia(fn (Assert $page) => $page
+                ->has('posts.data', 4)
+                ->where('filters.status', 'all')
+                ->where('filters.sort', 'created_at'));
+    }
+
+    /**
+     * Bulk actions change the user's own posts and leave everyone else's alone.
+     */
+    public function test_bulk_actions_only_touch_own_posts(): void
+    {
+        $author = User::factory()->editor()->create();
+        $mine = BlogPost::factory()->for($author)->create();
+        $live = BlogPost::factory()->for($author)->published()->create(['published_at' => now()->subWeek()]);
+        $theirs = BlogPost::factory()->create();
+
+        $this->actingAs($author)
+            ->post('/manage-posts/bulk', ['action' => 'publish', 'ids' => [$mine->id, $live->id, $theirs->id]])
+            ->assertSessionHas('success', '**2 posts** published.');
+
+        $this->assertTrue($mine->fresh()->is_published);
+        $this->assertTrue($live->fresh()->published_at->lt(now()->subDays(6)));
+        $this->assertSame('draft', $theirs->fresh()->status);
+
+        $this->actingAs($author)
+            ->post('/manage-posts/bulk', ['action' => 'delete', 'ids' => [$mine->id, $theirs->id]]);
+
+        $this->assertNull(BlogPost::find($mine->id));
+        $this->assertNotNull(BlogPost::find($theirs->id));
+
+        $this->actingAs($author)
+            ->post('/manage-posts/bulk', ['action' => 'promote', 'ids' => [$live->id]])
+            ->assertSessionHasErrors('action');
+    }
+}
@@ -0,0 +1,132 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\Media;
+use App\Models\User;
+use App\Services\ImageProcessor;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Storage;
+use Inertia\Testing\AssertableInertia as Assert;
+use RuntimeException;
+use Tests\TestCase;
+
+class MediaLibraryTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake('public');
+    }
+
+    private function upload(User $user): Media
+    {
+        return app(ImageProcessor::class)->store(UploadedFile::fake()->image('diagram.png', 1200, 800), $user);
+    }
+
+    /**
+     * The editor uploads inline images as JSON requests.
+     */
+    public function test_images_can_be_uploaded_as_json(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->postJson('/media', [
+            'image' => UploadedFile::fake()->image('screenshot.png', 1280, 720),
+        ])->assertCreated()->assertJsonStructure(['id', 'path', 'url', 'srcset', 'width', 'height']);
+
+        $this->assertSame(1, $user->media()->count());
+    }
+
+    /**
+     * A file that looks like an image but cannot be decoded is a validation error, not a 500.
+     */
+    public function test_unreadable_images_are_rejected(): void
+    {
+        $user = User::factory()->create();
+        $this->mock(ImageProcessor::class)
+            ->shouldReceive('store')
+            ->andThrow(new RuntimeException('The uploaded file could not be read as an image.'));
+
+        $this->actingAs($user)->postJson('/media', [
+            'image' => UploadedFile::fake()->image('broken.png'),
+        ])->assertUnprocessable()->assertJsonValidationErrors(['image' => 'could not be read']);
+
+        $this->assertSame(0, $user->media()->count());
+    }
+
+    /**
+     * The library lists only the current user's uploads.
+     */
+    public function test_library_lists_only_own_uploads(): void
+    {
+        $user = User::factory()->create();
+        $mine = $this->upload($user);
+        $this->upload(User::factory()->create());
+
+        $this->actingAs($user)->getJson('/media')
+            ->assertOk()
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', $mine->id);
+    }
+
+    /**
+     * The library page shows how many posts use each image.
+     */
+    public function test_library_page_counts_posts_using_each_image(): void
+    {
+        $user = User::factory()->create();
+        $unused = $this->upload($user);
+        $this->travel(1)->minute(); // Newest first
+        $used = $this->upload($user);
+
+        BlogPost::factory()->for($user)->create(['featured_image' => $used->path]);
+        BlogPost::factory()->for($user)->create(['content' => "See ![diagram](/storage/{$used->path})"]);
+        BlogPost::factory()->for($user)->create()->delete();
+
+        $this->actingAs($user)->get('/media')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Media/Index')
+                ->where('media.data.0.id', $used->id)
+                ->where('media.data.0.used_in', 2)
+                ->where('media.data.1.id', $unused->id)
+                ->where('media.data.1.used_in', 0));
+    }
+
+    /**
+     * Images used in a post's content cannot be deleted.
+     */
+    public function test_images_in_use_are_not_deleted(): void
+    {
+        $user = User::factory()->create();
+        $media = $this->upload($user);
+
+        BlogPost::factory()->for($user)->create(['content' => "See ![diagram](/storage/{$media->path})"]);
+
+        $this->actingAs($user)->delete("/media/{$media->id}")->assertSessionHas('error');
+
+        $this->assertModelExists($media);
+    }
+
+    /**
+     * Unused images can be deleted by their uploader only.
+     */
+    public function test_only_the_uploader_can_delete_an_image(): void
+    {
+        $user = User::factory()->create();
+        $media = $this->upload($user);
+
+        $this->actingAs(User::factory()->create())->delete("/media/{$media->id}")->assertForbidden();
+        $this->assertModelExists($media);
+
+        $this->actingAs($user)->delete("/media/{$media->id}")->assertSessionHas('success');
+        $this->assertModelMissing($media);
+        Storage::disk('public')->assertMissing($media->path);
+    }
+}
@@ -0,0 +1,113 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\PostDraft;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class PostDraftTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Autosaving stores one draft per author and post.
+     */
+    public function test_autosave_stores_and_replaces_the_draft(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->create(['title' => 'Original title']);
+
+        foreach (['First try', 'Second try'] as $title) {
+            $this->actingAs($user)->putJson("/posts/{$post->id}/draft", [
+                'payload' => ['title' => $title, 'content' => 'Draft content'],
+                'base_updated_at' => $post->updated_at->toJSON(),
+            ])->assertOk()->assertJson(['conflict' => false]);
+        }
+
+        $this->assertSame(1, PostDraft::count());
+        $this->assertSame('Second try', PostDraft::first()->payload['title']);
+        $this->assertSame('Original title', $post->fresh()->title);
+    }
+
+    /**
+     * Autosaving reports a conflict when the post changed after editing began.
+     */
+    public function test_autosave_reports_conflicts(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->create();
+
+        $this->actingAs($user)->putJson("/posts/{$post->id}/draft", [
+            'payload' => ['title' => 'Draft title'],
+            'base_updated_at' => $post->updated_at->subMinute()->toJSON(),
+        ])->assertOk()->assertJson(['conflict' => true]);
+    }
+
+    /**
+     * Other users cannot autosave drafts for a post they cannot edit.
+     */
+    public function test_only_the_author_can_autosave(): void
+    {
+        $post = BlogPost::factory()->create();
+
+        $this->actingAs(User::factory()->create())->putJson("/posts/{$post->id}/draft", [
+            'payload' => ['title' => 'Hijacked'],
+        ])->assertForbidden();
+
+        $this->assertSame(0, PostDraft::count());
+    }
+
+    /**
+     * Saving over a newer version is rejected unless the author chooses to overwrite it.
+     */
+    public function test_update_rejects_stale_edits_unless_overwriting(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->create(['title' => 'Original title']);
+        $staleVersion = $post->updated_at->subMinute()->toJSON();
+
+        $this->actingAs($user)->put("/posts/{$post->id}", [
+            'title' => 'Stale title',
+            'content' => 'Stale content',
+            'status' => 'draft',
+            'expected_updated_at' => $staleVersion,
+        ])->assertSessionHasErrors('conflict');
+
+        $this->assertSame('Original title', $post->fresh()->title);
+
+        $this->actingAs($user)->put("/posts/{$post->id}", [
+            'title' => 'Forced title',
+            'content' => 'Forced content',
+            'status' => 'draft',
+            'expected_updated_at' => $staleVersion,
+            'overwrite' => true,
+        ])->assertSessionHasNoErrors();
+
+        $this->assertSame('Forced title', $post->fresh()->title);
+    }
+
+    /**
+     * Saving the post removes the author's autosaved draft.
+     */
+    public function test_update_clears_the_draft(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->create();
+
+        $this->actingAs($user)->putJson("/posts/{$post->id}/draft", [
+            'payload' => ['title' => 'Draft title'],
+        ])->assertOk();
+
+        $this->actingAs($user)->put("/posts/{$post->id}", [
+            'title' => 'Saved title',
+            'content' => 'Saved content',
+            'status' => 'draft',
+            'expected_updated_at' => $post->updated_at->toJSON(),
+        ])->assertRedirect();
+
+        $this->assertSame(0, PostDraft::count());
+    }
+}
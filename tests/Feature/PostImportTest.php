@@ -0,0 +1,155 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Jobs\ImportPosts;
+use App\Models\BlogPost;
+use App\Models\PostImport;
+use App\Models\User;
+use App\Services\PostImporter;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Queue;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class PostImportTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private const MARKDOWN = <<<'MD'
+---
+title: "Hello: Svelte"
+slug: hello-svelte
+status: published
+date: 2024-03-01 09:30
+tags: [svelte, javascript]  # two tags
+---
+
+Runes **everywhere**.
+MD;
+
+    private const WXR = <<<'XML'
+<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+    xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/"
+    xmlns:content="http://purl.org/rss/1.0/modules/content/"
+    xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+    <item>
+        <title>From WordPress</title>
+        <content:encoded><![CDATA[<!-- wp:paragraph --><p>Hello from WP</p><!-- /wp:paragraph -->]]></content:encoded>
+        <excerpt:encoded><![CDATA[]]></excerpt:encoded>
+        <wp:post_date_gmt>2023-05-04 10:00:00</wp:post_date_gmt>
+        <wp:post_name>existing-post</wp:post_name>
+        <wp:status>publish</wp:status>
+        <wp:post_type>post</wp:post_type>
+        <category domain="category" nicename="news"><![CDATA[News]]></category>
+        <category domain="post_tag" nicename="laravel"><![CDATA[Laravel]]></category>
+    </item>
+    <item>
+        <title>About page</title>
+        <content:encoded><![CDATA[Not a post]]></content:encoded>
+        <wp:post_name>about</wp:post_name>
+        <wp:status>publish</wp:status>
+        <wp:post_type>page</wp:post_type>
+    </item>
+</channel>
+</rss>
+XML;
+
+    /**
+     * Uploads are parsed into a preview that reports taken slugs; nothing is created yet.
+     */
+    public function test_upload_shows_a_preview_with_conflicts(): void
+    {
+        $author = User::factory()->create();
+        BlogPost::factory()->for($author)->create(['title' => 'Existing post']);
+
+        $response = $this->actingAs($author)->post('/manage-posts/import', [
+            'files' => [
+                UploadedFile::fake()->createWithContent('hello.md', self::MARKDOWN),
+                UploadedFile::fake()->createWithContent('export.xml', self::WXR),
+            ],
+        ]);
+
+        $import = PostImport::firstOrFail();
+        $response->assertRedirect(route('posts.import.show', $import));
+        $this->assertSame(1, BlogPost::count());
+
+        $this->actingAs($author)->get("/manage-posts/import/{$import->id}")
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('BlogPosts/ImportRun')
+                ->has('items', 2)
+                ->where('items.0.title', 'Hello: Svelte')
+                ->where('items.0.tags', ['svelte', 'javascript'])
+                ->where('items.0.conflict', null)
+                ->where('items.1.slug', 'existing-post')
+                ->where('items.1.category', 'News')
+                ->where('items.1.conflict', 'existing'));
+
+        $this->actingAs(User::factory()->create())->get("/manage-posts/import/{$import->id}")->assertForbidden();
+    }
+
+    /**
+     * Starting queues the job once; the job creates the posts and records the results.
+     */
+    public function test_import_runs_in_a_queued_job(): void
+    {
+        $author = User::factory()->editor()->create();
+        $this->actingAs($author)->post('/manage-posts/import', [
+            'files' => [UploadedFile::fake()->createWithContent('hello.md', self::MARKDOWN)],
+        ]);
+        $import = PostImport::firstOrFail();
+
+        Queue::fake();
+        $this->actingAs($author)->post("/manage-posts/import/{$import->id}/start", ['on_conflict' => 'skip']);
+        $this->actingAs($author)->post("/manage-posts/import/{$import->id}/start", ['on_conflict' => 'skip']);
+        Queue::assertPushed(ImportPosts::class, 1);
+
+        (new ImportPosts($import->fresh()))->handle(app(PostImporter::class));
+
+        $import->refresh();
+        $this->assertSame(PostImport::STATUS_COMPLETED, $import->status);
+        $this->assertSame(1, $import->processed);
+        $this->assertSame('created', $import->results[0]['result']);
+
+        $post = BlogPost::where('slug', 'hello-svelte')->firstOrFail();
+        $this->assertSame($author->id, $post->user_id);
+        $this->assertTrue($post->is_published);
+        $this->assertSame('2024-03-01', $post->published_at->toDateString());
+        $this->assertSame(['javascript', 'svelte'], $post->tags->pluck('slug')->sort()->values()->all());
+    }
+
+    /**
+     * Posts awaiting review elsewhere (WordPress `pending`) wait for an editor here too.
+     */
+    public function test_posts_awaiting_review_are_imported_in_review(): void
+    {
+        $importer = app(PostImporter::class);
+        $wxr = str_replace('<wp:status>publish</wp:status>', '<wp:status>pending</wp:status>', self::WXR);
+
+        $items = $importer->parseWordPress($wxr, 'export.xml');
+        $this->assertSame(BlogPost::STATUS_IN_REVIEW, $items[0]['status']);
+        $this->assertNull($items[0]['published_at']);
+
+        $markdown = str_replace('status: published', 'status: in_review', self::MARKDOWN);
+        $item = $importer->parseMarkdown($markdown, 'hello.md');
+        $this->assertSame(BlogPost::STATUS_IN_REVIEW, $item['status']);
+
+        $importer->create($item, User::factory()->editor()->create(), 'skip');
+        $this->assertSame(BlogPost::STATUS_IN_REVIEW, BlogPost::where('slug', 'hello-svelte')->value('status'));
+    }
+
+    /**
+     * Files of other types are rejected.
+     */
+    public function test_only_markdown_and_wordpress_files_are_accepted(): void
+    {
+        $this->actingAs(User::factory()->create())
+            ->post('/manage-posts/import', ['files' => [UploadedFile::fake()->create('notes.pdf', 10)]])
+            ->assertSessionHasErrors('files.0');
+
+        $this->assertSame(0, PostImport::count());
+    }
+}
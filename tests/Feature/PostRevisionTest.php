@@ -0,0 +1,121 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class PostRevisionTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Creating and updating posts records revisions.
+     */
+    public function test_store_and_update_record_revisions(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'First version',
+            'content' => 'The first words.',
+            'status' => 'draft',
+        ]);
+
+        $post = BlogPost::firstOrFail();
+
+        $this->actingAs($user)->put("/posts/{$post->id}", [
+            'title' => 'Second version',
+            'content' => 'Some better words.',
+            'status' => 'draft',
+        ]);
+
+        $this->assertSame(['First version', 'Second version'], $post->revisions()->pluck('title')->all());
+        $this->assertSame($user->id, $post->revisions()->first()->user_id);
+    }
+
+    /**
+     * Saving without changes does not add a duplicate revision.
+     */
+    public function test_unchanged_update_does_not_add_a_revision(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->create(['title' => 'First version', 'content' => 'The first words.']);
+
+        foreach ([1, 2] as $attempt) {
+            $this->actingAs($user)->put("/posts/{$post->id}", [
+                'title' => 'First version',
+                'content' => 'The first words.',
+                'status' => 'draft',
+            ]);
+        }
+
+        $this->assertSame(1, $post->revisions()->count());
+    }
+
+    /**
+     * Restoring copies the old content into the post as a new revision.
+     */
+    public function test_restore_saves_old_content_as_a_new_revision(): void
+    {
+        $user = User::factory()->editor()->create();
+        $post = BlogPost::factory()->for($user)->create(['title' => 'First version', 'content' => 'The first words.']);
+
+        $this->actingAs($user)->put("/posts/{$post->id}", [
+            'title' => 'Second version',
+            'content' => 'Some better words.',
+            'status' => 'published',
+        ]);
+
+        $first = $post->revisions()->first();
+
+        $this->actingAs($user)
+            ->post("/posts/{$post->id}/revisions/{$first->id}/restore")
+            ->assertRedirect("/posts/{$post->id}/edit");
+
+        $post->refresh();
+        $this->assertSame('First version', $post->title);
+        $this->assertSame('The first words.', $post->content);
+        $this->assertSame('published', $post->status);
+        $this->assertSame(3, $post->revisions()->count());
+    }
+
+    /**
+     * Restored content goes through the sanitizer, even from revisions saved before it existed.
+     */
+    public function test_restore_sanitizes_old_content(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->create(['content' => '<p>Hi</p><script>alert(1)</script>']);
+        $post->recordRevision($user);
+
+        $this->actingAs($user)
+            ->post("/posts/{$post->id}/revisions/{$post->revisions()->first()->id}/restore")
+            ->assertRedirect("/posts/{$post->id}/edit");
+
+        $this->assertSame('<p>Hi</p>', $post->fresh()->content);
+    }
+
+    /**
+     * A revision can only be restored into its own post, by someone who can edit it.
+     */
+    public function test_restore_is_scoped_and_authorized(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->create(['title' => 'First version', 'content' => 'The first words.']);
+        $otherPost = BlogPost::factory()->for($user)->create();
+        $otherPost->recordRevision($user);
+
+        $this->actingAs($user)
+            ->post("/posts/{$post->id}/revisions/{$otherPost->revisions()->first()->id}/restore")
+            ->assertNotFound();
+
+        $post->recordRevision($user);
+
+        $this->actingAs(User::factory()->create())
+            ->post("/posts/{$post->id}/revisions/{$post->revisions()->first()->id}/restore")
+            ->assertForbidden();
+    }
+}
@@ -0,0 +1,81 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Services\PostSearch;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class PostSearchTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function searchTitles(string $search): array
+    {
+        return app(PostSearch::class)
+            ->apply(BlogPost::published(), $search)
+            ->get()
+            ->pluck('title')
+            ->all();
+    }
+
+    /**
+     * Title matches rank above body matches, and word stems match.
+     */
+    public function test_results_are_ranked_and_stemmed(): void
+    {
+        BlogPost::factory()->published()->create(['title' => 'Cooking notes', 'content' => 'Some thoughts about runes in Svelte 5.']);
+        BlogPost::factory()->published()->create(['title' => 'Understanding Svelte runes', 'content' => 'A deep dive.']);
+
+        $this->assertSame(['Understanding Svelte runes', 'Cooking notes'], $this->searchTitles('rune'));
+    }
+
+    /**
+     * Quoted phrases must match exactly; exclusions remove posts.
+     */
+    public function test_phrases_and_exclusions(): void
+    {
+        BlogPost::factory()->published()->create(['title' => 'Binding', 'content' => 'Route model binding in Laravel.']);
+        BlogPost::factory()->published()->create(['title' => 'Models', 'content' => 'A model for every route, binding them later.']);
+        BlogPost::factory()->published()->create(['title' => 'Vue', 'content' => 'Route model binding compared with Vue.']);
+
+        $this->assertSame(['Binding', 'Vue'], collect($this->searchTitles('"route model binding"'))->sort()->values()->all());
+        $this->assertSame(['Binding'], $this->searchTitles('"route model binding" -vue'));
+        $this->assertSame(['Binding', 'Models'], collect($this->searchTitles('-vue'))->sort()->values()->all());
+    }
+
+    /**
+     * The index follows edits and deletions.
+     */
+    public function test_index_stays_in_sync(): void
+    {
+        $post = BlogPost::factory()->published()->create(['title' => 'Old title', 'content' => 'Nothing special.']);
+
+        $post->update(['content' => 'Now about Tailwind.']);
+        $this->assertSame(['Old title'], $this->searchTitles('tailwind'));
+
+        $post->delete();
+        $this->assertSame([], $this->searchTitles('tailwind'));
+    }
+
+    /**
+     * The listing page returns highlighted titles and snippets.
+     */
+    public function test_index_page_returns_highlighted_snippets(): void
+    {
+        BlogPost::factory()->published()->create(['title' => 'Testing with PHPUnit', 'content' => 'Write a feature test for every route.']);
+        BlogPost::factory()->published()->create(['title' => 'Unrelated', 'content' => 'Nothing to see here.']);
+
+        $start = PostSearch::HIGHLIGHT_START;
+        $end = PostSearch::HIGHLIGHT_END;
+
+        $this->get('/posts?search=test')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->has('posts.data', 1)
+                ->where('posts.data.0.search_title', "{$start}Testing{$end} with PHPUnit")
+                ->where('posts.data.0.search_snippet', "Write a feature {$start}test{$end} for every route."));
+    }
+}
@@ -0,0 +1,111 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\Category;
+use App\Models\Tag;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class PostTaxonomyTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Saving a post creates new tags and categories and reuses existing ones by slug.
+     */
+    public function test_store_creates_and_reuses_tags_and_categories(): void
+    {
+        $user = User::factory()->create();
+        Tag::create(['name' => 'Laravel', 'slug' => 'laravel']);
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'Tagged post',
+            'content' => 'Content',
+            'status' => 'draft',
+            'category' => 'Tutorials',
+            'tags' => ['laravel', ' #Svelte 5 ', 'SVELTE 5', '!!!'],
+        ])->assertSessionHasNoErrors();
+
+        $post = BlogPost::first();
+
+        $this->assertSame('Tutorials', $post->category->name);
+        $this->assertSame(['Laravel', 'Svelte 5'], $post->tags->pluck('name')->all());
+        $this->assertSame(2, Tag::count());
+    }
+
+    /**
+     * Updating replaces the tags and can remove the category.
+     */
+    public function test_update_syncs_tags_and_category(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->for(Category::findOrCreateByName('Tutorials'))->published()->withTags(['Laravel', 'Testing'])->create();
+
+        $this->actingAs($user)->put("/posts/{$post->id}", [
+            'title' => 'Post',
+            'content' => 'Content',
+            'status' => 'published',
+            'category' => '',
+            'tags' => ['Testing', 'PHPUnit'],
+        ])->assertSessionHasNoErrors();
+
+        $post->refresh();
+
+        $this->assertNull($post->category);
+        $this->assertSame(['PHPUnit', 'Testing'], $post->tags->pluck('name')->all());
+    }
+
+    /**
+     * Too many tags, or tags that are too long, are rejected.
+     */
+    public function test_tags_are_validated(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'Post',
+            'content' => 'Content',
+            'status' => 'draft',
+            'tags' => array_map(fn ($i) => "tag {$i}", range(1, Tag::MAX_PER_POST + 1)),
+        ])->assertSessionHasErrors('tags');
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'Post',
+            'content' => 'Content',
+            'status' => 'draft',
+            'tags' => [str_repeat('a', Tag::MAX_LENGTH + 1)],
+        ])->assertSessionHasErrors('tags.0');
+    }
+
+    /**
+     * Tag and category archives list only matching published posts.
+     */
+    public function test_archive_pages_filter_published_posts(): void
+    {
+        $user = User::factory()->create();
+        BlogPost::factory()->for($user)->for(Category::findOrCreateByName('Tutorials'))->published()->withTags(['Laravel'])->create(['title' => 'Laravel tips']);
+        BlogPost::factory()->for($user)->for(Category::findOrCreateByName('Tutorials'))->published()->withTags(['Svelte'])->create(['title' => 'Svelte tips']);
+        BlogPost::factory()->for($user)->for(Category::findOrCreateByName('News'))->withTags(['Laravel'])->create(['title' => 'Laravel news']);
+
+        $this->get('/tags/laravel')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('BlogPosts/Index')
+                ->where('archive.type', 'tag')
+                ->where('archive.path', '/tags/laravel')
+                ->has('posts.data', 1)
+                ->where('posts.data.0.title', 'Laravel tips'));
+
+        $this->get('/categories/tutorials')
+            ->assertOk()
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('archive.name', 'Tutorials')
+                ->has('posts.data', 2));
+
+        $this->get('/tags/unknown')->assertNotFound();
+    }
+}
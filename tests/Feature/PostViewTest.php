@@ -0,0 +1,110 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\PostView;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class PostViewTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private const BROWSER = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15';
+
+    /**
+     * A visit is counted once per session, with only the referring domain stored.
+     */
+    public function test_views_are_counted_once_per_session(): void
+    {
+        $post = BlogPost::factory()->published()->create();
+
+        $this->withHeaders(['User-Agent' => self::BROWSER, 'Referer' => 'https://www.reddit.com/r/laravel/comments/123'])
+            ->get("/posts/{$post->slug}")
+            ->assertInertia(fn (Assert $page) => $page->whereType('viewToken', 'string'));
+
+        $this->withHeaders(['User-Agent' => self::BROWSER])->get("/posts/{$post->slug}");
+
+        $this->assertSame(1, PostView::count());
+        $view = PostView::first();
+        $this->assertSame('reddit.com', $view->referrer_host);
+        $this->assertArrayNotHasKey('ip', $view->getAttributes());
+    }
+
+    /**
+     * Bots, the author's own visits and links from this site are handled accordingly.
+     */
+    public function test_bots_and_authors_are_not_counted(): void
+    {
+        $author = User::factory()->create();
+        $post = BlogPost::factory()->for($author)->published()->create();
+
+        $this->withHeaders(['User-Agent' => 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'])
+            ->get("/posts/{$post->slug}")
+            ->assertInertia(fn (Assert $page) => $page->where('viewToken', null));
+
+        $this->actingAs($author)
+            ->withHeaders(['User-Agent' => self::BROWSER])
+            ->get("/posts/{$post->slug}");
+
+        $this->assertSame(0, PostView::count());
+
+        $this->actingAs(User::factory()->create())
+            ->withHeaders(['User-Agent' => self::BROWSER, 'Referer' => url('/posts')])
+            ->get("/posts/{$post->slug}");
+
+        $this->assertNull(PostView::first()->referrer_host);
+    }
+
+    /**
+     * The beacon raises the read depth and never lowers it.
+     */
+    public function test_beacon_records_the_deepest_scroll(): void
+    {
+        $post = BlogPost::factory()->published()->create();
+        $this->withHeaders(['User-Agent' => self::BROWSER])->get("/posts/{$post->slug}");
+        $view = PostView::first();
+
+        $this->patchJson("/views/{$view->token}", ['depth' => 80])->assertNoContent();
+        $this->patchJson("/views/{$view->token}", ['depth' => 40])->assertNoContent();
+        $this->assertSame(80, $view->fresh()->read_depth);
+
+        $this->patchJson("/views/{$view->token}", ['depth' => 150])->assertUnprocessable();
+        $this->patchJson('/views/not-a-token', ['depth' => 50])->assertNotFound();
+    }
+
+    /**
+     * Only the author sees the analytics, and the dashboard counts real views.
+     */
+    public function test_analytics_page_and_dashboard_total(): void
+    {
+        $author = User::factory()->create();
+        $post = BlogPost::factory()->for($author)->published()->create();
+
+        foreach ([100, 95, 30, 0] as $depth) {
+            $view = new PostView();
+            $view->blog_post_id = $post->id;
+            $view->token = "token-{$depth}";
+            $view->referrer_host = $depth > 50 ? 'news.ycombinator.com' : null;
+            $view->read_depth = $depth;
+            $view->save();
+        }
+
+        $this->actingAs(User::factory()->create())->get("/posts/{$post->id}/analytics")->assertForbidden();
+
+        $this->actingAs($author)->get("/posts/{$post->id}/analytics")
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('BlogPosts/Analytics')
+                ->where('totals.views', 4)
+                ->where('totals.completionRate', 50)
+                ->has('daily', 30)
+                ->where('daily.29.views', 4)
+                ->has('referrers', 2));
+
+        $this->actingAs($author)->get('/dashboard')
+            ->assertInertia(fn (Assert $page) => $page->where('stats.totalViews', 4));
+    }
+}
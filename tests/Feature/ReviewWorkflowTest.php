@@ -0,0 +1,147 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class ReviewWorkflowTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function submittedPost(User $author): BlogPost
+    {
+        $this->actingAs($author)->post('/posts', [
+            'title' => 'Please review me',
+            'content' => 'Content',
+            'status' => 'in_review',
+        ])->assertSessionHasNoErrors();
+
+        return BlogPost::firstOrFail();
+    }
+
+    /**
+     * Authors cannot publish: they submit for review, and the step is recorded.
+     */
+    public function test_authors_submit_posts_for_review(): void
+    {
+        $author = User::factory()->create();
+
+        $this->actingAs($author)->post('/posts', [
+            'title' => 'Straight to the public',
+            'content' => 'Content',
+            'status' => 'published',
+        ])->assertSessionHasErrors('status');
+        $this->assertDatabaseCount('blog_posts', 0);
+
+        $post = $this->submittedPost($author);
+
+        $this->assertSame(BlogPost::STATUS_IN_REVIEW, $post->status);
+        $this->assertNull($post->published_at);
+        $this->assertDatabaseHas('post_status_changes', [
+            'blog_post_id' => $post->id,
+            'user_id' => $author->id,
+            'from_status' => null,
+            'to_status' => BlogPost::STATUS_IN_REVIEW,
+        ]);
+
+        // The editor's status select only offers what the author may do next
+        $this->actingAs($author)->get("/posts/{$post->id}/edit")
+            ->assertInertia(fn (Assert $page) => $page
+                ->has('statuses', 2)
+                ->has('statuses.in_review')
+                ->has('statuses.draft')
+                ->missing('statuses.published'));
+    }
+
+    /**
+     * Editors find submitted posts in the queue and can schedule them on approval.
+     */
+    public function test_editors_approve_and_schedule_from_the_queue(): void
+    {
+        $post = $this->submittedPost(User::factory()->create(['name' => 'Ana']));
+        $editor = User::factory()->editor()->create(['name' => 'Eve']);
+        $publishAt = now()->addDay()->startOfMinute();
+
+        $this->actingAs($editor)->get('/reviews')
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('BlogPosts/Reviews')
+                ->has('posts.data', 1)
+                ->where('posts.data.0.author', 'Ana'));
+
+        $this->actingAs($editor)->get("/posts/{$post->slug}")
+            ->assertInertia(fn (Assert $page) => $page->where('can.review', true));
+
+        $this->actingAs($editor)->post("/posts/{$post->id}/review", [
+            'decision' => 'approve',
+            'published_at' => $publishAt->toIso8601String(),
+        ])->assertRedirect('/reviews')->assertSessionHas('success');
+
+        $post->refresh();
+        $this->assertSame(BlogPost::STATUS_PUBLISHED, $post->status);
+        $this->assertTrue($post->is_scheduled);
+        $this->assertTrue($post->published_at->equalTo($publishAt));
+
+        $this->actingAs($editor)->get("/posts/{$post->slug}")
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('can.review', false)
+                ->has('statusHistory', 2)
+                ->where('statusHistory.1.event', 'approved')
+                ->where('statusHistory.1.user.name', 'Eve'));
+
+        $this->actingAs($editor)->get('/reviews')
+            ->assertInertia(fn (Assert $page) => $page->has('posts.data', 0));
+    }
+
+    /**
+     * Asking for changes needs a note, which the author sees in the editor.
+     */
+    public function test_editors_request_changes_with_a_note(): void
+    {
+        $author = User::factory()->create();
+        $post = $this->submittedPost($author);
+        $editor = User::factory()->editor()->create();
+
+        $this->actingAs($editor)
+            ->post("/posts/{$post->id}/review", ['decision' => 'request_changes'])
+            ->assertSessionHasErrors('note');
+        $this->assertSame(BlogPost::STATUS_IN_REVIEW, $post->fresh()->status);
+
+        $this->actingAs($editor)->post("/posts/{$post->id}/review", [
+            'decision' => 'request_changes',
+            'note' => 'Add a code example.',
+        ])->assertSessionHasNoErrors();
+
+        $this->assertSame(BlogPost::STATUS_DRAFT, $post->fresh()->status);
+
+        $this->actingAs($author)->get("/posts/{$post->id}/edit")
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('changesRequested.event', 'changes_requested')
+                ->where('changesRequested.note', 'Add a code example.'));
+    }
+
+    /**
+     * Only editors and admins review, and only posts that are waiting.
+     */
+    public function test_only_editors_review_waiting_posts(): void
+    {
+        $author = User::factory()->create();
+        $post = $this->submittedPost($author);
+
+        $this->actingAs($author)->get('/reviews')->assertForbidden();
+        $this->actingAs($author)
+            ->post("/posts/{$post->id}/review", ['decision' => 'approve'])
+            ->assertForbidden();
+        $this->assertSame(BlogPost::STATUS_IN_REVIEW, $post->fresh()->status);
+
+        $draft = BlogPost::factory()->for($author)->create();
+
+        $this->actingAs(User::factory()->editor()->create())
+            ->post("/posts/{$draft->id}/review", ['decision' => 'approve'])
+            ->assertForbidden();
+        $this->assertSame(BlogPost::STATUS_DRAFT, $draft->fresh()->status);
+    }
+}
@@ -0,0 +1,147 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class RolePermissionTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * New accounts are authors; the role cannot be set through mass assignment.
+     */
+    public function test_role_defaults_to_author_and_is_not_mass_assignable(): void
+    {
+        $user = User::factory()->create();
+        $user->update(['role' => User::ROLE_ADMIN]);
+
+        $this->assertSame(User::ROLE_AUTHOR, $user->fresh()->role);
+    }
+
+    /**
+     * The shared `auth.can` map follows the role.
+     */
+    public function test_permissions_are_shared_with_the_frontend(): void
+    {
+        $this->get('/posts')->assertInertia(fn (Assert $page) => $page
+            ->where('auth.can.createPosts', false)
+            ->where('auth.can.manageUsers', false));
+
+        $this->actingAs(User::factory()->editor()->create())->get('/posts')
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('auth.user.role', User::ROLE_EDITOR)
+                ->where('auth.can.createPosts', true)
+                ->where('auth.can.editAnyPost', true)
+                ->where('auth.can.deleteAnyPost', false)
+                ->where('auth.can.manageUsers', false));
+    }
+
+    /**
+     * Readers can read and comment, but not write posts.
+     */
+    public function test_readers_cannot_write_posts(): void
+    {
+        $reader = User::factory()->reader()->create();
+
+        $this->actingAs($reader)->get('/posts/create')->assertForbidden();
+        $this->actingAs($reader)->get('/manage-posts')->assertForbidden();
+        $this->actingAs($reader)
+            ->post('/posts', ['title' => 'Mine', 'content' => 'Content', 'status' => 'draft'])
+            ->assertForbidden();
+
+        $this->assertDatabaseCount('blog_posts', 0);
+    }
+
+    /**
+     * Editors edit anyone's posts, but only admins delete them.
+     */
+    public function test_editors_edit_but_do_not_delete_other_posts(): void
+    {
+        $post = BlogPost::factory()->published()->create();
+        $editor = User::factory()->editor()->create();
+
+        $this->actingAs($editor)->get("/posts/{$post->slug}")
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('can.update', true)
+                ->where('can.delete', false));
+
+        $this->actingAs($editor)->put("/posts/{$post->id}", [
+            'title' => 'Fixed title',
+            'content' => 'Content',
+            'status' => 'published',
+        ])->assertSessionHasNoErrors();
+        $this->assertSame('Fixed title', $post->fresh()->title);
+
+        $this->actingAs($editor)->delete("/posts/{$post->id}")->assertForbidden();
+        $this->assertNotSoftDeleted($post);
+
+        // Plain authors cannot even open the editor
+        $this->actingAs(User::factory()->create())->get("/posts/{$post->id}/edit")->assertForbidden();
+    }
+
+    /**
+     * Editors may preview someone else's draft; other authors still get a 404.
+     */
+    public function test_drafts_are_visible_to_editors_only(): void
+    {
+        $post = BlogPost::factory()->create();
+
+        $this->actingAs(User::factory()->editor()->create())->get("/posts/{$post->slug}")->assertOk();
+        $this->actingAs(User::factory()->create())->get("/posts/{$post->slug}")->assertNotFound();
+    }
+
+    /**
+     * Admins delete any post, and can take it back from the "Undo" in the message.
+     */
+    public function test_admins_delete_and_restore_any_post(): void
+    {
+        $post = BlogPost::factory()->published()->create();
+        $admin = User::factory()->admin()->create();
+
+        $this->actingAs($admin)->delete("/posts/{$post->id}")->assertSessionHas('action.data.ids', [$post->id]);
+        $this->assertSoftDeleted($post);
+
+        $this->actingAs($admin)->post('/manage-posts/trash/restore', ['ids' => [$post->id]]);
+        $this->assertNotSoftDeleted($post);
+    }
+
+    /**
+     * Only admins see the user list and assign roles, never their own.
+     */
+    public function test_admins_assign_roles(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create(['name' => 'Ana']);
+
+        $this->actingAs($admin)->get('/admin/users?role=author')
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('Admin/Users')
+                ->has('users.data', 1)
+                ->where('users.data.0.name', 'Ana')
+                ->where('roleCounts.admin', 1));
+
+        $this->actingAs($admin)
+            ->patch("/admin/users/{$user->id}/role", ['role' => User::ROLE_EDITOR])
+            ->assertSessionHas('success');
+        $this->assertSame(User::ROLE_EDITOR, $user->fresh()->role);
+
+        $this->actingAs($admin)
+            ->patch("/admin/users/{$user->id}/role", ['role' => 'owner'])
+            ->assertSessionHasErrors('role');
+
+        $this->actingAs($admin)
+            ->patch("/admin/users/{$admin->id}/role", ['role' => User::ROLE_READER])
+            ->assertForbidden();
+        $this->assertSame(User::ROLE_ADMIN, $admin->fresh()->role);
+
+        $this->actingAs($user->fresh())->get('/admin/users')->assertForbidden();
+        $this->actingAs($user->fresh())
+            ->patch("/admin/users/{$admin->id}/role", ['role' => User::ROLE_READER])
+            ->assertForbidden();
+    }
+}
@@ -0,0 +1,92 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ScheduledPublishingTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * A post published with a future date stays hidden until that moment.
+     */
+    public function test_scheduled_posts_go_live_when_due(): void
+    {
+        $user = User::factory()->editor()->create(); // Authors submit for review; editors publish
+        $publishAt = now()->addDay()->startOfMinute();
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'Scheduled post',
+            'content' => 'Coming soon',
+            'status' => 'published',
+            'published_at' => $publishAt->toIso8601String(),
+        ])->assertSessionHasNoErrors();
+
+        $post = BlogPost::first();
+
+        $this->assertTrue($post->is_scheduled);
+        $this->assertTrue($post->published_at->equalTo($publishAt));
+        $this->assertSame(0, BlogPost::published()->count());
+
+        $this->travelTo($publishAt->copy()->addSecond());
+
+        $this->assertFalse($post->fresh()->is_scheduled);
+        $this->assertSame(1, BlogPost::published()->count());
+    }
+
+    /**
+     * Scheduled times sent in UTC are stored as the same moment.
+     */
+    public function test_scheduled_time_is_converted_from_utc(): void
+    {
+        $user = User::factory()->editor()->create();
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'Time zones',
+            'content' => 'Content',
+            'status' => 'published',
+            'published_at' => '2030-01-15T14:30:00.000Z',
+        ])->assertSessionHasNoErrors();
+
+        $this->assertTrue(BlogPost::first()->published_at->equalTo('2030-01-15 14:30:00 UTC'));
+    }
+
+    /**
+     * Publishing without a date publishes immediately.
+     */
+    public function test_publishing_without_a_date_publishes_now(): void
+    {
+        $user = User::factory()->editor()->create();
+
+        $this->actingAs($user)->post('/posts', [
+            'title' => 'Live post',
+            'content' => 'Content',
+            'status' => 'published',
+        ])->assertSessionHasNoErrors();
+
+        $this->assertSame(1, BlogPost::published()->count());
+    }
+
+    /**
+     * Updating a live post keeps its original publication date.
+     */
+    public function test_updating_a_live_post_keeps_its_publish_date(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->published()->create(['published_at' => now()->subWeek()->startOfSecond()]);
+        $originalDate = $post->published_at;
+
+        $this->actingAs($user)->put("/posts/{$post->id}", [
+            'title' => 'Old post, edited',
+            'content' => 'Content',
+            'status' => 'published',
+            'expected_updated_at' => $post->updated_at->toJSON(),
+        ])->assertSessionHasNoErrors();
+
+        $this->assertTrue($post->fresh()->published_at->equalTo($originalDate));
+    }
+}
@@ -0,0 +1,57 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class SearchSuggestTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Matching published posts and tags are suggested; drafts are not.
+     */
+    public function test_suggests_published_posts_and_tags(): void
+    {
+        $user = User::factory()->create();
+        BlogPost::factory()->for($user)->published()->withTags(['Laravel'])->create(['title' => 'Laravel queues explained']);
+        BlogPost::factory()->for($user)->withTags(['Laravel'])->create(['title' => 'Laravel draft']);
+        BlogPost::factory()->for($user)->published()->withTags(['Svelte'])->create(['title' => 'Svelte runes']);
+
+        $this->getJson('/search/suggest?q=lara')
+            ->assertOk()
+            ->assertJsonCount(1, 'posts')
+            ->assertJsonPath('posts.0.title', 'Laravel queues explained')
+            ->assertJsonPath('posts.0.slug', 'laravel-queues-explained')
+            ->assertJsonCount(1, 'tags')
+            ->assertJsonPath('tags.0.slug', 'laravel')
+            ->assertJsonPath('tags.0.posts_count', 1);
+    }
+
+    /**
+     * One letter is not worth a query: empty lists come back.
+     */
+    public function test_short_queries_return_nothing(): void
+    {
+        BlogPost::factory()->published()->withTags(['Laravel'])->create(['title' => 'Laravel queues explained']);
+
+        $this->getJson('/search/suggest?q=l')
+            ->assertOk()
+            ->assertExactJson(['query' => 'l', 'posts' => [], 'tags' => []]);
+    }
+
+    /**
+     * Tags without published posts are not suggested.
+     */
+    public function test_tags_without_published_posts_are_hidden(): void
+    {
+        BlogPost::factory()->withTags(['Internal'])->create(['title' => 'Secret']);
+
+        $this->getJson('/search/suggest?q=inter')
+            ->assertOk()
+            ->assertJsonCount(0, 'tags');
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\SitemapController;
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class SitemapTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * The sitemap lists the main pages and published posts with their last change.
+     */
+    public function test_sitemap_lists_published_posts(): void
+    {
+        $user = User::factory()->create();
+        $post = BlogPost::factory()->for($user)->published()->create();
+        BlogPost::factory()->for($user)->create(['title' => 'Secret draft']);
+
+        $this->get('/sitemap.xml')
+            ->assertOk()
+            ->assertHeader('Content-Type', 'application/xml; charset=UTF-8')
+            ->assertSee('<urlset', false)
+            ->assertSee("<loc>{$post->url}</loc>", false)
+            ->assertSee('<lastmod>'.$post->updated_at->toAtomString().'</lastmod>', false)
+            ->assertSee('<loc>'.route('about').'</loc>', false)
+            ->assertDontSee('secret-draft');
+    }
+
+    /**
+     * Beyond one page of posts, `/sitemap.xml` becomes an index of numbered pages.
+     */
+    public function test_large_sites_get_a_sitemap_index(): void
+    {
+        $user = User::factory()->create();
+        $posts = collect();
+        for ($i = 1; $i <= SitemapController::PER_PAGE + 1; $i++) {
+            $posts->push(['user_id' => $user->id, 'title' => "Post {$i}", 'slug' => "post-{$i}", 'content' => 'Content', 'status' => 'published', 'published_at' => now()->subDay(), 'created_at' => now(), 'updated_at' => now()]);
+        }
+        $posts->chunk(500)->each(fn ($chunk) => BlogPost::insert($chunk->all()));
+
+        $this->get('/sitemap.xml')
+            ->assertOk()
+            ->assertSee('<sitemapindex', false)
+            ->assertSee('<loc>'.route('sitemap.page', 2).'</loc>', false);
+
+        $this->get('/sitemap/2.xml')
+            ->assertOk()
+            ->assertSee('/posts/post-'.(SitemapController::PER_PAGE + 1).'</loc>', false);
+
+        $this->get('/sitemap/3.xml')->assertNotFound();
+    }
+
+    /**
+     * robots.txt points crawlers to the sitemap's absolute URL.
+     */
+    public function test_robots_txt_advertises_the_sitemap(): void
+    {
+        $this->get('/robots.txt')
+            ->assertOk()
+            ->assertSee('Sitemap: '.url('/sitemap.xml'));
+    }
+
+    /**
+     * The post page receives everything its JSON-LD is built from.
+     */
+    public function test_post_page_passes_structured_data_meta(): void
+    {
+        $post = BlogPost::factory()
+            ->for(User::factory()->create(['name' => 'Ada Lovelace']))
+            ->published()
+            ->withTags(['Svelte'])
+            ->create();
+
+        $this->get("/posts/{$post->slug}")
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('meta.url', $post->url)
+                ->where('meta.author', 'Ada Lovelace')
+                ->where('meta.keywords', ['Svelte'])
+                ->where('meta.published_at', $post->published_at->toIso8601String()));
+    }
+
+    /**
+     * The reading time reaches schema.org as an ISO 8601 duration, not as display text.
+     */
+    public function test_post_page_passes_reading_time_as_a_duration(): void
+    {
+        $post = BlogPost::factory()->published()->create([
+            'content' => str_repeat('word ', 1000), // 1000 words at 200 per minute
+        ]);
+
+        $this->get("/posts/{$post->slug}")
+            ->assertInertia(fn (Assert $page) => $page
+                ->where('meta.reading_time', '5 min read')
+                ->where('meta.time_required', 'PT5M'));
+    }
+}
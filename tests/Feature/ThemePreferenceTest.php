@@ -0,0 +1,75 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class ThemePreferenceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * New accounts follow the system until they pick a theme.
+     */
+    public function test_theme_defaults_to_system(): void
+    {
+        $user = User::factory()->create();
+
+        $this->assertSame(User::THEME_SYSTEM, $user->fresh()->theme);
+    }
+
+    /**
+     * The switcher saves the theme in the background and gets JSON back.
+     */
+    public function test_user_can_save_theme(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)
+            ->putJson('/profile/theme', ['theme' => 'dark'])
+            ->assertOk()
+            ->assertJson(['theme' => 'dark']);
+
+        $this->assertSame(User::THEME_DARK, $user->fresh()->theme);
+    }
+
+    /**
+     * Only the known themes are accepted.
+     */
+    public function test_unknown_theme_is_rejected(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)
+            ->putJson('/profile/theme', ['theme' => 'purple'])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('theme');
+
+        $this->assertSame(User::THEME_SYSTEM, $user->fresh()->theme);
+    }
+
+    /**
+     * Guests keep their theme in the browser only.
+     */
+    public function test_guest_cannot_save_theme(): void
+    {
+        $this->putJson('/profile/theme', ['theme' => 'dark'])->assertUnauthorized();
+    }
+
+    /**
+     * The theme is shared with the pages and set on `<html>` before the first paint.
+     */
+    public function test_theme_is_shared_and_rendered_on_html(): void
+    {
+        $user = User::factory()->create(['theme' => 'dark']);
+
+        $this->actingAs($user)
+            ->get('/dashboard')
+            ->assertOk()
+            ->assertSee('data-theme="dark"', false)
+            ->assertInertia(fn (Assert $page) => $page->where('auth.user.theme', 'dark'));
+    }
+}
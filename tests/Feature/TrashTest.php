@@ -0,0 +1,105 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\BlogPost;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class TrashTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Deleting moves the post to the trash and offers an "Undo" that restores it.
+     */
+    public function test_deleted_posts_go_to_the_trash_and_can_be_restored(): void
+    {
+        $author = User::factory()->create();
+        $post = BlogPost::factory()->for($author)->published()->create();
+
+        $this->actingAs($author)
+            ->delete("/posts/{$post->id}")
+            ->assertRedirect(route('posts.manage'))
+            ->assertSessionHas('action.data.ids', [$post->id]);
+
+        $this->assertSoftDeleted($post);
+        $this->get("/posts/{$post->slug}")->assertNotFound();
+
+        $this->actingAs($author)->get('/manage-posts/trash')
+            ->assertInertia(fn (Assert $page) => $page
+                ->component('BlogPosts/Trash')
+                ->has('posts.data', 1)
+                ->where('posts.data.0.id', $post->id));
+
+        // Someone else cannot restore it
+        $this->actingAs(User::factory()->create())->post('/manage-posts/trash/restore', ['ids' => [$post->id]]);
+        $this->assertSoftDeleted($post);
+
+        $this->actingAs($author)
+            ->post('/manage-posts/trash/restore', ['ids' => [$post->id]])
+            ->assertSessionHas('action.url', route('posts.show', $post->slug));
+        $this->assertNotSoftDeleted($post);
+        $this->get("/posts/{$post->slug}")->assertOk();
+    }
+
+    /**
+     * "Delete forever" removes the row; the slug of a trashed post is not given away.
+     */
+    public function test_posts_can_be_deleted_forever(): void
+    {
+        $author = User::factory()->create();
+        $post = BlogPost::factory()->for($author)->create(['title' => 'Same title']);
+        $post->delete();
+
+        $this->assertSame('same-title-2', BlogPost::factory()->for($author)->create(['title' => 'Same title'])->slug);
+
+        $this->actingAs($author)->delete('/manage-posts/trash', ['ids' => [$post->id]]);
+        $this->assertModelMissing($post);
+    }
+
+    /**
+     * Nothing restored or deleted means no "0 posts" success message.
+     */
+    public function test_empty_selections_are_reported(): void
+    {
+        $post = BlogPost::factory()->create();
+        $post->delete();
+        $stranger = User::factory()->create();
+
+        $this->actingAs($stranger)
+            ->post('/manage-posts/trash/restore', ['ids' => [$post->id]])
+            ->assertSessionHas('error')
+            ->assertSessionMissing('success');
+        $this->assertSoftDeleted($post);
+
+        $this->actingAs($stranger)
+            ->delete('/manage-posts/trash', ['ids' => [$post->id]])
+            ->assertSessionHas('error');
+        $this->assertSoftDeleted($post);
+
+        $this->actingAs($stranger)
+            ->delete('/manage-posts/trash', ['all' => true])
+            ->assertSessionHas('info', 'The trash is already empty.');
+    }
+
+    /**
+     * The daily prune only removes posts that were in the trash long enough.
+     */
+    public function test_old_trashed_posts_are_purged(): void
+    {
+        config(['blog.trash_days' => 30]);
+        $author = User::factory()->create();
+        [$old, $recent] = BlogPost::factory()->count(2)->for($author)->create()->all();
+
+        $this->travelTo(now()->subDays(31), fn () => $old->delete());
+        $recent->delete();
+
+        $this->artisan('model:prune', ['--model' => [BlogPost::class]]);
+
+        $this->assertModelMissing($old);
+        $this->assertSoftDeleted($recent);
+    }
+}
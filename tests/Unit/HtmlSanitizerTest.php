@@ -0,0 +1,139 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Services\HtmlSanitizer;
+use PHPUnit\Framework\TestCase;
+
+class HtmlSanitizerTest extends TestCase
+{
+    private HtmlSanitizer $sanitizer;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->sanitizer = new HtmlSanitizer();
+    }
+
+    /**
+     * Script elements are removed together with their contents.
+     */
+    public function test_it_removes_script_tags_and_their_contents(): void
+    {
+        $this->assertSame('<p>Hello</p>', $this->sanitizer->clean('<p>Hello</p><script>alert(1)</script>'));
+        $this->assertSame('', $this->sanitizer->clean('<SCRIPT type="text/javascript">alert(1)</SCRIPT>'));
+        $this->assertSame('', $this->sanitizer->clean('<svg onload="alert(1)"><circle /></svg>'));
+    }
+
+    /**
+     * Splitting a tag around a removed one must not reassemble a working tag.
+     */
+    public function test_it_does_not_reassemble_nested_script_tags(): void
+    {
+        $clean = $this->sanitizer->clean('<scr<script>ipt>alert(1)</script>');
+
+        $this->assertStringNotContainsStringIgnoringCase('<script', $clean);
+    }
+
+    /**
+     * Event-handler attributes are never allowed.
+     */
+    public function test_it_removes_event_handler_attributes(): void
+    {
+        $this->assertSame('<img src="/cat.png">', $this->sanitizer->clean('<img src="/cat.png" onerror="alert(1)">'));
+        $this->assertSame('<div>Hi</div>', $this->sanitizer->clean('<div onclick=\'alert(1)\' style="position:fixed">Hi</div>'));
+        $this->assertSame('<p>Hi</p>', $this->sanitizer->clean('<p ONMOUSEOVER=alert(1)>Hi</p>'));
+    }
+
+    /**
+     * Unterminated tags are escaped so the browser cannot complete them.
+     */
+    public function test_it_escapes_malformed_tags(): void
+    {
+        $this->assertSame('&lt;img src=x onerror=alert(1)', $this->sanitizer->clean('<img src=x onerror=alert(1)'));
+    }
+
+    /**
+     * `javascript:` URLs are removed, including obfuscated variants.
+     */
+    public function test_it_removes_javascript_urls(): void
+    {
+        $this->assertSame('<a>x</a>', $this->sanitizer->clean('<a href="javascript:alert(1)">x</a>'));
+        $this->assertSame('<a>x</a>', $this->sanitizer->clean('<a href=" JaVaScRiPt:alert(1)">x</a>'));
+        $this->assertSame('<a>x</a>', $this->sanitizer->clean('<a href="java&#x09;script:alert(1)">x</a>'));
+        $this->assertSame('<img>', $this->sanitizer->clean('<img src="data:text/html;base64,PHNjcmlwdD4=">'));
+    }
+
+    /**
+     * Safe markup, links and plain Markdown pass through unchanged.
+     */
+    public function test_it_keeps_allowed_markup_and_markdown(): void
+    {
+        $this->assertSame(
+            '<a href="https://example.com" title="Docs">Docs</a>',
+            $this->sanitizer->clean('<a href="https://example.com" title="Docs">Docs</a>')
+        );
+
+        $markdown = "# Title\n\n**Bold** text & a [link](/posts/hello)\n\n> A quote\n\n- [x] Done";
+        $this->assertSame($markdown, $this->sanitizer->clean($markdown));
+    }
+
+    /**
+     * Only disabled checkboxes (Markdown task lists) survive as inputs.
+     */
+    public function test_it_only_allows_disabled_checkbox_inputs(): void
+    {
+        $this->assertSame(
+            '<input type="checkbox" checked="" disabled="">',
+            $this->sanitizer->clean('<input type="checkbox" checked>')
+        );
+        $this->assertSame('', $this->sanitizer->clean('<input type="text" value="x">'));
+    }
+
+    /**
+     * Code samples may show tags, but still lose event handlers and unsafe URLs.
+     */
+    public function test_it_keeps_tags_inside_code_samples(): void
+    {
+        $fenced = "```html\n<script src=\"app.js\"></script>\n```";
+        $this->assertSame($fenced, $this->sanitizer->clean($fenced));
+
+        $this->assertSame('Use `<img src="a.png">` here', $this->sanitizer->clean('Use `<img src="a.png" onerror="alert(1)">` here'));
+        $this->assertSame('`<a>x</a>`', $this->sanitizer->clean('`<a href="javascript:alert(1)">x</a>`'));
+    }
+
+    /**
+     * Code inside a raw HTML block is rendered as HTML, so it is sanitized like HTML.
+     */
+    public function test_it_sanitizes_code_samples_inside_raw_html(): void
+    {
+        $this->assertSame(
+            "<div>\n```\n\n```\n</div>",
+            $this->sanitizer->clean("<div>\n```\n<script src=\"https://evil.example/x.js\"></script>\n```\n</div>")
+        );
+        $this->assertSame(
+            "<pre>\n\n`<b>x</b>`</pre>",
+            $this->sanitizer->clean("<pre>\n\n`<iframe src=\"https://evil.example\"></iframe><b>x</b>`</pre>")
+        );
+
+        // After a blank line the block is over and the sample is code again
+        $fenced = "<div>Intro</div>\n\n```html\n<script src=\"app.js\"></script>\n```";
+        $this->assertSame($fenced, $this->sanitizer->clean($fenced));
+    }
+
+    /**
+     * Markdown autolinks with a safe URL are kept; unsafe ones are escaped.
+     */
+    public function test_it_keeps_safe_autolinks(): void
+    {
+        $markdown = 'See <https://example.com/docs?page=2> or <mailto:team@example.com>.';
+        $this->assertSame($markdown, $this->sanitizer->clean($markdown));
+
+        $this->assertSame('&lt;javascript:alert(1)>', $this->sanitizer->clean('<javascript:alert(1)>'));
+        $this->assertSame(
+            '&lt;https://x.example/autofocus/onfocus=alert(1)>',
+            $this->sanitizer->clean('<https://x.example/autofocus/onfocus=alert(1)>')
+        );
+    }
+}
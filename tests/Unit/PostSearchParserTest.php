@@ -0,0 +1,41 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Services\PostSearch;
+use PHPUnit\Framework\TestCase;
+
+class PostSearchParserTest extends TestCase
+{
+    /**
+     * Bare words, quoted phrases and exclusions are told apart.
+     */
+    public function test_parses_words_phrases_and_exclusions(): void
+    {
+        $terms = (new PostSearch())->parse('laravel "route model binding" -vue -"angular js"');
+
+        $this->assertSame([['laravel'], ['route', 'model', 'binding']], $terms['include']);
+        $this->assertSame([['vue'], ['angular', 'js']], $terms['exclude']);
+    }
+
+    /**
+     * Characters with a meaning in FTS5 syntax never reach the query.
+     */
+    public function test_strips_query_syntax_from_terms(): void
+    {
+        $terms = (new PostSearch())->parse('title:foo* (bar OR) "unclosed');
+
+        $this->assertSame([['title', 'foo'], ['bar'], ['OR'], ['unclosed']], $terms['include']);
+        $this->assertSame([], $terms['exclude']);
+    }
+
+    /**
+     * Markdown syntax is removed from the indexed text.
+     */
+    public function test_plain_text_removes_markdown(): void
+    {
+        $text = (new PostSearch())->plainText("## Setup\n\nRead the **docs** and [guide](https://example.com).\n\n![diagram](/storage/a.png)");
+
+        $this->assertSame('Setup Read the docs and guide. diagram', $text);
+    }
+}